@@ -6,7 +6,7 @@
  *
  * Key Features:
  * - 3-5 major continents (configurable via UnifiedContinentsBase)
- * - ~71% water coverage (Earth-like)
+ * - Configurable water coverage (60-80%, default 68% - Earth-like)
  * - Randomized parameters for unique maps each generation
  * - Map size scaling for appropriate detail levels
  *
@@ -31,7 +31,7 @@ import { GeneratorType } from '/base-standard/scripts/voronoi_generators/map-gen
 import { PlayerRegion, assignStartPositionsFromTiles } from '/base-standard/maps/assign-starting-plots.js';
 
 // Base game terrain generation
-import { addMountains, addHills, buildRainfallMap, generateLakes } from '/base-standard/maps/elevation-terrain-generator.js';
+import { addMountains, addHills, generateLakes } from '/base-standard/maps/elevation-terrain-generator.js';
 import { addFeatures, designateBiomes } from '/base-standard/maps/feature-biome-generator.js';
 import * as globals from '/base-standard/maps/map-globals.js';
 import * as utilities from '/base-standard/maps/map-utilities.js';
@@ -43,6 +43,64 @@ import { generateDiscoveries } from '/base-standard/maps/discovery-generator.js'
 import { generateSnow, dumpPermanentSnow } from '/base-standard/maps/snow-generator.js';
 import { dumpStartSectors, dumpContinents, dumpTerrain, dumpElevation, dumpRainfall, dumpBiomes, dumpFeatures, dumpResources, dumpNoisePredicate } from '/base-standard/maps/map-debug-helpers.js';
 
+// Hex grid math shared by every pass (neighbors, hex distance, lines, BFS)
+import {
+  hexDistance, plotHexDistance, hexLine, hexRing, getHexNeighbors, getHexRingNeighbors,
+  forEachHexNeighbor, createRingQueue, computeHexDistanceField
+} from './hex-grid.js';
+
+//──────────────────────────────────────────────────────────────────────────────
+// LOGGING
+// Leveled wrapper around console.log; the level comes from the Log Level option
+//──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Log verbosity levels, most to least severe. A message is written when its
+ * level is at or below the current level.
+ */
+const LOG_LEVEL = {
+  ERROR: 0,
+  WARN: 1,
+  INFO: 2,
+  DEBUG: 3,
+  TRACE: 4
+};
+
+const LOG_LEVEL_NAMES = ["Errors", "Warnings", "Info", "Debug", "Trace"];
+
+/** Default: setup choices, warnings and the final summary only */
+const LOG_LEVEL_DEFAULT = LOG_LEVEL.INFO;
+
+let currentLogLevel = LOG_LEVEL_DEFAULT;
+
+/**
+ * Set the current log level; out-of-range values are clamped to ERROR..TRACE
+ */
+function setLogLevel(level) {
+  currentLogLevel = Math.max(LOG_LEVEL.ERROR, Math.min(LOG_LEVEL.TRACE, level));
+}
+
+function isLogEnabled(level) {
+  return level <= currentLogLevel;
+}
+
+/**
+ * Level-gated loggers. Messages are passed through unchanged, so callers keep
+ * writing the "[ContinentsPP] " prefix themselves.
+ *  - error: generation failed or a stage threw
+ *  - warn:  something was corrected, clamped or could not be read
+ *  - info:  setup choices and the final summary
+ *  - debug: stage progress and per-stage results
+ *  - trace: per-continent, per-player and per-tile detail lines
+ */
+const log = {
+  error: (message) => { if (isLogEnabled(LOG_LEVEL.ERROR)) console.log(message); },
+  warn: (message) => { if (isLogEnabled(LOG_LEVEL.WARN)) console.log(message); },
+  info: (message) => { if (isLogEnabled(LOG_LEVEL.INFO)) console.log(message); },
+  debug: (message) => { if (isLogEnabled(LOG_LEVEL.DEBUG)) console.log(message); },
+  trace: (message) => { if (isLogEnabled(LOG_LEVEL.TRACE)) console.log(message); }
+};
+
 //──────────────────────────────────────────────────────────────────────────────
 // RANDOM NUMBER UTILITIES
 // Provides seeded random generation for reproducible but varied maps
@@ -61,6 +119,41 @@ function createSeededRandom(seed) {
   };
 }
 
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function fnv1a32(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Named random streams for one map, all derived from the map seed.
+ * Each phase draws from its own stream (stream('corridorIslands'), ...), so adding
+ * or removing draws in one phase never shifts the numbers another phase gets, and
+ * the same seed and setup options always produce the same map. Engine RNG, Math.random()
+ * and random sort comparators must not be used for anything that shapes the map.
+ * @returns {{seed: number, stream: (name: string) => () => number, streamNames: () => string[]}}
+ */
+function createRngService(mapSeed) {
+  const streams = new Map();
+  return {
+    seed: mapSeed,
+    // Same name, same generator: repeated calls continue one sequence
+    stream(name) {
+      if (!streams.has(name)) {
+        streams.set(name, createSeededRandom(fnv1a32(`${mapSeed}:${name}`)));
+      }
+      return streams.get(name);
+    },
+    streamNames: () => [...streams.keys()]
+  };
+}
+
 /**
  * Returns a random number between min and max (inclusive)
  */
@@ -82,46 +175,6 @@ function randomChoice(random, array) {
   return array[Math.floor(random() * array.length)];
 }
 
-/**
- * Calculates the shortest distance from a point to a line segment, accounting for map wrap
- */
-function distanceToLineSegmentWrapped(px, py, x1, y1, x2, y2, mapWidth) {
-  // Account for horizontal wrap - find the effective x2 that's closest to x1
-  let dx = x2 - x1;
-  if (Math.abs(dx) > mapWidth / 2) {
-    // Wrap around
-    if (dx > 0) dx -= mapWidth;
-    else dx += mapWidth;
-  }
-  const effectiveX2 = x1 + dx;
-
-  // Also adjust px to be in the right frame of reference
-  let effectivePx = px;
-  const midX = (x1 + effectiveX2) / 2;
-  if (Math.abs(px - midX) > mapWidth / 2) {
-    if (px > midX) effectivePx -= mapWidth;
-    else effectivePx += mapWidth;
-  }
-
-  // Standard point-to-line-segment distance
-  const lineLen = Math.sqrt(dx * dx + (y2 - y1) * (y2 - y1));
-  if (lineLen === 0) {
-    // Line segment is a point
-    const dpx = effectivePx - x1;
-    const dpy = py - y1;
-    return Math.sqrt(dpx * dpx + dpy * dpy);
-  }
-
-  // Project point onto line, clamped to segment
-  const t = Math.max(0, Math.min(1, ((effectivePx - x1) * dx + (py - y1) * (y2 - y1)) / (lineLen * lineLen)));
-  const projX = x1 + t * dx;
-  const projY = y1 + t * (y2 - y1);
-
-  const distX = effectivePx - projX;
-  const distY = py - projY;
-  return Math.sqrt(distX * distX + distY * distY);
-}
-
 /**
  * Evaluates spawn quality for a given position
  * Used to detect and fix "bad" spawns based on fertility and biome
@@ -156,33 +209,62 @@ function evaluateSpawnQuality(x, y, avgFertility) {
   };
 }
 
+//──────────────────────────────────────────────────────────────────────────────
+// DISTANCE FIELDS
+// Multi-source BFS over the hex grid (see hex-grid.js). Built once and looked up
+// per plot, instead of scanning every land tile for every ocean tile
+//──────────────────────────────────────────────────────────────────────────────
+
 /**
- * Calculates wrapped distance between two plot indices
+ * Distance from every plot to the nearest land in the Voronoi tiles array.
+ * The island passes only write to the engine, so one field serves both of them
+ * and OCEAN ENFORCEMENT (until it starts converting tiles).
+ * @returns {{ field: Int16Array, distanceToLand: (x, y) => number, buildMs: number }}
+ *          distanceToLand is Infinity when the map has no land at all
  */
-function getWrappedPlotDistance(plot1, plot2, iWidth, iHeight) {
-  const x1 = plot1 % iWidth;
-  const y1 = Math.floor(plot1 / iWidth);
-  const x2 = plot2 % iWidth;
-  const y2 = Math.floor(plot2 / iWidth);
+function createLandDistanceField(tiles, iWidth, iHeight) {
+  const start = Date.now();
+  const field = computeHexDistanceField(iWidth, iHeight, (x, y) => tiles[y]?.[x]?.isLand() ?? false);
+  return {
+    field,
+    distanceToLand: (x, y) => {
+      const d = field[y * iWidth + x];
+      return d === -1 ? Infinity : d;
+    },
+    buildMs: Date.now() - start
+  };
+}
 
-  let dx = Math.abs(x1 - x2);
-  if (dx > iWidth / 2) dx = iWidth - dx;  // Wrap around
-  const dy = Math.abs(y1 - y2);
+/**
+ * Hex steps from one start plot to every plot reachable through canEnter.
+ * A player with no start plot (-1, -1) matches no source, so every plot stays -1.
+ * @param canEnter - (x, y) => true for plots the search may step onto
+ * @returns Int16Array indexed by y * width + x, -1 where unreachable
+ */
+function bfsFromPosition(iWidth, iHeight, startX, startY, canEnter, maxDist = 100) {
+  return computeHexDistanceField(iWidth, iHeight, (x, y) => x === startX && y === startY, canEnter, maxDist);
+}
 
-  return Math.sqrt(dx * dx + dy * dy);
+/**
+ * Plots a unit can walk onto in Antiquity without boats: land that isn't mountain
+ */
+function isWalkable(x, y) {
+  return !GameplayMap.isWater(x, y) && !GameplayMap.isMountain(x, y);
 }
 
 /**
  * Adds island chains in the corridors between inhabited (homeland) continents
  * Creates stepping-stone archipelagos for naval travel between player start continents
+ * @param random - The 'corridorIslands' RNG stream
+ * @param landDistance - Shared land distance field (createLandDistanceField)
  * @param useCustomRegionIds - If true, assigns each island to nearest inhabited continent's region ID
  * @param fallbackRegionId - Region ID to use if KD-tree search fails (prevents invalid region 1)
  */
-function addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tiles, generatorSettings, traversableTiles, useCustomRegionIds = false, fallbackRegionId = 1) {
+function addCorridorIslands(iWidth, iHeight, random, continentIsInhabited, tiles, landDistance, generatorSettings, traversableTiles, useCustomRegionIds = false, fallbackRegionId = 1) {
   try {
-    const random = createSeededRandom(mapSeed + 67890);
+    const startTime = Date.now();
 
-    console.log(`[ContinentsPP] === CORRIDOR ISLAND GENERATION ===`);
+    log.debug(`[ContinentsPP] === CORRIDOR ISLAND GENERATION ===`);
 
     // Find centers of inhabited continents
     const continentData = new Map(); // landmassId -> {sumX, sumY, count}
@@ -214,15 +296,15 @@ function addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tile
       });
     }
 
-    console.log(`[ContinentsPP] Found ${centers.length} inhabited continent centers`);
+    log.debug(`[ContinentsPP] Found ${centers.length} inhabited continent centers`);
     if (centers.length < 2) {
-      console.log(`[ContinentsPP] Need at least 2 inhabited continents for corridors, skipping`);
-      return { chainsAdded: 0, islandsAdded: 0, tilesConverted: 0 };
+      log.debug(`[ContinentsPP] Need at least 2 inhabited continents for corridors, skipping`);
+      return { chainsAdded: 0, islandsAdded: 0, tilesConverted: 0, plots: [] };
     }
 
     // Log centers
     for (const c of centers) {
-      console.log(`[ContinentsPP]   Continent ${c.id} center: (${c.x}, ${c.y})`);
+      log.trace(`[ContinentsPP]   Continent ${c.id} center: (${c.x}, ${c.y})`);
     }
 
     // Configuration
@@ -235,29 +317,8 @@ function addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tile
     const ISLAND_SIZE_MIN = 3;             // Proper islands, not atolls
     const ISLAND_SIZE_MAX = 6;
 
-    // Collect all land positions for distance checking (use tiles array, not GameplayMap)
-    const landPositions = [];
-    for (let y = 0; y < iHeight; y++) {
-      for (let x = 0; x < iWidth; x++) {
-        const tile = tiles[y]?.[x];
-        if (tile && tile.isLand()) {
-          landPositions.push({ x, y });
-        }
-      }
-    }
-
-    // Distance to nearest land (with wrap)
-    const distanceToLand = (x, y) => {
-      let minDist = Infinity;
-      for (const land of landPositions) {
-        let dx = Math.abs(x - land.x);
-        if (dx > iWidth / 2) dx = iWidth - dx;
-        const dy = Math.abs(y - land.y);
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < minDist) minDist = dist;
-      }
-      return minDist;
-    };
+    // Distance to nearest land (hex steps, with wrap) from the shared field
+    const { distanceToLand } = landDistance;
 
     // Find corridor tiles for each continent pair
     const corridorTiles = []; // Array of {x, y, corridorId}
@@ -268,7 +329,11 @@ function addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tile
         const c1 = centers[i];
         const c2 = centers[j];
 
-        console.log(`[ContinentsPP] Scanning corridor between continent ${c1.id} and ${c2.id}`);
+        log.debug(`[ContinentsPP] Scanning corridor between continent ${c1.id} and ${c2.id}`);
+
+        // Hex steps from the straight line between the two centers
+        const linePlots = new Set(hexLine(c1.x, c1.y, c2.x, c2.y, iWidth).map(p => p.y * iWidth + p.x));
+        const lineDistance = computeHexDistanceField(iWidth, iHeight, (x, y) => linePlots.has(y * iWidth + x), null, CORRIDOR_WIDTH);
 
         const thisCorridor = [];
         for (let y = 2; y < iHeight - 2; y++) {
@@ -278,8 +343,8 @@ function addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tile
             if (tile.terrainType !== TerrainType.Ocean) continue;  // Only deep ocean
 
             // Check distance to corridor line
-            const distToLine = distanceToLineSegmentWrapped(x, y, c1.x, c1.y, c2.x, c2.y, iWidth);
-            if (distToLine > CORRIDOR_WIDTH) continue;
+            const distToLine = lineDistance[y * iWidth + x];
+            if (distToLine === -1) continue;  // Farther than CORRIDOR_WIDTH
 
             // Check distance to land
             const distLand = distanceToLand(x, y);
@@ -289,7 +354,7 @@ function addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tile
           }
         }
 
-        console.log(`[ContinentsPP]   Found ${thisCorridor.length} candidate tiles in corridor`);
+        log.trace(`[ContinentsPP]   Found ${thisCorridor.length} candidate tiles in corridor`);
         corridorTiles.push(...thisCorridor);
         corridorId++;
       }
@@ -299,6 +364,7 @@ function addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tile
     let chainsAdded = 0;
     let islandsAdded = 0;
     let tilesConverted = 0;
+    const plots = [];  // [x, y] of every island tile placed, for the generation report
     const usedPositions = new Set();
 
     // Group by corridor and sort by distance along corridor for chain formation
@@ -328,10 +394,7 @@ function addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tile
         let tooClose = false;
         for (const used of usedPositions) {
           const [ux, uy] = used.split(',').map(Number);
-          let dx = Math.abs(startTile.x - ux);
-          if (dx > iWidth / 2) dx = iWidth - dx;
-          const dy = Math.abs(startTile.y - uy);
-          if (Math.sqrt(dx * dx + dy * dy) < 5) {
+          if (hexDistance(startTile.x, startTile.y, ux, uy, iWidth) < 5) {
             tooClose = true;
             break;
           }
@@ -414,18 +477,15 @@ function addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tile
             // Try from multiple existing tiles if first attempt fails
             for (let attempt = 0; attempt < islandTiles.length && !foundGrowth; attempt++) {
               const growFrom = islandTiles[(Math.floor(random() * islandTiles.length) + attempt) % islandTiles.length];
-              const growDirs = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, 1], [1, -1], [-1, -1]];
+              const growNeighbors = getHexNeighbors(growFrom.x, growFrom.y, iWidth, iHeight);
 
               // Shuffle for variety
-              for (let i = growDirs.length - 1; i > 0; i--) {
+              for (let i = growNeighbors.length - 1; i > 0; i--) {
                 const j = Math.floor(random() * (i + 1));
-                [growDirs[i], growDirs[j]] = [growDirs[j], growDirs[i]];
+                [growNeighbors[i], growNeighbors[j]] = [growNeighbors[j], growNeighbors[i]];
               }
 
-              for (const dir of growDirs) {
-                const nx = (growFrom.x + dir[0] + iWidth) % iWidth;
-                const ny = growFrom.y + dir[1];
-
+              for (const { x: nx, y: ny } of growNeighbors) {
                 if (ny < 2 || ny >= iHeight - 2) continue;
 
                 // Check not already in island or used
@@ -459,10 +519,7 @@ function addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tile
                 let nearestContinentId = centers[0]?.id ?? fallbackRegionId;
                 let nearestDist = Infinity;
                 for (const c of centers) {
-                  let dx = Math.abs(it.x - c.x);
-                  if (dx > iWidth / 2) dx = iWidth - dx;
-                  const dy = Math.abs(it.y - c.y);
-                  const dist = Math.sqrt(dx * dx + dy * dy);
+                  const dist = hexDistance(it.x, it.y, c.x, c.y, iWidth);
                   if (dist < nearestDist) {
                     nearestDist = dist;
                     nearestContinentId = c.id;
@@ -475,10 +532,11 @@ function addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tile
               }
 
               usedPositions.add(key);
+              plots.push([it.x, it.y]);
               tilesConverted++;
               islandTilesThisChain++;
               // Add to traversable tiles for pathfinding
-              if (traversableTiles) traversableTiles.add(key);
+              if (traversableTiles) traversableTiles[it.y * iWidth + it.x] = 1;
             } catch (e) {
               // Skip on error
             }
@@ -488,26 +546,27 @@ function addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tile
 
         chainsAdded++;
         chainsInCorridor++;
-        console.log(`[ContinentsPP]   Chain ${chainsAdded}: ${chain.length} islands, ${islandTilesThisChain || chain.length} tiles at (${startTile.x}, ${startTile.y})`);
+        log.trace(`[ContinentsPP]   Chain ${chainsAdded}: ${chain.length} islands, ${islandTilesThisChain || chain.length} tiles at (${startTile.x}, ${startTile.y})`);
       }
 
       if (chainsInCorridor > 0) {
-        console.log(`[ContinentsPP]   Corridor ${cid}: ${chainsInCorridor} chains created from ${tiles.length} candidates`);
+        log.trace(`[ContinentsPP]   Corridor ${cid}: ${chainsInCorridor} chains created from ${tiles.length} candidates`);
       }
     }
 
-    console.log(`[ContinentsPP]`);
-    console.log(`[ContinentsPP] CORRIDOR ISLAND SUMMARY:`);
-    console.log(`[ContinentsPP]   Total chains: ${chainsAdded}`);
-    console.log(`[ContinentsPP]   Total islands: ${islandsAdded}`);
-    console.log(`[ContinentsPP]   Total tiles: ${tilesConverted}`);
-    console.log(`[ContinentsPP]   Avg tiles/island: ${islandsAdded > 0 ? (tilesConverted / islandsAdded).toFixed(1) : 0}`);
-    return { chainsAdded, islandsAdded, tilesConverted };
+    log.debug(`[ContinentsPP]`);
+    log.debug(`[ContinentsPP] CORRIDOR ISLAND SUMMARY:`);
+    log.trace(`[ContinentsPP]   Total chains: ${chainsAdded}`);
+    log.trace(`[ContinentsPP]   Total islands: ${islandsAdded}`);
+    log.trace(`[ContinentsPP]   Total tiles: ${tilesConverted}`);
+    log.trace(`[ContinentsPP]   Avg tiles/island: ${islandsAdded > 0 ? (tilesConverted / islandsAdded).toFixed(1) : 0}`);
+    log.debug(`[ContinentsPP] Corridor islands took ${Date.now() - startTime} ms`);
+    return { chainsAdded, islandsAdded, tilesConverted, plots };
 
   } catch (error) {
-    console.log(`[ContinentsPP] ERROR in addCorridorIslands: ${error.message}`);
-    console.log(`[ContinentsPP] Stack: ${error.stack}`);
-    return { chainsAdded: 0, islandsAdded: 0, tilesConverted: 0 };
+    log.error(`[ContinentsPP] ERROR in addCorridorIslands: ${error.message}`);
+    log.error(`[ContinentsPP] Stack: ${error.stack}`);
+    return { chainsAdded: 0, islandsAdded: 0, tilesConverted: 0, plots: [] };
   }
 }
 
@@ -515,14 +574,16 @@ function addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tile
  * Adds small islands in large empty ocean areas
  * Scans for ocean tiles far from land and randomly converts some to islands
  * Only runs 40-60% of the time for map variety
+ * @param random - The 'openOceanIslands' RNG stream
+ * @param landDistance - Shared land distance field (createLandDistanceField)
  * @param useCustomRegionIds - If true, assigns each island to nearest major continent's region ID
  * @param fallbackRegionId - Region ID to use if KD-tree search fails (prevents invalid region 1)
  */
-function addOpenOceanIslands(iWidth, iHeight, mapSeed, continentIsInhabited, majorContinentKdTree, tiles, traversableTiles, useCustomRegionIds = false, fallbackRegionId = 1) {
+function addOpenOceanIslands(iWidth, iHeight, random, continentIsInhabited, majorContinentKdTree, tiles, landDistance, traversableTiles, useCustomRegionIds = false, fallbackRegionId = 1) {
   try {
-    const random = createSeededRandom(mapSeed + 12345);  // Different seed offset for variety
+    const startTime = Date.now();
 
-    console.log(`[ContinentsPP] === OPEN OCEAN ISLAND CHAINS ===`);
+    log.debug(`[ContinentsPP] === OPEN OCEAN ISLAND CHAINS ===`);
 
     // Scale configuration with map size
     const mapArea = iWidth * iHeight;
@@ -539,39 +600,13 @@ function addOpenOceanIslands(iWidth, iHeight, mapSeed, continentIsInhabited, maj
     const ISLAND_SPACING_MAX = 4;                                  // Max tiles between islands in chain
     const SINGLE_ATOLL_CHANCE = 0.15;                              // 15% chance for single atolls (prefer chains)
 
-    console.log(`[ContinentsPP] Config: max ${MAX_CHAINS} chains, ${CHAIN_LENGTH_MIN}-${CHAIN_LENGTH_MAX} islands each`);
-
-    // Collect all land tile positions for distance checking
-    const landPositions = [];
-    for (let y = 0; y < iHeight; y++) {
-      for (let x = 0; x < iWidth; x++) {
-        const tile = tiles[y]?.[x];
-        if (tile && tile.isLand()) {
-          landPositions.push({ x, y });
-        }
-      }
-    }
+    log.debug(`[ContinentsPP] Config: max ${MAX_CHAINS} chains, ${CHAIN_LENGTH_MIN}-${CHAIN_LENGTH_MAX} islands each`);
 
-    // Distance function with wrap awareness
-    const distanceToLand = (x, y) => {
-      let minDist = Infinity;
-      for (const land of landPositions) {
-        let dx = Math.abs(x - land.x);
-        if (dx > iWidth / 2) dx = iWidth - dx;
-        const dy = Math.abs(y - land.y);
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < minDist) minDist = dist;
-      }
-      return minDist;
-    };
+    // Distance to nearest land (hex steps, with wrap) from the shared field
+    const { distanceToLand } = landDistance;
 
-    // Distance between two points with wrap
-    const distanceBetween = (x1, y1, x2, y2) => {
-      let dx = Math.abs(x1 - x2);
-      if (dx > iWidth / 2) dx = iWidth - dx;
-      const dy = Math.abs(y1 - y2);
-      return Math.sqrt(dx * dx + dy * dy);
-    };
+    // Hex steps between two points with wrap
+    const distanceBetween = (x1, y1, x2, y2) => hexDistance(x1, y1, x2, y2, iWidth);
 
     // Find candidate ocean tiles (deep ocean, far from land)
     // Rules:
@@ -621,17 +656,20 @@ function addOpenOceanIslands(iWidth, iHeight, mapSeed, continentIsInhabited, maj
       }
     }
 
-    console.log(`[ContinentsPP] Found ${trulyDeepOcean} truly deep ocean tiles (${TRULY_DEEP_OCEAN}+ from land)`);
-    console.log(`[ContinentsPP] Skipped ${skippedNearDistant} tiles near distant lands`);
+    log.debug(`[ContinentsPP] Found ${trulyDeepOcean} truly deep ocean tiles (${TRULY_DEEP_OCEAN}+ from land)`);
+    log.debug(`[ContinentsPP] Skipped ${skippedNearDistant} tiles near distant lands`);
 
-    // Sort by priority (optimal distance first) then shuffle within priority
-    deepOceanTiles.sort((a, b) => b.priority - a.priority || random() - 0.5);
+    // Sort by priority (optimal distance first) then shuffle within priority. The
+    // shuffle keys are drawn up front: a random comparator's result depends on the
+    // engine's sort algorithm
+    for (const tile of deepOceanTiles) tile.shuffleKey = random();
+    deepOceanTiles.sort((a, b) => b.priority - a.priority || a.shuffleKey - b.shuffleKey);
 
-    console.log(`[ContinentsPP] Found ${deepOceanTiles.length} deep ocean candidates (${MIN_DISTANCE_FROM_LAND}+ tiles from land)`);
+    log.debug(`[ContinentsPP] Found ${deepOceanTiles.length} deep ocean candidates (${MIN_DISTANCE_FROM_LAND}+ tiles from land)`);
 
     if (deepOceanTiles.length === 0) {
-      console.log(`[ContinentsPP] No suitable ocean tiles found for island chains`);
-      return { islandsAdded: 0, tilesConverted: 0, chainsAdded: 0 };
+      log.debug(`[ContinentsPP] No suitable ocean tiles found for island chains`);
+      return { islandsAdded: 0, tilesConverted: 0, chainsAdded: 0, plots: [] };
     }
 
     // Track all created islands to avoid overlaps
@@ -641,6 +679,7 @@ function addOpenOceanIslands(iWidth, iHeight, mapSeed, continentIsInhabited, maj
     let chainsAdded = 0;
     let islandsAdded = 0;
     let tilesConverted = 0;
+    const plots = [];  // [x, y] of every island tile placed, for the generation report
 
     // Helper: check if position is valid for new island
     const isValidPosition = (x, y, minSpacing = 2) => {
@@ -679,8 +718,9 @@ function addOpenOceanIslands(iWidth, iHeight, mapSeed, continentIsInhabited, maj
         }
 
         usedPositions.add(`${x},${y}`);
+        plots.push([x, y]);
         // Add to traversable tiles for pathfinding
-        if (traversableTiles) traversableTiles.add(`${x},${y}`);
+        if (traversableTiles) traversableTiles[y * iWidth + x] = 1;
         return true;
       } catch (e) {
         return false;
@@ -714,19 +754,15 @@ function addOpenOceanIslands(iWidth, iHeight, mapSeed, continentIsInhabited, maj
           for (let t = 1; t < islandSize; t++) {
             // Pick a random existing tile to grow from
             const growFrom = islandTiles[Math.floor(random() * islandTiles.length)];
-            const dirs = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, 1], [1, -1], [-1, -1]];
+            const neighbors = getHexNeighbors(growFrom.x, growFrom.y, iWidth, iHeight);
 
-            // Shuffle directions for variety
-            for (let i = dirs.length - 1; i > 0; i--) {
+            // Shuffle neighbors for variety
+            for (let i = neighbors.length - 1; i > 0; i--) {
               const j = Math.floor(random() * (i + 1));
-              [dirs[i], dirs[j]] = [dirs[j], dirs[i]];
+              [neighbors[i], neighbors[j]] = [neighbors[j], neighbors[i]];
             }
 
-            for (const dir of dirs) {
-              const nx = (growFrom.x + dir[0] + iWidth) % iWidth;
-              const ny = growFrom.y + dir[1];
-              const key = `${nx},${ny}`;
-
+            for (const { x: nx, y: ny } of neighbors) {
               // Check not already in island and valid position
               if (!islandTiles.some(it => it.x === nx && it.y === ny) &&
                   isValidPosition(nx, ny, 1)) {
@@ -746,7 +782,7 @@ function addOpenOceanIslands(iWidth, iHeight, mapSeed, continentIsInhabited, maj
             islandsAdded++;
             chainCenters.push({ x: startTile.x, y: startTile.y });
             chainsAdded++;
-            console.log(`[ContinentsPP]   Small island: ${islandTiles.length} tiles at (${startTile.x}, ${startTile.y})`);
+            log.trace(`[ContinentsPP]   Small island: ${islandTiles.length} tiles at (${startTile.x}, ${startTile.y})`);
           }
         }
       } else {
@@ -789,10 +825,8 @@ function addOpenOceanIslands(iWidth, iHeight, mapSeed, continentIsInhabited, maj
 
               // Add small cluster around some islands (30% chance)
               if (random() < 0.3) {
-                const clusterDirs = [[1, 0], [-1, 0], [0, 1], [0, -1]];
-                const dir = clusterDirs[Math.floor(random() * clusterDirs.length)];
-                const cx = (island.x + dir[0] + iWidth) % iWidth;
-                const cy = island.y + dir[1];
+                const neighbors = getHexNeighbors(island.x, island.y, iWidth, iHeight);
+                const { x: cx, y: cy } = neighbors[Math.floor(random() * neighbors.length)];
                 if (isValidPosition(cx, cy, 1)) {
                   if (createIslandTile(cx, cy)) {
                     tilesConverted++;
@@ -804,23 +838,193 @@ function addOpenOceanIslands(iWidth, iHeight, mapSeed, continentIsInhabited, maj
 
           chainCenters.push({ x: startTile.x, y: startTile.y });
           chainsAdded++;
-          console.log(`[ContinentsPP]   Chain ${chainsAdded}: ${chainIslands.length} islands at (${startTile.x}, ${startTile.y})`);
+          log.trace(`[ContinentsPP]   Chain ${chainsAdded}: ${chainIslands.length} islands at (${startTile.x}, ${startTile.y})`);
         }
       }
     }
 
-    console.log(`[ContinentsPP]`);
-    console.log(`[ContinentsPP] OPEN OCEAN ISLAND SUMMARY:`);
-    console.log(`[ContinentsPP]   Total chains: ${chainsAdded}`);
-    console.log(`[ContinentsPP]   Total islands: ${islandsAdded}`);
-    console.log(`[ContinentsPP]   Total tiles: ${tilesConverted}`);
-    console.log(`[ContinentsPP]   Avg tiles/island: ${islandsAdded > 0 ? (tilesConverted / islandsAdded).toFixed(1) : 0}`);
-    return { islandsAdded, tilesConverted, chainsAdded };
+    log.debug(`[ContinentsPP]`);
+    log.debug(`[ContinentsPP] OPEN OCEAN ISLAND SUMMARY:`);
+    log.trace(`[ContinentsPP]   Total chains: ${chainsAdded}`);
+    log.trace(`[ContinentsPP]   Total islands: ${islandsAdded}`);
+    log.trace(`[ContinentsPP]   Total tiles: ${tilesConverted}`);
+    log.trace(`[ContinentsPP]   Avg tiles/island: ${islandsAdded > 0 ? (tilesConverted / islandsAdded).toFixed(1) : 0}`);
+    log.debug(`[ContinentsPP] Open ocean islands took ${Date.now() - startTime} ms`);
+    return { islandsAdded, tilesConverted, chainsAdded, plots };
   } catch (error) {
-    console.log(`[ContinentsPP] ERROR in addOpenOceanIslands: ${error.message}`);
-    console.log(`[ContinentsPP] Stack: ${error.stack}`);
-    return { islandsAdded: 0, tilesConverted: 0, chainsAdded: 0 };
+    log.error(`[ContinentsPP] ERROR in addOpenOceanIslands: ${error.message}`);
+    log.error(`[ContinentsPP] Stack: ${error.stack}`);
+    return { islandsAdded: 0, tilesConverted: 0, chainsAdded: 0, plots: [] };
+  }
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// WATER COVERAGE
+// Turns the Water Coverage setup option into land budgets and verifies that
+// the stamped map actually lands near the requested land/water ratio
+//──────────────────────────────────────────────────────────────────────────────
+
+/** Selectable water percentages (values of ContinentsPPWaterCoverageDomain) */
+const WATER_COVERAGE_VALUES = [60, 65, 68, 72, 75, 80];
+
+/**
+ * Water percentage the MAP_SIZE_CONFIGS land ranges were tuned for.
+ * Land budgets scale relative to this, so the default reproduces the original maps.
+ */
+const WATER_COVERAGE_DEFAULT = 68;
+
+/** Allowed miss (percentage points) between requested and measured water before correcting */
+const WATER_COVERAGE_TOLERANCE = 3;
+
+/**
+ * Measures the current water share of the whole map (0-100)
+ */
+function measureWaterPercent(iWidth, iHeight) {
+  let waterTiles = 0;
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      if (GameplayMap.isWater(x, y)) waterTiles++;
+    }
+  }
+  return waterTiles / (iWidth * iHeight) * 100;
+}
+
+/**
+ * Nudges the stamped map toward the requested water percentage
+ * Only runs when the measured ratio misses the target by more than WATER_COVERAGE_TOLERANCE.
+ * Grows or erodes existing shorelines one ring at a time, so continent shapes are kept:
+ * - Growing only fills coast next to a single continent and never within 3 hexes of another
+ *   continent, so separate landmasses are never bridged and ocean gaps stay intact
+ * - If that stalls (crowded maps where every shore is near another landmass), growth may
+ *   close in on a continent down to a 1-tile strait, as long as both end up in the same
+ *   region: already reachable by coast, or both uninhabited, so Distant Lands stay distant
+ * - Eroding only removes shore tiles whose land neighbors stay connected, so continents
+ *   are never split and single-tile islands are left alone
+ * Passes repeat until the target is reached or no shoreline tile can change.
+ * Requires stampContinents() to have run (uses continent IDs to prevent bridging).
+ * @param targetWaterPercent - Requested water percentage (0-100)
+ * @param random - The 'waterCoverage' RNG stream; sets the order shoreline tiles are visited in
+ * @param protectedPlots - Set of plot indices left as they are (inland seas, land bridges, chokepoints)
+ * @param inhabitedContinents - Set of game continent IDs with player starts
+ * @returns {{before: number, after: number, tilesAdded: number, tilesRemoved: number}}
+ */
+function correctWaterCoverage(iWidth, iHeight, targetWaterPercent, random, protectedPlots = new Set(), inhabitedContinents = new Set()) {
+  const before = measureWaterPercent(iWidth, iHeight);
+  const result = { before, after: before, tilesAdded: 0, tilesRemoved: 0 };
+  if (Math.abs(before - targetWaterPercent) <= WATER_COVERAGE_TOLERANCE) {
+    return result;
+  }
+
+  const addLand = before > targetWaterPercent;
+  let tilesToChange = Math.round(Math.abs(before - targetWaterPercent) / 100 * iWidth * iHeight);
+  const polarRows = globals.g_PolarWaterRows;
+
+  // Continent IDs for tiles added this run (not stamped yet), keyed by plot index
+  const addedContinent = new Map();
+  const continentAt = (x, y) => {
+    const added = addedContinent.get(y * iWidth + x);
+    if (added !== undefined) return added;
+    return GameplayMap.isWater(x, y) ? -1 : GameplayMap.getContinentType(x, y);
+  };
+
+  // Continent -> region key (its reachability group if inhabited, else 'distant'),
+  // set once strict growth stalls
+  let groupOf = null;
+
+  // Returns the continent this water tile would join, or -1 if growing here could bridge
+  const getGrowthContinent = (x, y) => {
+    let owner = -1;
+    const visited = new Set([y * iWidth + x]);
+    let frontier = [{ x, y }];
+    for (let depth = 1; depth <= 3; depth++) {
+      const next = [];
+      for (const tile of frontier) {
+        for (const n of getHexRingNeighbors(tile.x, tile.y, iWidth, iHeight)) {
+          if (!n || visited.has(n.y * iWidth + n.x)) continue;
+          visited.add(n.y * iWidth + n.x);
+          next.push(n);
+          const continentId = continentAt(n.x, n.y);
+          if (continentId === -1) continue;
+          if (owner !== -1 && continentId !== owner) {
+            // Relaxed growth may narrow a gap but never touch, or link homeland to distant land
+            if (!groupOf || depth === 1 || groupOf.get(continentId) !== groupOf.get(owner)) return -1;
+            continue;
+          }
+          owner = continentId;
+        }
+      }
+      frontier = next;
+    }
+    return owner;
+  };
+
+  // A shore tile can erode if its land neighbors form one unbroken arc around it
+  const canErode = (x, y) => {
+    const ring = getHexRingNeighbors(x, y, iWidth, iHeight)
+      .map(n => n !== null && !GameplayMap.isWater(n.x, n.y));
+    const landNeighbors = ring.filter(Boolean).length;
+    if (landNeighbors < 2 || landNeighbors === 6) return false;
+    let transitions = 0;
+    for (let i = 0; i < 6; i++) {
+      if (ring[i] !== ring[(i + 1) % 6]) transitions++;
+    }
+    return transitions === 2;
+  };
+
+  // Each pass only touches the current shoreline, then re-scans
+  while (tilesToChange > 0) {
+    const candidates = [];
+    for (let y = polarRows; y < iHeight - polarRows; y++) {
+      for (let x = 0; x < iWidth; x++) {
+        if (GameplayMap.isWater(x, y) !== addLand || protectedPlots.has(y * iWidth + x)) continue;
+        const onShore = getHexRingNeighbors(x, y, iWidth, iHeight)
+          .some(n => n !== null && GameplayMap.isWater(n.x, n.y) === addLand);
+        if (onShore) candidates.push({ x, y });
+      }
+    }
+
+    // Fisher-Yates shuffle so the correction doesn't favor one side of the map
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+
+    let changedThisPass = 0;
+    for (const { x, y } of candidates) {
+      if (tilesToChange <= 0) break;
+      if (addLand) {
+        if (GameplayMap.getTerrainType(x, y) !== globals.g_CoastTerrain) continue;
+        const continentId = getGrowthContinent(x, y);
+        if (continentId === -1) continue;
+        TerrainBuilder.setTerrainType(x, y, globals.g_FlatTerrain);
+        addedContinent.set(y * iWidth + x, continentId);
+        // New shoreline needs a coast ring like the rest of the continent
+        for (const n of getHexRingNeighbors(x, y, iWidth, iHeight)) {
+          if (n && GameplayMap.getTerrainType(n.x, n.y) === globals.g_OceanTerrain) {
+            TerrainBuilder.setTerrainType(n.x, n.y, globals.g_CoastTerrain);
+          }
+        }
+        result.tilesAdded++;
+      } else {
+        if (!canErode(x, y)) continue;
+        TerrainBuilder.setTerrainType(x, y, globals.g_CoastTerrain);
+        result.tilesRemoved++;
+      }
+      tilesToChange--;
+      changedThisPass++;
+    }
+    if (changedThisPass === 0) {
+      if (!addLand || groupOf) break;
+      groupOf = new Map();
+      findReachabilityGroups(iWidth, iHeight).forEach((group, index) => {
+        const key = [...group].some(id => inhabitedContinents.has(id)) ? index : 'distant';
+        for (const continentId of group) groupOf.set(continentId, key);
+      });
+    }
   }
+
+  result.after = measureWaterPercent(iWidth, iHeight);
+  return result;
 }
 
 //──────────────────────────────────────────────────────────────────────────────
@@ -955,44 +1159,221 @@ const MAP_SIZE_CONFIGS = {
   }
 };
 
+/**
+ * Named generation presets layered on top of MAP_SIZE_CONFIGS
+ * Keyed by the ContinentsPPPreset setup option value. Each override replaces one
+ * MAP_SIZE_CONFIGS range, either with a fixed { min, max } or a { scale } of the
+ * map size's own range so presets still grow with the map. Anything not listed
+ * keeps the map size default, and all presets share the same player placement
+ * and distant lands logic.
+ */
+const GENERATION_PRESETS = {
+  // Index 0: STANDARD - the original Continents++ tuning
+  0: {
+    name: 'Standard',
+    overrides: {}
+  },
+
+  // Index 1: EARTH-LIKE - several mid-sized continents, moderate islands
+  1: {
+    name: 'Earth-like',
+    overrides: {
+      landmassCount: { min: 5, max: 7 },
+      islandTotalSize: { scale: 0.8 },
+      mountainPercent: { min: 10, max: 13 },
+    }
+  },
+
+  // Index 2: PANGAEA-ISH - one dominant supercontinent plus a distant outlier or two
+  2: {
+    name: 'Pangaea-ish',
+    overrides: {
+      landmassCount: { min: 2, max: 3 },
+      totalLandmassSize: { scale: 1.1 },
+      islandTotalSize: { scale: 0.5 },
+      continentSeparation: { scale: 1.2 },
+      mountainPercent: { min: 13, max: 17 },
+    }
+  },
+
+  // Index 3: ARCHIPELAGO - many small continents in island-strewn seas
+  3: {
+    name: 'Archipelago',
+    overrides: {
+      landmassCount: { min: 6, max: 10 },
+      totalLandmassSize: { scale: 0.75 },
+      coastalIslands: { scale: 1.5 },
+      islandTotalSize: { scale: 2.0 },
+      islandMaxSize: { scale: 1.5 },
+      continentSeparation: { scale: 0.8 },
+      mountainPercent: { min: 8, max: 12 },
+    }
+  },
+
+  // Index 4: TOLKIEN - few asymmetric continents, wide seas, long mountain ranges
+  4: {
+    name: 'Tolkien',
+    overrides: {
+      landmassCount: { min: 3, max: 5 },
+      islandTotalSize: { scale: 0.7 },
+      continentSeparation: { scale: 1.3 },
+      mountainPercent: { min: 15, max: 20 },
+    }
+  }
+};
+
+const PRESET_DEFAULT = 0;
+
+/** MAP_SIZE_CONFIGS keys that are rolled with randomInt() and must stay whole numbers */
+const INTEGER_CONFIG_KEYS = new Set([
+  'landmassCount', 'totalLandmassSize', 'erosionPercent', 'coastalIslands',
+  'islandDistance', 'landmassDistance', 'mountainPercent', 'mountainRandomize',
+  'continentSeparation', 'separationFalloff'
+]);
+
+/**
+ * Returns a copy of a map size's base config with a preset's overrides applied
+ * Continent counts are kept within what the map size can hold (2 to mapSizeIndex + 6).
+ */
+function resolvePresetConfig(baseConfig, preset, mapSizeIndex) {
+  const resolved = { ...baseConfig };
+  for (const [key, override] of Object.entries(preset.overrides)) {
+    const baseRange = baseConfig[key];
+    if (!baseRange) continue;
+
+    let min = override.scale !== undefined ? baseRange.min * override.scale : override.min;
+    let max = override.scale !== undefined ? baseRange.max * override.scale : override.max;
+    if (INTEGER_CONFIG_KEYS.has(key)) {
+      min = Math.round(min);
+      max = Math.round(max);
+    }
+    if (key === 'landmassCount') {
+      max = Math.min(max, mapSizeIndex + 6);
+      min = Math.max(2, Math.min(min, max));
+    }
+    resolved[key] = { min, max };
+  }
+  return resolved;
+}
+
+/**
+ * Continent Count setup option (values of ContinentsPPContinentCountDomain)
+ * 0=Few, 1=Many, 2=Random; exact counts are stored as CONTINENT_COUNT_EXACT_BASE + N
+ * (102 = exactly 2 continents ... 110 = exactly 10)
+ */
+const CONTINENT_COUNT_EXACT_BASE = 100;
+const CONTINENT_COUNT_EXACT_MIN = 2;
+const CONTINENT_COUNT_EXACT_MAX = 10;
+
+/**
+ * Returns true if the continent count mode requests an exact number of continents
+ */
+function isExactContinentCount(continentCountMode) {
+  return continentCountMode >= CONTINENT_COUNT_EXACT_BASE + CONTINENT_COUNT_EXACT_MIN &&
+    continentCountMode <= CONTINENT_COUNT_EXACT_BASE + CONTINENT_COUNT_EXACT_MAX;
+}
+
+/**
+ * Human-readable name of a continent count mode for logs and the final summary
+ */
+function getContinentCountModeName(continentCountMode) {
+  if (isExactContinentCount(continentCountMode)) {
+    return `Exact (${continentCountMode - CONTINENT_COUNT_EXACT_BASE})`;
+  }
+  return ['Few (2-4)', 'Many (5-7)', 'Random'][continentCountMode] || 'Unknown';
+}
+
+/**
+ * Erosion Amount setup option (values of ContinentsPPErosionDomain)
+ * The multiplier scales the rolled base erosion, the boost given to uninhabited and
+ * low-population continents (and its cap), and mid-ocean island erosion.
+ * Medium reproduces the original tuning.
+ */
+const EROSION_LEVELS = [
+  { name: 'Low', multiplier: 0.6 },
+  { name: 'Medium', multiplier: 1.0 },
+  { name: 'High', multiplier: 1.5 }
+];
+const EROSION_DEFAULT = 1;
+
+/** Per-continent erosion cap after the dynamic boost (scaled by the erosion multiplier) */
+const EROSION_BOOST_CAP = 25;
+
 /**
  * Generates randomized configuration for this map generation
  * Each call produces different (but balanced) parameters
  * @param {number} mapSizeIndex - Map size (0=Tiny, 4=Huge)
- * @param {number} randomSeed - Seed for reproducible randomization
- * @param {number} continentCountMode - 0=Few(2-4), 1=Many(5-7), 2=Random(map-based)
+ * @param {function} random - The 'config' RNG stream
+ * @param {number} continentCountMode - 0=Few(2-4), 1=Many(5-7), 2=Random(map-based), 102-110=Exact(2-10)
+ * @param {number} waterPercent - Target water coverage (60-80), scales land and island budgets
+ * @param {number} erosionLevel - Index into EROSION_LEVELS (0=Low, 1=Medium, 2=High)
+ * @param {number} presetIndex - Key of GENERATION_PRESETS (0=Standard)
  */
-function generateRandomizedConfig(mapSizeIndex, randomSeed, continentCountMode = 2) {
-  const random = createSeededRandom(randomSeed);
-  const baseConfig = MAP_SIZE_CONFIGS[mapSizeIndex] || MAP_SIZE_CONFIGS[2];
-
-  console.log(`[ContinentsPP] Generating randomized config for ${baseConfig.name} map (seed: ${randomSeed})`);
+function generateRandomizedConfig(mapSizeIndex, random, continentCountMode = 2, waterPercent = WATER_COVERAGE_DEFAULT, erosionLevel = EROSION_DEFAULT, presetIndex = PRESET_DEFAULT) {
+  const preset = GENERATION_PRESETS[presetIndex] || GENERATION_PRESETS[PRESET_DEFAULT];
+  const baseConfig = resolvePresetConfig(MAP_SIZE_CONFIGS[mapSizeIndex] || MAP_SIZE_CONFIGS[2], preset, mapSizeIndex);
+
+  log.debug(`[ContinentsPP] Generating randomized config for ${baseConfig.name} map (preset: ${preset.name})`);
+  for (const key of Object.keys(preset.overrides)) {
+    const { min, max } = baseConfig[key];
+    const format = (v) => Number.isInteger(v) ? v : v.toFixed(2);
+    log.trace(`[ContinentsPP]   Preset override ${key}: ${format(min)}-${format(max)}`);
+  }
 
   // Determine landmass count based on continent count mode
   let landmassCount;
   let landmassMin, landmassMax;
-
-  if (continentCountMode === 0) {
-    // Few: 2-4 continents (capped by map size reasonability)
-    landmassMin = 2;
-    landmassMax = Math.min(4, baseConfig.landmassCount.max);
-    landmassCount = randomInt(random, landmassMin, landmassMax);
-    console.log(`[ContinentsPP] Continent mode: Few → ${landmassMin}-${landmassMax} range, rolled ${landmassCount}`);
-  } else if (continentCountMode === 1) {
-    // Many: 5-7 continents (but respect map size minimums)
-    landmassMin = Math.max(5, baseConfig.landmassCount.min);
-    landmassMax = Math.max(7, baseConfig.landmassCount.max);
-    // Cap at reasonable max for the map size
-    landmassMax = Math.min(landmassMax, mapSizeIndex + 6);  // Tiny=6, Small=7, Standard=8, Large=9, Huge=10
+  let requestedLandmassCount = null;  // Only set for exact counts
+
+  if (isExactContinentCount(continentCountMode)) {
+    // Exact: fixed count for league play, clamped to what the map size can hold
+    requestedLandmassCount = continentCountMode - CONTINENT_COUNT_EXACT_BASE;
+    landmassMax = mapSizeIndex + 6;  // Same cap as Many: Tiny=6 ... Huge=10
+    landmassCount = Math.max(CONTINENT_COUNT_EXACT_MIN, Math.min(requestedLandmassCount, landmassMax));
+    random();  // Consume the count roll so the remaining parameters match the other modes
+    if (landmassCount !== requestedLandmassCount) {
+      log.warn(`[ContinentsPP] WARNING: ${requestedLandmassCount} continents won't fit a ${baseConfig.name} map — clamped to ${landmassCount}`);
+    }
+    log.debug(`[ContinentsPP] Continent mode: Exact → ${landmassCount} continents`);
+  } else if (continentCountMode === 0 || continentCountMode === 1) {
+    const modeName = continentCountMode === 0 ? 'Few' : 'Many';
+    if (continentCountMode === 0) {
+      // Few: 2-4 continents (capped by map size reasonability)
+      landmassMin = 2;
+      landmassMax = Math.min(4, baseConfig.landmassCount.max);
+    } else {
+      // Many: 5-7 continents (but respect map size minimums)
+      landmassMin = Math.max(5, baseConfig.landmassCount.min);
+      landmassMax = Math.max(7, baseConfig.landmassCount.max);
+      // Cap at reasonable max for the map size
+      landmassMax = Math.min(landmassMax, mapSizeIndex + 6);  // Tiny=6, Small=7, Standard=8, Large=9, Huge=10
+    }
+    // A preset with its own continent range keeps the count inside it: the
+    // mode narrows it to the overlap, and the preset's range wins outright
+    // when the two don't overlap
+    if (preset.overrides.landmassCount) {
+      const presetRange = baseConfig.landmassCount;
+      const overlapMin = Math.max(landmassMin, presetRange.min);
+      const overlapMax = Math.min(landmassMax, presetRange.max);
+      if (overlapMin > overlapMax) {
+        log.warn(`[ContinentsPP] WARNING: ${modeName} (${landmassMin}-${landmassMax}) doesn't fit the ${preset.name} preset's ${presetRange.min}-${presetRange.max} continents — using the preset's range`);
+        landmassMin = presetRange.min;
+        landmassMax = presetRange.max;
+      } else if (overlapMin !== landmassMin || overlapMax !== landmassMax) {
+        log.info(`[ContinentsPP] ${modeName} continent range ${landmassMin}-${landmassMax} clamped to ${overlapMin}-${overlapMax} by the ${preset.name} preset`);
+        landmassMin = overlapMin;
+        landmassMax = overlapMax;
+      }
+    }
     landmassCount = randomInt(random, landmassMin, landmassMax);
-    console.log(`[ContinentsPP] Continent mode: Many → ${landmassMin}-${landmassMax} range, rolled ${landmassCount}`);
+    log.debug(`[ContinentsPP] Continent mode: ${modeName} → ${landmassMin}-${landmassMax} range, rolled ${landmassCount}`);
   } else {
     // Random: use map-size-based defaults
     landmassCount = randomInt(random,
       baseConfig.landmassCount.min,
       baseConfig.landmassCount.max
     );
-    console.log(`[ContinentsPP] Continent mode: Random → ${baseConfig.landmassCount.min}-${baseConfig.landmassCount.max} range, rolled ${landmassCount}`);
+    log.debug(`[ContinentsPP] Continent mode: Random → ${baseConfig.landmassCount.min}-${baseConfig.landmassCount.max} range, rolled ${landmassCount}`);
   }
 
   // Randomize total landmass size (controls water percentage)
@@ -1061,10 +1442,21 @@ function generateRandomizedConfig(mapSizeIndex, randomSeed, continentCountMode =
     baseConfig.coastalSizeVariance.max
   );
 
+  // Scale land budgets to the requested water coverage
+  // Base ranges were tuned for WATER_COVERAGE_DEFAULT, so the default leaves every roll unchanged
+  const landScale = (100 - waterPercent) / (100 - WATER_COVERAGE_DEFAULT);
+  const scaledLandmassSize = Math.round(totalLandmassSize * landScale);
+  const scaledIslandTotalSize = islandTotalSize * landScale;
+
+  // Erosion multiplier from the setup option (applied after each roll so the random sequence is unchanged)
+  const erosionSetting = EROSION_LEVELS[erosionLevel] || EROSION_LEVELS[EROSION_DEFAULT];
+
   // Generate landmass configurations for each continent
   const landmassConfigs = [];
   for (let i = 0; i < landmassCount; i++) {
-    const erosion = randomInt(random, baseConfig.erosionPercent.min, baseConfig.erosionPercent.max);
+    const erosion = Math.round(
+      randomInt(random, baseConfig.erosionPercent.min, baseConfig.erosionPercent.max) * erosionSetting.multiplier
+    );
     const coastalIslands = randomInt(random, baseConfig.coastalIslands.min, baseConfig.coastalIslands.max);
 
     landmassConfigs.push({
@@ -1079,24 +1471,29 @@ function generateRandomizedConfig(mapSizeIndex, randomSeed, continentCountMode =
 
   const config = {
     mapSize: baseConfig.name,
+    preset: preset.name,
 
     // Number of continents (dynamic!)
     landmassCount: landmassCount,
+    requestedLandmassCount: requestedLandmassCount ?? landmassCount,
 
     // Total landmass size (controls overall land vs water ratio)
-    totalLandmassSize: totalLandmassSize,
+    totalLandmassSize: scaledLandmassSize,
+
+    // Requested water coverage, verified after stamping
+    targetWaterPercent: waterPercent,
 
     // Landmass configurations (one per continent)
     landmass: landmassConfigs,
 
     // Island configuration (mid-ocean) - randomized for variety
     island: {
-      totalSize: islandTotalSize,
+      totalSize: scaledIslandTotalSize,
       variance: islandVariance,
       meridianDistance: 2 + mapSizeIndex,
       landmassDistance: landmassDistance,       // Randomized: low = closer to continents
       islandDistance: islandDistance,           // Randomized: low = chains, high = scattered
-      erosionPercent: Math.min(15, 10 + mapSizeIndex * 2),
+      erosionPercent: Math.round(Math.min(15, 10 + mapSizeIndex * 2) * erosionSetting.multiplier),
       minSize: islandMinSize,                   // Randomized: low = tiny 1-4 tile islands possible
       maxSize: islandMaxSize,                   // Randomized: high = chunky islands possible
     },
@@ -1119,102 +1516,2180 @@ function generateRandomizedConfig(mapSizeIndex, randomSeed, continentCountMode =
     // Continent separation (ocean distance between landmasses)
     continentSeparation: continentSeparation,
     separationFalloff: separationFalloff,
+
+    // Erosion Amount setting (scales the dynamic per-continent boost later on)
+    erosion: {
+      level: erosionLevel,
+      name: erosionSetting.name,
+      multiplier: erosionSetting.multiplier,
+    },
   };
 
   // Log the randomized configuration
-  console.log(`[ContinentsPP] Landmass count: ${config.landmassCount}`);
-  console.log(`[ContinentsPP] Total landmass size: ${config.totalLandmassSize}`);
-  console.log(`[ContinentsPP] Erosion per continent: ${config.landmass.map(l => l.erosionPercent + '%').join(', ')}`);
-  console.log(`[ContinentsPP] Coastal islands per continent: ${config.landmass.map(l => l.coastalIslands).join(', ')}`);
-  console.log(`[ContinentsPP] Mid-ocean islands: size=${config.island.totalSize.toFixed(1)}, variance=${config.island.variance.toFixed(1)}`);
-  console.log(`[ContinentsPP] Island spacing: islandDist=${config.island.islandDistance}, landmassDist=${config.island.landmassDistance}`);
-  console.log(`[ContinentsPP] Island sizes: min=${config.island.minSize.toFixed(2)}, max=${config.island.maxSize.toFixed(1)}, variance=${config.island.variance.toFixed(1)}`);
-  console.log(`[ContinentsPP] Mountains: ${config.mountain.percent}% (randomize: ${config.mountain.randomize})`);
-  console.log(`[ContinentsPP] Continent separation: minDistance=${config.continentSeparation}, falloff=${config.separationFalloff}`);
+  log.debug(`[ContinentsPP] Landmass count: ${config.landmassCount}`);
+  log.debug(`[ContinentsPP] Water coverage: ${waterPercent}% target (land budget x${landScale.toFixed(2)})`);
+  log.debug(`[ContinentsPP] Total landmass size: ${config.totalLandmassSize}`);
+  log.debug(`[ContinentsPP] Erosion amount: ${erosionSetting.name} (x${erosionSetting.multiplier})`);
+  log.debug(`[ContinentsPP] Erosion per continent: ${config.landmass.map(l => l.erosionPercent + '%').join(', ')}`);
+  log.debug(`[ContinentsPP] Coastal islands per continent: ${config.landmass.map(l => l.coastalIslands).join(', ')}`);
+  log.debug(`[ContinentsPP] Mid-ocean islands: size=${config.island.totalSize.toFixed(1)}, variance=${config.island.variance.toFixed(1)}`);
+  log.debug(`[ContinentsPP] Island spacing: islandDist=${config.island.islandDistance}, landmassDist=${config.island.landmassDistance}`);
+  log.debug(`[ContinentsPP] Island sizes: min=${config.island.minSize.toFixed(2)}, max=${config.island.maxSize.toFixed(1)}, variance=${config.island.variance.toFixed(1)}`);
+  log.debug(`[ContinentsPP] Mountains: ${config.mountain.percent}% (randomize: ${config.mountain.randomize})`);
+  log.debug(`[ContinentsPP] Continent separation: minDistance=${config.continentSeparation}, falloff=${config.separationFalloff}`);
 
   return config;
 }
 
 //──────────────────────────────────────────────────────────────────────────────
-// HELPER FUNCTIONS
+// CONFIG CODES
+// Shareable strings that capture a map's seed, size and setup options so a
+// community can reproduce "that great map". The generation config isn't stored:
+// generateRandomizedConfig() rebuilds it exactly from those three
 //──────────────────────────────────────────────────────────────────────────────
 
 /**
- * Applies randomized configuration to generator settings
- * Called AFTER init() - modifies individual landmass properties but NOT array length
- * (landmassCount and totalLandmassSize must be set in m_settings BEFORE init())
+ * Config code format: CPP<version>-<base64url JSON payload>-<FNV-1a checksum>
+ * Bump CONFIG_CODE_VERSION whenever the payload or the way it is applied changes
+ * (including generateRandomizedConfig()), so old codes are rejected instead of
+ * silently producing a different map.
  */
-function applyRandomizedConfig(generatorSettings, config) {
-  // Modify individual landmass properties (array was created by applySettings in init)
-  // DO NOT replace the array - applySettings() calculated proper sizes we need to keep
-  const landmassCount = generatorSettings.landmass.length;
-  console.log(`[ContinentsPP] Configuring ${landmassCount} landmasses`);
+const CONFIG_CODE_PREFIX = 'CPP';
+const CONFIG_CODE_VERSION = 3;  // 2: per-phase RNG streams; 3: tectonic relief, wind climate and inland seas
 
-  for (let i = 0; i < landmassCount; i++) {
-    const landmassConfig = config.landmass[i] || config.landmass[0];  // Fallback to first if fewer configs
-    generatorSettings.landmass[i].erosionPercent = landmassConfig.erosionPercent;
-    generatorSettings.landmass[i].coastalIslands = landmassConfig.coastalIslands;
-    generatorSettings.landmass[i].coastalIslandsSize = landmassConfig.coastalIslandsSize;
-    generatorSettings.landmass[i].coastalIslandsSizeVariance = landmassConfig.coastalIslandsSizeVariance;
-    generatorSettings.landmass[i].coastalIslandsMinDistance = landmassConfig.coastalIslandsMinDistance;
-    generatorSettings.landmass[i].coastalIslandsMaxDistance = landmassConfig.coastalIslandsMaxDistance;
-    // Note: size, variance, spawnCenterDistance are calculated by applySettings() - don't override!
-    console.log(`[ContinentsPP] Landmass ${i+1}: erosion=${landmassConfig.erosionPercent}%, coastalIslands=${landmassConfig.coastalIslands}, size=${landmassConfig.coastalIslandsSize?.toFixed(2)}, minDist=${landmassConfig.coastalIslandsMinDistance}, maxDist=${landmassConfig.coastalIslandsMaxDistance}`);
-  }
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
 
-  // Apply island configuration
-  if (generatorSettings.island) {
-    generatorSettings.island.totalSize = config.island.totalSize;
-    generatorSettings.island.variance = config.island.variance;
-    generatorSettings.island.meridianDistance = config.island.meridianDistance;
-    generatorSettings.island.landmassDistance = config.island.landmassDistance;
-    generatorSettings.island.islandDistance = config.island.islandDistance;
-    generatorSettings.island.erosionPercent = config.island.erosionPercent;
-    generatorSettings.island.minSize = config.island.minSize;
-    generatorSettings.island.maxSize = config.island.maxSize;
-    console.log(`[ContinentsPP] Island settings applied: totalSize=${generatorSettings.island.totalSize}, variance=${generatorSettings.island.variance}, minSize=${generatorSettings.island.minSize}, maxSize=${generatorSettings.island.maxSize}`);
-  } else {
-    console.log(`[ContinentsPP] WARNING: generatorSettings.island is undefined!`);
+/**
+ * Encodes an ASCII string as unpadded base64url
+ * (the game's script host doesn't guarantee btoa/atob)
+ */
+function encodeBase64Url(text) {
+  let output = '';
+  for (let i = 0; i < text.length; i += 3) {
+    const b0 = text.charCodeAt(i);
+    const b1 = i + 1 < text.length ? text.charCodeAt(i + 1) : 0;
+    const b2 = i + 2 < text.length ? text.charCodeAt(i + 2) : 0;
+    const bits = (b0 << 16) | (b1 << 8) | b2;
+    output += BASE64URL_ALPHABET[(bits >> 18) & 63] + BASE64URL_ALPHABET[(bits >> 12) & 63];
+    if (i + 1 < text.length) output += BASE64URL_ALPHABET[(bits >> 6) & 63];
+    if (i + 2 < text.length) output += BASE64URL_ALPHABET[bits & 63];
   }
+  return output;
+}
 
-  // Apply mountain configuration
-  if (generatorSettings.mountain) {
-    generatorSettings.mountain.percent = config.mountain.percent;
-    generatorSettings.mountain.randomize = config.mountain.randomize;
-    generatorSettings.mountain.variance = config.mountain.variance;
+/**
+ * Decodes unpadded base64url back to an ASCII string
+ * Throws on characters outside the alphabet or an impossible length
+ */
+function decodeBase64Url(encoded) {
+  if (encoded.length % 4 === 1) {
+    throw new Error('payload has an invalid length (was the code cut off?)');
   }
-
-  // Apply volcano configuration
-  if (generatorSettings.volcano) {
-    generatorSettings.volcano.percent = config.volcano.percent;
-    generatorSettings.volcano.variance = config.volcano.variance;
-    generatorSettings.volcano.randomize = config.volcano.randomize;
+  let output = '';
+  for (let i = 0; i < encoded.length; i += 4) {
+    let bits = 0;
+    const chunk = encoded.slice(i, i + 4);
+    for (let j = 0; j < 4; j++) {
+      const value = j < chunk.length ? BASE64URL_ALPHABET.indexOf(chunk[j]) : 0;
+      if (value === -1) {
+        throw new Error(`payload contains invalid character "${chunk[j]}"`);
+      }
+      bits = (bits << 6) | value;
+    }
+    output += String.fromCharCode((bits >> 16) & 255);
+    if (chunk.length > 2) output += String.fromCharCode((bits >> 8) & 255);
+    if (chunk.length > 3) output += String.fromCharCode(bits & 255);
   }
-
-  console.log("[ContinentsPP] Applied randomized configuration to generator settings");
+  return output;
 }
 
-//──────────────────────────────────────────────────────────────────────────────
-// MAP GENERATION ENTRY POINTS
-//──────────────────────────────────────────────────────────────────────────────
+/**
+ * 32-bit FNV-1a hash as 8 hex digits, used to catch typos and truncated codes
+ */
+function fnv1aHex(text) {
+  return fnv1a32(text).toString(16).padStart(8, '0');
+}
 
-function requestMapData(initParams) {
-  console.log(`[ContinentsPP] Map dimensions: ${initParams.width}x${initParams.height}`);
-  console.log(`[ContinentsPP] Map size index: ${initParams.mapSize}`);
-  engine.call("SetMapInitData", initParams);
+/**
+ * Serializes a map seed, map size and setup options into a config code
+ * @param {number} seed - Map seed the generation config was made with
+ * @param {number} mapSizeIndex - Map size (0=Tiny, 4=Huge)
+ * @param {object} modes - Setup options: { continentCount, distribution, balanceBand, chokepoints, landBridges, water, erosion, preset }
+ * @returns {string} Config code, e.g. "CPP1-eyJ...-1a2b3c4d"
+ */
+function encodeConfigCode(seed, mapSizeIndex, modes) {
+  const json = JSON.stringify({ seed, mapSize: mapSizeIndex, modes });
+  return `${CONFIG_CODE_PREFIX}${CONFIG_CODE_VERSION}-${encodeBase64Url(json)}-${fnv1aHex(json)}`;
 }
 
-async function generateMap() {
-  console.log("═══════════════════════════════════════════════════════════════");
-  console.log("  CONTINENTS++ - Enhanced Voronoi Plate Tectonics Generation");
-  console.log("═══════════════════════════════════════════════════════════════");
+/**
+ * Parses and validates a config code
+ * Throws an Error with a player-facing reason for malformed, corrupted or outdated codes.
+ * @returns {{seed: number, mapSize: number, modes: object}}
+ */
+function decodeConfigCode(code) {
+  const trimmed = String(code).trim();
+  const match = /^CPP(\d+)-([A-Za-z0-9_-]+)-([0-9a-f]{8})$/.exec(trimmed);
+  if (!match) {
+    throw new Error(`not a Continents++ config code (expected ${CONFIG_CODE_PREFIX}${CONFIG_CODE_VERSION}-...-checksum)`);
+  }
 
-  // ═══════════════════════════════════════════════════════════════════════════
-  // CUSTOM REGION ID TEST
-  // Test if the engine accepts custom region IDs beyond WEST(2) and EAST(1)
-  // This determines whether we can implement per-continent distant lands tracking
-  // ═══════════════════════════════════════════════════════════════════════════
-  console.log("[ContinentsPP] === CUSTOM REGION ID TEST ===");
+  const version = parseInt(match[1], 10);
+  if (version < CONFIG_CODE_VERSION) {
+    throw new Error(`code is version ${version}, which is outdated — this version of Continents++ only accepts version ${CONFIG_CODE_VERSION} codes`);
+  }
+  if (version > CONFIG_CODE_VERSION) {
+    throw new Error(`code is version ${version}, made by a newer Continents++ — update the mod to use it`);
+  }
+
+  const json = decodeBase64Url(match[2]);
+  if (fnv1aHex(json) !== match[3]) {
+    throw new Error('checksum mismatch — the code was mistyped or truncated');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`payload is not valid JSON (${e.message})`);
+  }
+
+  const problem = validateConfigPayload(payload);
+  if (problem) {
+    throw new Error(`payload is invalid: ${problem}`);
+  }
+  return payload;
+}
+
+/**
+ * Checks a decoded payload has everything generateMap() reads from a config
+ * code, with every setup option inside its option's domain
+ * @returns {string|null} Description of the first problem found, or null if valid
+ */
+function validateConfigPayload(payload) {
+  const isNumber = (value) => typeof value === 'number' && isFinite(value);
+  if (!payload || typeof payload !== 'object') return 'not an object';
+  if (!isNumber(payload.seed)) return 'missing seed';
+  if (!MAP_SIZE_CONFIGS[payload.mapSize]) return `unknown map size ${payload.mapSize}`;
+
+  const modes = payload.modes;
+  if (!modes || typeof modes !== 'object') return 'missing setup options';
+  for (const key of ['continentCount', 'distribution', 'water', 'erosion', 'preset']) {
+    if (!isNumber(modes[key])) return `missing setup option "${key}"`;
+  }
+  const isContinentCountMode = (mode) => Number.isInteger(mode) && ((mode >= 0 && mode <= 2) || isExactContinentCount(mode));
+  if (!isContinentCountMode(modes.continentCount)) return `unknown continent count option ${modes.continentCount}`;
+  if (!DISTRIBUTION_MODE_NAMES[modes.distribution]) return `unknown player distribution option ${modes.distribution}`;
+  if (!WATER_COVERAGE_VALUES.includes(modes.water)) return `unknown water coverage option ${modes.water}`;
+  if (!EROSION_LEVELS[modes.erosion]) return `unknown erosion option ${modes.erosion}`;
+  if (!GENERATION_PRESETS[modes.preset]) return `unknown preset option ${modes.preset}`;
+  // Options added after the format; older codes leave them out and get the default
+  if (modes.balanceBand !== undefined && !BALANCE_BAND_VALUES.includes(modes.balanceBand)) return `unknown balance band option ${modes.balanceBand}`;
+  if (modes.chokepoints !== undefined && !CHOKEPOINT_LEVELS[modes.chokepoints]) return `unknown chokepoints option ${modes.chokepoints}`;
+  if (modes.landBridges !== undefined && !LAND_BRIDGE_LEVELS[modes.landBridges]) return `unknown land bridges option ${modes.landBridges}`;
+  return null;
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// GENERATION REPORT
+// Structured record of what generateMap() decided, built up alongside the log
+// so tools can read results without scraping log text
+//──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Bump REPORT_VERSION whenever a section's shape changes
+ */
+const REPORT_VERSION = 1;
+
+/**
+ * Creates an empty generation report. generateMap() fills each section as the
+ * matching stage finishes, emits it as one JSON log line and returns it.
+ *   config     - setup options, seeds and the resolved generation config
+ *   terrain    - measured land/water split against the water coverage target
+ *   continents - expected vs stamped counts and one entry per major continent
+ *   islands    - island totals by origin and by nearest continent type
+ *   landBridges - Land Bridges option only: bridges built, their plots and the on-foot proof per bridge
+ *   chokepoints - Chokepoints option only: straits and isthmuses shaped, with their plots and sides
+ *   regions    - homeland/distant region assignment after the reachability merge
+ *   inlandSeas - seas carved into large homeland continents, with their straits and resources
+ *   tectonics  - plate boundaries found and the mountains, volcanoes, hills and rift lakes they made
+ *   climate    - land rainfall per wind band, rain shadow and windward coast tile counts
+ *   placements - final start per player, distances and isolation results
+ *   fixes      - corrections applied, in order: { stage, action, ...details }
+ *   warnings   - every logged warning: { stage, message }
+ *   stages     - pipeline stages in run order: { name, ms } or { name, skipped: true }
+ *   hooks      - extension hooks in run order: { point, name, ms }, plus error if it threw
+ *   teams      - Teams mode only: land/fertility per team, balance ratios, Distant Lands routes
+ *   balance    - Balanced mode only: per-player start scores, spread and the fixes used
+ *   resources  - strategic resources per continent and region, before/after balancing
+ *   distantPayoffs - treasure, luxuries and wonders in the distant lands against their targets
+ *   determinism - hash of the final map and starts, plus the RNG streams drawn from
+ */
+function createGenerationReport() {
+  return {
+    version: REPORT_VERSION,
+    config: null,
+    terrain: null,
+    continents: null,
+    islands: null,
+    landBridges: null,
+    chokepoints: null,
+    regions: null,
+    inlandSeas: null,
+    tectonics: null,
+    climate: null,
+    placements: null,
+    // [x, y] plots the map renderer marks; not derivable from the final map
+    plots: { corridorIslands: [], openOceanIslands: [], bridgeTiles: [], landBridges: [], chokepoints: [] },
+    fixes: [],
+    warnings: [],
+    stages: [],
+    hooks: [],
+    teams: null,
+    balance: null,
+    resources: null,
+    distantPayoffs: null,
+    determinism: null
+  };
+}
+
+/**
+ * Records a correction the generator applied (player swap, coastline change, ...)
+ */
+function reportFix(report, stage, action, details = {}) {
+  report.fixes.push({ stage, action, ...details });
+}
+
+/**
+ * Records a warning alongside the log line that announces it
+ */
+function reportWarning(report, stage, message) {
+  report.warnings.push({ stage, message });
+}
+
+/**
+ * FNV-1a hash of the finished map: terrain, biome, feature, resource, elevation and
+ * landmass region of every plot, then the start positions. Two runs with the same seed
+ * and setup options must produce the same hash.
+ * @returns {string} 8 hex digits
+ */
+function hashMapState(iWidth, iHeight, startPositions) {
+  let hash = 0x811c9dc5;
+  const mix = (value) => {
+    for (let shift = 0; shift < 32; shift += 8) {
+      hash ^= (value >>> shift) & 0xff;
+      hash = Math.imul(hash, 0x01000193);
+    }
+  };
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      mix(GameplayMap.getTerrainType(x, y));
+      mix(GameplayMap.getBiomeType(x, y));
+      mix(GameplayMap.getFeatureType(x, y));
+      mix(GameplayMap.getResourceType(x, y));
+      mix(GameplayMap.getElevation(x, y));
+      mix(GameplayMap.getLandmassRegionId(x, y));
+    }
+  }
+  for (const plotIndex of startPositions) {
+    mix(plotIndex);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// HELPER FUNCTIONS
+//──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Applies randomized configuration to generator settings
+ * Called AFTER init() - modifies individual landmass properties but NOT array length
+ * (landmassCount and totalLandmassSize must be set in m_settings BEFORE init())
+ */
+function applyRandomizedConfig(generatorSettings, config) {
+  // Modify individual landmass properties (array was created by applySettings in init)
+  // DO NOT replace the array - applySettings() calculated proper sizes we need to keep
+  const landmassCount = generatorSettings.landmass.length;
+  log.debug(`[ContinentsPP] Configuring ${landmassCount} landmasses`);
+
+  for (let i = 0; i < landmassCount; i++) {
+    const landmassConfig = config.landmass[i] || config.landmass[0];  // Fallback to first if fewer configs
+    generatorSettings.landmass[i].erosionPercent = landmassConfig.erosionPercent;
+    generatorSettings.landmass[i].coastalIslands = landmassConfig.coastalIslands;
+    generatorSettings.landmass[i].coastalIslandsSize = landmassConfig.coastalIslandsSize;
+    generatorSettings.landmass[i].coastalIslandsSizeVariance = landmassConfig.coastalIslandsSizeVariance;
+    generatorSettings.landmass[i].coastalIslandsMinDistance = landmassConfig.coastalIslandsMinDistance;
+    generatorSettings.landmass[i].coastalIslandsMaxDistance = landmassConfig.coastalIslandsMaxDistance;
+    // Note: size, variance, spawnCenterDistance are calculated by applySettings() - don't override!
+    log.debug(`[ContinentsPP] Landmass ${i+1}: erosion=${landmassConfig.erosionPercent}%, coastalIslands=${landmassConfig.coastalIslands}, size=${landmassConfig.coastalIslandsSize?.toFixed(2)}, minDist=${landmassConfig.coastalIslandsMinDistance}, maxDist=${landmassConfig.coastalIslandsMaxDistance}`);
+  }
+
+  // Apply island configuration
+  if (generatorSettings.island) {
+    generatorSettings.island.totalSize = config.island.totalSize;
+    generatorSettings.island.variance = config.island.variance;
+    generatorSettings.island.meridianDistance = config.island.meridianDistance;
+    generatorSettings.island.landmassDistance = config.island.landmassDistance;
+    generatorSettings.island.islandDistance = config.island.islandDistance;
+    generatorSettings.island.erosionPercent = config.island.erosionPercent;
+    generatorSettings.island.minSize = config.island.minSize;
+    generatorSettings.island.maxSize = config.island.maxSize;
+    log.debug(`[ContinentsPP] Island settings applied: totalSize=${generatorSettings.island.totalSize}, variance=${generatorSettings.island.variance}, minSize=${generatorSettings.island.minSize}, maxSize=${generatorSettings.island.maxSize}`);
+  } else {
+    log.warn(`[ContinentsPP] WARNING: generatorSettings.island is undefined!`);
+  }
+
+  // Apply mountain configuration
+  if (generatorSettings.mountain) {
+    generatorSettings.mountain.percent = config.mountain.percent;
+    generatorSettings.mountain.randomize = config.mountain.randomize;
+    generatorSettings.mountain.variance = config.mountain.variance;
+  }
+
+  // Apply volcano configuration
+  if (generatorSettings.volcano) {
+    generatorSettings.volcano.percent = config.volcano.percent;
+    generatorSettings.volcano.variance = config.volcano.variance;
+    generatorSettings.volcano.randomize = config.volcano.randomize;
+  }
+
+  log.debug("[ContinentsPP] Applied randomized configuration to generator settings");
+}
+
+/**
+ * Game continents holding land from a Voronoi landmass with planned players.
+ * Bridges continentIsInhabited (keyed by landmassId) to stamped continent IDs.
+ * @returns Set of game continent IDs
+ */
+function findInhabitedContinents(tiles, continentIsInhabited) {
+  const inhabited = new Set();
+  for (let y = 0; y < tiles.length; ++y) {
+    for (let x = 0; x < tiles[y].length; ++x) {
+      const tile = tiles[y][x];
+      if (tile.isLand() && (continentIsInhabited.get(tile.landmassId) ?? false)) {
+        const continentId = GameplayMap.getContinentType(x, y);
+        if (continentId !== -1) inhabited.add(continentId);
+      }
+    }
+  }
+  return inhabited;
+}
+
+/**
+ * Groups game continents that reach each other without crossing deep ocean.
+ * Flood-fills every non-ocean tile (land + coast + shallow water); each connected
+ * component that touches land is one group.
+ * @returns Array of Set<game continent ID>
+ */
+function findReachabilityGroups(iWidth, iHeight) {
+  const mergeVisited = new Uint8Array(iWidth * iHeight);  // plot index -> 1 once queued
+  const mergeQueue = createRingQueue(iWidth * iHeight);
+  const reachabilityGroups = [];  // Array of Set<continentId>
+
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      if (mergeVisited[y * iWidth + x]) continue;
+
+      try {
+        const terrain = GameplayMap.getTerrainType(x, y);
+        if (terrain === globals.g_OceanTerrain) continue;  // Skip deep ocean
+      } catch (e) { continue; }
+
+      // Start BFS from this non-ocean tile
+      const continentsFound = new Set();
+      mergeQueue.push(y * iWidth + x);
+      mergeVisited[y * iWidth + x] = 1;
+
+      while (mergeQueue.length > 0) {
+        const index = mergeQueue.shift();
+        const cx = index % iWidth;
+        const cy = (index - cx) / iWidth;
+
+        // Track any game continent encountered
+        const cId = GameplayMap.getContinentType(cx, cy);
+        if (cId !== -1) continentsFound.add(cId);
+
+        // Expand to non-ocean hex neighbors
+        forEachHexNeighbor(cx, cy, iWidth, iHeight, (nx, ny) => {
+          const nIndex = ny * iWidth + nx;
+          if (mergeVisited[nIndex]) return;
+
+          try {
+            const nTerrain = GameplayMap.getTerrainType(nx, ny);
+            if (nTerrain === globals.g_OceanTerrain) return;  // Can't cross deep ocean
+          } catch (e) { return; }
+
+          mergeVisited[nIndex] = 1;
+          mergeQueue.push(nIndex);
+        });
+      }
+
+      if (continentsFound.size > 0) {
+        reachabilityGroups.push(continentsFound);
+      }
+    }
+  }
+  return reachabilityGroups;
+}
+
+/**
+ * Re-stamps continents after a pass turned land into water, and refreshes the
+ * land/water split and stamped continent count in the report
+ * @returns { stampedContinents, landPercent, waterPercent } for the pipeline context
+ */
+function restampContinents(report, iWidth, iHeight) {
+  TerrainBuilder.validateAndFixTerrain();
+  AreaBuilder.recalculateAreas();
+  TerrainBuilder.stampContinents();
+
+  const water = measureWaterPercent(iWidth, iHeight);
+  report.terrain.waterPercent = parseFloat(water.toFixed(1));
+  report.terrain.landPercent = parseFloat((100 - water).toFixed(1));
+  const stampedContinents = new Set();
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      const continentId = GameplayMap.getContinentType(x, y);
+      if (continentId !== -1) stampedContinents.add(continentId);
+    }
+  }
+  report.continents.stamped = stampedContinents.size;
+  return { stampedContinents, landPercent: (100 - water).toFixed(1), waterPercent: water.toFixed(1) };
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// TEAM DISTRIBUTION
+// Helpers for the Teams spawn mode (Player Spawn Distribution 3): teammates share
+// a continent, or spill onto the nearest one when theirs is full; teams get
+// continents of similar size; solo players fill the slots that are left.
+//──────────────────────────────────────────────────────────────────────────────
+
+// Teams mode warns when the best-off team has this much more land or fertility than the worst-off
+const TEAM_BALANCE_TOLERANCE = 1.5;
+
+/**
+ * Groups player indices (positions in aliveMajorIds) by team
+ * @param playerTeams - Team id per player index
+ * @returns {{team: number, members: number[]}[]} Largest team first, ties by team id
+ */
+function groupPlayersByTeam(playerTeams) {
+  const byTeam = new Map();
+  playerTeams.forEach((team, index) => {
+    if (!byTeam.has(team)) byTeam.set(team, []);
+    byTeam.get(team).push(index);
+  });
+  return [...byTeam.entries()]
+    .map(([team, members]) => ({ team, members }))
+    .sort((a, b) => b.members.length - a.members.length || a.team - b.team);
+}
+
+/**
+ * Plans how many players each continent gets in Teams mode. Each team of two or more
+ * gets a continent of its own where possible, taken from the run of consecutive
+ * continents (by size) that fits the teams and whose sizes are closest, so teams start
+ * with comparable land. A team that doesn't fit spills onto the continent with the most
+ * room (overfilling by one rather than leaving a teammate alone); solo players then
+ * join the inhabited continents with the most room, so the rest stay Distant Lands.
+ * @param teams - groupPlayersByTeam() result
+ * @param continents - [{ size, maxPlayers }], largest first
+ * @returns {{counts: number[], placements: {team: number, continent: number, count: number}[]}}
+ *          Players per continent (same order as continents) and where each team went
+ */
+function planTeamContinents(teams, continents) {
+  const counts = continents.map(() => 0);
+  const placements = [];
+  const room = (i) => continents[i].maxPlayers - counts[i];
+  const mostRoom = (candidates) => candidates.reduce((best, i) => (room(i) > room(best) ? i : best));
+  const allContinents = continents.map((c, i) => i);
+
+  const place = (team, continent, remaining) => {
+    const count = remaining - room(continent) <= 1 ? remaining : Math.max(1, room(continent));
+    counts[continent] += count;
+    placements.push({ team: team.team, continent, count });
+    return remaining - count;
+  };
+
+  const realTeams = teams.filter(t => t.members.length >= 2);
+  const soloPlayers = teams.filter(t => t.members.length === 1);
+
+  // Window of similar-sized continents, one per team (largest team on the largest)
+  const windowSize = Math.min(realTeams.length, continents.length);
+  let windowStart = 0;
+  let bestRatio = Infinity;
+  for (let start = 0; windowSize > 0 && start + windowSize <= continents.length; start++) {
+    const fits = realTeams.slice(0, windowSize).every((t, i) => continents[start + i].maxPlayers >= t.members.length);
+    const ratio = continents[start].size / continents[start + windowSize - 1].size;
+    if (fits && ratio < bestRatio) {
+      bestRatio = ratio;
+      windowStart = start;
+    }
+  }
+
+  realTeams.forEach((team, i) => {
+    const home = i < windowSize ? windowStart + i : mostRoom(allContinents);
+    let remaining = place(team, home, team.members.length);
+    while (remaining > 0) {
+      remaining = place(team, mostRoom(allContinents), remaining);
+    }
+  });
+
+  for (const solo of soloPlayers) {
+    const inhabited = allContinents.filter(i => counts[i] > 0);
+    place(solo, mostRoom(inhabited.length > 0 ? inhabited : allContinents), 1);
+  }
+
+  return { counts, placements };
+}
+
+/**
+ * Whether the isolation fixes may move an AI next to (or swap it with) a lone human
+ * without splitting a team: in Teams mode only the human's teammates and AIs without
+ * teammates qualify. Always true in the other modes.
+ */
+function isTeamSafeMove(playerDistributionMode, playerTeams, humanIndex, aiIndex) {
+  if (playerDistributionMode !== 3) return true;
+  const aiTeam = playerTeams[aiIndex];
+  return aiTeam === playerTeams[humanIndex] || playerTeams.filter(team => team === aiTeam).length === 1;
+}
+
+/**
+ * Whether two players may trade start positions without splitting a team: in Teams
+ * mode they must be teammates or both without teammates. Always true in the other modes.
+ */
+function isTeamSafeSwap(playerDistributionMode, playerTeams, indexA, indexB) {
+  if (playerDistributionMode !== 3) return true;
+  const isSolo = (index) => playerTeams.filter(team => team === playerTeams[index]).length === 1;
+  return playerTeams[indexA] === playerTeams[indexB] || (isSolo(indexA) && isSolo(indexB));
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// LAND BRIDGES
+// Land Bridges setup option. Homeland continents otherwise only meet by boat:
+// corridor islands are stepping stones and the reachability merge counts coast.
+// A few pairs of inhabited continents are joined by a thin land bridge across
+// the narrowest gap between them, Panama style. Bridges are built before base
+// terrain, climate and biomes, so they get relief and biomes like the land they
+// join. They keep clear of the distant lands, and a bridge that would bring a
+// distant continent within reach along the coast is taken back.
+//──────────────────────────────────────────────────────────────────────────────
+
+/** Land Bridges setup option (values of ContinentsPPLandBridgesDomain): bridges per map size, TINY..HUGE */
+const LAND_BRIDGE_LEVELS = [
+  { name: 'Off', counts: [0, 0, 0, 0, 0] },
+  { name: 'One', counts: [1, 1, 1, 1, 1] },
+  { name: 'Several', counts: [1, 2, 2, 3, 4] }
+];
+const LAND_BRIDGE_DEFAULT = 0;
+
+/** Widest gap (water tiles) a bridge crosses */
+const LAND_BRIDGE_MAX_LENGTH = 12;
+
+/** Bridges stay more than this many hex steps from distant land (the OCEAN ENFORCEMENT radius) */
+const LAND_BRIDGE_DISTANT_CLEARANCE = 4;
+
+/**
+ * Shortest water crossing between each pair of inhabited continents, outside
+ * the polar rows and clear of distant land
+ * @param inhabited - Set of inhabited game continent IDs
+ * @param distantContinents - Set of game continent IDs no homeland reaches along the coast
+ * @returns [{ continents, plots, ends }], plots being the water crossed in order
+ *   and ends the walkable land plot each side of it
+ */
+function findLandBridgeCandidates(iWidth, iHeight, inhabited, distantContinents) {
+  const polarRows = globals.g_PolarWaterRows;
+  const nearDistant = computeHexDistanceField(iWidth, iHeight,
+    (x, y) => !GameplayMap.isWater(x, y) && distantContinents.has(GameplayMap.getContinentType(x, y)),
+    null, LAND_BRIDGE_DISTANT_CLEARANCE);
+  const canCross = (x, y) => GameplayMap.isWater(x, y) && y >= polarRows && y < iHeight - polarRows &&
+    nearDistant[y * iWidth + x] === -1;
+
+  const candidates = [];
+  const continents = [...inhabited].sort((a, b) => a - b);
+  for (const from of continents) {
+    // Water steps out from this continent; 1 = touching its shore
+    const field = computeHexDistanceField(iWidth, iHeight,
+      (x, y) => isWalkable(x, y) && GameplayMap.getContinentType(x, y) === from, canCross, LAND_BRIDGE_MAX_LENGTH);
+
+    // Narrowest crossing to each later continent: the first shore plot found wins ties
+    const best = new Map();  // continent → { length, water, land }
+    for (let y = 0; y < iHeight; y++) {
+      for (let x = 0; x < iWidth; x++) {
+        if (!isWalkable(x, y)) continue;
+        const to = GameplayMap.getContinentType(x, y);
+        if (to <= from || !inhabited.has(to)) continue;
+        forEachHexNeighbor(x, y, iWidth, iHeight, (nx, ny) => {
+          const length = field[ny * iWidth + nx];
+          if (length < 1 || (best.has(to) && best.get(to).length <= length)) return;
+          best.set(to, { length, water: ny * iWidth + nx, land: y * iWidth + x });
+        });
+      }
+    }
+
+    // Walk each crossing back down the field to this continent's shore
+    for (const to of [...best.keys()].sort((a, b) => a - b)) {
+      const { length, water, land } = best.get(to);
+      const plots = [water];
+      let start = -1;
+      for (let step = length; step >= 1; step--) {
+        const index = plots[plots.length - 1];
+        const x = index % iWidth;
+        let next = -1;
+        forEachHexNeighbor(x, (index - x) / iWidth, iWidth, iHeight, (nx, ny) => {
+          if (next === -1 && field[ny * iWidth + nx] === step - 1) next = ny * iWidth + nx;
+        });
+        if (step > 1) plots.push(next);
+        else start = next;
+      }
+      candidates.push({ continents: [from, to], plots: plots.reverse(), ends: [start, land] });
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Raises a bridge's plots to flat land and rings them with coast like any other shore
+ * @returns [{ index, terrain }] every plot changed with its old terrain, to take the bridge back
+ */
+function buildLandBridge(iWidth, iHeight, bridge) {
+  const changed = [];
+  const setTerrain = (x, y, terrain) => {
+    changed.push({ index: y * iWidth + x, terrain: GameplayMap.getTerrainType(x, y) });
+    TerrainBuilder.setTerrainType(x, y, terrain);
+  };
+  for (const index of bridge.plots) {
+    const x = index % iWidth;
+    setTerrain(x, (index - x) / iWidth, globals.g_FlatTerrain);
+  }
+  for (const index of bridge.plots) {
+    const x = index % iWidth;
+    forEachHexNeighbor(x, (index - x) / iWidth, iWidth, iHeight, (nx, ny) => {
+      if (GameplayMap.getTerrainType(nx, ny) === globals.g_OceanTerrain) setTerrain(nx, ny, globals.g_CoastTerrain);
+    });
+  }
+  return changed;
+}
+
+/**
+ * True when no reachability group holds both an inhabited and a distant continent
+ * @param inhabited - Set of inhabited game continent IDs
+ * @param distantContinents - Set of game continent IDs that must stay out of reach
+ */
+function keepsDistantLandsApart(iWidth, iHeight, inhabited, distantContinents) {
+  return findReachabilityGroups(iWidth, iHeight).every((group) => {
+    const continents = [...group];
+    return !continents.some((id) => inhabited.has(id)) || !continents.some((id) => distantContinents.has(id));
+  });
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// CHOKEPOINTS
+// Chokepoints setup option. Homeland continents that reach each other along the
+// coast often meet at a narrow strait or hang together by a thin isthmus, and
+// where they face each other across a wider gap, land can be grown out from both
+// shores to narrow it into a strait. A few of these, existing straits and
+// isthmuses first, are shaped into defensible chokepoints: a strait keeps its one- or two-tile channel of shallow water
+// between hill banks, an isthmus is raised to hills, and island specks within
+// CHOKEPOINT_CLEAR_RADIUS of either are sunk so nothing clutters the passage.
+//──────────────────────────────────────────────────────────────────────────────
+
+/** Chokepoints setup option (values of ContinentsPPChokepointsDomain): chokepoints per map size, TINY..HUGE */
+const CHOKEPOINT_LEVELS = [
+  { name: 'Off', counts: [0, 0, 0, 0, 0] },
+  { name: 'Few', counts: [1, 1, 2, 2, 3] },
+  { name: 'Many', counts: [2, 3, 4, 5, 6] }
+];
+const CHOKEPOINT_DEFAULT = 0;
+
+/** Land tiles each side of a strait or isthmus needs for it to guard anything */
+const CHOKEPOINT_MIN_SIDE_TILES = 20;
+
+/** Fewest hex steps between two chokepoints */
+const CHOKEPOINT_SPACING = 8;
+
+/** Water gaps (tiles across) between two homeland continents that may be narrowed into a strait */
+const CHOKEPOINT_NARROW_MIN_GAP = 3;
+const CHOKEPOINT_NARROW_MAX_GAP = 9;
+
+/** Islands this close (hex steps) to a chokepoint are sunk, if no larger than CHOKEPOINT_ISLAND_MAX_TILES */
+const CHOKEPOINT_CLEAR_RADIUS = 2;
+const CHOKEPOINT_ISLAND_MAX_TILES = 12;
+
+/**
+ * Land tiles per game continent on the stamped map
+ * @returns Map of game continent ID → land tiles
+ */
+function countContinentTiles(iWidth, iHeight) {
+  const continentTiles = new Map();
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      if (GameplayMap.isWater(x, y)) continue;
+      const continentId = GameplayMap.getContinentType(x, y);
+      continentTiles.set(continentId, (continentTiles.get(continentId) ?? 0) + 1);
+    }
+  }
+  return continentTiles;
+}
+
+/**
+ * Land on each side of a cut through a continent, if the cut splits it
+ * @param cut - Set of plot indices taken out of the continent
+ * @param continentTiles - Land tiles of the continent, cut included
+ * @returns [smaller side, larger side] in tiles, or null when the land stays
+ *   connected around the cut or a side is under CHOKEPOINT_MIN_SIDE_TILES
+ */
+function measureCutSides(iWidth, iHeight, cut, continentId, continentTiles) {
+  const isSide = (x, y) => !cut.has(y * iWidth + x) && !GameplayMap.isWater(x, y) && GameplayMap.getContinentType(x, y) === continentId;
+  const starts = [];
+  for (const index of cut) {
+    const x = index % iWidth;
+    forEachHexNeighbor(x, (index - x) / iWidth, iWidth, iHeight, (nx, ny) => {
+      if (isSide(nx, ny) && !starts.includes(ny * iWidth + nx)) starts.push(ny * iWidth + nx);
+    });
+  }
+  if (starts.length < 2) return null;
+
+  // Flood from one start; stops early once it reaches every other start (no split),
+  // or, with limit set, once it has seen that many tiles
+  const flood = (start, limit = Infinity) => {
+    const visited = new Set([start]);
+    const queue = [start];
+    let reached = 1;
+    for (let head = 0; head < queue.length && visited.size < limit; head++) {
+      const index = queue[head];
+      const x = index % iWidth;
+      forEachHexNeighbor(x, (index - x) / iWidth, iWidth, iHeight, (nx, ny) => {
+        const nIndex = ny * iWidth + nx;
+        if (visited.has(nIndex) || !isSide(nx, ny)) return;
+        visited.add(nIndex);
+        queue.push(nIndex);
+        if (starts.includes(nIndex)) reached++;
+      });
+      if (reached === starts.length) return null;
+    }
+    return visited;
+  };
+
+  // A cut across a small peninsula leaves a side under the minimum; cheap to rule out first
+  for (const start of starts) {
+    const side = flood(start, CHOKEPOINT_MIN_SIDE_TILES);
+    if (side === null) return null;
+    if (side.size < CHOKEPOINT_MIN_SIDE_TILES) return null;
+  }
+  const first = flood(starts[0]);
+  if (first === null) return null;
+  const sides = [first.size, continentTiles - cut.size - first.size].sort((a, b) => a - b);
+  return sides[0] >= CHOKEPOINT_MIN_SIDE_TILES ? sides : null;
+}
+
+/**
+ * Narrow straits and thin isthmuses on the stamped map. A strait is a run of one
+ * or two water tiles between two continents of one reachability group; an
+ * isthmus is a run of one or two land tiles between two water tiles that splits
+ * its continent in two. Both need CHOKEPOINT_MIN_SIDE_TILES of land on each side.
+ * A straight gap of CHOKEPOINT_NARROW_MIN_GAP to CHOKEPOINT_NARROW_MAX_GAP tiles
+ * between two homeland continents of one reachability group is a strait too,
+ * once the land in fill is raised: a cape grows out from each shore, leaving a
+ * channel of one tile (odd gaps) or two (even gaps) in the middle. Island specks of up to
+ * CHOKEPOINT_ISLAND_MAX_TILES in the way are swallowed by a cape.
+ * @param homelandContinents - Set of game continent IDs chokepoints may use
+ * @param groupOf - Map of game continent ID → reachability group index
+ * @param continentTiles - Map of game continent ID → land tiles
+ * @returns [{ kind, continents, plots, banks, sides, fill }], plots being the channel or neck
+ *   and fill the plots to raise first (empty unless the gap is narrowed)
+ */
+function findChokepointCandidates(iWidth, iHeight, homelandContinents, groupOf, continentTiles) {
+  const isHomeland = (continentId) => homelandContinents.has(continentId) && continentTiles.get(continentId) >= CHOKEPOINT_MIN_SIDE_TILES;
+  const isSpeck = (p) => (continentTiles.get(GameplayMap.getContinentType(p.x, p.y)) ?? 0) <= CHOKEPOINT_ISLAND_MAX_TILES;
+
+  const candidates = [];
+  const seen = new Set();
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      const isWater = GameplayMap.isWater(x, y);
+      const continentId = isWater ? -1 : GameplayMap.getContinentType(x, y);
+      if (!isWater && !isHomeland(continentId)) continue;
+      if (isWater && !getHexNeighbors(x, y, iWidth, iHeight).some((n) => !GameplayMap.isWater(n.x, n.y))) continue;
+
+      // Straits run land-water-land, isthmuses water-land-water
+      for (const radius of [2, 3]) {
+        for (const end of hexRing(x, y, radius, iWidth, iHeight)) {
+          if (GameplayMap.isWater(end.x, end.y) !== isWater) continue;
+          const endContinent = isWater ? -1 : GameplayMap.getContinentType(end.x, end.y);
+          const middle = hexLine(x, y, end.x, end.y, iWidth).slice(1, -1);
+          const key = middle.map((p) => p.y * iWidth + p.x).sort((a, b) => a - b).join(',');
+          if (seen.has(key)) continue;
+
+          if (!isWater) {
+            if (endContinent === continentId || !isHomeland(endContinent)) continue;
+            if (groupOf.get(endContinent) !== groupOf.get(continentId)) continue;
+            // Only channels that are coast already, so no new coastal route is opened
+            if (!middle.every((p) => GameplayMap.getTerrainType(p.x, p.y) === globals.g_CoastTerrain)) continue;
+            seen.add(key);
+            candidates.push({
+              kind: 'strait',
+              continents: [continentId, endContinent].sort((a, b) => a - b),
+              plots: middle.map((p) => p.y * iWidth + p.x),
+              banks: [y * iWidth + x, end.y * iWidth + end.x],
+              sides: [continentTiles.get(continentId), continentTiles.get(endContinent)].sort((a, b) => a - b),
+              fill: []
+            });
+          } else {
+            if (middle.some((p) => GameplayMap.isWater(p.x, p.y))) continue;
+            const neckContinent = GameplayMap.getContinentType(middle[0].x, middle[0].y);
+            if (!isHomeland(neckContinent) || middle.some((p) => GameplayMap.getContinentType(p.x, p.y) !== neckContinent)) continue;
+            seen.add(key);
+            const cut = new Set(middle.map((p) => p.y * iWidth + p.x));
+            const sides = measureCutSides(iWidth, iHeight, cut, neckContinent, continentTiles.get(neckContinent));
+            if (!sides) continue;
+            candidates.push({ kind: 'isthmus', continents: [neckContinent], plots: [...cut], banks: [], sides, fill: [] });
+          }
+        }
+      }
+
+      // Wider gaps, measured shore to shore
+      if (isWater || !getHexNeighbors(x, y, iWidth, iHeight).some((n) => GameplayMap.isWater(n.x, n.y))) continue;
+      for (let radius = CHOKEPOINT_NARROW_MIN_GAP + 1; radius <= CHOKEPOINT_NARROW_MAX_GAP + 1; radius++) {
+        for (const end of hexRing(x, y, radius, iWidth, iHeight)) {
+          if (GameplayMap.isWater(end.x, end.y)) continue;
+          const endContinent = GameplayMap.getContinentType(end.x, end.y);
+          if (endContinent === continentId || !isHomeland(endContinent)) continue;
+          if (groupOf.get(endContinent) !== groupOf.get(continentId)) continue;
+          const gap = hexLine(x, y, end.x, end.y, iWidth).slice(1, -1);
+          const key = gap.map((p) => p.y * iWidth + p.x).sort((a, b) => a - b).join(',');
+          if (seen.has(key) || gap.some((p) => !GameplayMap.isWater(p.x, p.y) && !isSpeck(p))) continue;
+          seen.add(key);
+
+          const channelWidth = 2 - gap.length % 2;
+          const reach = (gap.length - channelWidth) / 2;
+          if (gap.slice(reach, reach + channelWidth).some((p) => !GameplayMap.isWater(p.x, p.y))) continue;
+          const onLine = new Set(gap.map((p) => p.y * iWidth + p.x));
+          // Each shore grows a cape along the line, widened by the two tiles flanking
+          // each joint behind the tip, so it tapers to a one-tile point at the channel
+          const growCape = (bank, line) => {
+            const cape = new Map();
+            line.forEach((p, i) => {
+              cape.set(p.y * iWidth + p.x, p);
+              if (i === line.length - 1) return;
+              const behind = i === 0 ? bank : line[i - 1];
+              for (const n of getHexNeighbors(p.x, p.y, iWidth, iHeight)) {
+                if (!onLine.has(n.y * iWidth + n.x) && GameplayMap.isWater(n.x, n.y) &&
+                  hexDistance(n.x, n.y, behind.x, behind.y, iWidth) === 1) cape.set(n.y * iWidth + n.x, n);
+              }
+            });
+            return [...cape.values()];
+          };
+          const capes = [
+            [continentId, growCape({ x, y }, gap.slice(0, reach))],
+            [endContinent, growCape(end, gap.slice(gap.length - reach).reverse())]
+          ];
+          // A cape may swallow island specks but touch no other continent, and no speck
+          // may be reached by both capes, so the two shores are never joined
+          const swallowed = capes.map(([shore, cape]) => {
+            const specks = new Set();
+            for (const p of cape) {
+              for (const n of [p, ...getHexNeighbors(p.x, p.y, iWidth, iHeight)]) {
+                if (GameplayMap.isWater(n.x, n.y) || GameplayMap.getContinentType(n.x, n.y) === shore) continue;
+                if (!isSpeck(n)) return null;
+                specks.add(GameplayMap.getContinentType(n.x, n.y));
+              }
+            }
+            return specks;
+          });
+          if (swallowed.includes(null) || [...swallowed[0]].some((speck) => swallowed[1].has(speck))) continue;
+
+          const toIndex = (p) => p.y * iWidth + p.x;
+          candidates.push({
+            kind: 'strait',
+            continents: [continentId, endContinent].sort((a, b) => a - b),
+            plots: gap.slice(reach, reach + channelWidth).map(toIndex),
+            banks: [toIndex(gap[reach - 1]), toIndex(gap[reach + channelWidth])],
+            sides: [continentTiles.get(continentId), continentTiles.get(endContinent)].sort((a, b) => a - b),
+            fill: capes.flatMap(([, cape]) => cape.map(toIndex))
+          });
+        }
+      }
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Shapes one chokepoint: a strait's banks and an isthmus's neck become hills,
+ * leaving mountains standing. Islands within CHOKEPOINT_CLEAR_RADIUS of the
+ * channel or neck are sunk to coast. A narrowed strait's fill must be raised first.
+ * @param continentTiles - Map of game continent ID → land tiles
+ * @returns { hillsRaised, islandTilesCleared }
+ */
+function shapeChokepoint(iWidth, iHeight, chokepoint, continentTiles) {
+  const result = { hillsRaised: 0, islandTilesCleared: 0 };
+  const raise = (index) => {
+    const x = index % iWidth;
+    const y = (index - x) / iWidth;
+    if (GameplayMap.getTerrainType(x, y) !== globals.g_FlatTerrain) return;
+    TerrainBuilder.setTerrainType(x, y, globals.g_HillTerrain);
+    result.hillsRaised++;
+  };
+  (chokepoint.kind === 'strait' ? chokepoint.banks : chokepoint.plots).forEach(raise);
+
+  const cleared = new Set();
+  for (const index of chokepoint.plots) {
+    const x = index % iWidth;
+    for (let radius = 1; radius <= CHOKEPOINT_CLEAR_RADIUS; radius++) {
+      for (const plot of hexRing(x, (index - x) / iWidth, radius, iWidth, iHeight)) {
+        const plotIndex = plot.y * iWidth + plot.x;
+        if (cleared.has(plotIndex) || chokepoint.fill.includes(plotIndex) || GameplayMap.isWater(plot.x, plot.y)) continue;
+        const continentId = GameplayMap.getContinentType(plot.x, plot.y);
+        if (chokepoint.continents.includes(continentId) || (continentTiles.get(continentId) ?? 0) > CHOKEPOINT_ISLAND_MAX_TILES) continue;
+        TerrainBuilder.setTerrainType(plot.x, plot.y, globals.g_CoastTerrain);
+        TerrainBuilder.removePlotTag(plot.x, plot.y, PlotTags.PLOT_TAG_ISLAND);
+        cleared.add(plotIndex);
+      }
+    }
+  }
+  result.islandTilesCleared = cleared.size;
+  return result;
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// INLAND SEAS
+// Large homeland continents tend to come out of the Voronoi as solid blobs. Now
+// and then one gets a basin carved out of its interior, enclosed like the
+// Black Sea or opened to the outer coast by a one-tile strait like the
+// Mediterranean. The sea is shallow coast and keeps a land rim of
+// INLAND_SEA_RIM tiles, so the continent stays one piece and no ocean gap or
+// coastal route to another continent is opened or closed.
+//──────────────────────────────────────────────────────────────────────────────
+
+/** Homeland continents this size (land tiles) or larger may get an inland sea */
+const INLAND_SEA_MIN_CONTINENT_TILES = 150;
+
+/** Chance each such continent gets a sea, and the chance that sea gets a strait */
+const INLAND_SEA_CHANCE = 0.35;
+const INLAND_SEA_STRAIT_CHANCE = 0.5;
+
+/** Sea size as a share of its continent's land, within these bounds (tiles) */
+const INLAND_SEA_SHARE = 0.08;
+const INLAND_SEA_MIN_TILES = 8;
+const INLAND_SEA_MAX_TILES = 48;
+
+/** Land (hex steps) kept between the sea and the continent's coast */
+const INLAND_SEA_RIM = 3;
+
+/**
+ * Grows the plots of one inland sea from a random interior plot. Plots with
+ * more sea around them are likelier to be taken next, so the sea comes out as
+ * one rounded basin with a ragged shore rather than a thin channel.
+ * @param plots - Land plot indices of the continent
+ * @param shoreDistance - Hex steps from each plot to the nearest water
+ * @returns Sea plot indices, or null when the interior has no room for one
+ */
+function pickInlandSeaPlots(iWidth, iHeight, plots, shoreDistance, random) {
+  const inContinent = new Set(plots);
+  const isInterior = (index) => inContinent.has(index) && shoreDistance[index] > INLAND_SEA_RIM;
+  const interior = plots.filter(isInterior);
+  if (interior.length < INLAND_SEA_MIN_TILES) return null;
+  const target = Math.min(INLAND_SEA_MAX_TILES, Math.max(INLAND_SEA_MIN_TILES, Math.round(plots.length * INLAND_SEA_SHARE)));
+
+  const sea = new Set([interior[Math.floor(random() * interior.length)]]);
+  while (sea.size < target) {
+    // Interior plots next to the sea, weighted by the square of their sea neighbors
+    const weights = new Map();
+    for (const index of sea) {
+      const x = index % iWidth;
+      forEachHexNeighbor(x, (index - x) / iWidth, iWidth, iHeight, (nx, ny) => {
+        const nIndex = ny * iWidth + nx;
+        if (!sea.has(nIndex) && isInterior(nIndex)) weights.set(nIndex, (weights.get(nIndex) ?? 0) + 1);
+      });
+    }
+    if (weights.size === 0) break;
+    let total = 0;
+    for (const [index, count] of weights) {
+      weights.set(index, count * count);
+      total += count * count;
+    }
+    let roll = random() * total;
+    for (const [index, weight] of weights) {
+      roll -= weight;
+      if (roll < 0) {
+        sea.add(index);
+        break;
+      }
+    }
+  }
+  return sea.size >= INLAND_SEA_MIN_TILES ? [...sea] : null;
+}
+
+/**
+ * Shortest run of the continent's land from an inland sea to the water outside it
+ * @param sea - Set of sea plot indices
+ * @param inContinent - Set of the continent's land plot indices
+ * @returns Plot indices of the strait, or null if no land plot reaches other water
+ */
+function findInlandSeaStrait(iWidth, iHeight, sea, inContinent) {
+  const parent = new Map();
+  const queue = createRingQueue(iWidth * iHeight);
+  for (const index of sea) {
+    parent.set(index, -1);
+    queue.push(index);
+  }
+  while (queue.length > 0) {
+    const index = queue.shift();
+    const x = index % iWidth;
+    const y = (index - x) / iWidth;
+    if (!sea.has(index)) {
+      const opensOut = getHexNeighbors(x, y, iWidth, iHeight)
+        .some((n) => !sea.has(n.y * iWidth + n.x) && GameplayMap.isWater(n.x, n.y));
+      if (opensOut) {
+        const strait = [];
+        for (let step = index; !sea.has(step); step = parent.get(step)) strait.push(step);
+        return strait;
+      }
+    }
+    forEachHexNeighbor(x, y, iWidth, iHeight, (nx, ny) => {
+      const nIndex = ny * iWidth + nx;
+      if (parent.has(nIndex) || !inContinent.has(nIndex)) return;
+      parent.set(nIndex, index);
+      queue.push(nIndex);
+    });
+  }
+  return null;
+}
+
+/**
+ * True when the given land plots are one connected piece
+ */
+function isOnePiece(iWidth, iHeight, plots) {
+  if (plots.length === 0) return true;
+  const remaining = new Set(plots);
+  const queue = createRingQueue(plots.length);
+  queue.push(plots[0]);
+  remaining.delete(plots[0]);
+  while (queue.length > 0) {
+    const index = queue.shift();
+    const x = index % iWidth;
+    forEachHexNeighbor(x, (index - x) / iWidth, iWidth, iHeight, (nx, ny) => {
+      const nIndex = ny * iWidth + nx;
+      if (!remaining.has(nIndex)) return;
+      remaining.delete(nIndex);
+      queue.push(nIndex);
+    });
+  }
+  return remaining.size === 0;
+}
+
+/**
+ * Carves inland seas into the stamped map. Each homeland continent of
+ * INLAND_SEA_MIN_CONTINENT_TILES or more gets one with INLAND_SEA_CHANCE;
+ * a sea or strait that would cut off part of its continent is dropped.
+ * Continents must be re-stamped afterwards.
+ * @param homelandContinents - Set of game continent IDs that may get a sea
+ * @returns { eligible, seas: [{ continent, plots, straitTiles }] }
+ */
+function carveInlandSeas(iWidth, iHeight, homelandContinents, random) {
+  const continentPlots = new Map();
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      const continentId = GameplayMap.isWater(x, y) ? -1 : GameplayMap.getContinentType(x, y);
+      if (!homelandContinents.has(continentId)) continue;
+      if (!continentPlots.has(continentId)) continentPlots.set(continentId, []);
+      continentPlots.get(continentId).push(y * iWidth + x);
+    }
+  }
+  const shoreDistance = computeHexDistanceField(iWidth, iHeight, (x, y) => GameplayMap.isWater(x, y));
+
+  const result = { eligible: 0, seas: [] };
+  for (const [continentId, plots] of [...continentPlots.entries()].sort((a, b) => a[0] - b[0])) {
+    if (plots.length < INLAND_SEA_MIN_CONTINENT_TILES) continue;
+    result.eligible++;
+    if (random() >= INLAND_SEA_CHANCE) continue;
+
+    const sea = pickInlandSeaPlots(iWidth, iHeight, plots, shoreDistance, random);
+    if (!sea) {
+      log.trace(`[ContinentsPP]   Continent ${continentId}: no interior room for an inland sea`);
+      continue;
+    }
+    const seaSet = new Set(sea);
+    let strait = random() < INLAND_SEA_STRAIT_CHANCE
+      ? findInlandSeaStrait(iWidth, iHeight, seaSet, new Set(plots)) ?? []
+      : [];
+    const landLeft = (water) => plots.filter((index) => !water.has(index));
+    if (strait.length > 0 && !isOnePiece(iWidth, iHeight, landLeft(new Set([...sea, ...strait])))) {
+      log.trace(`[ContinentsPP]   Continent ${continentId}: strait would split the continent, sea left enclosed`);
+      strait = [];
+    }
+    if (!isOnePiece(iWidth, iHeight, landLeft(seaSet))) {
+      log.trace(`[ContinentsPP]   Continent ${continentId}: inland sea would split the continent, skipped`);
+      continue;
+    }
+
+    for (const index of [...sea, ...strait]) {
+      const x = index % iWidth;
+      TerrainBuilder.setTerrainType(x, (index - x) / iWidth, globals.g_CoastTerrain);
+    }
+    result.seas.push({ continent: continentId, plots: [...sea, ...strait], straitTiles: strait.length });
+  }
+  return result;
+}
+
+/**
+ * Reads the game continent an inland sea belongs to from the land on its shore
+ * @returns game continent ID, or -1 if none of its shore is stamped land
+ */
+function findInlandSeaContinent(iWidth, iHeight, plots) {
+  for (const index of plots) {
+    const x = index % iWidth;
+    for (const n of getHexNeighbors(x, (index - x) / iWidth, iWidth, iHeight)) {
+      if (GameplayMap.isWater(n.x, n.y)) continue;
+      const continent = GameplayMap.getContinentType(n.x, n.y);
+      if (continent !== -1) return continent;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Counts the resources in each inland sea and gives any sea left empty one
+ * bonus resource of a type the resource generator already put in the water
+ * @returns { counts: resources per sea, in inlandSeas order, added: [{ sea, type, plot }] }
+ */
+function stockInlandSeas(iWidth, iHeight, inlandSeas, random) {
+  const bonusTypes = new Set();
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      if (GameplayMap.isWater(x, y) && getPlotResourceClass(x, y) === 'RESOURCECLASS_BONUS') {
+        bonusTypes.add(GameplayMap.getResourceType(x, y));
+      }
+    }
+  }
+  const types = [...bonusTypes].sort((a, b) => a - b);
+
+  const counts = [];
+  const added = [];
+  inlandSeas.forEach((sea, seaIndex) => {
+    const hasResource = (index) => GameplayMap.getResourceType(index % iWidth, Math.floor(index / iWidth)) !== ResourceTypes.NO_RESOURCE;
+    let count = sea.plots.filter(hasResource).length;
+    if (count === 0) {
+      const options = [];
+      for (const index of sea.plots) {
+        for (const type of types) {
+          if (ResourceBuilder.canHaveResource(index % iWidth, Math.floor(index / iWidth), type, false)) options.push({ index, type });
+        }
+      }
+      if (options.length > 0) {
+        const { index, type } = options[Math.floor(random() * options.length)];
+        const x = index % iWidth;
+        const y = Math.floor(index / iWidth);
+        ResourceBuilder.setResourceType(x, y, type);
+        added.push({ sea: seaIndex, type, plot: [x, y] });
+        count = 1;
+      }
+    }
+    counts.push(count);
+  });
+  return { counts, added };
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// TECTONIC RELIEF
+// Mountains, volcanoes, hills and rift lakes placed from the Voronoi plates
+// instead of base game noise. Each plate drifts as the simulation moved and
+// turned it; where two plates meet, their relative drift along the boundary
+// normal says whether they collide (convergent), pull apart (divergent) or
+// slide past (transform).
+//   - Convergent, land on both sides: a long range along the boundary
+//   - Convergent, land against water: a coastal cordillera with the volcanoes
+//   - Divergent, land on both sides: a rift valley, kept flat, with small lakes
+// The mountain count stays config.mountain.percent of the land.
+//──────────────────────────────────────────────────────────────────────────────
+
+/** Relative drift along the boundary normal above which plates count as colliding or rifting */
+const TECTONIC_CONVERGENT_THRESHOLD = 0.5;
+const TECTONIC_DIVERGENT_THRESHOLD = 0.5;
+
+/** How far (hex steps) uplift spreads inland from a collision boundary */
+const TECTONIC_RANGE_RADIUS = 2;
+const TECTONIC_CORDILLERA_RADIUS = 2;
+
+/** Hills placed per mountain */
+const TECTONIC_HILL_RATIO = 1.2;
+
+/** Game continents smaller than this (land tiles) get no mountains */
+const TECTONIC_MIN_CONTINENT_TILES = 10;
+
+/** Most of a continent's land that may become mountains */
+const TECTONIC_MAX_CONTINENT_SHARE = 0.4;
+
+/** Chance a rift tile becomes a lake, and the rift tiles per lake at most */
+const TECTONIC_RIFT_LAKE_CHANCE = 0.2;
+const TECTONIC_RIFT_TILES_PER_LAKE = 10;
+
+/**
+ * Unit vector (in hex-center space) from (x, y) to its neighbor (nx, ny),
+ * taking the neighbor across the X wrap when that is the adjacent copy
+ */
+function hexStepDirection(x, y, nx, ny, width) {
+  let dx = nx - x;
+  if (dx > 1) dx -= width;
+  if (dx < -1) dx += width;
+  const q1 = x - (y - (y & 1)) / 2;
+  const q2 = x + dx - (ny - (ny & 1)) / 2;
+  const dq = q2 - q1;
+  const dr = ny - y;
+  const px = Math.sqrt(3) * (dq + dr / 2);
+  const py = 1.5 * dr;
+  const length = Math.hypot(px, py);
+  return { x: px / length, y: py / length };
+}
+
+/**
+ * Plate membership and motion from the Voronoi simulation's plate regions.
+ * Each plate moves along m_movement and turns about m_seedLocation at
+ * m_rotation, which the generator's plate.plateRotationMultiple scales, so
+ * the drift differs along a plate's edge. Tiles take their plate from
+ * tile.plateId where the simulation sets it, otherwise from the nearest plate
+ * seed, which is where the simulation grew each plate from.
+ * @returns { plateCount, plateOf: Int32Array, velocityAt(plateId, x, y) } or null
+ *   when the simulation exposes fewer than two plates
+ */
+function readPlateMotion(voronoiMap, tiles, iWidth, iHeight) {
+  const generator = voronoiMap.getGenerator();
+  const plateRegions = generator.getPlateRegions?.() ?? [];
+  const plates = plateRegions.filter((plate) => plate?.m_seedLocation && plate?.m_movement);
+  if (plates.length < 2 || plates.length !== plateRegions.length) return null;
+  const rotationMultiple = generator.getSettings().plate?.plateRotationMultiple ?? 1;
+
+  // Seed-relative offset in hex-center space, across the X wrap when shorter
+  const offsetFrom = (plate, x, y) => {
+    let dx = x - plate.m_seedLocation.x;
+    if (dx > iWidth / 2) dx -= iWidth;
+    if (dx < -iWidth / 2) dx += iWidth;
+    return { x: Math.sqrt(3) * (dx + ((y & 1) - (Math.round(plate.m_seedLocation.y) & 1)) / 2), y: 1.5 * (y - plate.m_seedLocation.y) };
+  };
+
+  const plateOf = new Int32Array(iWidth * iHeight);
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      const plateId = tiles[y]?.[x]?.plateId;
+      if (Number.isInteger(plateId) && plateId >= 0 && plateId < plates.length) {
+        plateOf[y * iWidth + x] = plateId;
+        continue;
+      }
+      let nearest = 0;
+      let nearestDistance = Infinity;
+      plates.forEach((plate, index) => {
+        const offset = offsetFrom(plate, x, y);
+        const distance = offset.x * offset.x + offset.y * offset.y;
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = index;
+        }
+      });
+      plateOf[y * iWidth + x] = nearest;
+    }
+  }
+
+  // Rigid motion: the plate's movement plus its spin about the seed
+  const velocityAt = (plateId, x, y) => {
+    const plate = plates[plateId];
+    const offset = offsetFrom(plate, x, y);
+    const spin = (plate.m_rotation ?? 0) * rotationMultiple;
+    return { x: plate.m_movement.x - spin * offset.y, y: plate.m_movement.y + spin * offset.x };
+  };
+  return { plateCount: plates.length, plateOf, velocityAt };
+}
+
+/**
+ * Finds plate boundaries and how hard each land tile is pushed up by them
+ * @param plates - Plate membership and motion from readPlateMotion()
+ * @returns { plateCount, uplift: Float32Array, cordillera: Uint8Array, rift: Uint8Array, transform: Uint8Array, boundaries }
+ */
+function analyzePlateBoundaries(iWidth, iHeight, plates) {
+  const { plateOf, velocityAt } = plates;
+
+  const size = iWidth * iHeight;
+  const uplift = new Float32Array(size);
+  const cordillera = new Uint8Array(size);  // 1 where the strongest uplift came from an ocean collision
+  const rift = new Uint8Array(size);
+  const transform = new Uint8Array(size);
+  const boundaries = { convergent: 0, divergent: 0, transform: 0 };
+
+  // Spreads a collision's uplift over the land within radius, fading with distance
+  const raise = (x, y, strength, radius, fromOcean) => {
+    for (let d = 0; d <= radius; d++) {
+      for (const plot of hexRing(x, y, d, iWidth, iHeight)) {
+        if (GameplayMap.isWater(plot.x, plot.y)) continue;
+        const index = plot.y * iWidth + plot.x;
+        const value = strength * (1 - d / (radius + 1));
+        if (value > uplift[index]) {
+          uplift[index] = value;
+          cordillera[index] = fromOcean ? 1 : 0;
+        }
+      }
+    }
+  };
+
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      const plateA = plateOf[y * iWidth + x];
+      const isLand = !GameplayMap.isWater(x, y);
+      forEachHexNeighbor(x, y, iWidth, iHeight, (nx, ny) => {
+        const plateB = plateOf[ny * iWidth + nx];
+        if (plateB === plateA) return;
+        const neighborIsLand = !GameplayMap.isWater(nx, ny);
+        if (!isLand && !neighborIsLand) return;  // Ocean-ocean boundaries shape no land
+        const normal = hexStepDirection(x, y, nx, ny, iWidth);
+        // Both plates' motion where they meet
+        const a = velocityAt(plateA, x, y);
+        const b = velocityAt(plateB, x, y);
+        const closing = (a.x - b.x) * normal.x + (a.y - b.y) * normal.y;
+        // Both tiles of an edge raise their own side; count the edge once
+        const firstVisit = y * iWidth + x < ny * iWidth + nx;
+
+        if (closing > TECTONIC_CONVERGENT_THRESHOLD) {
+          if (firstVisit) boundaries.convergent++;
+          if (isLand && neighborIsLand) {
+            raise(x, y, closing, TECTONIC_RANGE_RADIUS, false);
+          } else if (isLand) {
+            raise(x, y, closing, TECTONIC_CORDILLERA_RADIUS, true);
+          }
+        } else if (closing < -TECTONIC_DIVERGENT_THRESHOLD) {
+          if (firstVisit) boundaries.divergent++;
+          if (isLand && neighborIsLand) rift[y * iWidth + x] = 1;
+        } else {
+          if (firstVisit) boundaries.transform++;
+          if (isLand) transform[y * iWidth + x] = 1;
+        }
+      });
+    }
+  }
+  return { plateCount: plates.plateCount, uplift, cordillera, rift, transform, boundaries };
+}
+
+/**
+ * Lowers mountains until every continent's passable land is one piece again.
+ * Each stray pocket is joined to the rest of its continent along the shortest
+ * run of mountain tiles, which become hills.
+ * @returns Number of mountains lowered
+ */
+function openMountainPasses(iWidth, iHeight) {
+  const size = iWidth * iHeight;
+  const isPassable = (x, y) => !GameplayMap.isWater(x, y) && GameplayMap.getTerrainType(x, y) !== globals.g_MountainTerrain;
+  let lowered = 0;
+
+  for (let iteration = 0; iteration < 200; iteration++) {
+    // Label passable land pockets, tracking the largest per continent
+    const label = new Int32Array(size).fill(-1);
+    const pocketSizes = [];
+    const pocketContinent = [];
+    const queue = createRingQueue(size);
+    for (let start = 0; start < size; start++) {
+      const sx = start % iWidth;
+      const sy = (start - sx) / iWidth;
+      if (label[start] !== -1 || !isPassable(sx, sy)) continue;
+      const pocket = pocketSizes.length;
+      label[start] = pocket;
+      queue.push(start);
+      let count = 0;
+      while (queue.length > 0) {
+        const index = queue.shift();
+        count++;
+        const cx = index % iWidth;
+        forEachHexNeighbor(cx, (index - cx) / iWidth, iWidth, iHeight, (nx, ny) => {
+          const nIndex = ny * iWidth + nx;
+          if (label[nIndex] !== -1 || !isPassable(nx, ny)) return;
+          label[nIndex] = pocket;
+          queue.push(nIndex);
+        });
+      }
+      pocketSizes.push(count);
+      pocketContinent.push(GameplayMap.getContinentType(sx, sy));
+    }
+
+    // Smallest pocket that shares its continent with another one
+    const pocketsByContinent = new Map();
+    pocketContinent.forEach((continentId, pocket) => {
+      if (!pocketsByContinent.has(continentId)) pocketsByContinent.set(continentId, []);
+      pocketsByContinent.get(continentId).push(pocket);
+    });
+    let stray = -1;
+    for (const pockets of pocketsByContinent.values()) {
+      if (pockets.length < 2) continue;
+      for (const pocket of pockets) {
+        if (stray === -1 || pocketSizes[pocket] < pocketSizes[stray]) stray = pocket;
+      }
+    }
+    if (stray === -1) break;
+
+    // BFS out of the pocket through mountains to another pocket of the same continent
+    const parent = new Int32Array(size).fill(-2);
+    for (let index = 0; index < size; index++) {
+      if (label[index] === stray) {
+        parent[index] = -1;
+        queue.push(index);
+      }
+    }
+    let reached = -1;
+    while (queue.length > 0) {
+      const index = queue.shift();
+      if (reached !== -1) continue;  // Drain the queue once a path is found
+      const cx = index % iWidth;
+      forEachHexNeighbor(cx, (index - cx) / iWidth, iWidth, iHeight, (nx, ny) => {
+        const nIndex = ny * iWidth + nx;
+        if (reached !== -1 || parent[nIndex] !== -2 || GameplayMap.isWater(nx, ny)) return;
+        parent[nIndex] = index;
+        if (label[nIndex] !== -1 && label[nIndex] !== stray && pocketContinent[label[nIndex]] === pocketContinent[stray]) {
+          reached = nIndex;
+        } else if (label[nIndex] === -1) {
+          queue.push(nIndex);  // Mountain: keep digging
+        }
+      });
+    }
+    if (reached === -1) break;  // Only other continents are reachable; nothing to join
+    for (let index = parent[reached]; index !== -1 && label[index] !== stray; index = parent[index]) {
+      TerrainBuilder.setTerrainType(index % iWidth, Math.floor(index / iWidth), globals.g_HillTerrain);
+      lowered++;
+    }
+  }
+  return lowered;
+}
+
+/**
+ * Places mountains, volcanoes, rift lakes and hills from the plate boundaries
+ * @param plateMotion - Plate membership and motion from readPlateMotion()
+ * @returns Counts for the generation report
+ */
+function applyTectonicRelief(iWidth, iHeight, plateMotion, config, random) {
+  const plates = analyzePlateBoundaries(iWidth, iHeight, plateMotion);
+  const { uplift, cordillera, rift, transform } = plates;
+  const size = iWidth * iHeight;
+
+  const noiseScale = (config.mountain.randomize ?? 0) / 100;
+  const noise = new Float32Array(size);
+  for (let index = 0; index < size; index++) noise[index] = random() * noiseScale;
+
+  // Land tiles per continent, for the budget and the per-continent cap. The
+  // Voronoi terrain may already hold mountains and hills; those that stay count too.
+  const continentTiles = new Map();
+  const continentMountains = new Map();
+  const isMountain = new Uint8Array(size);
+  const existingMountains = [];
+  let existingHills = 0;
+  let landTiles = 0;
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      if (GameplayMap.isWater(x, y)) continue;
+      landTiles++;
+      const continentId = GameplayMap.getContinentType(x, y);
+      continentTiles.set(continentId, (continentTiles.get(continentId) ?? 0) + 1);
+      const terrain = GameplayMap.getTerrainType(x, y);
+      if (terrain === globals.g_HillTerrain) existingHills++;
+      if (terrain !== globals.g_MountainTerrain) continue;
+      isMountain[y * iWidth + x] = 1;
+      existingMountains.push(y * iWidth + x);
+      continentMountains.set(continentId, (continentMountains.get(continentId) ?? 0) + 1);
+    }
+  }
+  const mountainBudget = Math.round(landTiles * config.mountain.percent / 100);
+
+  // Voronoi mountains away from any collision wear down to hills, and so do
+  // the least uplifted ones beyond the budget
+  existingMountains.sort((a, b) => (uplift[a] + noise[a]) - (uplift[b] + noise[b]) || a - b);
+  let mountains = existingMountains.length;
+  for (const index of existingMountains) {
+    if (uplift[index] > 0 && mountains <= mountainBudget) break;
+    const x = index % iWidth;
+    const y = (index - x) / iWidth;
+    TerrainBuilder.setTerrainType(x, y, globals.g_HillTerrain);
+    isMountain[index] = 0;
+    const continentId = GameplayMap.getContinentType(x, y);
+    continentMountains.set(continentId, continentMountains.get(continentId) - 1);
+    mountains--;
+    existingHills++;
+  }
+  const canRaise = (index) => {
+    const x = index % iWidth;
+    const y = (index - x) / iWidth;
+    if (isMountain[index] || rift[index] || GameplayMap.isWater(x, y)) return false;
+    const continentId = GameplayMap.getContinentType(x, y);
+    const tilesOnContinent = continentTiles.get(continentId) ?? 0;
+    if (tilesOnContinent < TECTONIC_MIN_CONTINENT_TILES) return false;
+    return (continentMountains.get(continentId) ?? 0) < tilesOnContinent * TECTONIC_MAX_CONTINENT_SHARE;
+  };
+  const raiseMountain = (index) => {
+    const x = index % iWidth;
+    const y = (index - x) / iWidth;
+    TerrainBuilder.setTerrainType(x, y, globals.g_MountainTerrain);
+    isMountain[index] = 1;
+    const continentId = GameplayMap.getContinentType(x, y);
+    continentMountains.set(continentId, (continentMountains.get(continentId) ?? 0) + 1);
+  };
+
+  // Ranges: the most uplifted tiles first
+  const uplifted = [];
+  for (let index = 0; index < size; index++) {
+    if (uplift[index] > 0) uplifted.push(index);
+  }
+  uplifted.sort((a, b) => (uplift[b] + noise[b]) - (uplift[a] + noise[a]) || a - b);
+  for (const index of uplifted) {
+    if (mountains >= mountainBudget) break;
+    if (!canRaise(index)) continue;
+    raiseMountain(index);
+    mountains++;
+  }
+
+  // Budget left over (few collisions on this map): lengthen the existing ranges
+  while (mountains < mountainBudget) {
+    let best = -1;
+    let bestScore = -Infinity;
+    for (let index = 0; index < size; index++) {
+      if (!canRaise(index)) continue;
+      const x = index % iWidth;
+      let adjacent = 0;
+      forEachHexNeighbor(x, (index - x) / iWidth, iWidth, iHeight, (nx, ny) => {
+        if (isMountain[ny * iWidth + nx]) adjacent++;
+      });
+      // Extend a range's ends (one mountain neighbor) rather than thicken it
+      if (adjacent === 0 && mountains > 0) continue;
+      const score = (adjacent === 1 ? 2 : adjacent > 1 ? 1 : 0) + noise[index];
+      if (score > bestScore) {
+        bestScore = score;
+        best = index;
+      }
+    }
+    if (best === -1) break;
+    raiseMountain(best);
+    mountains++;
+  }
+
+  const passes = openMountainPasses(iWidth, iHeight);
+  mountains -= passes;
+
+  // Volcanoes: cordillera mountains first, then the most uplifted range mountains
+  const volcanoBudget = Math.round(mountains * config.volcano.percent / 100);
+  const volcanoCandidates = [];
+  for (let index = 0; index < size; index++) {
+    const x = index % iWidth;
+    if (GameplayMap.getTerrainType(x, (index - x) / iWidth) === globals.g_MountainTerrain) volcanoCandidates.push(index);
+  }
+  volcanoCandidates.sort((a, b) => (cordillera[b] - cordillera[a]) || (uplift[b] + noise[b]) - (uplift[a] + noise[a]) || a - b);
+  let volcanoes = 0;
+  let cordilleraVolcanoes = 0;
+  for (const index of volcanoCandidates.slice(0, volcanoBudget)) {
+    TerrainBuilder.setFeatureType(index % iWidth, Math.floor(index / iWidth), { Feature: globals.g_VolcanoFeature, Direction: -1, Elevation: 0 });
+    volcanoes++;
+    if (cordillera[index]) cordilleraVolcanoes++;
+  }
+
+  // Rift valleys: single-tile lakes well inside the land, never touching other water
+  let riftTiles = 0;
+  const riftPlots = [];
+  for (let index = 0; index < size; index++) {
+    if (!rift[index]) continue;
+    riftTiles++;
+    riftPlots.push(index);
+  }
+  const lakeBudget = Math.floor(riftTiles / TECTONIC_RIFT_TILES_PER_LAKE);
+  let riftLakes = 0;
+  for (const index of riftPlots) {
+    if (riftLakes >= lakeBudget) break;
+    if (random() >= TECTONIC_RIFT_LAKE_CHANCE) continue;
+    const x = index % iWidth;
+    const y = (index - x) / iWidth;
+    if (GameplayMap.isWater(x, y) || GameplayMap.getTerrainType(x, y) === globals.g_MountainTerrain) continue;
+    let touchesWater = false;
+    forEachHexNeighbor(x, y, iWidth, iHeight, (nx, ny) => {
+      if (GameplayMap.isWater(nx, ny)) touchesWater = true;
+    });
+    if (touchesWater) continue;
+    TerrainBuilder.setTerrainType(x, y, globals.g_CoastTerrain);
+    riftLakes++;
+  }
+
+  // Hills: foothills beside the ranges, then the weaker transform boundaries
+  const hillBudget = Math.max(0, Math.round(mountains * TECTONIC_HILL_RATIO) - existingHills);
+  const hillScores = [];
+  for (let index = 0; index < size; index++) {
+    const x = index % iWidth;
+    const y = (index - x) / iWidth;
+    if (rift[index] || GameplayMap.isWater(x, y)) continue;
+    if (GameplayMap.getTerrainType(x, y) !== globals.g_FlatTerrain) continue;
+    let besideMountain = 0;
+    forEachHexNeighbor(x, y, iWidth, iHeight, (nx, ny) => {
+      if (GameplayMap.getTerrainType(nx, ny) === globals.g_MountainTerrain) besideMountain = 1;
+    });
+    hillScores.push({ index, score: besideMountain * 2 + transform[index] + uplift[index] * 0.5 + noise[index] });
+  }
+  hillScores.sort((a, b) => b.score - a.score || a.index - b.index);
+  let hills = 0;
+  for (const { index } of hillScores.slice(0, hillBudget)) {
+    TerrainBuilder.setTerrainType(index % iWidth, Math.floor(index / iWidth), globals.g_HillTerrain);
+    hills++;
+  }
+
+  let cordilleraMountains = 0;
+  for (let index = 0; index < size; index++) {
+    const x = index % iWidth;
+    if (cordillera[index] && GameplayMap.getTerrainType(x, (index - x) / iWidth) === globals.g_MountainTerrain) cordilleraMountains++;
+  }
+
+  return {
+    plates: plates.plateCount,
+    boundaries: plates.boundaries,
+    mountains: { budget: mountainBudget, placed: mountains, cordillera: cordilleraMountains, passesOpened: passes },
+    volcanoes: { placed: volcanoes, cordillera: cordilleraVolcanoes },
+    hills: { existing: existingHills, placed: hills },
+    rift: { tiles: riftTiles, lakes: riftLakes }
+  };
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// CLIMATE
+// Rainfall from prevailing winds instead of base game noise. Each row of the
+// map sits in a wind band (trade winds and polar easterlies blow west, the
+// westerlies blow east). Air picks up moisture over the ocean and rains it out
+// over land: most on the windward coast, more where it is forced up hills and
+// mountains, and little in the rain shadow behind them. How much rising air a
+// latitude gets (wet equator, dry subtropics) scales the whole band.
+//──────────────────────────────────────────────────────────────────────────────
+
+/** Rising air by absolute latitude, as [latitude, lift] points interpolated linearly */
+const CLIMATE_LIFT_CURVE = [[0, 1.0], [10, 0.9], [22, 0.35], [30, 0.2], [40, 0.55], [52, 0.75], [65, 0.45], [90, 0.2]];
+
+/** Wind bands by absolute latitude: direction the air moves along X (+1 = east) */
+const CLIMATE_WIND_BANDS = [
+  { name: 'trades', maxLatitude: 30, wind: -1 },
+  { name: 'westerlies', maxLatitude: 60, wind: 1 },
+  { name: 'polar', maxLatitude: 90, wind: -1 }
+];
+
+/** Share of the missing moisture air regains over each water tile */
+const CLIMATE_OCEAN_RECHARGE = 0.3;
+
+/** Share of its moisture air rains out over flat land (scaled by lift) and when forced up terrain */
+const CLIMATE_RAIN_RATE = 0.08;
+const CLIMATE_OROGRAPHIC = { mountain: 0.45, hill: 0.15 };
+
+/** Land tiles downwind of a mountain that count as its rain shadow */
+const CLIMATE_SHADOW_LENGTH = 3;
+
+/** Rainfall written for a fully wet tile, and the random spread around each value */
+const CLIMATE_MAX_RAINFALL = 200;
+const CLIMATE_NOISE = 0.1;
+
+/**
+ * Lift at an absolute latitude, from CLIMATE_LIFT_CURVE
+ */
+function climateLift(latitude) {
+  for (let i = 1; i < CLIMATE_LIFT_CURVE.length; i++) {
+    const [lat1, lift1] = CLIMATE_LIFT_CURVE[i];
+    if (latitude > lat1) continue;
+    const [lat0, lift0] = CLIMATE_LIFT_CURVE[i - 1];
+    return lift0 + (lift1 - lift0) * (latitude - lat0) / (lat1 - lat0);
+  }
+  return CLIMATE_LIFT_CURVE[CLIMATE_LIFT_CURVE.length - 1][1];
+}
+
+/**
+ * Computes and writes rainfall for every plot
+ * @param random - RNG stream for the per-tile spread
+ * @returns Land rainfall per wind band and the rain shadow and windward coast tile counts
+ */
+function buildClimateRainfall(iWidth, iHeight, random) {
+  const size = iWidth * iHeight;
+  const deposit = new Float32Array(size);
+  const shadowed = new Uint8Array(size);
+  const windward = new Uint8Array(size);
+
+  for (let y = 0; y < iHeight; y++) {
+    const latitude = Math.abs(GameplayMap.getPlotLatitude(0, y));
+    const lift = climateLift(latitude);
+    const wind = CLIMATE_WIND_BANDS.find((band) => latitude <= band.maxLatitude).wind;
+    // Cold air holds less water
+    const capacity = 1 - 0.5 * latitude / 90;
+
+    // Two laps around the wrapped row so the air entering the first tile has
+    // already crossed the rest of the row; only the second lap is recorded
+    let moisture = capacity;
+    let shadow = 0;
+    let overWater = true;
+    for (let step = 0; step < iWidth * 2; step++) {
+      const x = wind > 0 ? step % iWidth : iWidth - 1 - (step % iWidth);
+      const index = y * iWidth + x;
+      const record = step >= iWidth;
+      if (GameplayMap.isWater(x, y)) {
+        moisture += (capacity - moisture) * CLIMATE_OCEAN_RECHARGE;
+        if (record) deposit[index] = moisture * CLIMATE_RAIN_RATE * (0.5 + lift);
+        shadow = 0;
+        overWater = true;
+        continue;
+      }
+      const terrain = GameplayMap.getTerrainType(x, y);
+      const forced = terrain === globals.g_MountainTerrain ? CLIMATE_OROGRAPHIC.mountain
+        : terrain === globals.g_HillTerrain ? CLIMATE_OROGRAPHIC.hill
+        : 0;
+      const rain = moisture * Math.min(1, CLIMATE_RAIN_RATE * (0.5 + lift) + forced);
+      moisture -= rain;
+      if (record) {
+        deposit[index] = rain;
+        if (shadow > 0 && terrain !== globals.g_MountainTerrain) shadowed[index] = 1;
+        if (overWater) windward[index] = 1;
+      }
+      shadow = terrain === globals.g_MountainTerrain ? CLIMATE_SHADOW_LENGTH : Math.max(0, shadow - 1);
+      overWater = false;
+    }
+  }
+
+  // Background rain from the band's own rising air, plus what the wind dropped,
+  // softened across neighbors so rows don't show as stripes
+  const rainfall = new Float32Array(size);
+  for (let y = 0; y < iHeight; y++) {
+    const lift = climateLift(Math.abs(GameplayMap.getPlotLatitude(0, y)));
+    for (let x = 0; x < iWidth; x++) {
+      const index = y * iWidth + x;
+      let neighborSum = 0;
+      let neighbors = 0;
+      forEachHexNeighbor(x, y, iWidth, iHeight, (nx, ny) => {
+        neighborSum += deposit[ny * iWidth + nx];
+        neighbors++;
+      });
+      const smoothed = neighbors > 0 ? (deposit[index] + neighborSum / neighbors) / 2 : deposit[index];
+      const wetness = 0.25 * lift + smoothed * 4;
+      const spread = 1 + (random() * 2 - 1) * CLIMATE_NOISE;
+      rainfall[index] = Math.max(0, Math.min(CLIMATE_MAX_RAINFALL, Math.round(CLIMATE_MAX_RAINFALL * wetness * spread)));
+    }
+  }
+
+  const bands = Object.fromEntries(CLIMATE_WIND_BANDS.map((band) => [band.name, { tiles: 0, averageRainfall: 0 }]));
+  let landTiles = 0;
+  let landRainfall = 0;
+  let rainShadowTiles = 0;
+  let windwardCoastTiles = 0;
+  for (let y = 0; y < iHeight; y++) {
+    const latitude = Math.abs(GameplayMap.getPlotLatitude(0, y));
+    const band = bands[CLIMATE_WIND_BANDS.find((b) => latitude <= b.maxLatitude).name];
+    for (let x = 0; x < iWidth; x++) {
+      const index = y * iWidth + x;
+      TerrainBuilder.setRainfall(x, y, rainfall[index]);
+      if (GameplayMap.isWater(x, y)) continue;
+      landTiles++;
+      landRainfall += rainfall[index];
+      band.tiles++;
+      band.averageRainfall += rainfall[index];
+      rainShadowTiles += shadowed[index];
+      windwardCoastTiles += windward[index];
+    }
+  }
+  for (const band of Object.values(bands)) {
+    band.averageRainfall = band.tiles > 0 ? Math.round(band.averageRainfall / band.tiles) : 0;
+  }
+  return {
+    averageRainfall: landTiles > 0 ? Math.round(landRainfall / landTiles) : 0,
+    bands,
+    rainShadowTiles,
+    windwardCoastTiles
+  };
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// START BALANCE
+// Balanced spawn mode: scores every start over BALANCE_RADIUS and evens them out
+// until the best and worst start are within the chosen band. Scores are in
+// average land tiles: the fertility around the start divided by the map's average
+// land fertility, plus a fixed worth for each extra that makes a start better.
+//──────────────────────────────────────────────────────────────────────────────
+
+/** Band options: the most the worst start may score below the best, in percent */
+const BALANCE_BAND_VALUES = [10, 15, 20, 30];
+const BALANCE_BAND_DEFAULT = 15;
+
+/** Hex radius scored around each start */
+const BALANCE_RADIUS = 3;
+
+/** How far (hex steps) the balancer may move a start, always on the same continent */
+const BALANCE_RELOCATE_RADIUS = 3;
+
+/** Relocations and terrain edits before the balancer gives up */
+const BALANCE_MAX_ITERATIONS = 40;
+
+/** Terrain edits allowed around any one start */
+const BALANCE_MAX_TERRAIN_EDITS = 4;
+
+/** Distance to the nearest other start stops adding to the score beyond this */
+const BALANCE_NEIGHBOR_CAP = 12;
+
+/** Worth of each extra, in average land tiles */
+const BALANCE_WEIGHTS = {
+  freshWater: 4,   // Start plot has fresh water
+  coast: 3,        // Start plot is on the coast
+  water: 0.5,      // Per water tile in radius (workable, but weaker than land)
+  luxury: 3,       // Per luxury resource in radius
+  strategic: 2,    // Per strategic resource in radius
+  hills: 0.5,      // Per hill in radius
+  nearest: 0.5     // Per hex to the nearest other start, up to BALANCE_NEIGHBOR_CAP
+};
+
+/** Resource classes counted as luxuries and as strategic resources */
+const LUXURY_RESOURCE_CLASSES = new Set(['RESOURCECLASS_CITY', 'RESOURCECLASS_TREASURE']);
+const STRATEGIC_RESOURCE_CLASSES = new Set(['RESOURCECLASS_EMPIRE', 'RESOURCECLASS_FACTORY']);
+
+/**
+ * Resource class of the resource on a plot ('RESOURCECLASS_...'), or null if none
+ */
+function getPlotResourceClass(x, y) {
+  const resourceType = GameplayMap.getResourceType(x, y);
+  if (resourceType === ResourceTypes.NO_RESOURCE) return null;
+  return GameInfo.Resources.lookup(resourceType)?.ResourceClassType ?? null;
+}
+
+/**
+ * Scores a start plot for the Balanced spawn mode
+ * @param plotIndex - Start plot to score
+ * @param otherStarts - Start plots of every other player (-1 entries are skipped)
+ * @param avgFertility - Average fertility of a land tile on this map
+ * @returns Score plus the raw counts it was built from
+ */
+function scoreStartPlot(plotIndex, otherStarts, iWidth, iHeight, avgFertility) {
+  const x = plotIndex % iWidth;
+  const y = Math.floor(plotIndex / iWidth);
+  const parts = { fertility: 0, freshWater: 0, coast: 0, water: 0, luxury: 0, strategic: 0, hills: 0, nearest: BALANCE_NEIGHBOR_CAP };
+
+  for (let radius = 0; radius <= BALANCE_RADIUS; radius++) {
+    for (const plot of hexRing(x, y, radius, iWidth, iHeight)) {
+      if (GameplayMap.isWater(plot.x, plot.y)) {
+        parts.water++;
+        continue;
+      }
+      parts.fertility += Math.max(0, StartPositioner.getPlotFertilityForCoord(plot.x, plot.y));
+      if (GameplayMap.getTerrainType(plot.x, plot.y) === globals.g_HillTerrain) parts.hills++;
+      const resourceClass = getPlotResourceClass(plot.x, plot.y);
+      if (LUXURY_RESOURCE_CLASSES.has(resourceClass)) parts.luxury++;
+      if (STRATEGIC_RESOURCE_CLASSES.has(resourceClass)) parts.strategic++;
+    }
+  }
+  parts.freshWater = GameplayMap.isFreshWater(x, y) ? 1 : 0;
+  parts.coast = GameplayMap.isCoastalLand(x, y) ? 1 : 0;
+  for (const other of otherStarts) {
+    if (other >= 0) parts.nearest = Math.min(parts.nearest, plotHexDistance(plotIndex, other, iWidth));
+  }
+
+  let score = avgFertility > 0 ? parts.fertility / avgFertility : 0;
+  for (const [key, weight] of Object.entries(BALANCE_WEIGHTS)) {
+    score += parts[key] * weight;
+  }
+  return { score, ...parts };
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// STRATEGIC RESOURCE BALANCE
+// generateResources() spreads resources over the whole map without knowing which
+// continents hold players. After it runs, every inhabited continent is given at
+// least STRATEGIC_MIN_PER_CONTINENT of each strategic resource the map has,
+// taking copies from the continent with the largest surplus where one exists.
+//──────────────────────────────────────────────────────────────────────────────
+
+/** Copies of each strategic resource guaranteed on every inhabited continent */
+const STRATEGIC_MIN_PER_CONTINENT = 1;
+
+/** Inhabited continents smaller than this (land tiles) get no guarantee */
+const STRATEGIC_MIN_CONTINENT_TILES = 30;
+
+/**
+ * Counts resources per game continent
+ * @param homelandContinents - Set of game continent IDs in the homeland region
+ * @returns { continents: Map<id, { tiles, homeland, total, strategic: Map<type, plotIndex[]> }>, strategicTypes: Set<type> }
+ */
+function takeResourceCensus(iWidth, iHeight, homelandContinents) {
+  const continents = new Map();
+  const strategicTypes = new Set();
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      const continentId = GameplayMap.getContinentType(x, y);
+      if (continentId === -1) continue;
+      let entry = continents.get(continentId);
+      if (!entry) {
+        entry = { tiles: 0, homeland: homelandContinents.has(continentId), total: 0, strategic: new Map() };
+        continents.set(continentId, entry);
+      }
+      entry.tiles++;
+      const resourceType = GameplayMap.getResourceType(x, y);
+      if (resourceType === ResourceTypes.NO_RESOURCE) continue;
+      entry.total++;
+      if (!STRATEGIC_RESOURCE_CLASSES.has(getPlotResourceClass(x, y))) continue;
+      strategicTypes.add(resourceType);
+      if (!entry.strategic.has(resourceType)) entry.strategic.set(resourceType, []);
+      entry.strategic.get(resourceType).push(y * iWidth + x);
+    }
+  }
+  return { continents, strategicTypes };
+}
+
+/**
+ * Report form of a census: counts per homeland/distant region over every
+ * continent, and per continent for the inhabited ones only
+ */
+function summarizeResourceCensus(census, strategicTypes, inhabited) {
+  const typeName = (type) => GameInfo.Resources.lookup(type)?.ResourceType ?? `${type}`;
+  const countTypes = (strategic) => Object.fromEntries(strategicTypes.map((type) => [typeName(type), strategic.get(type)?.length ?? 0]));
+  const regions = {
+    homeland: { total: 0, strategic: Object.fromEntries(strategicTypes.map((type) => [typeName(type), 0])) },
+    distant: { total: 0, strategic: Object.fromEntries(strategicTypes.map((type) => [typeName(type), 0])) }
+  };
+  const continents = [];
+  for (const [continent, entry] of [...census.continents.entries()].sort((a, b) => a[0] - b[0])) {
+    const strategic = countTypes(entry.strategic);
+    const region = entry.homeland ? regions.homeland : regions.distant;
+    region.total += entry.total;
+    for (const [name, count] of Object.entries(strategic)) region.strategic[name] += count;
+    if (!inhabited.has(continent)) continue;
+    continents.push({ continent, homeland: entry.homeland, tiles: entry.tiles, total: entry.total, strategic });
+  }
+  return { continents, regions };
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// DISTANT LANDS PAYOFFS
+// The exploration race only pays off if the distant lands hold something worth
+// sailing for. Once resources, natural wonders and discoveries are placed, the
+// distant region (LANDMASS_REGION_EAST) is topped up to these targets, and no
+// sizeable distant continent is left without treasure or luxuries.
+//──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Payoff targets for the distant lands: one per `tilesPer` distant land tiles,
+ * at least 1 while any distant land exists, at most `cap` for the map size
+ * (index = map size, TINY..HUGE)
+ */
+const DISTANT_PAYOFF_TARGETS = {
+  treasure: { tilesPer: 40, cap: [3, 4, 6, 8, 10] },
+  luxury: { tilesPer: 60, cap: [2, 3, 4, 5, 6] },
+  wonders: { tilesPer: 300, cap: [1, 1, 1, 2, 2] }
+};
+
+/** Distant continents this size (land tiles) or larger get at least one treasure and one luxury */
+const DISTANT_PAYOFF_CONTINENT_TILES = 30;
+
+/** Age whose MapIslandBehavior row (config.xml) puts treasure resources on the distant lands */
+const TREASURE_AGE = 'AGE_EXPLORATION';
+
+/**
+ * Target count for one payoff kind, given the distant land area
+ */
+function distantPayoffTarget(kind, distantLandTiles, mapSizeIndex) {
+  if (distantLandTiles === 0) return 0;
+  const { tilesPer, cap } = DISTANT_PAYOFF_TARGETS[kind];
+  const sizeCap = cap[Math.min(Math.max(mapSizeIndex, 0), cap.length - 1)];
+  return Math.min(sizeCap, Math.max(1, Math.round(distantLandTiles / tilesPer)));
+}
+
+/**
+ * Treasure, luxury and natural wonder counts in the distant region, overall and
+ * per game continent. Wonders are counted once each, however many tiles they cover.
+ * @returns { landTiles, treasure, luxury, wonders, continents: Map<id, { tiles, treasure, luxury, wonders }>, wonderFeatures: Set<featureType> }
+ */
+function measureDistantLands(iWidth, iHeight) {
+  const measure = { landTiles: 0, treasure: 0, luxury: 0, wonders: 0, continents: new Map(), wonderFeatures: new Set() };
+  const distantWonders = new Set();
+  const continentWonders = new Map();  // continent ID → Set<featureType>
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      const isWonder = GameplayMap.isNaturalWonder(x, y);
+      if (isWonder) measure.wonderFeatures.add(GameplayMap.getFeatureType(x, y));
+      if (GameplayMap.getLandmassRegionId(x, y) !== LandmassRegion.LANDMASS_REGION_EAST) continue;
+
+      // Coastal water shares its continent's region, so offshore resources count too
+      const continentId = GameplayMap.getContinentType(x, y);
+      let entry = null;
+      if (continentId !== -1) {
+        measure.landTiles++;
+        entry = measure.continents.get(continentId);
+        if (!entry) {
+          entry = { tiles: 0, treasure: 0, luxury: 0, wonders: 0 };
+          measure.continents.set(continentId, entry);
+          continentWonders.set(continentId, new Set());
+        }
+        entry.tiles++;
+      }
+      if (isWonder) {
+        distantWonders.add(GameplayMap.getFeatureType(x, y));
+        if (entry) continentWonders.get(continentId).add(GameplayMap.getFeatureType(x, y));
+      }
+      const resourceClass = getPlotResourceClass(x, y);
+      const kind = resourceClass === 'RESOURCECLASS_TREASURE' ? 'treasure'
+        : LUXURY_RESOURCE_CLASSES.has(resourceClass) ? 'luxury'
+        : null;
+      if (kind === null) continue;
+      measure[kind]++;
+      if (entry) entry[kind]++;
+    }
+  }
+  measure.wonders = distantWonders.size;
+  for (const [continentId, entry] of measure.continents) entry.wonders = continentWonders.get(continentId).size;
+  return measure;
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// EXTENSION HOOKS
+// Lets other map scripts import Continents++ and add their own passes (custom
+// resources, scenario landmarks, extra islands) without copying generateMap().
+// Hooks fire before and after each phase of GENERATION_STAGES and get the
+// shared pipeline context.
+//──────────────────────────────────────────────────────────────────────────────
+
+/** Generation phases hooks can wrap, in pipeline order */
+const HOOK_PHASES = ['config', 'simulate', 'stamp', 'start-positions', 'final'];
+
+/** Hook points in the order they fire: pre-config, post-config, pre-simulate, ... */
+const HOOK_POINTS = HOOK_PHASES.flatMap(phase => [`pre-${phase}`, `post-${phase}`]);
+
+// Registered hooks per point, kept sorted by order then registration
+const hookRegistry = new Map(HOOK_POINTS.map(point => [point, []]));
+let hookRegistrationCount = 0;
+
+/**
+ * Registers a callback to run at a hook point during every generateMap().
+ *
+ * Each phase's pre- hook sees ctx as the previous phase left it; its post- hook adds:
+ *   config          - setup options, randomConfig, mapStats, mapSeed, rng, iWidth, iHeight
+ *   simulate        - landmasses, players and islands in memory: voronoiMap,
+ *                     generatorSettings, tiles, continentIsInhabited, landDistance
+ *   stamp           - terrain written and continents stamped, base terrain, climate, biomes and resources
+ *                     placed: stampedContinents, inlandSeas, regionToGameContinents, postStampRegionData
+ *   start-positions - startPositions and playerRegions after every placement fix,
+ *                     finalPlayerInfo
+ *   final           - discoveries and the summary; post-final runs just before the
+ *                     report is logged and returned
+ *
+ * Ordering: hooks at one point run by ascending order, then in registration order.
+ * Error isolation: a hook that throws is logged and recorded in report.hooks and
+ * report.warnings; generation carries on with the next hook. Changes the hook made
+ * to ctx before throwing are kept. Hooks run synchronously; returned promises are
+ * not awaited.
+ *
+ * @param point - One of HOOK_POINTS
+ * @param callback - (ctx) => void; may read and modify ctx and the engine map
+ * @param options.name - Label for the log and report (defaults to the function name)
+ * @param options.order - Lower runs first (default 0)
+ * @returns Function that unregisters the hook
+ */
+function registerHook(point, callback, { name = callback?.name || 'anonymous', order = 0 } = {}) {
+  if (!hookRegistry.has(point)) {
+    throw new Error(`[ContinentsPP] Unknown hook point "${point}" (expected one of: ${HOOK_POINTS.join(', ')})`);
+  }
+  if (typeof callback !== 'function') {
+    throw new Error(`[ContinentsPP] Hook "${name}" at ${point} is not a function`);
+  }
+
+  const hooks = hookRegistry.get(point);
+  const hook = { name, order, registration: hookRegistrationCount++, callback };
+  hooks.push(hook);
+  hooks.sort((a, b) => a.order - b.order || a.registration - b.registration);
+  log.debug(`[ContinentsPP] Registered hook ${name} at ${point} (order ${order})`);
+
+  return () => {
+    const index = hooks.indexOf(hook);
+    if (index >= 0) hooks.splice(index, 1);
+  };
+}
+
+/**
+ * Runs every hook registered at a point, isolating failures
+ */
+function runHooks(point, ctx) {
+  for (const hook of hookRegistry.get(point)) {
+    const startTime = Date.now();
+    const entry = { point, name: hook.name };
+    try {
+      hook.callback(ctx);
+    } catch (e) {
+      entry.error = e.message;
+      log.error(`[ContinentsPP] Hook ${hook.name} at ${point} failed: ${e.message}`);
+      reportWarning(ctx.report, point, `Hook ${hook.name} failed: ${e.message}`);
+    }
+    entry.ms = Date.now() - startTime;
+    ctx.report.hooks.push(entry);
+    log.debug(`[ContinentsPP] Hook ${hook.name} at ${point}: ${entry.ms} ms`);
+  }
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// GENERATION PIPELINE
+// generateMap() runs an ordered list of stages against one shared context object.
+// Each stage declares the context keys it reads (inputs) and the keys it adds
+// (outputs), so a stage can be run, timed, reordered or skipped on its own.
+//──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Runs stages in order against a shared context. A stage reads its declared
+ * inputs from ctx and returns an object holding exactly its declared outputs,
+ * which is merged into ctx for the stages after it. Returning null stops the
+ * pipeline (the stage has already logged why). Stages of one phase must be
+ * adjacent; the phase's pre-/post- hooks fire around them, skipped or not.
+ * @param stages - [{ name, phase, run: (ctx) => outputs | null, inputs: string[], outputs: string[] }]
+ * @param ctx - Initial context; must contain report and the first stage's inputs
+ * @param options.skip - Names of stages to leave out; later stages must not need their outputs
+ * @returns The final context, or null if a stage stopped the pipeline
+ */
+function runPipeline(stages, ctx, { skip = [] } = {}) {
+  let phase = null;
+  for (const stage of stages) {
+    if (stage.phase !== phase) {
+      if (phase) runHooks(`post-${phase}`, ctx);
+      phase = stage.phase;
+      if (phase) runHooks(`pre-${phase}`, ctx);
+    }
+
+    if (skip.includes(stage.name)) {
+      log.debug(`[ContinentsPP] Stage ${stage.name}: skipped`);
+      ctx.report.stages.push({ name: stage.name, skipped: true });
+      continue;
+    }
+
+    const missing = stage.inputs.filter(key => !(key in ctx));
+    if (missing.length > 0) {
+      throw new Error(`Stage ${stage.name} is missing inputs: ${missing.join(', ')}`);
+    }
+
+    const startTime = Date.now();
+    const outputs = stage.run(ctx);
+    if (outputs === null) {
+      log.debug(`[ContinentsPP] Stage ${stage.name}: stopped generation`);
+      return null;
+    }
+
+    const produced = Object.keys(outputs);
+    const undeclared = produced.filter(key => !stage.outputs.includes(key));
+    const absent = stage.outputs.filter(key => !produced.includes(key));
+    if (undeclared.length > 0 || absent.length > 0) {
+      throw new Error(`Stage ${stage.name} outputs do not match its declaration (undeclared: ${undeclared.join(', ') || 'none'}, missing: ${absent.join(', ') || 'none'})`);
+    }
+    Object.assign(ctx, outputs);
+
+    const ms = Date.now() - startTime;
+    ctx.report.stages.push({ name: stage.name, ms });
+    log.debug(`[ContinentsPP] Stage ${stage.name}: ${ms} ms`);
+  }
+  if (phase) runHooks(`post-${phase}`, ctx);
+  return ctx;
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// GENERATION STAGES
+// In pipeline order. Each stage destructures its inputs from ctx and returns its
+// outputs; everything else it declares is local to the stage.
+//──────────────────────────────────────────────────────────────────────────────
+
+/** Player Spawn Distribution option names, by option value */
+const DISTRIBUTION_MODE_NAMES = ['Clustered', 'Spread', 'Random', 'Teams', 'Balanced'];
+
+/**
+ * Checks whether the engine keeps LandmassRegionIds beyond WEST/EAST
+ */
+function probeRegionIdsStage(ctx) {
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CUSTOM REGION ID TEST
+  // Test if the engine accepts custom region IDs beyond WEST(2) and EAST(1)
+  // This determines whether we can implement per-continent distant lands tracking
+  // ═══════════════════════════════════════════════════════════════════════════
+  log.debug("[ContinentsPP] === CUSTOM REGION ID TEST ===");
 
   // Test setting custom region IDs (3, 4, 5) on tile (0, 0)
   const testCoordX = 0;
@@ -1229,12 +3704,12 @@ async function generateMap() {
       // Read it back
       const readBack = GameplayMap.getLandmassRegionId(testCoordX, testCoordY);
       const success = (readBack === testValue);
-      console.log(`[ContinentsPP]   setLandmassRegionId(${testCoordX}, ${testCoordY}, ${testValue}) -> readBack: ${readBack}, success: ${success}`);
+      log.trace(`[ContinentsPP]   setLandmassRegionId(${testCoordX}, ${testCoordY}, ${testValue}) -> readBack: ${readBack}, success: ${success}`);
       if (!success) {
         customRegionIdsWork = false;
       }
     } catch (e) {
-      console.log(`[ContinentsPP]   setLandmassRegionId(${testCoordX}, ${testCoordY}, ${testValue}) -> ERROR: ${e.message}`);
+      log.error(`[ContinentsPP]   setLandmassRegionId(${testCoordX}, ${testCoordY}, ${testValue}) -> ERROR: ${e.message}`);
       customRegionIdsWork = false;
     }
   }
@@ -1242,11 +3717,20 @@ async function generateMap() {
   // Reset test tile to WEST (2) for now
   TerrainBuilder.setLandmassRegionId(testCoordX, testCoordY, LandmassRegion.LANDMASS_REGION_WEST);
 
-  console.log(`[ContinentsPP] === CUSTOM REGION ID TEST RESULT: ${customRegionIdsWork ? 'SUCCESS - Custom IDs work!' : 'FAILED - Using binary WEST/EAST'} ===`);
+  log.debug(`[ContinentsPP] === CUSTOM REGION ID TEST RESULT: ${customRegionIdsWork ? 'SUCCESS - Custom IDs work!' : 'FAILED - Using binary WEST/EAST'} ===`);
 
-  // Store result globally for terrain application phase
+  // Passed on to the terrain application and island stages
   const useCustomRegionIds = customRegionIdsWork;
 
+  return { useCustomRegionIds };
+}
+
+/**
+ * Reads map info, players and setup options, then resolves the generation config
+ */
+function setupStage(ctx) {
+  const { report, useCustomRegionIds } = ctx;
+
   // Check for natural wonder event
   let naturalWonderEvent = false;
   const liveEventDBRow = GameInfo.GlobalParameters.lookup("REGISTERED_RACE_TO_WONDERS_EVENT");
@@ -1254,17 +3738,16 @@ async function generateMap() {
     naturalWonderEvent = true;
   }
 
-  console.log(`[ContinentsPP] Age: ${GameInfo.Ages.lookup(Game.age).AgeType}`);
+  log.debug(`[ContinentsPP] Age: ${GameInfo.Ages.lookup(Game.age).AgeType}`);
 
   // Get map parameters
   const iWidth = GameplayMap.getGridWidth();
   const iHeight = GameplayMap.getGridHeight();
   const uiMapSize = GameplayMap.getMapSize();
-  let startPositions = [];
   const mapInfo = GameInfo.Maps.lookup(uiMapSize);
   if (mapInfo == null) {
-    console.log("[ContinentsPP] ERROR: Could not lookup map info!");
-    return;
+    log.error("[ContinentsPP] ERROR: Could not lookup map info!");
+    return null;
   }
 
   // Track stats for final summary (populated during terrain application)
@@ -1299,34 +3782,121 @@ async function generateMap() {
   const humanCount = humanPlayerIds.length;
   const aiCount = aiPlayerIds.length;
 
-  console.log(`[ContinentsPP] Map size: ${MAP_SIZE_CONFIGS[mapSizeIndex]?.name || 'UNKNOWN'} (index: ${mapSizeIndex})`);
-  console.log(`[ContinentsPP] Dimensions: ${iWidth}x${iHeight}`);
-  console.log(`[ContinentsPP] Total players: ${iTotalPlayers} (${humanCount} human, ${aiCount} AI)`);
+  // Team per player index, for the Teams spawn mode (a player without a team is its own team)
+  const playerTeams = aliveMajorIds.map(id => Players.get(id)?.team ?? id);
+
+  log.info(`[ContinentsPP] Map size: ${MAP_SIZE_CONFIGS[mapSizeIndex]?.name || 'UNKNOWN'} (index: ${mapSizeIndex})`);
+  log.info(`[ContinentsPP] Dimensions: ${iWidth}x${iHeight}`);
+  log.info(`[ContinentsPP] Total players: ${iTotalPlayers} (${humanCount} human, ${aiCount} AI)`);
 
   // Read continent count mode from game setup options
   // Mode 0: Few (2-4) - fewer, larger continents
   // Mode 1: Many (5-7) - more, smaller continents
   // Mode 2: Random (default) - varies by map size
+  // Mode 102-110: Exact - always 2-10 continents (league games)
   let continentCountMode = 2;  // Default to Random
   try {
     const countConfigValue = Configuration.getMapValue("ContinentsPPContinentCount");
     if (countConfigValue !== undefined && countConfigValue !== null) {
       continentCountMode = parseInt(countConfigValue, 10);
-      if (isNaN(continentCountMode) || continentCountMode < 0 || continentCountMode > 2) {
+      const isPresetMode = continentCountMode >= 0 && continentCountMode <= 2;
+      if (isNaN(continentCountMode) || (!isPresetMode && !isExactContinentCount(continentCountMode))) {
         continentCountMode = 2;
       }
     }
   } catch (e) {
-    console.log(`[ContinentsPP] Could not read continent count config: ${e.message}`);
+    log.warn(`[ContinentsPP] Could not read continent count config: ${e.message}`);
+  }
+
+  log.info(`[ContinentsPP] Continent Count Mode: ${continentCountMode} (${getContinentCountModeName(continentCountMode)})`);
+
+  // Read water coverage from game setup options (target water percentage)
+  // Accepts the numeric domain values (60-80) as well as legacy "WATER_68" style values
+  let waterCoverage = WATER_COVERAGE_DEFAULT;
+  try {
+    const waterConfigValue = Configuration.getMapValue("ContinentsPPWaterCoverage");
+    if (waterConfigValue !== undefined && waterConfigValue !== null) {
+      const parsed = parseInt(String(waterConfigValue).replace(/^WATER_/, ''), 10);
+      if (WATER_COVERAGE_VALUES.includes(parsed)) {
+        waterCoverage = parsed;
+      } else {
+        log.debug(`[ContinentsPP] Unknown water coverage value "${waterConfigValue}", using default ${WATER_COVERAGE_DEFAULT}%`);
+      }
+    }
+  } catch (e) {
+    log.warn(`[ContinentsPP] Could not read water coverage config: ${e.message}`);
+  }
+  log.info(`[ContinentsPP] Water Coverage: ${waterCoverage}%`);
+
+  // Read erosion amount from game setup options
+  // Mode 0: Low, Mode 1: Medium (default), Mode 2: High
+  // Also accepts legacy "EROSION_LOW/MEDIUM/HIGH" values
+  let erosionLevel = EROSION_DEFAULT;
+  try {
+    const erosionConfigValue = Configuration.getMapValue("ContinentsPPErosion");
+    if (erosionConfigValue !== undefined && erosionConfigValue !== null) {
+      const legacyLevels = { EROSION_LOW: 0, EROSION_MEDIUM: 1, EROSION_HIGH: 2 };
+      const parsed = legacyLevels[erosionConfigValue] ?? parseInt(erosionConfigValue, 10);
+      if (EROSION_LEVELS[parsed]) {
+        erosionLevel = parsed;
+      }
+    }
+  } catch (e) {
+    log.warn(`[ContinentsPP] Could not read erosion config: ${e.message}`);
+  }
+  log.info(`[ContinentsPP] Erosion Amount: ${erosionLevel} (${EROSION_LEVELS[erosionLevel].name})`);
+
+  // Read generation preset from game setup options
+  // Mode 0: Standard (default), 1: Earth-like, 2: Pangaea-ish, 3: Archipelago, 4: Tolkien
+  let presetIndex = PRESET_DEFAULT;
+  try {
+    const presetConfigValue = Configuration.getMapValue("ContinentsPPPreset");
+    if (presetConfigValue !== undefined && presetConfigValue !== null) {
+      const parsed = parseInt(presetConfigValue, 10);
+      if (GENERATION_PRESETS[parsed]) {
+        presetIndex = parsed;
+      }
+    }
+  } catch (e) {
+    log.warn(`[ContinentsPP] Could not read preset config: ${e.message}`);
   }
+  log.info(`[ContinentsPP] Generation Preset: ${presetIndex} (${GENERATION_PRESETS[presetIndex].name})`);
 
-  const CONTINENT_COUNT_NAMES = ['Few (2-4)', 'Many (5-7)', 'Random'];
-  console.log(`[ContinentsPP] Continent Count Mode: ${continentCountMode} (${CONTINENT_COUNT_NAMES[continentCountMode]})`);
+  // Read a shared config code from game setup options (optional)
+  // A valid code replaces the setup options above and the map seed, so the
+  // generation config comes out the same; an invalid one is reported and the
+  // map is generated normally
+  let importedConfig = null;
+  try {
+    const codeConfigValue = Configuration.getMapValue("ContinentsPPConfigCode");
+    if (typeof codeConfigValue === 'string' && codeConfigValue.trim() !== '') {
+      importedConfig = decodeConfigCode(codeConfigValue);
+      if (importedConfig.mapSize !== mapSizeIndex) {
+        const reason = `it was made for a ${MAP_SIZE_CONFIGS[importedConfig.mapSize].name} map, this game is ${MAP_SIZE_CONFIGS[mapSizeIndex]?.name || 'UNKNOWN'}`;
+        log.warn(`[ContinentsPP] WARNING: Config code rejected: ${reason}`);
+        reportWarning(report, 'config', `Config code rejected: ${reason}`);
+        importedConfig = null;
+      } else {
+        continentCountMode = importedConfig.modes.continentCount;
+        waterCoverage = importedConfig.modes.water;
+        erosionLevel = importedConfig.modes.erosion;
+        presetIndex = importedConfig.modes.preset;
+        log.info(`[ContinentsPP] Config code accepted: preset ${GENERATION_PRESETS[presetIndex].name}, seed ${importedConfig.seed}`);
+        log.trace(`[ContinentsPP]   Setup options from code: count=${getContinentCountModeName(continentCountMode)}, water=${waterCoverage}%, erosion=${EROSION_LEVELS[erosionLevel]?.name}`);
+      }
+    }
+  } catch (e) {
+    log.warn(`[ContinentsPP] WARNING: Config code rejected: ${e.message}`);
+    reportWarning(report, 'config', `Config code rejected: ${e.message}`);
+    importedConfig = null;
+  }
 
   // Read player distribution mode from game setup options (Multiplayer Only)
   // Mode 0: Clustered (default) - humans on same/nearby continents
   // Mode 1: Spread - humans on different continents, preserve distant lands
   // Mode 2: Random - no special human handling
+  // Mode 3: Teams - teammates on the same or nearest continent, teams on similar land
+  // Mode 4: Balanced - continents shared as in Random, then every start evened out
   let playerDistributionMode = 0;
   try {
     const configValue = Configuration.getMapValue("ContinentsPPPlayerDistribution");
@@ -1334,36 +3904,160 @@ async function generateMap() {
       playerDistributionMode = parseInt(configValue, 10) || 0;
     }
   } catch (e) {
-    console.log(`[ContinentsPP] Could not read player distribution config: ${e.message}`);
+    log.warn(`[ContinentsPP] Could not read player distribution config: ${e.message}`);
+  }
+  if (importedConfig) {
+    playerDistributionMode = importedConfig.modes.distribution;
+  }
+
+  // Read the Balanced mode band (max % gap between the best and worst start)
+  let balanceBand = BALANCE_BAND_DEFAULT;
+  try {
+    const bandConfigValue = Configuration.getMapValue("ContinentsPPBalanceBand");
+    if (bandConfigValue !== undefined && bandConfigValue !== null) {
+      const parsed = parseInt(bandConfigValue, 10);
+      if (BALANCE_BAND_VALUES.includes(parsed)) {
+        balanceBand = parsed;
+      }
+    }
+  } catch (e) {
+    log.warn(`[ContinentsPP] Could not read balance band config: ${e.message}`);
+  }
+  // A code made before the option existed was made with the default, whatever the lobby says
+  if (importedConfig) {
+    balanceBand = importedConfig.modes.balanceBand ?? BALANCE_BAND_DEFAULT;
+  }
+
+  // Read the Chokepoints option
+  // Mode 0: Off (default), 1: Few, 2: Many
+  let chokepointLevel = CHOKEPOINT_DEFAULT;
+  try {
+    const chokepointConfigValue = Configuration.getMapValue("ContinentsPPChokepoints");
+    if (chokepointConfigValue !== undefined && chokepointConfigValue !== null) {
+      const parsed = parseInt(chokepointConfigValue, 10);
+      if (CHOKEPOINT_LEVELS[parsed]) {
+        chokepointLevel = parsed;
+      }
+    }
+  } catch (e) {
+    log.warn(`[ContinentsPP] Could not read chokepoints config: ${e.message}`);
+  }
+  if (importedConfig) {
+    chokepointLevel = importedConfig.modes.chokepoints ?? CHOKEPOINT_DEFAULT;
+  }
+  log.info(`[ContinentsPP] Chokepoints: ${chokepointLevel} (${CHOKEPOINT_LEVELS[chokepointLevel].name})`);
+
+  // Read the Land Bridges option
+  // Mode 0: Off (default), 1: One, 2: Several
+  let landBridgeLevel = LAND_BRIDGE_DEFAULT;
+  try {
+    const landBridgeConfigValue = Configuration.getMapValue("ContinentsPPLandBridges");
+    if (landBridgeConfigValue !== undefined && landBridgeConfigValue !== null) {
+      const parsed = parseInt(landBridgeConfigValue, 10);
+      if (LAND_BRIDGE_LEVELS[parsed]) {
+        landBridgeLevel = parsed;
+      }
+    }
+  } catch (e) {
+    log.warn(`[ContinentsPP] Could not read land bridges config: ${e.message}`);
+  }
+  if (importedConfig) {
+    landBridgeLevel = importedConfig.modes.landBridges ?? LAND_BRIDGE_DEFAULT;
   }
+  log.info(`[ContinentsPP] Land Bridges: ${landBridgeLevel} (${LAND_BRIDGE_LEVELS[landBridgeLevel].name})`);
 
-  const DISTRIBUTION_MODE_NAMES = ['Clustered', 'Spread', 'Random'];
   const originalMode = playerDistributionMode;
 
   // SINGLE HUMAN OVERRIDE: Clustered/Spread modes only make sense with multiple humans
   // Force Mode 2 (Random) for single human or all-AI games
   // The companion/bridge logic in Mode 2 handles safety for isolated players
-  if (humanCount <= 1 && playerDistributionMode !== 2) {
+  // Teams mode instead needs at least one team of 2+ players (AI teams count too)
+  // Balanced evens out every start, AI included, so it applies to any game
+  const teams = groupPlayersByTeam(playerTeams);
+  const teamCount = teams.filter(t => t.members.length >= 2).length;
+  const needsOverride = playerDistributionMode === 3
+    ? teamCount === 0
+    : humanCount <= 1 && playerDistributionMode !== 2 && playerDistributionMode !== 4;
+  if (needsOverride) {
     playerDistributionMode = 2;
-    console.log(`[ContinentsPP] Player Distribution Mode: ${originalMode} (${DISTRIBUTION_MODE_NAMES[originalMode]}) → OVERRIDE to 2 (Random)`);
-    console.log(`[ContinentsPP]   Reason: ${humanCount === 0 ? 'No human players' : 'Single human player'} - Clustered/Spread only apply to multiplayer`);
+    log.info(`[ContinentsPP] Player Distribution Mode: ${originalMode} (${DISTRIBUTION_MODE_NAMES[originalMode]}) → OVERRIDE to 2 (Random)`);
+    if (originalMode === 3) {
+      log.trace(`[ContinentsPP]   Reason: No team has more than one player`);
+    } else {
+      log.trace(`[ContinentsPP]   Reason: ${humanCount === 0 ? 'No human players' : 'Single human player'} - Clustered/Spread only apply to multiplayer`);
+    }
   } else {
-    console.log(`[ContinentsPP] Player Distribution Mode: ${playerDistributionMode} (${DISTRIBUTION_MODE_NAMES[playerDistributionMode] || 'Unknown'})`);
+    log.info(`[ContinentsPP] Player Distribution Mode: ${playerDistributionMode} (${DISTRIBUTION_MODE_NAMES[playerDistributionMode] || 'Unknown'})`);
+  }
+  if (playerDistributionMode === 4) {
+    log.info(`[ContinentsPP] Balanced Start Band: ${balanceBand}%`);
+  }
+  if (playerDistributionMode === 3) {
+    log.debug(`[ContinentsPP] Teams: ${teams.map(t => `T${t.team} = ${t.members.map(i => `P${i}`).join(' + ')}`).join(', ')}`);
   }
 
   // Get map seed for reproducible randomization
-  const mapSeed = GameplayMap.getRandomSeed();
-  console.log(`[ContinentsPP] Map seed: ${mapSeed}`);
+  // An imported code brings its own seed for the Continents++ post-processing steps;
+  // the Voronoi simulation itself always uses the game's seed
+  const gameSeed = GameplayMap.getRandomSeed();
+  const mapSeed = importedConfig ? importedConfig.seed : gameSeed;
+  log.info(`[ContinentsPP] Map seed: ${mapSeed}`);
+  const rng = createRngService(mapSeed);
+  if (importedConfig && importedConfig.seed !== gameSeed) {
+    log.warn(`[ContinentsPP] WARNING: Config code was made with map seed ${importedConfig.seed} but this game uses ${gameSeed}`);
+    reportWarning(report, 'config', `Config code was made with map seed ${importedConfig.seed} but this game uses ${gameSeed}`);
+    log.warn(`[ContinentsPP]   Parameters will match, but landmass shapes differ — set the map seed to ${importedConfig.seed} to reproduce the exact map`);
+  }
+
+  // Generate randomized configuration based on map size, seed and setup options
+  // (an imported code supplies all three, so its config is rebuilt exactly)
+  const randomConfig = generateRandomizedConfig(mapSizeIndex, rng.stream('config'), continentCountMode, waterCoverage, erosionLevel, presetIndex);
+
+  report.config = {
+    mapSize: MAP_SIZE_CONFIGS[mapSizeIndex]?.name || 'UNKNOWN',
+    mapSizeIndex,
+    width: iWidth,
+    height: iHeight,
+    seed: mapSeed,
+    gameSeed,
+    imported: importedConfig !== null,
+    modes: {
+      continentCount: continentCountMode,
+      continentCountName: getContinentCountModeName(continentCountMode),
+      distribution: playerDistributionMode,
+      distributionName: DISTRIBUTION_MODE_NAMES[playerDistributionMode],
+      requestedDistribution: originalMode,
+      balanceBand,
+      chokepoints: chokepointLevel,
+      landBridges: landBridgeLevel,
+      water: waterCoverage,
+      erosion: erosionLevel,
+      preset: presetIndex
+    },
+    players: { total: iTotalPlayers, humans: humanCount, ais: aiCount },
+    customRegionIds: useCustomRegionIds,
+    generation: randomConfig,
+    code: null  // Filled in with the summary
+  };
 
-  // Generate randomized configuration based on map size, seed, and continent count mode
-  const randomConfig = generateRandomizedConfig(mapSizeIndex, mapSeed, continentCountMode);
+  return { iTotalPlayers, mapSizeIndex, continentCountMode, randomConfig, humanCount, aiCount,
+    playerDistributionMode, playerTeams, iWidth, iHeight, mapStats, mapSeed, rng, naturalWonderEvent,
+    iNumNaturalWonders, iTilesPerLake, aliveMajorIds, waterCoverage, erosionLevel, presetIndex,
+    importedConfig, originalMode, balanceBand, chokepointLevel, landBridgeLevel };
+}
+
+/**
+ * Builds the Voronoi generator and sizes each continent's player capacity
+ */
+function voronoiStage(ctx) {
+  const { report, iTotalPlayers, mapSizeIndex, continentCountMode, randomConfig } = ctx;
 
   //────────────────────────────────────────────────────────────────────────────
   // VORONOI PLATE TECTONICS GENERATION
   //────────────────────────────────────────────────────────────────────────────
 
-  console.log("[ContinentsPP] Initializing Voronoi plate tectonics simulation...");
-  console.log(`[ContinentsPP] Using UnifiedContinentsBase for ${randomConfig.landmassCount} continents`);
+  log.debug("[ContinentsPP] Initializing Voronoi plate tectonics simulation...");
+  log.debug(`[ContinentsPP] Using UnifiedContinentsBase for ${randomConfig.landmassCount} continents`);
 
   // Create default generator settings (similar to continentSettings in base game)
   // These get merged with UnifiedContinentsBase's applySettings() calculations
@@ -1403,13 +4097,13 @@ async function generateMap() {
   // Set m_settings BEFORE initInternal() - applySettings() reads these during init
   try {
     const voronoiSettings = voronoiMap.getSettings();
-    console.log(`[ContinentsPP] Default settings: landmassCount=${voronoiSettings.landmassCount}, totalLandmassSize=${voronoiSettings.totalLandmassSize}`);
+    log.debug(`[ContinentsPP] Default settings: landmassCount=${voronoiSettings.landmassCount}, totalLandmassSize=${voronoiSettings.totalLandmassSize}`);
 
     voronoiSettings.landmassCount = randomConfig.landmassCount;
     voronoiSettings.totalLandmassSize = randomConfig.totalLandmassSize;
-    console.log(`[ContinentsPP] Modified settings: landmassCount=${voronoiSettings.landmassCount}, totalLandmassSize=${voronoiSettings.totalLandmassSize}`);
+    log.debug(`[ContinentsPP] Modified settings: landmassCount=${voronoiSettings.landmassCount}, totalLandmassSize=${voronoiSettings.totalLandmassSize}`);
   } catch (e) {
-    console.log(`[ContinentsPP] Warning: Could not modify pre-init settings: ${e.message}`);
+    log.warn(`[ContinentsPP] Warning: Could not modify pre-init settings: ${e.message}`);
   }
 
   // Initialize with map size using initInternal (UnifiedContinentsBase doesn't have init())
@@ -1426,16 +4120,16 @@ async function generateMap() {
       relaxationSteps,
       wrapType
     );
-    console.log("[ContinentsPP] Voronoi generator initialized successfully");
+    log.debug("[ContinentsPP] Voronoi generator initialized successfully");
   } catch (e) {
-    console.log(`[ContinentsPP] ERROR during initInternal: ${e.message}`);
-    console.log(`[ContinentsPP] Stack: ${e.stack}`);
+    log.error(`[ContinentsPP] ERROR during initInternal: ${e.message}`);
+    log.error(`[ContinentsPP] Stack: ${e.stack}`);
     throw e;
   }
 
   // Get generator settings and apply our randomized configuration (erosion, islands, etc.)
   const generatorSettings = voronoiMap.getGenerator().getSettings();
-  console.log(`[ContinentsPP] Post-init landmass count: ${generatorSettings.landmass.length}`);
+  log.debug(`[ContinentsPP] Post-init landmass count: ${generatorSettings.landmass.length}`);
   applyRandomizedConfig(generatorSettings, randomConfig);
 
   // Configure Voronoi rules for continent generation
@@ -1446,7 +4140,7 @@ async function generateMap() {
       if (rule.name == RuleAvoidEdge.getName()) {
         rule.configValues.poleDistance = globals.g_PolarWaterRows;  // Hard cutoff (2 tiles)
         rule.configValues.poleDistanceFalloff = 3;  // Reduced from 6 to allow land closer to poles
-        console.log(`[ContinentsPP] Set pole avoidance: poleDistance=${rule.configValues.poleDistance}, falloff=${rule.configValues.poleDistanceFalloff}`);
+        log.debug(`[ContinentsPP] Set pole avoidance: poleDistance=${rule.configValues.poleDistance}, falloff=${rule.configValues.poleDistanceFalloff}`);
       }
       // Randomized ocean distance between continents (varies per map for unpredictability)
       // minDistance: minimum guaranteed ocean tiles between landmasses
@@ -1454,7 +4148,7 @@ async function generateMap() {
       if (rule.name == RuleAvoidOtherRegions.getName()) {
         rule.configValues.minDistance = randomConfig.continentSeparation;
         rule.configValues.distanceFalloff = randomConfig.separationFalloff;
-        console.log(`[ContinentsPP] Set continent separation: minDistance=${rule.configValues.minDistance}, falloff=${rule.configValues.distanceFalloff}`);
+        log.debug(`[ContinentsPP] Set continent separation: minDistance=${rule.configValues.minDistance}, falloff=${rule.configValues.distanceFalloff}`);
       }
     }
   }
@@ -1465,19 +4159,29 @@ async function generateMap() {
     const baseDistance = 0.65 + (i * 0.05);  // Stagger distances slightly
     generatorSettings.landmass[i].spawnCenterDistance = Math.min(0.85, baseDistance);
   }
-  console.log(`[ContinentsPP] Continent spawn distances: ${generatorSettings.landmass.map((l, i) => l.spawnCenterDistance.toFixed(2)).join(', ')}`);
+  log.debug(`[ContinentsPP] Continent spawn distances: ${generatorSettings.landmass.map((l, i) => l.spawnCenterDistance.toFixed(2)).join(', ')}`);
 
   // SIZE-AWARE PLAYER DISTRIBUTION
   // Small continents get max 2 civs, overflow goes to larger continents
   // This ensures players aren't crammed together on small landmasses
   const landmassCount = generatorSettings.landmass.length;
 
-  console.log(`[ContinentsPP] === SIZE-AWARE PLAYER DISTRIBUTION ===`);
+  log.debug(`[ContinentsPP] === SIZE-AWARE PLAYER DISTRIBUTION ===`);
 
   // Reserve at least 1 continent as uninhabited (distant lands)
-  const continentsForPlayers = Math.max(1, landmassCount - 1);
+  // Exact counts can be far from what the player count needs, so only open as many
+  // continents as give every inhabited one ~2 civs; the surplus becomes Distant Lands
+  let continentsForPlayers = Math.max(1, landmassCount - 1);
+  if (isExactContinentCount(continentCountMode)) {
+    continentsForPlayers = Math.min(landmassCount - 1, Math.max(1, Math.ceil(iTotalPlayers / 2)));
+    const playersPerContinent = iTotalPlayers / continentsForPlayers;
+    if (playersPerContinent > 4) {
+      log.warn(`[ContinentsPP] WARNING: ${landmassCount} continents is tight for ${iTotalPlayers} players (~${playersPerContinent.toFixed(1)} civs per inhabited continent)`);
+      reportWarning(report, 'distribution', `${landmassCount} continents is tight for ${iTotalPlayers} players`);
+    }
+  }
   const distantLandContinents = landmassCount - continentsForPlayers;
-  console.log(`[ContinentsPP] Reserving ${distantLandContinents} continent(s) as Distant Lands (uninhabited)`);
+  log.debug(`[ContinentsPP] Reserving ${distantLandContinents} continent(s) as Distant Lands (uninhabited)`);
 
   // Gather continent sizes (set by applySettings during init)
   // These are relative size values that determine how many tiles each continent gets
@@ -1500,10 +4204,10 @@ async function generateMap() {
   continentInfo.sort((a, b) => b.size - a.size);
 
   // Log sizes
-  console.log(`[ContinentsPP] Continent sizes (avg=${avgSize.toFixed(2)}):`);
+  log.debug(`[ContinentsPP] Continent sizes (avg=${avgSize.toFixed(2)}):`);
   for (const c of continentInfo) {
     const sizeRatio = c.size / avgSize;
-    console.log(`[ContinentsPP]   Continent ${c.index + 1}: size=${c.size.toFixed(2)}, ratio=${sizeRatio.toFixed(2)}x avg`);
+    log.trace(`[ContinentsPP]   Continent ${c.index + 1}: size=${c.size.toFixed(2)}, ratio=${sizeRatio.toFixed(2)}x avg`);
   }
 
   // Determine max players per continent based on relative size
@@ -1531,18 +4235,29 @@ async function generateMap() {
     totalCapacity += continent.maxPlayers;
   }
 
-  console.log(`[ContinentsPP] Capacity by size: ${continentInfo.map(c => `C${c.index + 1}:max${c.maxPlayers}`).join(', ')}`);
-  console.log(`[ContinentsPP] Total capacity: ${totalCapacity}, Players to place: ${iTotalPlayers}`);
+  log.debug(`[ContinentsPP] Capacity by size: ${continentInfo.map(c => `C${c.index + 1}:max${c.maxPlayers}`).join(', ')}`);
+  log.debug(`[ContinentsPP] Total capacity: ${totalCapacity}, Players to place: ${iTotalPlayers}`);
+
+  return { voronoiMap, generatorSettings, landmassCount, continentInfo, totalSize };
+}
+
+/**
+ * Assigns players to continents by distribution mode and tunes erosion/islands per continent
+ */
+function distributePlayersStage(ctx) {
+  const { report, iTotalPlayers, humanCount, aiCount, playerDistributionMode, playerTeams,
+    randomConfig, voronoiMap, generatorSettings, landmassCount, continentInfo, totalSize } = ctx;
 
   //────────────────────────────────────────────────────────────────────────────
   // PLAYER DISTRIBUTION: Based on playerDistributionMode setting
   // Mode 0: Clustered - humans on same/nearby continents (cooperative)
   // Mode 1: Spread - humans on different continents, preserve distant lands (competitive)
   // Mode 2: Random - proportional distribution, no human priority (chaos)
+  // Mode 3: Teams - each team on its own continent of similar size
   //────────────────────────────────────────────────────────────────────────────
 
-  console.log(`[ContinentsPP] === PLAYER DISTRIBUTION (Mode ${playerDistributionMode}: ${DISTRIBUTION_MODE_NAMES[playerDistributionMode]}) ===`);
-  console.log(`[ContinentsPP] Human players: ${humanCount}, AI players: ${aiCount}, Available continents: ${continentInfo.length}`);
+  log.debug(`[ContinentsPP] === PLAYER DISTRIBUTION (Mode ${playerDistributionMode}: ${DISTRIBUTION_MODE_NAMES[playerDistributionMode]}) ===`);
+  log.debug(`[ContinentsPP] Human players: ${humanCount}, AI players: ${aiCount}, Available continents: ${continentInfo.length}`);
 
   // Track which continents have been assigned human players
   const continentsWithHumans = new Set();
@@ -1554,7 +4269,7 @@ async function generateMap() {
     // Fill largest continent first, overflow to next largest only when needed
     // Maximizes distant lands for shared exploration
     //──────────────────────────────────────────────────────────────────────────
-    console.log(`[ContinentsPP] Clustered: Grouping humans on fewest continents possible`);
+    log.debug(`[ContinentsPP] Clustered: Grouping humans on fewest continents possible`);
 
     let humansToAssign = humanCount;
     let aisToAssign = aiCount;
@@ -1571,7 +4286,7 @@ async function generateMap() {
         continent.hasHuman = true;
         continentsWithHumans.add(continent.index);
         humansToAssign -= humansForThis;
-        console.log(`[ContinentsPP]   ${humansForThis} human(s) → Continent ${continent.index + 1} (size=${continent.size.toFixed(2)})`);
+        log.trace(`[ContinentsPP]   ${humansForThis} human(s) → Continent ${continent.index + 1} (size=${continent.size.toFixed(2)})`);
       }
     }
 
@@ -1594,7 +4309,7 @@ async function generateMap() {
     }
 
     const humanContinentCount = continentsWithHumans.size;
-    console.log(`[ContinentsPP] Humans clustered on ${humanContinentCount} continent(s): ${[...continentsWithHumans].map(i => i + 1).join(', ')}`);
+    log.debug(`[ContinentsPP] Humans clustered on ${humanContinentCount} continent(s): ${[...continentsWithHumans].map(i => i + 1).join(', ')}`);
 
   } else if (playerDistributionMode === 1 && humanCount > 0) {
     //──────────────────────────────────────────────────────────────────────────
@@ -1603,14 +4318,14 @@ async function generateMap() {
     // RULE: Humans need AI companion UNLESS there's a bridge to another inhabited continent
     // (Corridor islands connect all inhabited continents, so 2+ inhabited = bridges exist)
     //──────────────────────────────────────────────────────────────────────────
-    console.log(`[ContinentsPP] Spread: Separating humans across continents (preserving distant lands)`);
+    log.debug(`[ContinentsPP] Spread: Separating humans across continents (preserving distant lands)`);
 
     let humansToAssign = humanCount;
     let aisToAssign = aiCount;
 
     // Calculate max continents for players (always reserve 1 for distant lands)
     const maxInhabitedContinents = Math.max(1, continentInfo.length - 1);
-    console.log(`[ContinentsPP]   Max inhabited continents: ${maxInhabitedContinents} (reserving 1 for distant lands)`);
+    log.trace(`[ContinentsPP]   Max inhabited continents: ${maxInhabitedContinents} (reserving 1 for distant lands)`);
 
     // Determine if humans can be alone (bridges exist if 2+ inhabited continents)
     // If only 1 continent will be inhabited, humans need AI companions
@@ -1618,7 +4333,7 @@ async function generateMap() {
 
     if (!willHaveBridges && humanCount === 1 && aiCount >= 1) {
       // Single human, need AI companion, no bridges → put both on same continent
-      console.log(`[ContinentsPP]   Single human with no bridges possible - adding AI companion`);
+      log.trace(`[ContinentsPP]   Single human with no bridges possible - adding AI companion`);
       const largestContinent = continentInfo[0];
       largestContinent.assignedPlayers = 2;  // 1 human + 1 AI
       largestContinent.hasHuman = true;
@@ -1641,12 +4356,12 @@ async function generateMap() {
         continentsWithHumans.add(continent.index);
         humansToAssign--;
         inhabitedCount++;
-        console.log(`[ContinentsPP]   Human → Continent ${continent.index + 1} (size=${continent.size.toFixed(2)})`);
+        log.trace(`[ContinentsPP]   Human → Continent ${continent.index + 1} (size=${continent.size.toFixed(2)})`);
       }
 
       // If still have humans but hit max continents, add to existing inhabited ones
       if (humansToAssign > 0) {
-        console.log(`[ContinentsPP]   ${humansToAssign} human(s) must share (preserving distant lands)`);
+        log.trace(`[ContinentsPP]   ${humansToAssign} human(s) must share (preserving distant lands)`);
         for (const continent of continentInfo) {
           if (humansToAssign <= 0) break;
           if (!continent.hasHuman) continue;
@@ -1669,20 +4384,20 @@ async function generateMap() {
     // Reserve AIs for companion duty BEFORE proportional distribution
     const soloHumanContinents = continentInfo.filter(c => c.hasHuman && c.assignedPlayers === 1);
     if (soloHumanContinents.length > 0) {
-      console.log(`[ContinentsPP]   Companion guarantee: ${soloHumanContinents.length} human continent(s) need companions`);
+      log.trace(`[ContinentsPP]   Companion guarantee: ${soloHumanContinents.length} human continent(s) need companions`);
 
       // Phase 1: Assign available AIs as companions
       for (const continent of soloHumanContinents) {
         if (aisToAssign <= 0) break;
         continent.assignedPlayers++;
         aisToAssign--;
-        console.log(`[ContinentsPP]     +1 AI companion → Continent ${continent.index + 1}`);
+        log.trace(`[ContinentsPP]     +1 AI companion → Continent ${continent.index + 1}`);
       }
 
       // Phase 2: If not enough AIs, consolidate lonely humans onto populated continents
       const stillAlone = continentInfo.filter(c => c.hasHuman && c.assignedPlayers === 1);
       if (stillAlone.length > 0) {
-        console.log(`[ContinentsPP]   Not enough AIs - consolidating ${stillAlone.length} lonely human(s)`);
+        log.trace(`[ContinentsPP]   Not enough AIs - consolidating ${stillAlone.length} lonely human(s)`);
         for (const lonely of stillAlone) {
           // Prefer another human continent with room
           const recipient = continentInfo.find(
@@ -1697,7 +4412,7 @@ async function generateMap() {
               recipient.hasHuman = true;
               continentsWithHumans.add(recipient.index);
             }
-            console.log(`[ContinentsPP]     Human consolidated: Continent ${lonely.index + 1} → ${recipient.index + 1}`);
+            log.trace(`[ContinentsPP]     Human consolidated: Continent ${lonely.index + 1} → ${recipient.index + 1}`);
           } else {
             // Last resort: find ANY continent with players
             const anyTarget = continentInfo.find(
@@ -1710,7 +4425,7 @@ async function generateMap() {
               anyTarget.assignedPlayers++;
               anyTarget.hasHuman = true;
               continentsWithHumans.add(anyTarget.index);
-              console.log(`[ContinentsPP]     Human consolidated (fallback): Continent ${lonely.index + 1} → ${anyTarget.index + 1}`);
+              log.trace(`[ContinentsPP]     Human consolidated (fallback): Continent ${lonely.index + 1} → ${anyTarget.index + 1}`);
             }
           }
         }
@@ -1746,7 +4461,8 @@ async function generateMap() {
       }
       // If inhabited continents full, must use uninhabited (rare edge case)
       if (!assignedAny && aisToAssign > 0) {
-        console.log(`[ContinentsPP]   WARNING: Inhabited continents full, ${aisToAssign} AI(s) overflow to other continents`);
+        log.warn(`[ContinentsPP]   WARNING: Inhabited continents full, ${aisToAssign} AI(s) overflow to other continents`);
+        reportWarning(report, 'distribution', `Inhabited continents full, ${aisToAssign} AI(s) overflow to other continents`);
         for (const continent of continentInfo) {
           if (aisToAssign <= 0) break;
           if (continent.assignedPlayers < continent.maxPlayers) {
@@ -1763,16 +4479,33 @@ async function generateMap() {
 
     const humanContinents = continentInfo.filter(c => c.hasHuman).map(c => c.index + 1);
     const distantLandCount = continentInfo.filter(c => c.assignedPlayers === 0).length;
-    console.log(`[ContinentsPP] Humans spread to continents: ${humanContinents.join(', ')}`);
-    console.log(`[ContinentsPP] Distant lands preserved: ${distantLandCount} continent(s)`);
+    log.debug(`[ContinentsPP] Humans spread to continents: ${humanContinents.join(', ')}`);
+    log.debug(`[ContinentsPP] Distant lands preserved: ${distantLandCount} continent(s)`);
+
+  } else if (playerDistributionMode === 3) {
+    //──────────────────────────────────────────────────────────────────────────
+    // MODE 3: TEAMS - Teammates share a continent, teams get similar-sized ones
+    // Solo players join inhabited continents; the rest stay Distant Lands
+    //──────────────────────────────────────────────────────────────────────────
+    const teams = groupPlayersByTeam(playerTeams);
+    log.debug(`[ContinentsPP] Teams: Planning ${teams.filter(t => t.members.length >= 2).length} team(s) onto ${continentInfo.length} continent(s)`);
+
+    const { counts, placements } = planTeamContinents(teams, continentInfo);
+    continentInfo.forEach((continent, i) => {
+      continent.assignedPlayers = counts[i];
+    });
+    for (const { team, continent, count } of placements) {
+      log.trace(`[ContinentsPP]   Team ${team}: ${count} player(s) → Continent ${continentInfo[continent].index + 1} (size=${continentInfo[continent].size.toFixed(2)})`);
+    }
 
   } else {
     //──────────────────────────────────────────────────────────────────────────
     // MODE 2: RANDOM - Proportional distribution, no human priority
     // Maximum unpredictability - humans might be together or apart
     // BUT: Still enforce human+AI rule if no bridges possible
+    // Mode 4 (Balanced) shares continents the same way; START BALANCE evens the starts
     //──────────────────────────────────────────────────────────────────────────
-    console.log(`[ContinentsPP] Random: Proportional distribution (no human priority)`);
+    log.debug(`[ContinentsPP] Random: Proportional distribution (no human priority)`);
 
     // First pass: proportional distribution by continent size
     for (const continent of continentInfo) {
@@ -1804,7 +4537,7 @@ async function generateMap() {
     // Because that 1 player could be the human, leaving them isolated
     // Goal: every continent has 0 or 2+ players
     if (humanCount >= 1 && iTotalPlayers >= 2) {
-      console.log(`[ContinentsPP] Random: ${humanCount} human(s) - checking for single-player continents`);
+      log.debug(`[ContinentsPP] Random: ${humanCount} human(s) - checking for single-player continents`);
 
       let fixNeeded = true;
       let iterations = 0;
@@ -1819,14 +4552,14 @@ async function generateMap() {
         const multiPlayerContinents = continentInfo.filter(c => c.assignedPlayers >= 2);
 
         for (const lonely of singlePlayerContinents) {
-          console.log(`[ContinentsPP]   Continent ${lonely.index + 1} has only 1 player`);
+          log.trace(`[ContinentsPP]   Continent ${lonely.index + 1} has only 1 player`);
 
           // Option 1: Pull a player from a multi-player continent to join the lonely one
           const donor = multiPlayerContinents.find(c => c.assignedPlayers >= 3);
           if (donor) {
             donor.assignedPlayers--;
             lonely.assignedPlayers++;
-            console.log(`[ContinentsPP]   Moved player from continent ${donor.index + 1} to ${lonely.index + 1}`);
+            log.trace(`[ContinentsPP]   Moved player from continent ${donor.index + 1} to ${lonely.index + 1}`);
             fixNeeded = true;
             break;
           }
@@ -1838,27 +4571,29 @@ async function generateMap() {
           if (recipient) {
             lonely.assignedPlayers--;
             recipient.assignedPlayers++;
-            console.log(`[ContinentsPP]   Moved player from continent ${lonely.index + 1} to ${recipient.index + 1}`);
+            log.trace(`[ContinentsPP]   Moved player from continent ${lonely.index + 1} to ${recipient.index + 1}`);
             fixNeeded = true;
             break;
           }
 
           // Option 3: If lonely is on a continent by itself with no options, leave it
           // (This shouldn't happen with normal player counts)
-          console.log(`[ContinentsPP]   WARNING: Could not fix single-player continent ${lonely.index + 1}`);
+          log.warn(`[ContinentsPP]   WARNING: Could not fix single-player continent ${lonely.index + 1}`);
+          reportWarning(report, 'distribution', `Could not fix single-player continent ${lonely.index + 1}`);
         }
       }
 
       // Final check
       const remainingSingles = continentInfo.filter(c => c.assignedPlayers === 1);
       if (remainingSingles.length > 0) {
-        console.log(`[ContinentsPP] WARNING: ${remainingSingles.length} continent(s) still have only 1 player`);
+        log.warn(`[ContinentsPP] WARNING: ${remainingSingles.length} continent(s) still have only 1 player`);
+        reportWarning(report, 'distribution', `${remainingSingles.length} continent(s) still have only 1 player`);
       } else {
-        console.log(`[ContinentsPP] All continents have 0 or 2+ players - human isolation prevented`);
+        log.debug(`[ContinentsPP] All continents have 0 or 2+ players - human isolation prevented`);
       }
     }
 
-    console.log(`[ContinentsPP] Players distributed proportionally by continent size`);
+    log.debug(`[ContinentsPP] Players distributed proportionally by continent size`);
   }
 
   //────────────────────────────────────────────────────────────────────────────
@@ -1867,13 +4602,13 @@ async function generateMap() {
   // For Random mode (no hasHuman tracking): ensure no single-player continents
   //────────────────────────────────────────────────────────────────────────────
   if (iTotalPlayers >= 2) {
-    console.log(`[ContinentsPP] === COMPANION GUARANTEE (Final Check) ===`);
+    log.debug(`[ContinentsPP] === COMPANION GUARANTEE (Final Check) ===`);
     let guaranteeFixes = 0;
 
     // Check human-flagged continents (Clustered and Spread modes set hasHuman)
     for (const continent of continentInfo) {
       if (continent.hasHuman && continent.assignedPlayers < 2) {
-        console.log(`[ContinentsPP]   Continent ${continent.index + 1} has human but only ${continent.assignedPlayers} player(s)`);
+        log.trace(`[ContinentsPP]   Continent ${continent.index + 1} has human but only ${continent.assignedPlayers} player(s)`);
 
         // Try to pull a player from a continent with 3+
         const donor = continentInfo.find(c => c !== continent && c.assignedPlayers >= 3);
@@ -1881,7 +4616,7 @@ async function generateMap() {
           donor.assignedPlayers--;
           continent.assignedPlayers++;
           guaranteeFixes++;
-          console.log(`[ContinentsPP]   Pulled 1 player: Continent ${donor.index + 1} (${donor.assignedPlayers}) → ${continent.index + 1} (${continent.assignedPlayers})`);
+          log.trace(`[ContinentsPP]   Pulled 1 player: Continent ${donor.index + 1} (${donor.assignedPlayers}) → ${continent.index + 1} (${continent.assignedPlayers})`);
         } else {
           // Consolidate: move human to a populated continent
           const recipient = continentInfo.find(
@@ -1893,7 +4628,7 @@ async function generateMap() {
             recipient.assignedPlayers++;
             recipient.hasHuman = true;
             guaranteeFixes++;
-            console.log(`[ContinentsPP]   Human consolidated: Continent ${continent.index + 1} → ${recipient.index + 1}`);
+            log.trace(`[ContinentsPP]   Human consolidated: Continent ${continent.index + 1} → ${recipient.index + 1}`);
           }
         }
       }
@@ -1907,7 +4642,7 @@ async function generateMap() {
         donor.assignedPlayers--;
         continent.assignedPlayers++;
         guaranteeFixes++;
-        console.log(`[ContinentsPP]   Fixed single-player Continent ${continent.index + 1}: pulled from ${donor.index + 1}`);
+        log.trace(`[ContinentsPP]   Fixed single-player Continent ${continent.index + 1}: pulled from ${donor.index + 1}`);
       } else {
         const recipient = continentInfo.find(
           c => c !== continent && c.assignedPlayers >= 2 && c.assignedPlayers < c.maxPlayers
@@ -1916,23 +4651,24 @@ async function generateMap() {
           continent.assignedPlayers--;
           recipient.assignedPlayers++;
           guaranteeFixes++;
-          console.log(`[ContinentsPP]   Consolidated single player: Continent ${continent.index + 1} → ${recipient.index + 1}`);
+          log.trace(`[ContinentsPP]   Consolidated single player: Continent ${continent.index + 1} → ${recipient.index + 1}`);
         }
       }
     }
 
     if (guaranteeFixes > 0) {
-      console.log(`[ContinentsPP]   Applied ${guaranteeFixes} companion guarantee fix(es)`);
+      log.trace(`[ContinentsPP]   Applied ${guaranteeFixes} companion guarantee fix(es)`);
+      reportFix(report, 'distribution', 'companionGuarantee', { count: guaranteeFixes });
     } else {
-      console.log(`[ContinentsPP]   All continents satisfy companion guarantee`);
+      log.trace(`[ContinentsPP]   All continents satisfy companion guarantee`);
     }
 
     // CAPACITY TRACKING: Log final per-continent breakdown
-    console.log(`[ContinentsPP] === CAPACITY TRACKING ===`);
+    log.debug(`[ContinentsPP] === CAPACITY TRACKING ===`);
     for (const continent of continentInfo) {
       const utilization = continent.maxPlayers > 0
         ? ((continent.assignedPlayers / continent.maxPlayers) * 100).toFixed(0) : 0;
-      console.log(`[ContinentsPP]   Continent ${continent.index + 1}: ${continent.assignedPlayers}/${continent.maxPlayers} players (${utilization}% capacity)${continent.hasHuman ? ' [HUMAN]' : ''}`);
+      log.trace(`[ContinentsPP]   Continent ${continent.index + 1}: ${continent.assignedPlayers}/${continent.maxPlayers} players (${utilization}% capacity)${continent.hasHuman ? ' [HUMAN]' : ''}`);
     }
   }
 
@@ -1948,23 +4684,25 @@ async function generateMap() {
   }
 
   const playerDistribution = generatorSettings.landmass.map((l, i) => `C${i+1}: ${l.playerAreas}`).join(', ');
-  console.log(`[ContinentsPP] Final distribution: ${playerDistribution}`);
+  log.debug(`[ContinentsPP] Final distribution: ${playerDistribution}`);
 
   // Log homeland vs distant lands assignment
-  console.log(`[ContinentsPP] === HOMELAND / DISTANT LANDS ASSIGNMENT ===`);
+  log.debug(`[ContinentsPP] === HOMELAND / DISTANT LANDS ASSIGNMENT ===`);
   for (let i = 0; i < generatorSettings.landmass.length; i++) {
     const hasPlayers = generatorSettings.landmass[i].playerAreas > 0;
     const region = hasPlayers ? 'WEST (Homeland)' : 'EAST (Distant Lands)';
     const playerCount = generatorSettings.landmass[i].playerAreas;
     const info = continentInfo.find(c => c.index === i);
     const sizeInfo = info ? ` (size=${info.size.toFixed(2)}, max=${info.maxPlayers})` : ' (distant lands)';
-    console.log(`[ContinentsPP]   Continent ${i + 1}: ${region} - ${playerCount} player(s)${sizeInfo}`);
+    log.trace(`[ContinentsPP]   Continent ${i + 1}: ${region} - ${playerCount} player(s)${sizeInfo}`);
   }
-  console.log(`[ContinentsPP] Uninhabited continents + their islands = Distant Lands for all players`);
+  log.debug(`[ContinentsPP] Uninhabited continents + their islands = Distant Lands for all players`);
 
   // DYNAMIC ISLAND ADJUSTMENT: Continents with fewer civs get MORE coastal islands
   // This creates archipelago-rich areas around isolated/lightly-populated continents
-  console.log(`[ContinentsPP] === DYNAMIC COASTAL ISLAND ADJUSTMENT ===`);
+  log.debug(`[ContinentsPP] === DYNAMIC COASTAL ISLAND ADJUSTMENT ===`);
+  const erosionMultiplier = randomConfig.erosion.multiplier;
+  const erosionCap = Math.round(EROSION_BOOST_CAP * erosionMultiplier);
   for (let i = 0; i < generatorSettings.landmass.length; i++) {
     const playerCount = generatorSettings.landmass[i].playerAreas;
     const baseCoastalIslands = generatorSettings.landmass[i].coastalIslands || 30;
@@ -1990,25 +4728,41 @@ async function generateMap() {
       erosionBoost = 0;
     }
 
+    // Erosion Amount scales the boost and its cap along with the base erosion
+    erosionBoost = Math.round(erosionBoost * erosionMultiplier);
+
     const newCoastalIslands = Math.round(baseCoastalIslands * coastalMultiplier);
-    const newErosion = Math.min(25, baseErosion + erosionBoost);  // Cap at 25%
+    const newErosion = Math.min(erosionCap, baseErosion + erosionBoost);  // Cap at 25% (Medium)
 
     generatorSettings.landmass[i].coastalIslands = newCoastalIslands;
     generatorSettings.landmass[i].erosionPercent = newErosion;
 
-    console.log(`[ContinentsPP]   Continent ${i + 1}: ${playerCount} players → coastalIslands=${newCoastalIslands} (${coastalMultiplier}x), erosion=${newErosion}%`);
+    log.trace(`[ContinentsPP]   Continent ${i + 1}: ${playerCount} players → coastalIslands=${newCoastalIslands} (${coastalMultiplier}x), erosion=${newErosion}% (+${erosionBoost})`);
   }
+  const effectiveErosion = generatorSettings.landmass.map(l => l.erosionPercent);
+  const islandErosion = generatorSettings.island?.erosionPercent ?? randomConfig.island.erosionPercent;
+  log.debug(`[ContinentsPP] Effective erosion (${randomConfig.erosion.name} x${erosionMultiplier}): continents ${effectiveErosion.map(e => e + '%').join(', ')}, islands ${islandErosion}%, cap ${erosionCap}%`);
 
-  console.log("[ContinentsPP] Running Voronoi simulation...");
+  log.debug("[ContinentsPP] Running Voronoi simulation...");
 
   voronoiMap.simulate();
-  console.log("[ContinentsPP] Voronoi simulation complete");
+  log.debug("[ContinentsPP] Voronoi simulation complete");
+
+  return { effectiveErosion, islandErosion };
+}
+
+/**
+ * Runs the Voronoi simulation and writes terrain and region IDs to the engine
+ */
+function applyTerrainStage(ctx) {
+  const { report, useCustomRegionIds, iWidth, iHeight, mapStats, randomConfig, voronoiMap,
+    generatorSettings } = ctx;
 
   //────────────────────────────────────────────────────────────────────────────
   // TERRAIN APPLICATION
   //────────────────────────────────────────────────────────────────────────────
 
-  console.log("[ContinentsPP] Applying terrain to map grid...");
+  log.debug("[ContinentsPP] Applying terrain to map grid...");
   const tiles = voronoiMap.getHexTiles().getTiles();
   let landTiles = 0;
   let waterTiles = 0;
@@ -2017,7 +4771,7 @@ async function generateMap() {
   const landmassTileCounts = new Map();  // landmassId -> tile count
 
   // Track traversable tiles for Antiquity distance calculation (land + coast, not deep ocean)
-  const traversableTiles = new Set();  // "x,y" -> true for tiles walkable in early game
+  const traversableTiles = new Uint8Array(iWidth * iHeight);  // plot index -> 1 if walkable in early game
 
   // Build a kd-tree of landmass tiles for coast region assignment (like base game voronoi)
   const landmassKdTree = new kdTree((tile) => tile.pos);
@@ -2062,22 +4816,22 @@ async function generateMap() {
     fallbackRegionId = validRegionIds.values().next().value;
   }
 
-  console.log(`[ContinentsPP] === REGION ID TRACKING ===`);
-  console.log(`[ContinentsPP] Valid region IDs: [${[...validRegionIds].join(', ')}]`);
-  console.log(`[ContinentsPP] Inhabited region IDs: [${[...inhabitedRegionIds].join(', ')}]`);
-  console.log(`[ContinentsPP] Fallback region ID: ${fallbackRegionId}`);
+  log.debug(`[ContinentsPP] === REGION ID TRACKING ===`);
+  log.debug(`[ContinentsPP] Valid region IDs: [${[...validRegionIds].join(', ')}]`);
+  log.debug(`[ContinentsPP] Inhabited region IDs: [${[...inhabitedRegionIds].join(', ')}]`);
+  log.debug(`[ContinentsPP] Fallback region ID: ${fallbackRegionId}`);
 
   // Map to track actual region assignments (for diagnostics)
   const regionAssignmentCounts = new Map();  // regionId -> count of tiles assigned
 
   // Log region ID strategy
   if (useCustomRegionIds) {
-    console.log(`[ContinentsPP] === USING CUSTOM REGION IDs (per-continent distant lands) ===`);
-    console.log(`[ContinentsPP] Major continents: ${numMajorContinents}, each gets unique region ID`);
-    console.log(`[ContinentsPP] Region IDs: Continent 1 → ID 1, Continent 2 → ID 2, etc.`);
+    log.debug(`[ContinentsPP] === USING CUSTOM REGION IDs (per-continent distant lands) ===`);
+    log.debug(`[ContinentsPP] Major continents: ${numMajorContinents}, each gets unique region ID`);
+    log.debug(`[ContinentsPP] Region IDs: Continent 1 → ID 1, Continent 2 → ID 2, etc.`);
   } else {
-    console.log(`[ContinentsPP] === USING BINARY REGION IDs (WEST=homeland, EAST=distant) ===`);
-    console.log(`[ContinentsPP] Major continents: ${numMajorContinents}, Islands inherit from nearest continent`);
+    log.debug(`[ContinentsPP] === USING BINARY REGION IDs (WEST=homeland, EAST=distant) ===`);
+    log.debug(`[ContinentsPP] Major continents: ${numMajorContinents}, Islands inherit from nearest continent`);
   }
 
   for (let y = 0; y < tiles.length; ++y) {
@@ -2093,7 +4847,7 @@ async function generateMap() {
           : globals.g_FlatTerrain;
         TerrainBuilder.setTerrainType(x, y, type);
         landTiles++;
-        traversableTiles.add(`${x},${y}`);  // Land is always traversable in Antiquity
+        traversableTiles[y * iWidth + x] = 1;  // Land is always traversable in Antiquity
 
         // Track tile count per landmass for island analysis
         const currentCount = landmassTileCounts.get(tile.landmassId) || 0;
@@ -2174,7 +4928,7 @@ async function generateMap() {
 
         // Coast (shallow water) is traversable in Antiquity, deep ocean is not
         if (!isDeepOcean) {
-          traversableTiles.add(`${x},${y}`);
+          traversableTiles[y * iWidth + x] = 1;
         }
 
         // Set landmass region for coast tiles (helps resource distribution near coasts)
@@ -2232,22 +4986,23 @@ async function generateMap() {
   const totalTiles = landTiles + waterTiles;
   const landPercent = (landTiles / totalTiles * 100).toFixed(1);
   const waterPercent = (waterTiles / totalTiles * 100).toFixed(1);
-  console.log(`[ContinentsPP] Land/Water: ${landPercent}% land / ${waterPercent}% water`);
+  log.debug(`[ContinentsPP] Land/Water: ${landPercent}% land / ${waterPercent}% water`);
 
   // === REGION ASSIGNMENT DIAGNOSTICS ===
   if (useCustomRegionIds) {
-    console.log(`[ContinentsPP] === REGION ASSIGNMENT SUMMARY ===`);
+    log.debug(`[ContinentsPP] === REGION ASSIGNMENT SUMMARY ===`);
     const sortedRegions = [...regionAssignmentCounts.entries()].sort((a, b) => a[0] - b[0]);
     for (const [regionId, count] of sortedRegions) {
       const isValid = validRegionIds.has(regionId);
       const isInhabited = inhabitedRegionIds.has(regionId);
       const status = isInhabited ? 'HOMELAND' : (isValid ? 'DISTANT' : '⚠️ INVALID');
-      console.log(`[ContinentsPP]   Region ${regionId}: ${count} tiles [${status}]`);
+      log.trace(`[ContinentsPP]   Region ${regionId}: ${count} tiles [${status}]`);
     }
     // Check for any tiles assigned to invalid regions
     const invalidRegions = [...regionAssignmentCounts.keys()].filter(r => !validRegionIds.has(r));
     if (invalidRegions.length > 0) {
-      console.log(`[ContinentsPP] ⚠️ WARNING: Tiles assigned to invalid regions: [${invalidRegions.join(', ')}]`);
+      log.warn(`[ContinentsPP] ⚠️ WARNING: Tiles assigned to invalid regions: [${invalidRegions.join(', ')}]`);
+      reportWarning(report, 'regions', `Tiles assigned to invalid regions: [${invalidRegions.join(', ')}]`);
     }
   }
 
@@ -2269,7 +5024,8 @@ async function generateMap() {
     }
   }
 
-  console.log(`[ContinentsPP] === LANDMASS ANALYSIS ===`);
+  log.debug(`[ContinentsPP] === LANDMASS ANALYSIS ===`);
+  const reportContinents = [];
 
   for (let i = 0; i < sortedLandmasses.length; i++) {
     const [landmassId, tileCount] = sortedLandmasses[i];
@@ -2300,7 +5056,8 @@ async function generateMap() {
       mapStats.continentTiles += tileCount;
       if (isInhabited) mapStats.homelandCount++;
       else mapStats.distantLandCount++;
-      console.log(`[ContinentsPP]   Continent ${i + 1} (ID ${landmassId}): ${tileCount} tiles (${percentOfLand}%) - ${region} [${playerCount} players]`);
+      reportContinents.push({ landmassId, tiles: tileCount, percentOfLand: parseFloat(percentOfLand), homeland: isInhabited, plannedPlayers: playerCount });
+      log.trace(`[ContinentsPP]   Continent ${i + 1} (ID ${landmassId}): ${tileCount} tiles (${percentOfLand}%) - ${region} [${playerCount} players]`);
     } else {
       // Island - inherits from nearest continent
       mapStats.islandTiles += tileCount;
@@ -2313,25 +5070,37 @@ async function generateMap() {
         mapStats.islandTilesNearDistant += tileCount;
       }
       if (mapStats.islandCount <= 10) {  // Log first 10 islands individually
-        console.log(`[ContinentsPP]   Island ${mapStats.islandCount} (ID ${landmassId}): ${tileCount} tiles (${percentOfLand}%) - ${region}`);
+        log.trace(`[ContinentsPP]   Island ${mapStats.islandCount} (ID ${landmassId}): ${tileCount} tiles (${percentOfLand}%) - ${region}`);
       }
     }
   }
 
   if (mapStats.islandCount > 10) {
-    console.log(`[ContinentsPP]   ... and ${mapStats.islandCount - 10} more small islands`);
+    log.trace(`[ContinentsPP]   ... and ${mapStats.islandCount - 10} more small islands`);
   }
 
   const islandPercentOfLand = landTiles > 0 ? (mapStats.islandTiles / landTiles * 100).toFixed(1) : 0;
   const continentPercentOfLand = landTiles > 0 ? (mapStats.continentTiles / landTiles * 100).toFixed(1) : 0;
-  console.log(`[ContinentsPP] === SUMMARY ===`);
-  console.log(`[ContinentsPP]   Continents: ${configuredContinents} (${mapStats.continentTiles} tiles, ${continentPercentOfLand}% of land)`);
-  console.log(`[ContinentsPP]   - Homelands (WEST): ${mapStats.homelandCount} continent(s) with player starts`);
-  console.log(`[ContinentsPP]   - Distant Lands (EAST): ${mapStats.distantLandCount} uninhabited continent(s)`);
-  console.log(`[ContinentsPP]   Islands: ${mapStats.islandCount} total (${mapStats.islandTiles} tiles, ${islandPercentOfLand}% of land)`);
-  console.log(`[ContinentsPP]   - Near Homelands (WEST): ${mapStats.islandsNearHomeland} islands (${mapStats.islandTilesNearHomeland} tiles)`);
-  console.log(`[ContinentsPP]   - Near Distant Lands (EAST): ${mapStats.islandsNearDistant} islands (${mapStats.islandTilesNearDistant} tiles)`);
-  console.log(`[ContinentsPP]   Island ratio: ${mapStats.islandCount > 0 ? (mapStats.islandTiles / mapStats.continentTiles * 100).toFixed(1) : 0}% of continent size`);
+  log.debug(`[ContinentsPP] === SUMMARY ===`);
+  log.trace(`[ContinentsPP]   Continents: ${configuredContinents} (${mapStats.continentTiles} tiles, ${continentPercentOfLand}% of land)`);
+  log.trace(`[ContinentsPP]   - Homelands (WEST): ${mapStats.homelandCount} continent(s) with player starts`);
+  log.trace(`[ContinentsPP]   - Distant Lands (EAST): ${mapStats.distantLandCount} uninhabited continent(s)`);
+  log.trace(`[ContinentsPP]   Islands: ${mapStats.islandCount} total (${mapStats.islandTiles} tiles, ${islandPercentOfLand}% of land)`);
+  log.trace(`[ContinentsPP]   - Near Homelands (WEST): ${mapStats.islandsNearHomeland} islands (${mapStats.islandTilesNearHomeland} tiles)`);
+  log.trace(`[ContinentsPP]   - Near Distant Lands (EAST): ${mapStats.islandsNearDistant} islands (${mapStats.islandTilesNearDistant} tiles)`);
+  log.trace(`[ContinentsPP]   Island ratio: ${mapStats.islandCount > 0 ? (mapStats.islandTiles / mapStats.continentTiles * 100).toFixed(1) : 0}% of continent size`);
+
+  return { tiles, landmassTileCounts, numMajorContinents, continentIsInhabited, reportContinents,
+    traversableTiles, fallbackRegionId, majorContinentKdTree };
+}
+
+/**
+ * Moves player areas onto landmasses that came out larger than configured
+ */
+function redistributePlayersStage(ctx) {
+  const { report, mapStats, humanCount, aiCount, playerDistributionMode, playerTeams,
+    generatorSettings, tiles, landmassTileCounts, numMajorContinents, continentIsInhabited,
+    reportContinents } = ctx;
 
   //────────────────────────────────────────────────────────────────────────────
   // POST-SIMULATION PLAYER REDISTRIBUTION
@@ -2339,7 +5108,7 @@ async function generateMap() {
   // This fixes cases where "islands" ended up larger than configured "continents"
   //────────────────────────────────────────────────────────────────────────────
 
-  console.log(`[ContinentsPP] === POST-SIMULATION PLAYER REDISTRIBUTION ===`);
+  log.debug(`[ContinentsPP] === POST-SIMULATION PLAYER REDISTRIBUTION ===`);
 
   // Get all landmasses sorted by ACTUAL tile count (largest first)
   const actualLandmasses = Array.from(landmassTileCounts.entries())
@@ -2353,19 +5122,20 @@ async function generateMap() {
   // Filter to significant landmasses (at least 5% of total land)
   const significantLandmasses = actualLandmasses.filter(l => l.tileCount >= minTilesForContinent);
 
-  console.log(`[ContinentsPP] Significant landmasses (>= ${minTilesForContinent.toFixed(0)} tiles / 5% of land):`);
+  log.debug(`[ContinentsPP] Significant landmasses (>= ${minTilesForContinent.toFixed(0)} tiles / 5% of land):`);
   for (const l of significantLandmasses) {
     const pct = (l.tileCount / actualTotalLandTiles * 100).toFixed(1);
     const isConfigured = l.landmassId <= numMajorContinents;
-    console.log(`[ContinentsPP]   ID ${l.landmassId}: ${l.tileCount} tiles (${pct}%) - ${isConfigured ? 'configured' : 'UNCONFIGURED'}`);
+    log.trace(`[ContinentsPP]   ID ${l.landmassId}: ${l.tileCount} tiles (${pct}%) - ${isConfigured ? 'configured' : 'UNCONFIGURED'}`);
   }
 
   // Check if any significant landmass is NOT in the configured range
   const unconfiguredLargeLandmass = significantLandmasses.find(l => l.landmassId > numMajorContinents);
 
   if (unconfiguredLargeLandmass) {
-    console.log(`[ContinentsPP] WARNING: Large unconfigured landmass detected (ID ${unconfiguredLargeLandmass.landmassId} with ${unconfiguredLargeLandmass.tileCount} tiles)`);
-    console.log(`[ContinentsPP] Redistributing players based on ACTUAL sizes...`);
+    log.warn(`[ContinentsPP] WARNING: Large unconfigured landmass detected (ID ${unconfiguredLargeLandmass.landmassId} with ${unconfiguredLargeLandmass.tileCount} tiles)`);
+    reportWarning(report, 'redistribution', `Large unconfigured landmass detected (ID ${unconfiguredLargeLandmass.landmassId} with ${unconfiguredLargeLandmass.tileCount} tiles)`);
+    log.debug(`[ContinentsPP] Redistributing players based on ACTUAL sizes...`);
 
     // Save original distant lands designation BEFORE clearing
     // This prevents redistribution from putting players on continents that were meant to be Distant Lands
@@ -2373,7 +5143,7 @@ async function generateMap() {
     for (const [id, isInhabited] of continentIsInhabited) {
       if (!isInhabited) originalDistantLandmasses.add(id);
     }
-    console.log(`[ContinentsPP] Original distant lands: [${[...originalDistantLandmasses].join(', ')}]`);
+    log.debug(`[ContinentsPP] Original distant lands: [${[...originalDistantLandmasses].join(', ')}]`);
 
     // Split significant landmasses into player-eligible (originally inhabited) and distant
     const playerEligibleLandmasses = significantLandmasses.filter(l =>
@@ -2388,8 +5158,8 @@ async function generateMap() {
       ? playerEligibleLandmasses
       : significantLandmasses.filter(l => l.landmassId >= 1 && l.landmassId <= numMajorContinents).slice(0, -1);
 
-    console.log(`[ContinentsPP] Player-eligible landmasses: [${effectivePlayerLandmasses.map(l => `ID${l.landmassId}(${l.tileCount}t)`).join(', ')}]`);
-    console.log(`[ContinentsPP] Distant landmasses: [${distantSignificant.map(l => `ID${l.landmassId}(${l.tileCount}t)`).join(', ')}]`);
+    log.debug(`[ContinentsPP] Player-eligible landmasses: [${effectivePlayerLandmasses.map(l => `ID${l.landmassId}(${l.tileCount}t)`).join(', ')}]`);
+    log.debug(`[ContinentsPP] Distant landmasses: [${distantSignificant.map(l => `ID${l.landmassId}(${l.tileCount}t)`).join(', ')}]`);
 
     // Calculate max players per landmass based on ACTUAL tile count
     const avgTiles = actualTotalLandTiles / significantLandmasses.length;
@@ -2420,11 +5190,11 @@ async function generateMap() {
     }
 
     // MODE-AWARE REDISTRIBUTION: Respect the user's distribution choice
-    console.log(`[ContinentsPP] Mode-aware redistribution (Mode ${playerDistributionMode}: ${DISTRIBUTION_MODE_NAMES[playerDistributionMode]})`);
+    log.debug(`[ContinentsPP] Mode-aware redistribution (Mode ${playerDistributionMode}: ${DISTRIBUTION_MODE_NAMES[playerDistributionMode]})`);
 
     if (playerDistributionMode === 0) {
       // CLUSTERED: Humans on fewest landmasses
-      console.log(`[ContinentsPP]   Clustered: Grouping humans together`);
+      log.trace(`[ContinentsPP]   Clustered: Grouping humans together`);
       for (const l of landmassCapacity) {
         if (redistHumansToAssign <= 0) break;
         const humansForThis = Math.min(redistHumansToAssign, l.maxPlayers);
@@ -2439,14 +5209,14 @@ async function generateMap() {
       // RULE: Humans need AI companion unless there's a bridge (2+ inhabited landmasses)
       // landmassCapacity already excludes distant lands, so all entries are player-eligible
       const maxInhabited = landmassCapacity.length;
-      console.log(`[ContinentsPP]   Spread: Separating humans across ${maxInhabited} eligible landmass(es)`);
+      log.trace(`[ContinentsPP]   Spread: Separating humans across ${maxInhabited} eligible landmass(es)`);
 
       // Check if bridges will exist (2+ inhabited landmasses)
       const willHaveBridges = humanCount >= 2 || (humanCount === 1 && redistAisToAssign >= 1 && maxInhabited >= 2);
 
       if (!willHaveBridges && humanCount === 1 && redistAisToAssign >= 1) {
         // Single human, no bridges → need AI companion
-        console.log(`[ContinentsPP]   Single human, no bridges - adding AI companion`);
+        log.trace(`[ContinentsPP]   Single human, no bridges - adding AI companion`);
         landmassCapacity[0].assigned = 2;
         landmassCapacity[0].hasHuman = true;
         redistHumansToAssign = 0;
@@ -2485,18 +5255,28 @@ async function generateMap() {
       if (inhabitedLandmassCount === 1 && redistAisToAssign > 0) {
         const singleInhabited = landmassCapacity.find(l => l.hasHuman);
         if (singleInhabited && singleInhabited.assigned === 1) {
-          console.log(`[ContinentsPP]   Ensuring AI companion for isolated human`);
+          log.trace(`[ContinentsPP]   Ensuring AI companion for isolated human`);
           if (singleInhabited.assigned < singleInhabited.maxPlayers) {
             singleInhabited.assigned++;
             redistAisToAssign--;
           }
         }
       }
+    } else if (playerDistributionMode === 3) {
+      // TEAMS: Same plan as before the simulation, on the actual landmass sizes
+      log.trace(`[ContinentsPP]   Teams: Re-planning teams on actual landmass sizes`);
+      const { counts } = planTeamContinents(groupPlayersByTeam(playerTeams),
+        landmassCapacity.map(l => ({ size: l.tileCount, maxPlayers: l.maxPlayers })));
+      landmassCapacity.forEach((l, i) => {
+        l.assigned = counts[i];
+      });
+      redistHumansToAssign = 0;
+      redistAisToAssign = 0;
     } else {
-      // RANDOM: Proportional, no human priority
+      // RANDOM (and BALANCED): Proportional, no human priority
       // BUT: Still enforce minimum 2 players per inhabited continent when only 1 is inhabited
       // This ensures the human (wherever they land) has an AI companion for corridor bridges
-      console.log(`[ContinentsPP]   Random: Proportional distribution`);
+      log.trace(`[ContinentsPP]   Random: Proportional distribution`);
       let totalToAssign = redistHumansToAssign + redistAisToAssign;
       const totalPlayers = totalToAssign;
 
@@ -2527,7 +5307,7 @@ async function generateMap() {
       // POST-CHECK: Ensure NO continent has exactly 1 player (human would be isolated)
       // Every inhabited continent should have 0 or 2+ players
       if (humanCount === 1 && totalPlayers >= 2) {
-        console.log(`[ContinentsPP]   Random: Checking for single-player continents in redistribution`);
+        log.trace(`[ContinentsPP]   Random: Checking for single-player continents in redistribution`);
 
         let fixNeeded = true;
         let iterations = 0;
@@ -2542,14 +5322,14 @@ async function generateMap() {
           const multiPlayerLandmasses = landmassCapacity.filter(l => l.assigned >= 2);
 
           for (const lonely of singlePlayerLandmasses) {
-            console.log(`[ContinentsPP]   Landmass ${lonely.landmassId} has only 1 player`);
+            log.trace(`[ContinentsPP]   Landmass ${lonely.landmassId} has only 1 player`);
 
             // Option 1: Pull from a 3+ player landmass
             const donor = multiPlayerLandmasses.find(l => l.assigned >= 3);
             if (donor) {
               donor.assigned--;
               lonely.assigned++;
-              console.log(`[ContinentsPP]   Moved player from ${donor.landmassId} to ${lonely.landmassId}`);
+              log.trace(`[ContinentsPP]   Moved player from ${donor.landmassId} to ${lonely.landmassId}`);
               fixNeeded = true;
               break;
             }
@@ -2561,7 +5341,7 @@ async function generateMap() {
             if (recipient) {
               lonely.assigned--;
               recipient.assigned++;
-              console.log(`[ContinentsPP]   Moved player from ${lonely.landmassId} to ${recipient.landmassId}`);
+              log.trace(`[ContinentsPP]   Moved player from ${lonely.landmassId} to ${recipient.landmassId}`);
               fixNeeded = true;
               break;
             }
@@ -2570,9 +5350,10 @@ async function generateMap() {
 
         const remainingSingles = landmassCapacity.filter(l => l.assigned === 1);
         if (remainingSingles.length > 0) {
-          console.log(`[ContinentsPP]   WARNING: ${remainingSingles.length} landmass(es) still have only 1 player`);
+          log.warn(`[ContinentsPP]   WARNING: ${remainingSingles.length} landmass(es) still have only 1 player`);
+          reportWarning(report, 'redistribution', `${remainingSingles.length} landmass(es) still have only 1 player`);
         } else {
-          console.log(`[ContinentsPP]   All landmasses have 0 or 2+ players`);
+          log.trace(`[ContinentsPP]   All landmasses have 0 or 2+ players`);
         }
       }
 
@@ -2612,7 +5393,7 @@ async function generateMap() {
     }
 
     // Apply the new distribution
-    console.log(`[ContinentsPP] New distribution based on actual sizes:`);
+    log.debug(`[ContinentsPP] New distribution based on actual sizes:`);
     for (const l of landmassCapacity) {
       // Only apply to configured landmasses (IDs 1-numMajorContinents)
       if (l.landmassId <= numMajorContinents && l.landmassId >= 1) {
@@ -2622,7 +5403,7 @@ async function generateMap() {
           continentIsInhabited.set(l.landmassId, true);
         }
       }
-      console.log(`[ContinentsPP]   ID ${l.landmassId}: ${l.tileCount} tiles, ratio=${l.sizeRatio.toFixed(2)}x, max=${l.maxPlayers}, assigned=${l.assigned}`);
+      log.trace(`[ContinentsPP]   ID ${l.landmassId}: ${l.tileCount} tiles, ratio=${l.sizeRatio.toFixed(2)}x, max=${l.maxPlayers}, assigned=${l.assigned}`);
     }
 
     // Mark distant lands (originally-distant + unconfigured landmasses)
@@ -2630,7 +5411,7 @@ async function generateMap() {
       if (l.landmassId <= numMajorContinents && l.landmassId >= 1) {
         continentIsInhabited.set(l.landmassId, false);
       }
-      console.log(`[ContinentsPP]   ID ${l.landmassId}: ${l.tileCount} tiles - DISTANT LANDS`);
+      log.trace(`[ContinentsPP]   ID ${l.landmassId}: ${l.tileCount} tiles - DISTANT LANDS`);
     }
 
     // Update mapStats
@@ -2638,17 +5419,48 @@ async function generateMap() {
     mapStats.distantLandCount = distantSignificant.length;
 
     const newDistribution = generatorSettings.landmass.map((l, i) => `C${i+1}: ${l.playerAreas}`).join(', ');
-    console.log(`[ContinentsPP] Updated distribution: ${newDistribution}`);
+    log.debug(`[ContinentsPP] Updated distribution: ${newDistribution}`);
+    reportFix(report, 'redistribution', 'redistributeByActualSize', {
+      trigger: unconfiguredLargeLandmass.landmassId,
+      playerAreas: generatorSettings.landmass.map(l => l.playerAreas)
+    });
+    for (const entry of reportContinents) {
+      entry.homeland = continentIsInhabited.get(entry.landmassId) ?? false;
+      entry.plannedPlayers = generatorSettings.landmass[entry.landmassId - 1]?.playerAreas || 0;
+    }
   } else {
-    console.log(`[ContinentsPP] Player distribution looks reasonable, no redistribution needed`);
+    log.debug(`[ContinentsPP] Player distribution looks reasonable, no redistribution needed`);
   }
 
+  return {};
+}
+
+/**
+ * Builds the distance-to-land field shared by both island passes
+ */
+function landDistanceStage(ctx) {
+  const { iWidth, iHeight, tiles } = ctx;
+
+  // The island passes only write to the engine, so one field built from the tiles serves both
+  const landDistance = createLandDistanceField(tiles, iWidth, iHeight);
+  log.debug(`[ContinentsPP] Land distance field built in ${landDistance.buildMs} ms`);
+
+  return { landDistance };
+}
+
+/**
+ * Adds stepping-stone island chains between homeland continents
+ */
+function corridorIslandsStage(ctx) {
+  const { report, useCustomRegionIds, iWidth, iHeight, mapStats, rng, generatorSettings, tiles,
+    traversableTiles, continentIsInhabited, fallbackRegionId, landDistance } = ctx;
+
   //────────────────────────────────────────────────────────────────────────────
   // POST-PROCESS: ADD CORRIDOR ISLANDS (between homeland continents)
   // Creates stepping-stone archipelagos for naval travel between player starts
   //────────────────────────────────────────────────────────────────────────────
 
-  const corridorResult = addCorridorIslands(iWidth, iHeight, mapSeed, continentIsInhabited, tiles, generatorSettings, traversableTiles, useCustomRegionIds, fallbackRegionId);
+  const corridorResult = addCorridorIslands(iWidth, iHeight, rng.stream('corridorIslands'), continentIsInhabited, tiles, landDistance, generatorSettings, traversableTiles, useCustomRegionIds, fallbackRegionId);
   mapStats.corridorChains = corridorResult.chainsAdded;
   mapStats.corridorIslands = corridorResult.islandsAdded;
   mapStats.corridorTiles = corridorResult.tilesConverted;
@@ -2656,18 +5468,39 @@ async function generateMap() {
   mapStats.islandTiles += corridorResult.tilesConverted;
   mapStats.islandsNearHomeland += corridorResult.islandsAdded;  // Corridor islands are WEST
   mapStats.islandTilesNearHomeland += corridorResult.tilesConverted;
+  report.plots.corridorIslands = corridorResult.plots;
+
+  return {};
+}
+
+/**
+ * Adds island chains to large empty stretches of ocean
+ */
+function openOceanIslandsStage(ctx) {
+  const { report, useCustomRegionIds, iWidth, iHeight, mapStats, rng, tiles, traversableTiles,
+    majorContinentKdTree, continentIsInhabited, fallbackRegionId, landDistance } = ctx;
 
   //────────────────────────────────────────────────────────────────────────────
   // POST-PROCESS: ADD OPEN OCEAN ISLANDS
   // Scan for large empty ocean areas and add small islands
   //────────────────────────────────────────────────────────────────────────────
 
-  const oceanIslandResult = addOpenOceanIslands(iWidth, iHeight, mapSeed, continentIsInhabited, majorContinentKdTree, tiles, traversableTiles, useCustomRegionIds, fallbackRegionId);
+  const oceanIslandResult = addOpenOceanIslands(iWidth, iHeight, rng.stream('openOceanIslands'), continentIsInhabited, majorContinentKdTree, tiles, landDistance, traversableTiles, useCustomRegionIds, fallbackRegionId);
   mapStats.islandCount += oceanIslandResult.islandsAdded;
   mapStats.islandTiles += oceanIslandResult.tilesConverted;
   mapStats.openOceanChains = oceanIslandResult.chainsAdded || 0;
   mapStats.openOceanIslands = oceanIslandResult.islandsAdded;
   mapStats.openOceanIslandTiles = oceanIslandResult.tilesConverted;
+  report.plots.openOceanIslands = oceanIslandResult.plots;
+
+  return {};
+}
+
+/**
+ * Turns coast bridges between homelands and Distant Lands into ocean
+ */
+function oceanEnforcementStage(ctx) {
+  const { report, iWidth, iHeight, tiles, numMajorContinents, continentIsInhabited } = ctx;
 
   //────────────────────────────────────────────────────────────────────────────
   // OCEAN ENFORCEMENT: Ensure distant lands are separated by deep ocean
@@ -2681,101 +5514,45 @@ async function generateMap() {
     const hasDistantLands = [...continentIsInhabited.values()].some(v => !v);
 
     if (hasDistantLands) {
-      console.log(`[ContinentsPP] === OCEAN ENFORCEMENT (Distant Lands Separation) ===`);
-
-      // Hex neighbor helper (inline for scope, same logic as getHexNeighborsForMerge)
-      const getEnforcementNeighbors = (x, y) => {
-        const isOddRow = y % 2 === 1;
-        const offsets = isOddRow
-          ? [[-1, 0], [1, 0], [0, -1], [1, -1], [0, 1], [1, 1]]
-          : [[-1, 0], [1, 0], [-1, -1], [0, -1], [-1, 1], [0, 1]];
-        const neighbors = [];
-        for (const [dx, dy] of offsets) {
-          const nx = ((x + dx) % iWidth + iWidth) % iWidth;
-          const ny = y + dy;
-          if (ny >= 0 && ny < iHeight) neighbors.push({ x: nx, y: ny });
-        }
-        return neighbors;
-      };
-
-      // Find land tiles belonging to distant and homeland continents
-      const distantTileKeys = new Set();
-      const homelandTileKeys = new Set();
-
-      for (let y = 0; y < iHeight; y++) {
-        for (let x = 0; x < iWidth; x++) {
-          const tile = tiles[y]?.[x];
-          if (!tile || !tile.isLand()) continue;
-          const lmId = tile.landmassId;
-          if (lmId < 1 || lmId > numMajorContinents) continue;
-          const key = `${x},${y}`;
-          if (continentIsInhabited.get(lmId)) {
-            homelandTileKeys.add(key);
-          } else {
-            distantTileKeys.add(key);
-          }
-        }
-      }
-
-      console.log(`[ContinentsPP] Distant continent land tiles: ${distantTileKeys.size}`);
-      console.log(`[ContinentsPP] Homeland continent land tiles: ${homelandTileKeys.size}`);
-
-      if (distantTileKeys.size > 0) {
-        // BFS expand from distant land tiles through non-ocean terrain
-        // This finds all tiles reachable within ENFORCEMENT_RADIUS of distant continents
-        const ENFORCEMENT_RADIUS = 4;
-        const nearDistant = new Map();  // key -> depth
-        const distQueue = [];
-
-        for (const key of distantTileKeys) {
-          nearDistant.set(key, 0);
-          const [x, y] = key.split(',').map(Number);
-          distQueue.push({ x, y, depth: 0 });
-        }
+      log.debug(`[ContinentsPP] === OCEAN ENFORCEMENT (Distant Lands Separation) ===`);
 
-        while (distQueue.length > 0) {
-          const cur = distQueue.shift();
-          if (cur.depth >= ENFORCEMENT_RADIUS) continue;
-          for (const n of getEnforcementNeighbors(cur.x, cur.y)) {
-            const nKey = `${n.x},${n.y}`;
-            if (nearDistant.has(nKey)) continue;
-            const nTile = tiles[n.y]?.[n.x];
-            if (!nTile || nTile.terrainType === TerrainType.Ocean) continue;
-            nearDistant.set(nKey, cur.depth + 1);
-            distQueue.push({ x: n.x, y: n.y, depth: cur.depth + 1 });
-          }
-        }
-
-        // BFS expand from homeland land tiles through non-ocean terrain
-        const nearHomeland = new Map();  // key -> depth
-        const homeQueue = [];
+      // Land tiles of distant (uninhabited) or homeland (inhabited) major continents
+      const isContinentLand = (x, y, inhabited) => {
+        const tile = tiles[y]?.[x];
+        if (!tile || !tile.isLand()) return false;
+        const lmId = tile.landmassId;
+        if (lmId < 1 || lmId > numMajorContinents) return false;
+        return !!continentIsInhabited.get(lmId) === inhabited;
+      };
+      // Boats can follow coast and atolls, not deep ocean
+      const isShallow = (x, y) => {
+        const tile = tiles[y]?.[x];
+        return !!tile && tile.terrainType !== TerrainType.Ocean;
+      };
 
-        for (const key of homelandTileKeys) {
-          nearHomeland.set(key, 0);
-          const [x, y] = key.split(',').map(Number);
-          homeQueue.push({ x, y, depth: 0 });
-        }
+      // Expand from each side's land tiles through non-ocean terrain, up to
+      // ENFORCEMENT_RADIUS steps (same BFS as the land distance field)
+      const ENFORCEMENT_RADIUS = 4;
+      const startTime = Date.now();
+      const nearDistant = computeHexDistanceField(iWidth, iHeight, (x, y) => isContinentLand(x, y, false), isShallow, ENFORCEMENT_RADIUS);
+      const nearHomeland = computeHexDistanceField(iWidth, iHeight, (x, y) => isContinentLand(x, y, true), isShallow, ENFORCEMENT_RADIUS);
+      const distantTileCount = nearDistant.reduce((count, d) => count + (d === 0 ? 1 : 0), 0);
+      const homelandTileCount = nearHomeland.reduce((count, d) => count + (d === 0 ? 1 : 0), 0);
 
-        while (homeQueue.length > 0) {
-          const cur = homeQueue.shift();
-          if (cur.depth >= ENFORCEMENT_RADIUS) continue;
-          for (const n of getEnforcementNeighbors(cur.x, cur.y)) {
-            const nKey = `${n.x},${n.y}`;
-            if (nearHomeland.has(nKey)) continue;
-            const nTile = tiles[n.y]?.[n.x];
-            if (!nTile || nTile.terrainType === TerrainType.Ocean) continue;
-            nearHomeland.set(nKey, cur.depth + 1);
-            homeQueue.push({ x: n.x, y: n.y, depth: cur.depth + 1 });
-          }
-        }
+      log.debug(`[ContinentsPP] Distant continent land tiles: ${distantTileCount}`);
+      log.debug(`[ContinentsPP] Homeland continent land tiles: ${homelandTileCount}`);
 
+      if (distantTileCount > 0) {
         // Convert bridge tiles: non-continent tiles in BOTH BFS zones
         // Skip depth <= 1 from distant continent to preserve its natural coastline
         let bridgeConverted = 0;
-        for (const [key, distDepth] of nearDistant) {
+        for (let i = 0; i < nearDistant.length; i++) {
+          const distDepth = nearDistant[i];
+          if (distDepth === -1) continue;
           if (distDepth <= 1) continue;  // Preserve distant continent's coastline
-          if (!nearHomeland.has(key)) continue;  // Not near homelands = not a bridge
-          const [x, y] = key.split(',').map(Number);
+          if (nearHomeland[i] === -1) continue;  // Not near homelands = not a bridge
+          const x = i % iWidth;
+          const y = (i - x) / iWidth;
           const tile = tiles[y]?.[x];
           if (!tile) continue;
 
@@ -2784,22 +5561,34 @@ async function generateMap() {
 
           // Convert to ocean (break the coast/atoll bridge)
           tile.terrainType = TerrainType.Ocean;
+          report.plots.bridgeTiles.push([x, y]);
           bridgeConverted++;
         }
 
         if (bridgeConverted > 0) {
-          console.log(`[ContinentsPP] Converted ${bridgeConverted} bridge tiles to ocean`);
-          console.log(`[ContinentsPP] Bridge: coast/atoll tiles within ${ENFORCEMENT_RADIUS} hexes of BOTH distant and homeland land`);
-          console.log(`[ContinentsPP] Preserved 1-tile coastline around distant continent`);
+          log.debug(`[ContinentsPP] Converted ${bridgeConverted} bridge tiles to ocean`);
+          reportFix(report, 'oceanEnforcement', 'convertBridgeTiles', { tiles: bridgeConverted, radius: ENFORCEMENT_RADIUS });
+          log.debug(`[ContinentsPP] Bridge: coast/atoll tiles within ${ENFORCEMENT_RADIUS} hexes of BOTH distant and homeland land`);
+          log.debug(`[ContinentsPP] Preserved 1-tile coastline around distant continent`);
         } else {
-          console.log(`[ContinentsPP] No bridge tiles found — distant lands already separated by ocean`);
+          log.debug(`[ContinentsPP] No bridge tiles found — distant lands already separated by ocean`);
         }
       }
+      log.debug(`[ContinentsPP] Ocean enforcement took ${Date.now() - startTime} ms`);
     } else {
-      console.log(`[ContinentsPP] No distant lands — skipping ocean enforcement`);
+      log.debug(`[ContinentsPP] No distant lands — skipping ocean enforcement`);
     }
   }
 
+  return {};
+}
+
+/**
+ * Stamps continents, corrects water coverage and counts what was stamped
+ */
+function stampContinentsStage(ctx) {
+  const { report, iWidth, iHeight, mapStats, rng, randomConfig, reportContinents, tiles, continentIsInhabited } = ctx;
+
   //────────────────────────────────────────────────────────────────────────────
   // TERRAIN PROCESSING
   //────────────────────────────────────────────────────────────────────────────
@@ -2808,6 +5597,43 @@ async function generateMap() {
   AreaBuilder.recalculateAreas();
   TerrainBuilder.stampContinents();
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // WATER COVERAGE VERIFICATION
+  // Island post-processing and ocean enforcement shift the land/water ratio after
+  // the Voronoi budgets were set. Measure the stamped map and, if it misses the
+  // requested water coverage by more than the tolerance, grow or erode shorelines
+  // until it is back in range, then re-stamp so continent IDs stay accurate.
+  // ═══════════════════════════════════════════════════════════════════════════
+  log.debug(`[ContinentsPP] === WATER COVERAGE VERIFICATION ===`);
+  const waterCheck = correctWaterCoverage(iWidth, iHeight, randomConfig.targetWaterPercent, rng.stream('waterCoverage'),
+    new Set(), findInhabitedContinents(tiles, continentIsInhabited));
+  log.debug(`[ContinentsPP] Target ${randomConfig.targetWaterPercent}% water, measured ${waterCheck.before.toFixed(1)}% (tolerance ±${WATER_COVERAGE_TOLERANCE})`);
+  if (waterCheck.tilesAdded > 0 || waterCheck.tilesRemoved > 0) {
+    log.debug(`[ContinentsPP] Corrected coastlines: +${waterCheck.tilesAdded} land, -${waterCheck.tilesRemoved} land → ${waterCheck.after.toFixed(1)}% water`);
+    reportFix(report, 'water', 'correctCoastlines', { ...waterCheck });
+    TerrainBuilder.validateAndFixTerrain();
+    AreaBuilder.recalculateAreas();
+    TerrainBuilder.stampContinents();
+  } else if (Math.abs(waterCheck.before - randomConfig.targetWaterPercent) > WATER_COVERAGE_TOLERANCE) {
+    log.warn(`[ContinentsPP] WARNING: Water coverage off target but no shoreline could be safely changed`);
+    reportWarning(report, 'water', 'Water coverage off target but no shoreline could be safely changed');
+  } else {
+    log.debug(`[ContinentsPP] Water coverage within tolerance — no correction needed`);
+  }
+  if (Math.abs(waterCheck.after - randomConfig.targetWaterPercent) > WATER_COVERAGE_TOLERANCE) {
+    log.warn(`[ContinentsPP] WARNING: Water coverage still ${waterCheck.after.toFixed(1)}% after correction (target ${randomConfig.targetWaterPercent}%)`);
+    reportWarning(report, 'water', `Water coverage still ${waterCheck.after.toFixed(1)}% after correction (target ${randomConfig.targetWaterPercent}%)`);
+  }
+  const waterPercent = waterCheck.after.toFixed(1);
+  const landPercent = (100 - waterCheck.after).toFixed(1);
+  report.terrain = {
+    landPercent: parseFloat(landPercent),
+    waterPercent: parseFloat(waterPercent),
+    targetWaterPercent: randomConfig.targetWaterPercent,
+    waterTolerance: WATER_COVERAGE_TOLERANCE,
+    waterBeforeCorrection: parseFloat(waterCheck.before.toFixed(1))
+  };
+
   // Diagnostic: Count distinct continents after stamping
   // This helps detect when separate Voronoi landmasses get merged by stampContinents
   const stampedContinents = new Set();
@@ -2821,104 +5647,372 @@ async function generateMap() {
   }
   const stampedCount = stampedContinents.size;
   const expectedCount = randomConfig.landmassCount;
-  console.log(`[ContinentsPP] === CONTINENT STAMPING DIAGNOSTIC ===`);
-  console.log(`[ContinentsPP] Expected ${expectedCount} continents, game stamped ${stampedCount}`);
+  log.debug(`[ContinentsPP] === CONTINENT STAMPING DIAGNOSTIC ===`);
+  log.debug(`[ContinentsPP] Expected ${expectedCount} continents, game stamped ${stampedCount}`);
+  report.continents = {
+    expected: expectedCount,
+    requested: randomConfig.requestedLandmassCount ?? expectedCount,
+    stamped: stampedCount,
+    homelands: mapStats.homelandCount,
+    distantLands: mapStats.distantLandCount,
+    list: reportContinents
+  };
   if (stampedCount < expectedCount) {
-    console.log(`[ContinentsPP] WARNING: Fewer continents than expected! Some landmasses may have been merged.`);
-    console.log(`[ContinentsPP] This can happen if coastlines or islands connect separate landmasses.`);
+    log.warn(`[ContinentsPP] WARNING: Fewer continents than expected! Some landmasses may have been merged.`);
+    reportWarning(report, 'stamping', `Expected ${expectedCount} continents, game stamped ${stampedCount}`);
+    log.debug(`[ContinentsPP] This can happen if coastlines or islands connect separate landmasses.`);
   } else if (stampedCount > expectedCount) {
-    console.log(`[ContinentsPP] Note: More continents detected (islands may be counted as separate continents)`);
+    log.debug(`[ContinentsPP] Note: More continents detected (islands may be counted as separate continents)`);
   }
 
+  return { stampedContinents, landPercent, waterPercent };
+}
+
+/**
+ * Joins pairs of inhabited continents with thin land bridges and re-stamps continents
+ */
+function landBridgesStage(ctx) {
+  const { report, rng, iWidth, iHeight, mapSizeIndex, tiles, continentIsInhabited, traversableTiles,
+    landBridgeLevel, stampedContinents, landPercent, waterPercent } = ctx;
+
   //────────────────────────────────────────────────────────────────────────────
-  // POST-STAMP REGION ID ASSIGNMENT WITH REACHABILITY MERGE
-  // Flood-fill non-ocean tiles to detect which continents are reachable from
-  // each other via land + coast (no deep ocean crossing). Connected continents
-  // share a LandmassRegionId so adjacent land isn't flagged as "Distant Lands."
-  // Per Civilopedia: "Distant Lands require crossing Ocean from your Capital"
+  // LAND BRIDGES
+  // Runs on the stamped map, before the chokepoints, inland seas and the
+  // reachability merge, so they all see the bridged continents. Each bridge is
+  // proven on foot from shore to shore and checked to keep every distant
+  // continent out of coastal reach; one that fails either check is taken back.
+  // The players it joins are proven after start placement (landBridgeProof).
   //────────────────────────────────────────────────────────────────────────────
 
-  console.log(`[ContinentsPP] === POST-STAMP REGION ID ASSIGNMENT (Reachability Merge) ===`);
-  console.log(`[ContinentsPP] Flood-filling non-ocean tiles to detect continent reachability...`);
+  const level = LAND_BRIDGE_LEVELS[landBridgeLevel];
+  const target = level.counts[mapSizeIndex] ?? 0;
+  if (target === 0) {
+    log.debug(`[ContinentsPP] Land bridges: ${level.name} — skipping`);
+    return { stampedContinents, landPercent, waterPercent };
+  }
+  log.debug(`[ContinentsPP] === LAND BRIDGES (${level.name}, up to ${target}) ===`);
+
+  // Continents in a reachability group with no inhabited continent end up EAST
+  const inhabited = findInhabitedContinents(tiles, continentIsInhabited);
+  const distantContinents = new Set();
+  for (const group of findReachabilityGroups(iWidth, iHeight)) {
+    if ([...group].some((continentId) => inhabited.has(continentId))) continue;
+    for (const continentId of group) distantContinents.add(continentId);
+  }
 
-  // Hex neighbor helper with X-wrapping (offset coordinates)
-  const getHexNeighborsForMerge = (x, y) => {
-    const isOddRow = y % 2 === 1;
-    const offsets = isOddRow
-      ? [[-1, 0], [1, 0], [0, -1], [1, -1], [0, 1], [1, 1]]
-      : [[-1, 0], [1, 0], [-1, -1], [0, -1], [-1, 1], [0, 1]];
-    const neighbors = [];
-    for (const [dx, dy] of offsets) {
-      const nx = ((x + dx) % iWidth + iWidth) % iWidth;
-      const ny = y + dy;
-      if (ny >= 0 && ny < iHeight) {
-        neighbors.push({ x: nx, y: ny });
+  const candidates = findLandBridgeCandidates(iWidth, iHeight, inhabited, distantContinents);
+  log.debug(`[ContinentsPP] ${candidates.length} crossings of up to ${LAND_BRIDGE_MAX_LENGTH} tiles between ${inhabited.size} inhabited continents`);
+
+  // Narrowest crossings first, with some jitter; each bridge joins two still separate landmasses
+  const random = rng.stream('landBridges');
+  const ranked = candidates
+    .map((candidate) => ({ candidate, score: candidate.plots.length * (0.75 + random() * 0.5) }))
+    .sort((a, b) => a.score - b.score || a.candidate.plots[0] - b.candidate.plots[0]);
+  const joined = new Map([...inhabited].map((continentId) => [continentId, continentId]));
+  const built = [];
+  let rejected = 0;
+  for (const { candidate } of ranked) {
+    if (built.length >= target) break;
+    const [from, to] = candidate.continents;
+    const [joinedFrom, joinedTo] = [joined.get(from), joined.get(to)];
+    if (joinedFrom === joinedTo) continue;
+
+    const changed = buildLandBridge(iWidth, iHeight, candidate);
+    const [start, end] = candidate.ends;
+    const onFoot = bfsFromPosition(iWidth, iHeight, start % iWidth, Math.floor(start / iWidth), isWalkable, candidate.plots.length + 1)[end] !== -1;
+    const apart = onFoot && keepsDistantLandsApart(iWidth, iHeight, inhabited, distantContinents);
+    if (!apart) {
+      for (const { index, terrain } of changed.reverse()) {
+        TerrainBuilder.setTerrainType(index % iWidth, Math.floor(index / iWidth), terrain);
       }
+      rejected++;
+      log.debug(`[ContinentsPP]   Took back the bridge between continents ${from} and ${to}: ${onFoot ? 'a distant continent came within coastal reach' : 'not walkable shore to shore'}`);
+      continue;
+    }
+
+    for (const [continentId, root] of joined) {
+      if (root === joinedTo) joined.set(continentId, joinedFrom);
     }
-    return neighbors;
+    for (const { index } of changed) traversableTiles[index] = 1;  // Bridge land and its new coast
+    built.push({ candidate, coastAdded: changed.length - candidate.plots.length });
+  }
+  const restamped = built.length > 0
+    ? restampContinents(report, iWidth, iHeight)
+    : { stampedContinents, landPercent, waterPercent };
+
+  // Pre-bridge continent IDs are gone after the re-stamp; the proof reads the ends instead
+  const toXY = (index) => [index % iWidth, Math.floor(index / iWidth)];
+  report.landBridges = {
+    level: level.name,
+    target,
+    candidates: candidates.length,
+    rejected,
+    bridges: built.map(({ candidate, coastAdded }) => {
+      const entry = {
+        plots: candidate.plots.map(toXY),
+        ends: candidate.ends.map(toXY),
+        length: candidate.plots.length,
+        coastAdded,
+        proof: null  // Filled in by landBridgeProof once starts are placed
+      };
+      log.debug(`[ContinentsPP]   Land bridge of ${entry.length} tile(s) from (${entry.ends[0].join(',')}) to (${entry.ends[1].join(',')}), ${coastAdded} coast tiles added`);
+      reportFix(report, 'landBridges', 'buildBridge', { plot: entry.plots[0], length: entry.length, coastAdded });
+      report.plots.landBridges.push(...entry.plots);
+      return entry;
+    })
   };
 
-  // BFS flood-fill: traverse all non-ocean tiles (land + coast + shallow water)
-  // Each connected component may contain multiple game continents
-  const mergeVisited = new Set();
-  const reachabilityGroups = [];  // Array of Set<continentId>
+  if (built.length < target) {
+    log.warn(`[ContinentsPP] WARNING: Only ${built.length} of ${target} land bridges built — the inhabited continents are too far apart or too close to the distant lands`);
+    reportWarning(report, 'landBridges', `Only ${built.length} of ${target} land bridges built — the inhabited continents are too far apart or too close to the distant lands`);
+  }
 
-  for (let y = 0; y < iHeight; y++) {
-    for (let x = 0; x < iWidth; x++) {
-      const key = `${x},${y}`;
-      if (mergeVisited.has(key)) continue;
+  return restamped;
+}
 
-      try {
-        const terrain = GameplayMap.getTerrainType(x, y);
-        if (terrain === globals.g_OceanTerrain) continue;  // Skip deep ocean
-      } catch (e) { continue; }
+/**
+ * Shapes a few narrow straits and isthmuses between homeland continents into chokepoints
+ */
+function chokepointsStage(ctx) {
+  const { report, rng, iWidth, iHeight, mapSizeIndex, tiles, continentIsInhabited, traversableTiles,
+    chokepointLevel, stampedContinents, landPercent, waterPercent } = ctx;
 
-      // Start BFS from this non-ocean tile
-      const continentsFound = new Set();
-      const queue = [{ x, y }];
-      mergeVisited.add(key);
+  //────────────────────────────────────────────────────────────────────────────
+  // CHOKEPOINTS
+  // Runs on the stamped map, before the inland seas and the reachability merge.
+  // Only homeland continents are used. A narrowed strait opens a coastal route
+  // between its two continents and is taken back if that brings a distant
+  // continent within coastal reach; otherwise shaping only raises hills and
+  // sinks islands to coast, so no route between continents is opened or closed.
+  //────────────────────────────────────────────────────────────────────────────
 
-      while (queue.length > 0) {
-        const cur = queue.shift();
+  const level = CHOKEPOINT_LEVELS[chokepointLevel];
+  const target = level.counts[mapSizeIndex] ?? 0;
+  if (target === 0) {
+    log.debug(`[ContinentsPP] Chokepoints: ${level.name} — skipping`);
+    return { stampedContinents, landPercent, waterPercent };
+  }
+  log.debug(`[ContinentsPP] === CHOKEPOINTS (${level.name}, up to ${target}) ===`);
+
+  // Homeland continents, the reachability group each belongs to, and the distant ones
+  const inhabited = findInhabitedContinents(tiles, continentIsInhabited);
+  const homelandContinents = new Set();
+  const distantContinents = new Set();
+  const groupOf = new Map();
+  findReachabilityGroups(iWidth, iHeight).forEach((group, groupIndex) => {
+    if (![...group].some((continentId) => inhabited.has(continentId))) {
+      for (const continentId of group) distantContinents.add(continentId);
+      return;
+    }
+    for (const continentId of group) {
+      homelandContinents.add(continentId);
+      groupOf.set(continentId, groupIndex);
+    }
+  });
 
-        // Track any game continent encountered
-        const cId = GameplayMap.getContinentType(cur.x, cur.y);
-        if (cId !== -1) continentsFound.add(cId);
+  const continentTiles = countContinentTiles(iWidth, iHeight);
+  const candidates = findChokepointCandidates(iWidth, iHeight, homelandContinents, groupOf, continentTiles);
+  const straits = candidates.filter((c) => c.kind === 'strait').length;
+  const narrowed = candidates.filter((c) => c.fill.length > 0).length;
+  log.debug(`[ContinentsPP] ${straits} strait (${narrowed} to narrow) and ${candidates.length - straits} isthmus candidates on ${homelandContinents.size} homeland continents`);
+
+  // Straits and isthmuses already on the map before gaps to narrow; within each, those
+  // guarding more land on their smaller side first, with some jitter, spread apart
+  const random = rng.stream('chokepoints');
+  const ranked = candidates
+    .map((candidate) => ({ candidate, score: candidate.sides[0] * (0.75 + random() * 0.5) }))
+    .sort((a, b) => (a.candidate.fill.length > 0) - (b.candidate.fill.length > 0) ||
+      b.score - a.score || a.candidate.plots[0] - b.candidate.plots[0]);
+  const chosen = [];
+  const landAdded = new Map();  // narrowed strait -> land tiles raised
+  let rejected = 0;
+  for (const { candidate } of ranked) {
+    if (chosen.length >= target) break;
+    const tooClose = chosen.some((other) => [...other.plots, ...other.fill].some((a) =>
+      [...candidate.plots, ...candidate.fill].some((b) => plotHexDistance(a, b, iWidth) < CHOKEPOINT_SPACING)));
+    if (tooClose) continue;
+
+    if (candidate.fill.length > 0) {
+      // Raised like a land bridge: flat land ringed with coast
+      const changed = buildLandBridge(iWidth, iHeight, { plots: candidate.fill });
+      if (!keepsDistantLandsApart(iWidth, iHeight, inhabited, distantContinents)) {
+        for (const { index, terrain } of changed.reverse()) {
+          TerrainBuilder.setTerrainType(index % iWidth, Math.floor(index / iWidth), terrain);
+        }
+        rejected++;
+        log.debug(`[ContinentsPP]   Took back the strait narrowed at (${candidate.plots[0] % iWidth},${Math.floor(candidate.plots[0] / iWidth)}): a distant continent came within coastal reach`);
+        continue;
+      }
+      for (const { index } of changed) traversableTiles[index] = 1;
+      landAdded.set(candidate, candidate.fill.length);
+    }
+    chosen.push(candidate);
+  }
 
-        // Expand to non-ocean hex neighbors
-        for (const n of getHexNeighborsForMerge(cur.x, cur.y)) {
-          const nKey = `${n.x},${n.y}`;
-          if (mergeVisited.has(nKey)) continue;
+  let islandTilesCleared = 0;
+  const shaped = chosen.map((chokepoint) => {
+    const result = shapeChokepoint(iWidth, iHeight, chokepoint, continentTiles);
+    islandTilesCleared += result.islandTilesCleared;
+    return { chokepoint, ...result };
+  });
+  const restamped = islandTilesCleared > 0 || landAdded.size > 0
+    ? restampContinents(report, iWidth, iHeight)
+    : { stampedContinents, landPercent, waterPercent };
+
+  // Continent IDs read back after any re-stamp; banks and necks are never sunk
+  const toXY = (index) => [index % iWidth, Math.floor(index / iWidth)];
+  const continentAt = (index) => GameplayMap.getContinentType(index % iWidth, Math.floor(index / iWidth));
+  report.chokepoints = {
+    level: level.name,
+    target,
+    candidates: { straits, narrowed, isthmuses: candidates.length - straits },
+    rejected,
+    chokepoints: shaped.map(({ chokepoint, hillsRaised, islandTilesCleared: cleared }) => {
+      const entry = {
+        kind: chokepoint.kind,
+        continents: chokepoint.kind === 'strait' ? chokepoint.banks.map(continentAt) : [continentAt(chokepoint.plots[0])],
+        plots: chokepoint.plots.map(toXY),
+        sides: chokepoint.sides,
+        landAdded: landAdded.get(chokepoint) ?? 0,
+        hillsRaised,
+        islandTilesCleared: cleared
+      };
+      log.debug(`[ContinentsPP]   ${entry.kind} at (${entry.plots[0].join(',')}), ${entry.plots.length} tile(s) wide, continents [${entry.continents.join(', ')}], ${entry.sides.join('/')} land tiles either side${entry.landAdded > 0 ? `, narrowed by ${entry.landAdded} land tiles` : ''}`);
+      reportFix(report, 'chokepoints', chokepoint.kind === 'strait' ? 'shapeStrait' : 'shapeIsthmus', { plot: entry.plots[0], landAdded: entry.landAdded, hillsRaised, islandTilesCleared: cleared });
+      report.plots.chokepoints.push(...entry.plots);
+      return entry;
+    })
+  };
 
-          try {
-            const nTerrain = GameplayMap.getTerrainType(n.x, n.y);
-            if (nTerrain === globals.g_OceanTerrain) continue;  // Can't cross deep ocean
-          } catch (e) { continue; }
+  if (chosen.length < target) {
+    log.warn(`[ContinentsPP] WARNING: Only ${chosen.length} of ${target} chokepoints found — the homeland continents have few straits, gaps to narrow or isthmuses`);
+    reportWarning(report, 'chokepoints', `Only ${chosen.length} of ${target} chokepoints found — the homeland continents have few straits, gaps to narrow or isthmuses`);
+  }
 
-          mergeVisited.add(nKey);
-          queue.push(n);
-        }
-      }
+  return restamped;
+}
 
-      if (continentsFound.size > 0) {
-        reachabilityGroups.push(continentsFound);
-      }
-    }
+/**
+ * Carves inland seas into large homeland continents and re-stamps continents
+ */
+function inlandSeasStage(ctx) {
+  const { report, rng, iWidth, iHeight, tiles, continentIsInhabited, stampedContinents, landPercent, waterPercent } = ctx;
+
+  //────────────────────────────────────────────────────────────────────────────
+  // INLAND SEAS
+  // Runs on the stamped map, before the reachability merge, so the merge and
+  // the coastal region assignment see the seas. Continents are re-stamped;
+  // game continent IDs can change, so each sea looks its continent up again.
+  //────────────────────────────────────────────────────────────────────────────
+
+  log.debug(`[ContinentsPP] === INLAND SEAS ===`);
+
+  const inhabited = findInhabitedContinents(tiles, continentIsInhabited);
+
+  const carved = carveInlandSeas(iWidth, iHeight, inhabited, rng.stream('inlandSeas'));
+  report.inlandSeas = {
+    minContinentTiles: INLAND_SEA_MIN_CONTINENT_TILES,
+    eligibleContinents: carved.eligible,
+    seas: []
+  };
+  if (carved.seas.length === 0) {
+    log.debug(`[ContinentsPP] No inland seas carved (${carved.eligible} continents large enough)`);
+    return { inlandSeas: [], stampedContinents, landPercent, waterPercent };
   }
 
-  // Determine which game continents are "inhabited" (have player starts)
-  // Bridge from Voronoi landmassId (used by continentIsInhabited) to game continent IDs
-  const gameContIsInhabited = new Map();  // game continent ID → boolean
-  for (let y = 0; y < tiles.length; ++y) {
-    for (let x = 0; x < tiles[y].length; ++x) {
-      const tile = tiles[y][x];
-      if (tile.isLand() && (continentIsInhabited.get(tile.landmassId) ?? false)) {
-        const gameCId = GameplayMap.getContinentType(x, y);
-        if (gameCId !== -1) gameContIsInhabited.set(gameCId, true);
+  // Land share after carving; waterCoverage offsets the seas if that leaves the ratio off target
+  const restamped = restampContinents(report, iWidth, iHeight);
+
+  const inlandSeas = [];
+  for (const sea of carved.seas) {
+    const continent = findInlandSeaContinent(iWidth, iHeight, sea.plots);
+    const first = sea.plots[0];
+    const plot = [first % iWidth, Math.floor(first / iWidth)];
+    inlandSeas.push({ continent, plots: sea.plots });
+    report.inlandSeas.seas.push({ continent, tiles: sea.plots.length, straitTiles: sea.straitTiles, plot, resources: 0 });
+    log.debug(`[ContinentsPP] Inland sea of ${sea.plots.length} tiles on continent ${continent} at (${plot[0]},${plot[1]})${sea.straitTiles > 0 ? `, strait of ${sea.straitTiles} tiles` : ', enclosed'}`);
+    reportFix(report, 'inlandSeas', 'carveSea', { continent, tiles: sea.plots.length, straitTiles: sea.straitTiles, plot });
+  }
+
+  return { inlandSeas, ...restamped };
+}
+
+/**
+ * Re-checks the water share after land bridges, chokepoints and inland seas
+ * changed the stamped map, and corrects it again if it left the tolerance
+ */
+function waterCoverageStage(ctx) {
+  const { report, rng, iWidth, iHeight, randomConfig, tiles, continentIsInhabited, inlandSeas,
+    stampedContinents, landPercent, waterPercent } = ctx;
+
+  //────────────────────────────────────────────────────────────────────────────
+  // WATER COVERAGE RE-CHECK
+  // Land bridges add land and inland seas carve it away after stampContinents
+  // corrected the ratio. Bridges, chokepoints and the seas (with their shores)
+  // are left as they are; other shorelines are grown or eroded to compensate.
+  //────────────────────────────────────────────────────────────────────────────
+
+  log.debug(`[ContinentsPP] === WATER COVERAGE RE-CHECK ===`);
+
+  const protectedPlots = new Set(
+    [...report.plots.landBridges, ...report.plots.chokepoints].map(([x, y]) => y * iWidth + x));
+  for (const sea of inlandSeas) {
+    for (const index of sea.plots) {
+      const x = index % iWidth;
+      protectedPlots.add(index);
+      for (const n of getHexNeighbors(x, (index - x) / iWidth, iWidth, iHeight)) {
+        protectedPlots.add(n.y * iWidth + n.x);
       }
     }
   }
-  console.log(`[ContinentsPP] Inhabited game continents: [${[...gameContIsInhabited.keys()].join(', ')}]`);
+
+  const waterCheck = correctWaterCoverage(iWidth, iHeight, randomConfig.targetWaterPercent, rng.stream('waterCoverage'),
+    protectedPlots, findInhabitedContinents(tiles, continentIsInhabited));
+  if (waterCheck.tilesAdded === 0 && waterCheck.tilesRemoved === 0) {
+    log.debug(`[ContinentsPP] Water coverage ${waterCheck.before.toFixed(1)}% still within tolerance`);
+    return { inlandSeas, stampedContinents, landPercent, waterPercent };
+  }
+
+  log.debug(`[ContinentsPP] Corrected coastlines again: +${waterCheck.tilesAdded} land, -${waterCheck.tilesRemoved} land → ${waterCheck.after.toFixed(1)}% water`);
+  reportFix(report, 'water', 'recorrectCoastlines', { ...waterCheck });
+  if (Math.abs(waterCheck.after - randomConfig.targetWaterPercent) > WATER_COVERAGE_TOLERANCE) {
+    log.warn(`[ContinentsPP] WARNING: Water coverage still ${waterCheck.after.toFixed(1)}% after re-check (target ${randomConfig.targetWaterPercent}%)`);
+    reportWarning(report, 'water', `Water coverage still ${waterCheck.after.toFixed(1)}% after re-check (target ${randomConfig.targetWaterPercent}%)`);
+  }
+
+  // Re-stamping can renumber continents, so each sea looks its continent up again
+  const restamped = restampContinents(report, iWidth, iHeight);
+  const refreshedSeas = inlandSeas.map((sea, i) => {
+    const continent = findInlandSeaContinent(iWidth, iHeight, sea.plots);
+    report.inlandSeas.seas[i].continent = continent;
+    return { ...sea, continent };
+  });
+  return { inlandSeas: refreshedSeas, ...restamped };
+}
+
+/**
+ * Assigns WEST/EAST regions, merging continents reachable without crossing ocean
+ */
+function regionMergeStage(ctx) {
+  const { report, iWidth, iHeight, tiles, continentIsInhabited, stampedContinents, inlandSeas } = ctx;
+
+  //────────────────────────────────────────────────────────────────────────────
+  // POST-STAMP REGION ID ASSIGNMENT WITH REACHABILITY MERGE
+  // Flood-fill non-ocean tiles to detect which continents are reachable from
+  // each other via land + coast (no deep ocean crossing). Connected continents
+  // share a LandmassRegionId so adjacent land isn't flagged as "Distant Lands."
+  // Per Civilopedia: "Distant Lands require crossing Ocean from your Capital"
+  //────────────────────────────────────────────────────────────────────────────
+
+  log.debug(`[ContinentsPP] === POST-STAMP REGION ID ASSIGNMENT (Reachability Merge) ===`);
+  log.debug(`[ContinentsPP] Flood-filling non-ocean tiles to detect continent reachability...`);
+
+  // Each connected component of land + coast + shallow water may hold several game continents
+  const reachabilityGroups = findReachabilityGroups(iWidth, iHeight);
+
+  // Determine which game continents are "inhabited" (have player starts)
+  const inhabitedContinents = findInhabitedContinents(tiles, continentIsInhabited);
+  log.debug(`[ContinentsPP] Inhabited game continents: [${[...inhabitedContinents].join(', ')}]`);
 
   // Build region mapping using ONLY WEST(2) and EAST(1) for base game compatibility
   // CRITICAL: The age transition script (age-transition-post-load.js) uses modulo arithmetic:
@@ -2931,10 +6025,11 @@ async function generateMap() {
   const eastContinents = [];  // Distant lands continents
 
   let mergedGroupCount = 0;
+  const mergedGroups = [];
   for (const group of reachabilityGroups) {
     const sortedIds = [...group].sort((a, b) => a - b);
     // A group is "inhabited" if ANY continent in it has player starts
-    const isInhabitedGroup = sortedIds.some(cId => gameContIsInhabited.get(cId) ?? false);
+    const isInhabitedGroup = sortedIds.some(cId => inhabitedContinents.has(cId));
     const regionId = isInhabitedGroup
       ? LandmassRegion.LANDMASS_REGION_WEST   // 2 = homeland
       : LandmassRegion.LANDMASS_REGION_EAST;  // 1 = distant lands
@@ -2950,18 +6045,19 @@ async function generateMap() {
 
     const regionLabel = isInhabitedGroup ? 'HOMELAND (WEST)' : 'DISTANT (EAST)';
     if (sortedIds.length > 1) {
-      console.log(`[ContinentsPP]   MERGED ${regionLabel}: continents [${sortedIds.join(', ')}] (reachable via land/coast)`);
+      log.trace(`[ContinentsPP]   MERGED ${regionLabel}: continents [${sortedIds.join(', ')}] (reachable via land/coast)`);
       mergedGroupCount++;
+      mergedGroups.push({ continents: sortedIds, homeland: isInhabitedGroup });
     } else {
-      console.log(`[ContinentsPP]   ${regionLabel}: continent ${sortedIds[0]}`);
+      log.trace(`[ContinentsPP]   ${regionLabel}: continent ${sortedIds[0]}`);
     }
   }
 
   regionToGameContinents.set(LandmassRegion.LANDMASS_REGION_WEST, westContinents);
   regionToGameContinents.set(LandmassRegion.LANDMASS_REGION_EAST, eastContinents);
-  console.log(`[ContinentsPP] Reachability: ${stampedContinents.size} game continents → WEST(${westContinents.length}) + EAST(${eastContinents.length}) (${mergedGroupCount} merged groups)`);
+  log.debug(`[ContinentsPP] Reachability: ${stampedContinents.size} game continents → WEST(${westContinents.length}) + EAST(${eastContinents.length}) (${mergedGroupCount} merged groups)`);
   if (eastContinents.length === 0) {
-    console.log(`[ContinentsPP] NOTE: All continents reachable via coast — no Distant Lands on this map`);
+    log.debug(`[ContinentsPP] NOTE: All continents reachable via coast — no Distant Lands on this map`);
   }
 
   // Step 2: Build KD-tree of land tiles for coastal/water inheritance
@@ -2981,7 +6077,13 @@ async function generateMap() {
 
   const postStampLandKdTree = new kdTree((tile) => tile.pos);
   postStampLandKdTree.build(landTilesForKdTree);
-  console.log(`[ContinentsPP] Built KD-tree with ${landTilesForKdTree.length} land tiles`);
+  log.debug(`[ContinentsPP] Built KD-tree with ${landTilesForKdTree.length} land tiles`);
+
+  // Inland seas take their continent's region however far they reach from its shore
+  const inlandSeaContinent = new Map();  // plot index → game continent ID
+  for (const sea of inlandSeas) {
+    for (const index of sea.plots) inlandSeaContinent.set(index, sea.continent);
+  }
 
   // Step 3: Re-assign LandmassRegionId for ALL tiles
   let landRegionUpdates = 0;
@@ -2998,14 +6100,14 @@ async function generateMap() {
         TerrainBuilder.setLandmassRegionId(x, y, regionId);
         regionTileCounts.set(regionId, (regionTileCounts.get(regionId) || 0) + 1);
         landRegionUpdates++;
+      } else if (gameContinentToRegion.has(inlandSeaContinent.get(y * iWidth + x))) {
+        TerrainBuilder.setLandmassRegionId(x, y, gameContinentToRegion.get(inlandSeaContinent.get(y * iWidth + x)));
+        coastRegionUpdates++;
       } else {
         // Water tile - check if it's coastal (near land)
         const nearestLand = postStampLandKdTree.search({ x, y });
         if (nearestLand && nearestLand.data) {
-          const distToLand = Math.sqrt(
-            Math.pow(x - nearestLand.data.pos.x, 2) +
-            Math.pow(y - nearestLand.data.pos.y, 2)
-          );
+          const distToLand = hexDistance(x, y, nearestLand.data.pos.x, nearestLand.data.pos.y, iWidth);
           // Only assign region to coastal water (within ~3 tiles of land)
           if (distToLand <= 3) {
             TerrainBuilder.setLandmassRegionId(x, y, nearestLand.data.regionId);
@@ -3016,12 +6118,19 @@ async function generateMap() {
     }
   }
 
-  console.log(`[ContinentsPP] Updated ${landRegionUpdates} land tiles, ${coastRegionUpdates} coastal tiles`);
-  console.log(`[ContinentsPP] Region tile counts:`);
+  log.debug(`[ContinentsPP] Updated ${landRegionUpdates} land tiles, ${coastRegionUpdates} coastal tiles`);
+  log.debug(`[ContinentsPP] Region tile counts:`);
   for (const [regionId, count] of [...regionTileCounts.entries()].sort((a, b) => a[0] - b[0])) {
     const continentIds = regionToGameContinents.get(regionId) || [];
-    console.log(`[ContinentsPP]   Region ${regionId} (continents [${continentIds.join(', ')}]): ${count} tiles`);
+    log.trace(`[ContinentsPP]   Region ${regionId} (continents [${continentIds.join(', ')}]): ${count} tiles`);
   }
+  report.regions = {
+    homeland: { regionId: LandmassRegion.LANDMASS_REGION_WEST, continents: westContinents, tiles: regionTileCounts.get(LandmassRegion.LANDMASS_REGION_WEST) || 0 },
+    distant: { regionId: LandmassRegion.LANDMASS_REGION_EAST, continents: eastContinents, tiles: regionTileCounts.get(LandmassRegion.LANDMASS_REGION_EAST) || 0 },
+    mergedGroups,
+    coastalTilesAssigned: coastRegionUpdates,
+    distantLandsChecks: []  // Filled by the DISTANT LANDS DIAGNOSTIC
+  };
 
   // Store mappings for later use in player assignment
   const postStampRegionData = {
@@ -3031,24 +6140,80 @@ async function generateMap() {
     landKdTree: postStampLandKdTree
   };
 
-  console.log("[ContinentsPP] Adding mountains and volcanoes...");
-  addMountains(iWidth, iHeight);
-  addVolcanoes(iWidth, iHeight);
+  return { regionToGameContinents, postStampRegionData };
+}
+
+/**
+ * Tectonic mountains and hills, base game lakes and elevation
+ */
+function baseTerrainStage(ctx) {
+  const { report, rng, tiles, voronoiMap, randomConfig, iWidth, iHeight, iTilesPerLake } = ctx;
+
+  log.debug("[ContinentsPP] Adding mountains and volcanoes from plate boundaries...");
+  const plateMotion = readPlateMotion(voronoiMap, tiles, iWidth, iHeight);
+  const tectonics = plateMotion ? applyTectonicRelief(iWidth, iHeight, plateMotion, randomConfig, rng.stream('tectonics')) : null;
+  if (tectonics) {
+    const { mountains, volcanoes, hills, rift, boundaries } = tectonics;
+    log.debug(`[ContinentsPP] ${tectonics.plates} plates: ${boundaries.convergent} convergent, ${boundaries.divergent} divergent, ${boundaries.transform} transform boundary edges`);
+    log.debug(`[ContinentsPP] Mountains ${mountains.placed}/${mountains.budget} (${mountains.cordillera} in coastal cordilleras, ${mountains.passesOpened} lowered to open passes), volcanoes ${volcanoes.placed}, hills ${hills.existing + hills.placed}, rift lakes ${rift.lakes}`);
+    if (mountains.passesOpened > 0) {
+      reportFix(report, 'tectonics', 'openMountainPasses', { tiles: mountains.passesOpened });
+    }
+  } else {
+    log.warn("[ContinentsPP] WARNING: The Voronoi simulation exposed no plate data - using base game mountains, volcanoes and hills");
+    reportWarning(report, 'tectonics', 'The Voronoi simulation exposed no plate data - using base game mountains, volcanoes and hills');
+    addMountains(iWidth, iHeight);
+    addVolcanoes(iWidth, iHeight);
+  }
+  report.tectonics = tectonics;
 
-  console.log("[ContinentsPP] Generating lakes and rivers...");
+  log.debug("[ContinentsPP] Generating lakes...");
   generateLakes(iWidth, iHeight, iTilesPerLake);
   AreaBuilder.recalculateAreas();
   TerrainBuilder.buildElevation();
-  addHills(iWidth, iHeight);
-  buildRainfallMap(iWidth, iHeight);
+  if (!tectonics) addHills(iWidth, iHeight);
+
+  return {};
+}
+
+/**
+ * Rainfall from latitude bands, prevailing winds and rain shadows
+ */
+function climateStage(ctx) {
+  const { report, rng, iWidth, iHeight } = ctx;
+
+  log.debug("[ContinentsPP] Building climate (prevailing winds and rain shadows)...");
+  const climate = buildClimateRainfall(iWidth, iHeight, rng.stream('climate'));
+  const bandSummary = Object.entries(climate.bands)
+    .map(([name, band]) => `${name} ${band.averageRainfall} (${band.tiles} tiles)`)
+    .join(', ');
+  log.debug(`[ContinentsPP] Land rainfall ${climate.averageRainfall} on average: ${bandSummary}`);
+  log.debug(`[ContinentsPP] ${climate.windwardCoastTiles} windward coast tiles, ${climate.rainShadowTiles} tiles in rain shadow`);
+  report.climate = climate;
+
+  return {};
+}
+
+/**
+ * Base game rivers, biomes, features, wonders and snow on the Continents++ climate
+ */
+function biomesStage(ctx) {
+  const { naturalWonderEvent, iWidth, iHeight, iNumNaturalWonders, mapSizeIndex } = ctx;
+
+  log.debug("[ContinentsPP] Modeling rivers...");
   TerrainBuilder.modelRivers(5, 15, globals.g_NavigableRiverTerrain);
   TerrainBuilder.validateAndFixTerrain();
   TerrainBuilder.defineNamedRivers();
 
-  console.log("[ContinentsPP] Designating biomes and features...");
+  log.debug("[ContinentsPP] Designating biomes and features...");
   designateBiomes(iWidth, iHeight);
   addTundraVolcanoes(iWidth, iHeight);  // Randomly adds volcanoes to tundra mountains
-  addNaturalWonders(iWidth, iHeight, iNumNaturalWonders, naturalWonderEvent);
+  // The distant lands' share of the wonder budget is held back; the distant
+  // lands payoffs stage spends it on whatever the base game didn't put there
+  const wonderReserve = Math.min(iNumNaturalWonders,
+    distantPayoffTarget('wonders', measureDistantLands(iWidth, iHeight).landTiles, mapSizeIndex));
+  log.debug(`[ContinentsPP] Natural wonders: ${iNumNaturalWonders - wonderReserve} placed now, ${wonderReserve} held back for the distant lands`);
+  addNaturalWonders(iWidth, iHeight, iNumNaturalWonders - wonderReserve, naturalWonderEvent);
   TerrainBuilder.addFloodplains(4, 10);
   addFeatures(iWidth, iHeight);
   TerrainBuilder.validateAndFixTerrain();
@@ -3057,34 +6222,199 @@ async function generateMap() {
   AreaBuilder.recalculateAreas();
   TerrainBuilder.storeWaterData();
 
-  console.log("[ContinentsPP] Generating polar regions...");
+  log.debug("[ContinentsPP] Generating polar regions...");
   generateSnow(iWidth, iHeight);
 
+  return {};
+}
+
+/**
+ * Debug map dumps and base game resources
+ */
+function resourcesStage(ctx) {
+  const { report, rng, iWidth, iHeight, inlandSeas } = ctx;
+
   //────────────────────────────────────────────────────────────────────────────
   // START POSITIONS AND RESOURCES
   //────────────────────────────────────────────────────────────────────────────
 
-  // Debug output
-  dumpContinents(iWidth, iHeight);
-  dumpTerrain(iWidth, iHeight);
-  dumpElevation(iWidth, iHeight);
-  dumpRainfall(iWidth, iHeight);
-  dumpBiomes(iWidth, iHeight);
-  dumpFeatures(iWidth, iHeight);
-  dumpPermanentSnow(iWidth, iHeight);
+  // Debug output (ASCII map dumps are large; only at Debug log level and above)
+  if (isLogEnabled(LOG_LEVEL.DEBUG)) {
+    dumpContinents(iWidth, iHeight);
+    dumpTerrain(iWidth, iHeight);
+    dumpElevation(iWidth, iHeight);
+    dumpRainfall(iWidth, iHeight);
+    dumpBiomes(iWidth, iHeight);
+    dumpFeatures(iWidth, iHeight);
+    dumpPermanentSnow(iWidth, iHeight);
+  }
 
-  console.log("[ContinentsPP] Generating resources...");
+  log.debug("[ContinentsPP] Generating resources...");
   // generateResources signature: (iWidth, iHeight, minMarineResourceTypesOverride = 3)
   // Resource distribution uses LandmassRegionId set during terrain application
   generateResources(iWidth, iHeight);
 
+  // New coastline from the inland seas: make sure none of them is left empty
+  if (inlandSeas.length > 0) {
+    const stocked = stockInlandSeas(iWidth, iHeight, inlandSeas, rng.stream('inlandSeas'));
+    stocked.counts.forEach((count, seaIndex) => { report.inlandSeas.seas[seaIndex].resources = count; });
+    for (const { sea, type, plot } of stocked.added) {
+      const resource = GameInfo.Resources.lookup(type)?.ResourceType ?? `${type}`;
+      log.trace(`[ContinentsPP]   Added ${resource} to the inland sea on continent ${inlandSeas[sea].continent} (${plot[0]},${plot[1]})`);
+      reportFix(report, 'inlandSeas', 'addResource', { resource, continent: inlandSeas[sea].continent, plot });
+    }
+    const empty = stocked.counts.filter((count) => count === 0).length;
+    if (empty > 0) {
+      log.warn(`[ContinentsPP] WARNING: ${empty} inland sea(s) left without resources — no water bonus resource fits`);
+      reportWarning(report, 'inlandSeas', `${empty} inland sea(s) left without resources — no water bonus resource fits`);
+    }
+    if (stocked.added.length > 0) FertilityBuilder.recalculate();
+  }
+
+  return {};
+}
+
+/**
+ * Guarantees every inhabited continent a minimum of each strategic resource
+ */
+function strategicResourcesStage(ctx) {
+  const { report, rng, iWidth, iHeight, tiles, continentIsInhabited, regionToGameContinents } = ctx;
+
+  //────────────────────────────────────────────────────────────────────────────
+  // STRATEGIC RESOURCE BALANCE
+  // For each inhabited continent missing a strategic resource, a copy is moved
+  // from the continent with the largest surplus of it (copies beyond that
+  // continent's own guarantee), or added when no continent has one to spare.
+  //────────────────────────────────────────────────────────────────────────────
+
+  log.debug(`[ContinentsPP] === STRATEGIC RESOURCE BALANCE ===`);
+
+  const inhabited = findInhabitedContinents(tiles, continentIsInhabited);
+
+  const homelandContinents = new Set(regionToGameContinents.get(LandmassRegion.LANDMASS_REGION_WEST) || []);
+  const census = takeResourceCensus(iWidth, iHeight, homelandContinents);
+  const strategicTypes = [...census.strategicTypes].sort((a, b) => a - b);
+  const before = summarizeResourceCensus(census, strategicTypes, inhabited);
+
+  // Only continents big enough to settle are guaranteed; fragments of an
+  // inhabited landmass left by erosion are not
+  const guaranteed = [...inhabited]
+    .filter((continentId) => (census.continents.get(continentId)?.tiles ?? 0) >= STRATEGIC_MIN_CONTINENT_TILES)
+    .sort((a, b) => a - b);
+  const guaranteeOf = (continentId) => (guaranteed.includes(continentId) ? STRATEGIC_MIN_PER_CONTINENT : 0);
+  log.debug(`[ContinentsPP] ${strategicTypes.length} strategic resource types on the map; guaranteeing continents [${guaranteed.join(', ')}]`);
+
+  const random = rng.stream('strategicResources');
+  const typeName = (type) => GameInfo.Resources.lookup(type)?.ResourceType ?? `${type}`;
+  let moved = 0;
+  let added = 0;
+  const unmet = [];
+
+  for (const continentId of guaranteed) {
+    const entry = census.continents.get(continentId);
+    for (const type of strategicTypes) {
+      let missing = STRATEGIC_MIN_PER_CONTINENT - (entry.strategic.get(type)?.length ?? 0);
+      while (missing > 0) {
+        // Empty land plots on this continent that can take the resource
+        const candidates = [];
+        for (let y = 0; y < iHeight; y++) {
+          for (let x = 0; x < iWidth; x++) {
+            if (GameplayMap.getContinentType(x, y) !== continentId) continue;
+            if (GameplayMap.getResourceType(x, y) !== ResourceTypes.NO_RESOURCE) continue;
+            if (ResourceBuilder.canHaveResource(x, y, type, false)) candidates.push(y * iWidth + x);
+          }
+        }
+        if (candidates.length === 0) {
+          const message = `No plot on continent ${continentId} can take ${typeName(type)}`;
+          log.warn(`[ContinentsPP] WARNING: ${message}`);
+          reportWarning(report, 'strategicResources', message);
+          unmet.push({ continent: continentId, resource: typeName(type), missing });
+          break;
+        }
+
+        // Donor: the largest surplus, distant lands first on a tie, then lowest ID
+        let donorId = -1;
+        let donorSurplus = 0;
+        for (const [otherId, other] of census.continents) {
+          if (otherId === continentId) continue;
+          const surplus = (other.strategic.get(type)?.length ?? 0) - guaranteeOf(otherId);
+          if (surplus <= 0) continue;
+          const donor = donorId === -1 ? null : census.continents.get(donorId);
+          const better = donor === null
+            || surplus > donorSurplus
+            || (surplus === donorSurplus && donor.homeland && !other.homeland)
+            || (surplus === donorSurplus && donor.homeland === other.homeland && otherId < donorId);
+          if (better) {
+            donorId = otherId;
+            donorSurplus = surplus;
+          }
+        }
+
+        const plot = candidates[Math.floor(random() * candidates.length)];
+        const x = plot % iWidth;
+        const y = Math.floor(plot / iWidth);
+        ResourceBuilder.setResourceType(x, y, type);
+        if (!entry.strategic.has(type)) entry.strategic.set(type, []);
+        entry.strategic.get(type).push(plot);
+        entry.total++;
+
+        if (donorId !== -1) {
+          const donor = census.continents.get(donorId);
+          const donorPlots = donor.strategic.get(type);
+          const [donorPlot] = donorPlots.splice(Math.floor(random() * donorPlots.length), 1);
+          ResourceBuilder.setResourceType(donorPlot % iWidth, Math.floor(donorPlot / iWidth), ResourceTypes.NO_RESOURCE);
+          donor.total--;
+          moved++;
+          log.trace(`[ContinentsPP]   Moved ${typeName(type)} from continent ${donorId} (${donorPlot % iWidth},${Math.floor(donorPlot / iWidth)}) to continent ${continentId} (${x},${y})`);
+          reportFix(report, 'strategicResources', 'moveResource', { resource: typeName(type), from: donorId, to: continentId, plot: [x, y] });
+        } else {
+          added++;
+          log.trace(`[ContinentsPP]   Added ${typeName(type)} to continent ${continentId} (${x},${y}) — no continent has one to spare`);
+          reportFix(report, 'strategicResources', 'addResource', { resource: typeName(type), to: continentId, plot: [x, y] });
+        }
+        missing--;
+      }
+    }
+  }
+
+  const after = summarizeResourceCensus(census, strategicTypes, inhabited);
+  log.debug(`[ContinentsPP] Strategic resources per continent (before → after):`);
+  for (let i = 0; i < after.continents.length; i++) {
+    const counts = Object.keys(after.continents[i].strategic)
+      .map((name) => `${name.replace(/^RESOURCE_/, '')} ${before.continents[i].strategic[name]}→${after.continents[i].strategic[name]}`);
+    const { continent, homeland, tiles: landTiles } = after.continents[i];
+    const tag = guaranteed.includes(continent) ? ' [guaranteed]' : '';
+    log.debug(`[ContinentsPP]   Continent ${continent} (${homeland ? 'homeland' : 'distant'}, ${landTiles} tiles)${tag}: ${counts.join(', ') || 'none'}`);
+  }
+  log.debug(`[ContinentsPP] Strategic balance: ${moved} moved, ${added} added${unmet.length ? `, ${unmet.length} unmet` : ''}`);
+
+  report.resources = {
+    strategicTypes: strategicTypes.map(typeName),
+    minimumPerContinent: STRATEGIC_MIN_PER_CONTINENT,
+    guaranteedContinents: guaranteed,
+    before,
+    after,
+    moved,
+    added,
+    unmet
+  };
+
+  return {};
+}
+
+/**
+ * Builds player regions from the Voronoi tiles and assigns start plots
+ */
+function startPositionsStage(ctx) {
+  const { iTotalPlayers, voronoiMap, generatorSettings, tiles } = ctx;
+
   //────────────────────────────────────────────────────────────────────────────
   // TILE-BASED START POSITION ASSIGNMENT (Voronoi-aware)
   // This approach works correctly for all ages (Antiquity, Exploration, Modern)
   // because it uses actual tile locations instead of geographic hemisphere bounds
   //────────────────────────────────────────────────────────────────────────────
 
-  console.log("[ContinentsPP] Assigning start positions (tile-based for Voronoi maps)...");
+  log.debug("[ContinentsPP] Assigning start positions (tile-based for Voronoi maps)...");
 
   // Create player areas using Voronoi's built-in fertility-based region creation
   const fertilityGetter = (tile) => StartPositioner.getPlotFertilityForCoord(tile.coord.x, tile.coord.y);
@@ -3096,7 +6426,7 @@ async function generateMap() {
     region.regionId = index;
   });
 
-  console.log(`[ContinentsPP] Creating ${iTotalPlayers} player regions from Voronoi tiles...`);
+  log.debug(`[ContinentsPP] Creating ${iTotalPlayers} player regions from Voronoi tiles...`);
 
   // Calculate offsets for each landmass (to map majorPlayerRegionId to global region index)
   let offset = 0;
@@ -3123,11 +6453,100 @@ async function generateMap() {
 
   // Log region info
   playerRegions.forEach((region, i) => {
-    console.log(`[ContinentsPP] Region ${i}: landmass=${region.landmassId}, tiles=${region.tiles.length}`);
+    log.debug(`[ContinentsPP] Region ${i}: landmass=${region.landmassId}, tiles=${region.tiles.length}`);
   });
 
   // Use tile-based start position assignment (works correctly for all ages)
-  startPositions = assignStartPositionsFromTiles(playerRegions);
+  const startPositions = assignStartPositionsFromTiles(playerRegions);
+
+  return { startPositions, playerRegions };
+}
+
+/**
+ * Teams mode: hands each team the player regions of one landmass
+ */
+function teamPlacementStage(ctx) {
+  const { report, iWidth, startPositions, playerRegions, playerDistributionMode, playerTeams } = ctx;
+
+  if (playerDistributionMode !== 3) {
+    return {};
+  }
+
+  //────────────────────────────────────────────────────────────────────────────
+  // TEAM PLACEMENT
+  // Regions come out grouped by landmass in player order, so without this step
+  // player N just gets region N. Give each team the regions of one landmass,
+  // spilling onto the nearest landmass with free regions when it is full.
+  //────────────────────────────────────────────────────────────────────────────
+
+  log.debug(`[ContinentsPP] === TEAM PLACEMENT ===`);
+
+  // Free regions per landmass; regions without tiles (landmass -1) are used last
+  const freeRegions = new Map();  // landmassId -> [region index]
+  playerRegions.forEach((region, index) => {
+    if (!freeRegions.has(region.landmassId)) freeRegions.set(region.landmassId, []);
+    freeRegions.get(region.landmassId).push(index);
+  });
+  const landmassIds = [...freeRegions.keys()].filter(id => id >= 0);
+  const free = (landmassId) => freeRegions.get(landmassId)?.length ?? 0;
+
+  // Hex distance between the closest starts of two landmasses
+  const landmassGap = (a, b) => {
+    let best = Infinity;
+    for (const i of playerRegions.keys()) {
+      if (playerRegions[i].landmassId !== a || startPositions[i] < 0) continue;
+      for (const j of playerRegions.keys()) {
+        if (playerRegions[j].landmassId !== b || startPositions[j] < 0) continue;
+        best = Math.min(best, plotHexDistance(startPositions[i], startPositions[j], iWidth));
+      }
+    }
+    return best;
+  };
+
+  const regionOfPlayer = new Array(playerRegions.length);
+  for (const { team, members } of groupPlayersByTeam(playerTeams)) {
+    // Best fit: the landmass with the fewest free regions that still holds the whole team
+    const fitting = landmassIds.filter(id => free(id) >= members.length);
+    const home = fitting.length > 0
+      ? fitting.reduce((best, id) => (free(id) < free(best) ? id : best))
+      : landmassIds.reduce((best, id) => (free(id) > free(best) ? id : best), landmassIds[0]);
+
+    let landmass = home;
+    for (const player of members) {
+      if (free(landmass) === 0) {
+        const open = landmassIds.filter(id => free(id) > 0);
+        landmass = open.length > 0
+          ? open.reduce((best, id) => (landmassGap(home, id) < landmassGap(home, best) ? id : best))
+          : -1;
+      }
+      regionOfPlayer[player] = freeRegions.get(landmass).shift();
+    }
+    log.trace(`[ContinentsPP]   Team ${team}: ${members.map(p => `P${p}→L${playerRegions[regionOfPlayer[p]].landmassId}`).join(', ')}`);
+  }
+
+  // Reorder starts and regions to match
+  const oldStarts = startPositions.slice();
+  const oldRegions = playerRegions.slice();
+  let moved = 0;
+  for (let player = 0; player < regionOfPlayer.length; player++) {
+    startPositions[player] = oldStarts[regionOfPlayer[player]];
+    playerRegions[player] = oldRegions[regionOfPlayer[player]];
+    if (regionOfPlayer[player] !== player) moved++;
+  }
+  log.debug(`[ContinentsPP] Team placement: ${moved} player(s) moved to their team's landmass`);
+  if (moved > 0) {
+    reportFix(report, 'teams', 'assignRegions', { moved, regions: regionOfPlayer });
+  }
+
+  return {};
+}
+
+/**
+ * Checks every start is on a continent with a valid region
+ */
+function verifyStartRegionsStage(ctx) {
+  const { report, iWidth, startPositions, aliveMajorIds, humanCount, aiCount,
+    regionToGameContinents, postStampRegionData } = ctx;
 
   //────────────────────────────────────────────────────────────────────────────
   // PLAYER START REGION VERIFICATION
@@ -3135,9 +6554,9 @@ async function generateMap() {
   // Uses post-stamp region assignment (each game continent = unique region)
   //────────────────────────────────────────────────────────────────────────────
 
-  console.log(`[ContinentsPP] === PLAYER START REGION VERIFICATION ===`);
-  console.log(`[ContinentsPP] Each game continent has unique region ID (post-stamp assignment)`);
-  console.log(`[ContinentsPP] Player's spawn continent = their Homeland, all others = Distant Lands`);
+  log.debug(`[ContinentsPP] === PLAYER START REGION VERIFICATION ===`);
+  log.debug(`[ContinentsPP] Each game continent has unique region ID (post-stamp assignment)`);
+  log.debug(`[ContinentsPP] Player's spawn continent = their Homeland, all others = Distant Lands`);
 
   const playerStartRegions = new Map();  // playerIndex -> regionId
   const regionToPlayers = new Map();     // regionId -> [playerIndex]
@@ -3173,24 +6592,25 @@ async function generateMap() {
     const isValidRegion = regionId > 0;
     const status = isValidRegion ? '✓' : '⚠️ INVALID';
 
-    console.log(`[ContinentsPP]   P${i} (${isHuman ? 'HUMAN' : 'AI'}): (${x}, ${y}) region=${regionId} continent=${gameContinentId} ${status}`);
+    log.trace(`[ContinentsPP]   P${i} (${isHuman ? 'HUMAN' : 'AI'}): (${x}, ${y}) region=${regionId} continent=${gameContinentId} ${status}`);
   }
 
   // Summarize regions with players
-  console.log(`[ContinentsPP] Players per region (regions may span multiple reachable continents):`);
+  log.debug(`[ContinentsPP] Players per region (regions may span multiple reachable continents):`);
   for (const [regionId, players] of [...regionToPlayers.entries()].sort((a, b) => a[0] - b[0])) {
     const humanCount = players.filter(p => p.isHuman).length;
     const aiCount = players.length - humanCount;
     const continentIds = regionToGameContinents.get(regionId) || [players[0]?.gameContinentId ?? '?'];
     const isHomeland = humanCount > 0 ? ' [HUMAN HOMELAND]' : '';
     const mergeNote = continentIds.length > 1 ? ' (merged - reachable via coast)' : '';
-    console.log(`[ContinentsPP]   Region ${regionId} (continents [${continentIds.join(', ')}]): ${players.length} players (${humanCount} human, ${aiCount} AI)${isHomeland}${mergeNote}`);
+    log.trace(`[ContinentsPP]   Region ${regionId} (continents [${continentIds.join(', ')}]): ${players.length} players (${humanCount} human, ${aiCount} AI)${isHomeland}${mergeNote}`);
   }
 
   // Check for any players on invalid regions (shouldn't happen with post-stamp assignment)
   const invalidRegionPlayers = [...playerStartRegions.entries()].filter(([_, regionId]) => regionId <= 0);
   if (invalidRegionPlayers.length > 0) {
-    console.log(`[ContinentsPP] ⚠️ WARNING: ${invalidRegionPlayers.length} player(s) on invalid regions!`);
+    log.warn(`[ContinentsPP] ⚠️ WARNING: ${invalidRegionPlayers.length} player(s) on invalid regions!`);
+    reportWarning(report, 'startRegions', `${invalidRegionPlayers.length} player(s) on invalid regions`);
 
     // Attempt to fix using post-stamp KD-tree
     for (const [playerIndex, _] of invalidRegionPlayers) {
@@ -3200,31 +6620,43 @@ async function generateMap() {
       try {
         const nearestLand = postStampRegionData.landKdTree.search({ x, y });
         if (nearestLand?.data?.regionId) {
-          console.log(`[ContinentsPP]   P${playerIndex}: Fixing to region ${nearestLand.data.regionId}`);
+          log.trace(`[ContinentsPP]   P${playerIndex}: Fixing to region ${nearestLand.data.regionId}`);
+          reportFix(report, 'startRegions', 'fixRegionId', { player: playerIndex, regionId: nearestLand.data.regionId });
           TerrainBuilder.setLandmassRegionId(x, y, nearestLand.data.regionId);
           playerStartRegions.set(playerIndex, nearestLand.data.regionId);
         }
       } catch (e) {
-        console.log(`[ContinentsPP]   P${playerIndex}: Fix failed - ${e.message}`);
+        log.trace(`[ContinentsPP]   P${playerIndex}: Fix failed - ${e.message}`);
       }
     }
   }
 
+  return {};
+}
+
+/**
+ * Swaps or relocates players so no human starts alone on a continent
+ */
+function isolationFixStage(ctx) {
+  const { report, iWidth, iHeight, startPositions, aliveMajorIds, mapSizeIndex, playerRegions,
+    playerDistributionMode, playerTeams } = ctx;
+
   //────────────────────────────────────────────────────────────────────────────
   // HUMAN ISOLATION FIX
   // After assignment, check if human is alone on their continent
   // If so, swap with an AI from a populated continent
+  // (in Teams mode, only a teammate or an AI without teammates, so no team is split)
   // CRITICAL: Use startPositions to determine actual continent, not playerRegions
   //────────────────────────────────────────────────────────────────────────────
 
-  console.log(`[ContinentsPP] === POST-ASSIGNMENT HUMAN ISOLATION CHECK ===`);
+  log.debug(`[ContinentsPP] === POST-ASSIGNMENT HUMAN ISOLATION CHECK ===`);
 
   // Configuration for dynamic continent capacity - SCALES WITH MAP SIZE
   // Larger maps have more space, so we increase requirements proportionally
   const MIN_TILES_PER_PLAYER = 60 + mapSizeIndex * 10;  // 60, 70, 80, 90, 100 for Tiny→Huge
 
-  console.log(`[ContinentsPP] Capacity scaling for ${MAP_SIZE_CONFIGS[mapSizeIndex]?.name || 'UNKNOWN'} map:`);
-  console.log(`[ContinentsPP]   MIN_TILES_PER_PLAYER: ${MIN_TILES_PER_PLAYER}`);
+  log.debug(`[ContinentsPP] Capacity scaling for ${MAP_SIZE_CONFIGS[mapSizeIndex]?.name || 'UNKNOWN'} map:`);
+  log.trace(`[ContinentsPP]   MIN_TILES_PER_PLAYER: ${MIN_TILES_PER_PLAYER}`);
 
   // Helper: get continent ID from plot index using game's continent stamping
   const getGameContinentFromPlot = (plotIndex) => {
@@ -3278,13 +6710,13 @@ async function generateMap() {
 
   // Log initial distribution by GAME continent with capacity
   let playerMap = buildPlayerContinentMap();
-  console.log(`[ContinentsPP] Distribution by GAME continent (after start position assignment):`);
+  log.debug(`[ContinentsPP] Distribution by GAME continent (after start position assignment):`);
   for (const [continentId, players] of playerMap) {
     const hCount = players.filter(p => p.isHuman).length;
     const aCount = players.filter(p => !p.isHuman).length;
     const tiles = continentTileCounts.get(continentId) || 0;
     const capacity = getContinentCapacity(continentId);
-    console.log(`[ContinentsPP]   Continent ${continentId}: ${players.length} players (${hCount} human, ${aCount} AI) - ${tiles} tiles, capacity: ${capacity}`);
+    log.trace(`[ContinentsPP]   Continent ${continentId}: ${players.length} players (${hCount} human, ${aCount} AI) - ${tiles} tiles, capacity: ${capacity}`);
   }
 
   // Iterative isolation fix: process ALL isolated humans, rebuild tracking after each round
@@ -3311,19 +6743,19 @@ async function generateMap() {
 
     if (isolatedHumans.length === 0) {
       if (isolationIter === 0) {
-        console.log(`[ContinentsPP] All humans have companions on their game continents`);
+        log.debug(`[ContinentsPP] All humans have companions on their game continents`);
       } else {
-        console.log(`[ContinentsPP] Isolation fix complete after ${isolationIter} round(s), ${totalIsolationFixes} swap(s)`);
+        log.debug(`[ContinentsPP] Isolation fix complete after ${isolationIter} round(s), ${totalIsolationFixes} swap(s)`);
       }
       break;
     }
 
-    console.log(`[ContinentsPP] Found ${isolatedHumans.length} isolated human(s) - fixing (round ${isolationIter + 1})`);
+    log.debug(`[ContinentsPP] Found ${isolatedHumans.length} isolated human(s) - fixing (round ${isolationIter + 1})`);
     let fixedThisRound = false;
 
     for (const isolated of isolatedHumans) {
       const { continentId, human, capacity, tiles } = isolated;
-      console.log(`[ContinentsPP]   Human P${human.playerIndex} alone on continent ${continentId} (${tiles} tiles, capacity ${capacity})`);
+      log.trace(`[ContinentsPP]   Human P${human.playerIndex} alone on continent ${continentId} (${tiles} tiles, capacity ${capacity})`);
 
       // Strategy: swap human with an AI from a populated continent
       // Human moves to the populated continent (gains companions)
@@ -3335,7 +6767,8 @@ async function generateMap() {
         if (otherContId === continentId) continue;
         if (otherPlayers.length < 2) continue;  // Don't steal from another small continent
 
-        const otherAis = otherPlayers.filter(p => !p.isHuman);
+        const otherAis = otherPlayers.filter(p => !p.isHuman &&
+          isTeamSafeMove(playerDistributionMode, playerTeams, human.playerIndex, p.playerIndex));
         for (const ai of otherAis) {
           // Score: prefer continents with more players (safer to lose one)
           const score = otherPlayers.length * 10 + getContinentCapacity(otherContId);
@@ -3361,13 +6794,14 @@ async function generateMap() {
 
         const newX = startPositions[human.playerIndex] % iWidth;
         const newY = Math.floor(startPositions[human.playerIndex] / iWidth);
-        console.log(`[ContinentsPP]   Swapped Human P${human.playerIndex} ↔ AI P${bestSwap.ai.playerIndex}`);
-        console.log(`[ContinentsPP]   Human → continent ${bestSwap.fromContinent} at (${newX}, ${newY}) [${bestSwap.fromCount} players]`);
+        log.trace(`[ContinentsPP]   Swapped Human P${human.playerIndex} ↔ AI P${bestSwap.ai.playerIndex}`);
+        reportFix(report, 'isolation', 'swap', { human: human.playerIndex, ai: bestSwap.ai.playerIndex, toContinent: bestSwap.fromContinent });
+        log.trace(`[ContinentsPP]   Human → continent ${bestSwap.fromContinent} at (${newX}, ${newY}) [${bestSwap.fromCount} players]`);
         totalIsolationFixes++;
         fixedThisRound = true;
       } else {
         // FALLBACK: No 2+ player continent to swap from — relocate closest AI
-        console.log(`[ContinentsPP]   No swap donor — attempting AI relocation to human's continent`);
+        log.trace(`[ContinentsPP]   No swap donor — attempting AI relocation to human's continent`);
 
         let closestAiForReloc = null;
         let closestAiRelocDist = Infinity;
@@ -3377,12 +6811,8 @@ async function generateMap() {
           if (otherCont === continentId) continue;
           for (const p of otherPs) {
             if (p.isHuman) continue;
-            const ax = p.plotIndex % iWidth;
-            const ay = Math.floor(p.plotIndex / iWidth);
-            let dx = Math.abs(hx - ax);
-            if (dx > iWidth / 2) dx = iWidth - dx;
-            const dy = Math.abs(hy - ay);
-            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (!isTeamSafeMove(playerDistributionMode, playerTeams, human.playerIndex, p.playerIndex)) continue;
+            const dist = plotHexDistance(human.plotIndex, p.plotIndex, iWidth);
             if (dist < closestAiRelocDist) {
               closestAiRelocDist = dist;
               closestAiForReloc = p;
@@ -3410,23 +6840,21 @@ async function generateMap() {
             }
           }
           relocTiles.sort((a, b) => b.fertility - a.fertility);
-          const relocTarget = relocTiles.find(t => {
-            let dx = Math.abs(t.x - hx);
-            if (dx > iWidth / 2) dx = iWidth - dx;
-            const dy = Math.abs(t.y - hy);
-            return Math.sqrt(dx * dx + dy * dy) >= 5;
-          }) || relocTiles[0];
+          const relocTarget = relocTiles.find(t => hexDistance(t.x, t.y, hx, hy, iWidth) >= 5) || relocTiles[0];
 
           if (relocTarget) {
             startPositions[closestAiForReloc.playerIndex] = relocTarget.plotIndex;
-            console.log(`[ContinentsPP]   RELOCATE: AI P${closestAiForReloc.playerIndex} → continent ${continentId} at (${relocTarget.x}, ${relocTarget.y})`);
+            log.trace(`[ContinentsPP]   RELOCATE: AI P${closestAiForReloc.playerIndex} → continent ${continentId} at (${relocTarget.x}, ${relocTarget.y})`);
+            reportFix(report, 'isolation', 'relocateAi', { human: human.playerIndex, ai: closestAiForReloc.playerIndex, toContinent: continentId, x: relocTarget.x, y: relocTarget.y });
             totalIsolationFixes++;
             fixedThisRound = true;
           } else {
-            console.log(`[ContinentsPP]   WARNING: No valid tile on continent ${continentId} for relocation`);
+            log.warn(`[ContinentsPP]   WARNING: No valid tile on continent ${continentId} for relocation`);
+            reportWarning(report, 'isolation', `No valid tile on continent ${continentId} for relocation`);
           }
         } else {
-          console.log(`[ContinentsPP]   WARNING: No AI available for relocation`);
+          log.warn(`[ContinentsPP]   WARNING: No AI available for relocation`);
+          reportWarning(report, 'isolation', `No AI available for relocation of human P${human.playerIndex}`);
         }
       }
     }
@@ -3438,36 +6866,40 @@ async function generateMap() {
   const interimPlayerMap = buildPlayerContinentMap();
   const interimIsolated = [...interimPlayerMap.entries()].filter(([_, p]) => p.length === 1 && p.some(pl => pl.isHuman));
   if (interimIsolated.length > 0) {
-    console.log(`[ContinentsPP] WARNING: ${interimIsolated.length} human(s) still isolated after swap pass — will re-check after distance/quality adjustments`);
+    log.warn(`[ContinentsPP] WARNING: ${interimIsolated.length} human(s) still isolated after swap pass — will re-check after distance/quality adjustments`);
+    reportWarning(report, 'isolation', `${interimIsolated.length} human(s) still isolated after swap pass`);
   } else {
-    console.log(`[ContinentsPP] Pre-distance isolation status: all humans have companions`);
+    log.debug(`[ContinentsPP] Pre-distance isolation status: all humans have companions`);
   }
 
+  return { buildPlayerContinentMap, continentTileCounts, getContinentCapacity,
+    MAX_ISOLATION_ITERATIONS };
+}
+
+/**
+ * Pushes apart players closer than MIN_PLAYER_DISTANCE
+ */
+function playerDistanceStage(ctx) {
+  const { report, iWidth, startPositions, aliveMajorIds, mapSizeIndex, playerDistributionMode,
+    playerTeams } = ctx;
+
   //────────────────────────────────────────────────────────────────────────────
   // MINIMUM PLAYER DISTANCE ENFORCEMENT
   // Ensure all players are at least MIN_PLAYER_DISTANCE tiles apart
   // This prevents crowded starts where 2 players spawn within 4 hexes
+  // Teams mode only swaps teammates (or two teamless players) so teams stay together
   //────────────────────────────────────────────────────────────────────────────
 
-  console.log(`[ContinentsPP] === MINIMUM PLAYER DISTANCE CHECK ===`);
+  log.debug(`[ContinentsPP] === MINIMUM PLAYER DISTANCE CHECK ===`);
 
   // Scale minimum distance with map size - larger maps need more separation
   const MIN_PLAYER_DISTANCE = 8 + mapSizeIndex * 2;  // 8, 10, 12, 14, 16 for Tiny→Huge
   const MAX_SWAP_ATTEMPTS = 20;
 
-  console.log(`[ContinentsPP] MIN_PLAYER_DISTANCE: ${MIN_PLAYER_DISTANCE} tiles`);
-
-  // Helper: calculate distance between two plot indices
-  const plotDistance = (plotA, plotB) => {
-    const ax = plotA % iWidth;
-    const ay = Math.floor(plotA / iWidth);
-    const bx = plotB % iWidth;
-    const by = Math.floor(plotB / iWidth);
-    let dx = Math.abs(ax - bx);
-    if (dx > iWidth / 2) dx = iWidth - dx;  // Wrap
-    const dy = Math.abs(ay - by);
-    return Math.sqrt(dx * dx + dy * dy);
-  };
+  log.debug(`[ContinentsPP] MIN_PLAYER_DISTANCE: ${MIN_PLAYER_DISTANCE} tiles`);
+
+  // Helper: hex-step distance between two plot indices, the way the game counts tiles
+  const plotDistance = (plotA, plotB) => plotHexDistance(plotA, plotB, iWidth);
 
   // Build array of all player positions
   let allPlayerPositions = [];
@@ -3511,7 +6943,7 @@ async function generateMap() {
     swapAttempts++;
     const p1 = allPlayerPositions[closestPair.i];
     const p2 = allPlayerPositions[closestPair.j];
-    console.log(`[ContinentsPP] Players ${p1.playerIndex} and ${p2.playerIndex} too close (${closestDist.toFixed(1)} tiles)`);
+    log.debug(`[ContinentsPP] Players ${p1.playerIndex} and ${p2.playerIndex} too close (${closestDist.toFixed(1)} tiles)`);
 
     // Find a third player to swap with (one that would increase the minimum distance)
     // Prefer swapping the AI if one is human, otherwise swap the second one
@@ -3524,6 +6956,7 @@ async function generateMap() {
     for (let k = 0; k < allPlayerPositions.length; k++) {
       if (k === closestPair.i || k === closestPair.j) continue;
       const candidate = allPlayerPositions[k];
+      if (!isTeamSafeSwap(playerDistributionMode, playerTeams, playerToMove.playerIndex, candidate.playerIndex)) continue;
 
       // Calculate what the new minimum distance would be if we swapped
       const distToStay = plotDistance(candidate.plotIndex, playerToStay.plotIndex);
@@ -3549,7 +6982,8 @@ async function generateMap() {
     }
 
     if (bestSwapTarget) {
-      console.log(`[ContinentsPP] Swapping player ${playerToMove.playerIndex} with player ${bestSwapTarget.playerIndex}`);
+      log.debug(`[ContinentsPP] Swapping player ${playerToMove.playerIndex} with player ${bestSwapTarget.playerIndex}`);
+      reportFix(report, 'distance', 'swap', { player: playerToMove.playerIndex, with: bestSwapTarget.playerIndex, tooCloseTo: playerToStay.playerIndex, distance: closestDist });
 
       // Swap positions
       const tempPlot = startPositions[playerToMove.playerIndex];
@@ -3567,24 +7001,35 @@ async function generateMap() {
 
       fixedPairs++;
     } else {
-      console.log(`[ContinentsPP] WARNING: Could not find swap target for crowded players`);
+      log.warn(`[ContinentsPP] WARNING: Could not find swap target for crowded players`);
+      reportWarning(report, 'distance', `Could not find swap target for players ${p1.playerIndex} and ${p2.playerIndex} (${closestDist.toFixed(1)} tiles apart)`);
       break;
     }
   }
 
   if (fixedPairs > 0) {
-    console.log(`[ContinentsPP] Fixed ${fixedPairs} crowded player pairs`);
+    log.debug(`[ContinentsPP] Fixed ${fixedPairs} crowded player pairs`);
   } else if (swapAttempts === 0) {
-    console.log(`[ContinentsPP] All players are ${MIN_PLAYER_DISTANCE}+ tiles apart`);
+    log.debug(`[ContinentsPP] All players are ${MIN_PLAYER_DISTANCE}+ tiles apart`);
   }
 
+  return { MIN_PLAYER_DISTANCE, plotDistance };
+}
+
+/**
+ * Applies the Clustered/Spread human spacing rules and start quality fixes
+ */
+function humanDistanceStage(ctx) {
+  const { report, iWidth, iHeight, startPositions, aliveMajorIds, mapSizeIndex, humanCount,
+    playerDistributionMode, rng } = ctx;
+
   //────────────────────────────────────────────────────────────────────────────
   // HUMAN PLAYER DISTANCE VERIFICATION
   // Log human player distances for debugging/verification
   //────────────────────────────────────────────────────────────────────────────
 
   if (humanCount > 1) {
-    console.log(`[ContinentsPP] === HUMAN PLAYER DISTANCE CHECK (Mode ${playerDistributionMode}) ===`);
+    log.debug(`[ContinentsPP] === HUMAN PLAYER DISTANCE CHECK (Mode ${playerDistributionMode}) ===`);
 
     // Minimum acceptable distance in tiles (only enforced in Spread mode)
     const MIN_HUMAN_DISTANCE = Math.floor(10 + mapSizeIndex * 3);  // 10, 13, 16, 19, 22 for Tiny→Huge
@@ -3603,9 +7048,9 @@ async function generateMap() {
       }
     }
 
-    console.log(`[ContinentsPP] Human start positions (${humanStartPositions.length}):`);
+    log.debug(`[ContinentsPP] Human start positions (${humanStartPositions.length}):`);
     for (const hs of humanStartPositions) {
-      console.log(`[ContinentsPP]   Player ${hs.playerId} (index ${hs.playerIndex}): (${hs.x}, ${hs.y})`);
+      log.trace(`[ContinentsPP]   Player ${hs.playerId} (index ${hs.playerIndex}): (${hs.x}, ${hs.y})`);
     }
 
     // Calculate distances between all human player pairs
@@ -3617,12 +7062,7 @@ async function generateMap() {
         const h1 = humanStartPositions[i];
         const h2 = humanStartPositions[j];
 
-        // Calculate wrapped horizontal distance
-        let dx = Math.abs(h1.x - h2.x);
-        if (dx > iWidth / 2) dx = iWidth - dx;  // Wrap around
-
-        const dy = Math.abs(h1.y - h2.y);
-        const distance = Math.sqrt(dx * dx + dy * dy);
+        const distance = hexDistance(h1.x, h1.y, h2.x, h2.y, iWidth);
 
         minFoundDistance = Math.min(minFoundDistance, distance);
 
@@ -3643,14 +7083,14 @@ async function generateMap() {
       const MAX_CLUSTER_DISTANCE = 6 + mapSizeIndex * 2;
       const IDEAL_CLUSTER_DISTANCE = Math.floor(MAX_CLUSTER_DISTANCE * 0.7);  // Aim for closer
 
-      console.log(`[ContinentsPP] === CLUSTERED MODE: Proximity Enforcement ===`);
-      console.log(`[ContinentsPP]   Current human distance: ${minFoundDistance.toFixed(1)} tiles`);
-      console.log(`[ContinentsPP]   Target max distance: ${MAX_CLUSTER_DISTANCE} tiles (ideal: ${IDEAL_CLUSTER_DISTANCE})`);
+      log.debug(`[ContinentsPP] === CLUSTERED MODE: Proximity Enforcement ===`);
+      log.trace(`[ContinentsPP]   Current human distance: ${minFoundDistance.toFixed(1)} tiles`);
+      log.trace(`[ContinentsPP]   Target max distance: ${MAX_CLUSTER_DISTANCE} tiles (ideal: ${IDEAL_CLUSTER_DISTANCE})`);
 
       if (minFoundDistance <= MAX_CLUSTER_DISTANCE) {
-        console.log(`[ContinentsPP]   ✓ Humans are clustered within target range`);
+        log.trace(`[ContinentsPP]   ✓ Humans are clustered within target range`);
       } else {
-        console.log(`[ContinentsPP]   ⚠ Humans too spread out - enforcing proximity`);
+        log.trace(`[ContinentsPP]   ⚠ Humans too spread out - enforcing proximity`);
 
         // Calculate centroid of human positions
         let centroidX = 0;
@@ -3661,16 +7101,13 @@ async function generateMap() {
         }
         centroidX = Math.floor(centroidX / humanStartPositions.length);
         centroidY = Math.floor(centroidY / humanStartPositions.length);
-        console.log(`[ContinentsPP]   Human centroid: (${centroidX}, ${centroidY})`);
+        log.trace(`[ContinentsPP]   Human centroid: (${centroidX}, ${centroidY})`);
 
         // Find the human farthest from centroid
         let farthestHuman = null;
         let maxDistFromCentroid = 0;
         for (const h of humanStartPositions) {
-          let dx = Math.abs(h.x - centroidX);
-          if (dx > iWidth / 2) dx = iWidth - dx;
-          const dy = Math.abs(h.y - centroidY);
-          const dist = Math.sqrt(dx * dx + dy * dy);
+          const dist = hexDistance(h.x, h.y, centroidX, centroidY, iWidth);
           if (dist > maxDistFromCentroid) {
             maxDistFromCentroid = dist;
             farthestHuman = h;
@@ -3678,7 +7115,7 @@ async function generateMap() {
         }
 
         if (farthestHuman && maxDistFromCentroid > MAX_CLUSTER_DISTANCE) {
-          console.log(`[ContinentsPP]   Moving P${farthestHuman.playerIndex} (${maxDistFromCentroid.toFixed(1)} tiles from centroid)`);
+          log.trace(`[ContinentsPP]   Moving P${farthestHuman.playerIndex} (${maxDistFromCentroid.toFixed(1)} tiles from centroid)`);
 
           // Build tiles near centroid for relocation
           const clusterTiles = [];
@@ -3696,10 +7133,7 @@ async function generateMap() {
                 if (terrain === TerrainType.TERRAIN_COAST || terrain === TerrainType.TERRAIN_OCEAN) continue;
 
                 // Check distance to centroid
-                let cdx = Math.abs(x - centroidX);
-                if (cdx > iWidth / 2) cdx = iWidth - cdx;
-                const cdy = Math.abs(y - centroidY);
-                const centroidDist = Math.sqrt(cdx * cdx + cdy * cdy);
+                const centroidDist = hexDistance(x, y, centroidX, centroidY, iWidth);
                 if (centroidDist > MAX_CLUSTER_DISTANCE) continue;
 
                 // Check it's not already used by another player
@@ -3709,7 +7143,7 @@ async function generateMap() {
                 let minDistToOthers = Infinity;
                 for (const h of humanStartPositions) {
                   if (h.playerIndex === farthestHuman.playerIndex) continue;
-                  const dist = getWrappedPlotDistance(plotIndex, startPositions[h.playerIndex], iWidth, iHeight);
+                  const dist = plotHexDistance(plotIndex, startPositions[h.playerIndex], iWidth);
                   minDistToOthers = Math.min(minDistToOthers, dist);
                 }
 
@@ -3737,25 +7171,26 @@ async function generateMap() {
             const newPos = clusterTiles[0];
             startPositions[farthestHuman.playerIndex] = newPos.plotIndex;
 
-            console.log(`[ContinentsPP]   ✓ Moved P${farthestHuman.playerIndex} from (${farthestHuman.x}, ${farthestHuman.y}) to (${newPos.x}, ${newPos.y})`);
-            console.log(`[ContinentsPP]     Distance to centroid: ${maxDistFromCentroid.toFixed(1)} → ${newPos.centroidDist.toFixed(1)} tiles`);
-            console.log(`[ContinentsPP]     Distance to nearest human: ${newPos.minDistToOthers.toFixed(1)} tiles`);
+            log.trace(`[ContinentsPP]   ✓ Moved P${farthestHuman.playerIndex} from (${farthestHuman.x}, ${farthestHuman.y}) to (${newPos.x}, ${newPos.y})`);
+            reportFix(report, 'clustered', 'moveHuman', { player: farthestHuman.playerIndex, x: newPos.x, y: newPos.y });
+            log.trace(`[ContinentsPP]     Distance to centroid: ${maxDistFromCentroid.toFixed(1)} → ${newPos.centroidDist.toFixed(1)} tiles`);
+            log.trace(`[ContinentsPP]     Distance to nearest human: ${newPos.minDistToOthers.toFixed(1)} tiles`);
 
             // Update position for logging
             farthestHuman.x = newPos.x;
             farthestHuman.y = newPos.y;
           } else {
-            console.log(`[ContinentsPP]   ✗ Could not find suitable position near centroid`);
+            log.warn(`[ContinentsPP]   ✗ Could not find suitable position near centroid`);
           }
         }
       }
     } else if (playerDistributionMode === 1) {
       // Spread: verify separation and ENFORCE if needed
       if (allSeparated) {
-        console.log(`[ContinentsPP] ✓ Spread mode: Humans adequately separated (min: ${minFoundDistance.toFixed(1)}, threshold: ${MIN_HUMAN_DISTANCE})`);
+        log.debug(`[ContinentsPP] ✓ Spread mode: Humans adequately separated (min: ${minFoundDistance.toFixed(1)}, threshold: ${MIN_HUMAN_DISTANCE})`);
       } else {
-        console.log(`[ContinentsPP] ⚠ Spread mode: Humans closer than threshold (min: ${minFoundDistance.toFixed(1)}, threshold: ${MIN_HUMAN_DISTANCE})`);
-        console.log(`[ContinentsPP]   Attempting to enforce separation by finding alternative positions...`);
+        log.debug(`[ContinentsPP] ⚠ Spread mode: Humans closer than threshold (min: ${minFoundDistance.toFixed(1)}, threshold: ${MIN_HUMAN_DISTANCE})`);
+        log.trace(`[ContinentsPP]   Attempting to enforce separation by finding alternative positions...`);
 
         //────────────────────────────────────────────────────────────────────────────
         // SPREAD MODE ENFORCEMENT
@@ -3811,14 +7246,11 @@ async function generateMap() {
             const x2 = currentPlot2 % iWidth;
             const y2 = Math.floor(currentPlot2 / iWidth);
 
-            let dx = Math.abs(x1 - x2);
-            if (dx > iWidth / 2) dx = iWidth - dx;
-            const dy = Math.abs(y1 - y2);
-            const distance = Math.sqrt(dx * dx + dy * dy);
+            const distance = hexDistance(x1, y1, x2, y2, iWidth);
 
             if (distance >= MIN_HUMAN_DISTANCE) continue;
 
-            console.log(`[ContinentsPP]   Pair ${h1.playerIndex}-${h2.playerIndex} too close (${distance.toFixed(1)} tiles)`);
+            log.trace(`[ContinentsPP]   Pair ${h1.playerIndex}-${h2.playerIndex} too close (${distance.toFixed(1)} tiles)`);
 
             // Try to move player j (the second one) to a better position
             const regionId = GameplayMap.getLandmassRegionId(x2, y2);
@@ -3832,23 +7264,14 @@ async function generateMap() {
               if (usedTiles.has(tile.plotIndex)) continue;
 
               // Calculate distance from this tile to h1
-              let altDx = Math.abs(tile.x - x1);
-              if (altDx > iWidth / 2) altDx = iWidth - altDx;
-              const altDy = Math.abs(tile.y - y1);
-              const altDistance = Math.sqrt(altDx * altDx + altDy * altDy);
+              const altDistance = hexDistance(tile.x, tile.y, x1, y1, iWidth);
 
               // Also check distance from all other humans
               let minDistToOthers = altDistance;
               for (let k = 0; k < humanStartPositions.length; k++) {
                 if (k === j) continue;
                 const hk = humanStartPositions[k];
-                const currentPlotK = startPositions[hk.playerIndex];
-                const xk = currentPlotK % iWidth;
-                const yk = Math.floor(currentPlotK / iWidth);
-                let dxk = Math.abs(tile.x - xk);
-                if (dxk > iWidth / 2) dxk = iWidth - dxk;
-                const dyk = Math.abs(tile.y - yk);
-                const distK = Math.sqrt(dxk * dxk + dyk * dyk);
+                const distK = plotHexDistance(tile.plotIndex, startPositions[hk.playerIndex], iWidth);
                 minDistToOthers = Math.min(minDistToOthers, distK);
               }
 
@@ -3870,20 +7293,21 @@ async function generateMap() {
               h2.x = bestAlternative.x;
               h2.y = bestAlternative.y;
 
-              console.log(`[ContinentsPP]   ✓ Moved P${h2.playerIndex} from (${x2}, ${y2}) to (${bestAlternative.x}, ${bestAlternative.y})`);
-              console.log(`[ContinentsPP]     New distance: ${bestDistance.toFixed(1)} tiles (was ${distance.toFixed(1)})`);
+              log.trace(`[ContinentsPP]   ✓ Moved P${h2.playerIndex} from (${x2}, ${y2}) to (${bestAlternative.x}, ${bestAlternative.y})`);
+              reportFix(report, 'spread', 'moveHuman', { player: h2.playerIndex, x: bestAlternative.x, y: bestAlternative.y, distance: bestDistance });
+              log.trace(`[ContinentsPP]     New distance: ${bestDistance.toFixed(1)} tiles (was ${distance.toFixed(1)})`);
               swapsMade++;
             } else {
-              console.log(`[ContinentsPP]   ✗ No better position found for P${h2.playerIndex} on region ${regionId}`);
+              log.trace(`[ContinentsPP]   ✗ No better position found for P${h2.playerIndex} on region ${regionId}`);
             }
           }
         }
 
         if (swapsMade > 0) {
-          console.log(`[ContinentsPP] Spread mode enforcement: Made ${swapsMade} position swap(s)`);
+          log.debug(`[ContinentsPP] Spread mode enforcement: Made ${swapsMade} position swap(s)`);
         } else {
-          console.log(`[ContinentsPP] Spread mode enforcement: Unable to find better positions`);
-          console.log(`[ContinentsPP]   This may happen when continents are too close together`);
+          log.debug(`[ContinentsPP] Spread mode enforcement: Unable to find better positions`);
+          log.trace(`[ContinentsPP]   This may happen when continents are too close together`);
         }
       }
 
@@ -3892,7 +7316,7 @@ async function generateMap() {
       // Check humans AND AI for "bad" spawns and fix them
       //────────────────────────────────────────────────────────────────────────────
 
-      console.log(`[ContinentsPP] === SPREAD MODE: Spawn Quality Check ===`);
+      log.debug(`[ContinentsPP] === SPREAD MODE: Spawn Quality Check ===`);
 
       // Calculate average fertility across all valid spawn tiles
       let totalFertility = 0;
@@ -3912,7 +7336,7 @@ async function generateMap() {
         }
       }
       const avgFertility = fertileTileCount > 0 ? totalFertility / fertileTileCount : 100;
-      console.log(`[ContinentsPP]   Average map fertility: ${avgFertility.toFixed(1)} (from ${fertileTileCount} tiles)`);
+      log.trace(`[ContinentsPP]   Average map fertility: ${avgFertility.toFixed(1)} (from ${fertileTileCount} tiles)`);
 
       // Build list of all players with their spawn quality
       const playerSpawnQuality = [];
@@ -3935,7 +7359,7 @@ async function generateMap() {
 
         const statusIcon = quality.isStrictBad ? '⚠' : '✓';
         const humanTag = isHuman ? '[HUMAN]' : '[AI]';
-        console.log(`[ContinentsPP]   ${statusIcon} P${i} ${humanTag}: fertility=${quality.fertility.toFixed(0)} (${(quality.fertilityRatio * 100).toFixed(0)}% avg)${quality.isTundra ? ' TUNDRA' : ''}`);
+        log.trace(`[ContinentsPP]   ${statusIcon} P${i} ${humanTag}: fertility=${quality.fertility.toFixed(0)} (${(quality.fertilityRatio * 100).toFixed(0)}% avg)${quality.isTundra ? ' TUNDRA' : ''}`);
       }
 
       // Sort by priority: humans with bad spawns first, then AI with bad spawns
@@ -3946,9 +7370,9 @@ async function generateMap() {
       });
 
       if (badSpawns.length === 0) {
-        console.log(`[ContinentsPP]   ✓ All player spawns meet quality threshold`);
+        log.trace(`[ContinentsPP]   ✓ All player spawns meet quality threshold`);
       } else {
-        console.log(`[ContinentsPP]   Found ${badSpawns.length} bad spawn(s) to fix`);
+        log.trace(`[ContinentsPP]   Found ${badSpawns.length} bad spawn(s) to fix`);
 
         // Build region tiles map for finding alternatives (reuse if already built)
         const qualityRegionTiles = new Map();
@@ -3998,7 +7422,7 @@ async function generateMap() {
             for (let i = 0; i < startPositions.length; i++) {
               if (i === badPlayer.playerIndex) continue;
               const otherPlot = startPositions[i];
-              const dist = getWrappedPlotDistance(tile.plotIndex, otherPlot, iWidth, iHeight);
+              const dist = plotHexDistance(tile.plotIndex, otherPlot, iWidth);
               if (dist < 8) {  // Minimum spawn distance
                 tooClose = true;
                 break;
@@ -4019,16 +7443,18 @@ async function generateMap() {
             qualityUsedTiles.add(bestReplacement.plotIndex);
 
             const humanTag = badPlayer.isHuman ? '[HUMAN]' : '[AI]';
-            console.log(`[ContinentsPP]   ✓ Fixed P${badPlayer.playerIndex} ${humanTag}: (${badPlayer.x}, ${badPlayer.y}) → (${bestReplacement.x}, ${bestReplacement.y})`);
-            console.log(`[ContinentsPP]     Fertility: ${badPlayer.quality.fertility.toFixed(0)} → ${bestReplacement.fertility.toFixed(0)}`);
+            log.trace(`[ContinentsPP]   ✓ Fixed P${badPlayer.playerIndex} ${humanTag}: (${badPlayer.x}, ${badPlayer.y}) → (${bestReplacement.x}, ${bestReplacement.y})`);
+            reportFix(report, 'spawnQuality', 'relocate', { player: badPlayer.playerIndex, x: bestReplacement.x, y: bestReplacement.y, fertility: bestReplacement.fertility });
+            log.trace(`[ContinentsPP]     Fertility: ${badPlayer.quality.fertility.toFixed(0)} → ${bestReplacement.fertility.toFixed(0)}`);
             qualitySwaps++;
           } else {
             const humanTag = badPlayer.isHuman ? '[HUMAN]' : '[AI]';
-            console.log(`[ContinentsPP]   ✗ Could not fix P${badPlayer.playerIndex} ${humanTag}: no suitable alternative on region ${regionId}`);
+            log.warn(`[ContinentsPP]   ✗ Could not fix P${badPlayer.playerIndex} ${humanTag}: no suitable alternative on region ${regionId}`);
+            reportWarning(report, 'spawnQuality', `Could not fix bad spawn of P${badPlayer.playerIndex}`);
           }
         }
 
-        console.log(`[ContinentsPP]   Spawn quality fixes: ${qualitySwaps}/${badSpawns.length}`);
+        log.trace(`[ContinentsPP]   Spawn quality fixes: ${qualitySwaps}/${badSpawns.length}`);
       }
     } else if (playerDistributionMode === 2) {
       //────────────────────────────────────────────────────────────────────────────
@@ -4036,8 +7462,8 @@ async function generateMap() {
       // Shuffle positions, allow tundra/close spawns, only fix truly terrible ones
       //────────────────────────────────────────────────────────────────────────────
 
-      console.log(`[ContinentsPP] === RANDOM MODE: Chaos with Guardrails ===`);
-      console.log(`[ContinentsPP]   Human distance = ${minFoundDistance.toFixed(1)} tiles (no enforcement)`);
+      log.debug(`[ContinentsPP] === RANDOM MODE: Chaos with Guardrails ===`);
+      log.trace(`[ContinentsPP]   Human distance = ${minFoundDistance.toFixed(1)} tiles (no enforcement)`);
 
       // Calculate average fertility
       let randomTotalFertility = 0;
@@ -4059,7 +7485,7 @@ async function generateMap() {
       const randomAvgFertility = randomFertileCount > 0 ? randomTotalFertility / randomFertileCount : 100;
 
       // Check all player spawn quality with loose tolerance
-      console.log(`[ContinentsPP]   Spawn quality report (loose tolerance - only fix < 30% avg):`);
+      log.trace(`[ContinentsPP]   Spawn quality report (loose tolerance - only fix < 30% avg):`);
       const looselyBadSpawns = [];
       for (let i = 0; i < aliveMajorIds.length; i++) {
         const playerId = aliveMajorIds[i];
@@ -4071,7 +7497,7 @@ async function generateMap() {
 
         const statusIcon = quality.isLooseBad ? '⚠' : '✓';
         const humanTag = isHuman ? '[HUMAN]' : '[AI]';
-        console.log(`[ContinentsPP]   ${statusIcon} P${i} ${humanTag}: fertility=${quality.fertility.toFixed(0)} (${(quality.fertilityRatio * 100).toFixed(0)}% avg)${quality.isTundra ? ' TUNDRA' : ''}`);
+        log.trace(`[ContinentsPP]   ${statusIcon} P${i} ${humanTag}: fertility=${quality.fertility.toFixed(0)} (${(quality.fertilityRatio * 100).toFixed(0)}% avg)${quality.isTundra ? ' TUNDRA' : ''}`);
 
         if (quality.isLooseBad) {
           looselyBadSpawns.push({
@@ -4087,9 +7513,9 @@ async function generateMap() {
 
       // Only fix truly terrible spawns (< 30% avg fertility)
       if (looselyBadSpawns.length === 0) {
-        console.log(`[ContinentsPP]   ✓ No spawns below 30% avg fertility threshold`);
+        log.trace(`[ContinentsPP]   ✓ No spawns below 30% avg fertility threshold`);
       } else {
-        console.log(`[ContinentsPP]   Found ${looselyBadSpawns.length} truly terrible spawn(s) - fixing`);
+        log.trace(`[ContinentsPP]   Found ${looselyBadSpawns.length} truly terrible spawn(s) - fixing`);
 
         // Build region tiles for alternatives
         const randomRegionTiles = new Map();
@@ -4113,8 +7539,7 @@ async function generateMap() {
         }
 
         // For random mode, shuffle the good tiles to add randomness
-        const randomSeed = mapSeed + 12345;
-        const randomRng = createSeededRandom(randomSeed);
+        const randomRng = rng.stream('randomSpawnFix');
 
         for (const [regionId, tiles] of randomRegionTiles) {
           // Sort by fertility then shuffle top 50%
@@ -4151,16 +7576,262 @@ async function generateMap() {
             randomUsedTiles.add(replacement.plotIndex);
 
             const humanTag = badPlayer.isHuman ? '[HUMAN]' : '[AI]';
-            console.log(`[ContinentsPP]   ✓ Fixed P${badPlayer.playerIndex} ${humanTag}: fertility ${badPlayer.quality.fertility.toFixed(0)} → ${replacement.fertility.toFixed(0)}`);
+            log.trace(`[ContinentsPP]   ✓ Fixed P${badPlayer.playerIndex} ${humanTag}: fertility ${badPlayer.quality.fertility.toFixed(0)} → ${replacement.fertility.toFixed(0)}`);
+            reportFix(report, 'spawnQuality', 'relocate', { player: badPlayer.playerIndex, x: replacement.x, y: replacement.y, fertility: replacement.fertility });
             randomSwaps++;
           }
         }
 
-        console.log(`[ContinentsPP]   Random mode fixes: ${randomSwaps}/${looselyBadSpawns.length}`);
+        log.trace(`[ContinentsPP]   Random mode fixes: ${randomSwaps}/${looselyBadSpawns.length}`);
+      }
+    }
+  }
+
+  return {};
+}
+
+/**
+ * Balanced mode: evens out every start until the best and worst are within the band
+ */
+function balanceStartsStage(ctx) {
+  const { report, iWidth, iHeight, tiles, startPositions, playerRegions, aliveMajorIds,
+    playerDistributionMode, balanceBand, MIN_PLAYER_DISTANCE } = ctx;
+
+  if (playerDistributionMode !== 4) {
+    return {};
+  }
+
+  //────────────────────────────────────────────────────────────────────────────
+  // START BALANCE
+  // Each pass moves the worst start up or the best start down toward the mean,
+  // to another plot on the same continent within BALANCE_RELOCATE_RADIUS. When
+  // no plot helps, the worst start gets a light terrain edit (a mountain worn
+  // down to hills, desert or tundra turned to plains). Humans holding the best or
+  // worst start are then swapped onto a start nearer the mean where that is safe.
+  //────────────────────────────────────────────────────────────────────────────
+
+  log.debug(`[ContinentsPP] === START BALANCE (band ${balanceBand}%) ===`);
+
+  // Average fertility of a land tile (the unit scores are measured in)
+  let totalFertility = 0;
+  let fertileTileCount = 0;
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      if (GameplayMap.isWater(x, y)) continue;
+      const fertility = StartPositioner.getPlotFertilityForCoord(x, y);
+      if (fertility > 0) {
+        totalFertility += fertility;
+        fertileTileCount++;
+      }
+    }
+  }
+  const avgFertility = fertileTileCount > 0 ? totalFertility / fertileTileCount : 100;
+
+  const players = [...startPositions.keys()].filter(i => startPositions[i] >= 0);
+  const scoreAt = (player, plotIndex = startPositions[player]) =>
+    scoreStartPlot(plotIndex, startPositions.filter((_, i) => i !== player), iWidth, iHeight, avgFertility);
+  const spreadOf = (best, worst) => best > 0 ? (best - worst) / best * 100 : 0;
+
+  // Plots a start may move to: same continent, dry, and no closer to another start
+  // than MIN_PLAYER_DISTANCE (or than the start already is, on crowded continents)
+  const relocationCandidates = (player) => {
+    const plotIndex = startPositions[player];
+    const x = plotIndex % iWidth;
+    const y = Math.floor(plotIndex / iWidth);
+    const continent = GameplayMap.getContinentType(x, y);
+    const others = startPositions.filter((other, i) => i !== player && other >= 0);
+    const spacing = Math.min(MIN_PLAYER_DISTANCE,
+      ...others.map(other => plotHexDistance(plotIndex, other, iWidth)));
+    const candidates = [];
+    for (let radius = 1; radius <= BALANCE_RELOCATE_RADIUS; radius++) {
+      for (const plot of hexRing(x, y, radius, iWidth, iHeight)) {
+        if (GameplayMap.isWater(plot.x, plot.y) || GameplayMap.isMountain(plot.x, plot.y)) continue;
+        if (GameplayMap.isNaturalWonder(plot.x, plot.y)) continue;
+        if (GameplayMap.getContinentType(plot.x, plot.y) !== continent) continue;
+        const candidate = plot.y * iWidth + plot.x;
+        if (!others.some(other => plotHexDistance(candidate, other, iWidth) < spacing)) {
+          candidates.push(candidate);
+        }
+      }
+    }
+    return candidates;
+  };
+
+  // Moves a start to the candidate scoring closest to the mean, without leaving [low, high]
+  const relocate = (player, current, low, high, mean) => {
+    let best = null;
+    for (const candidate of relocationCandidates(player)) {
+      const { score } = scoreAt(player, candidate);
+      if (score < low || score > high || score === current) continue;
+      if ((score > current) !== (current < mean)) continue;
+      if (!best || Math.abs(score - mean) < Math.abs(best.score - mean)) {
+        best = { plotIndex: candidate, score };
+      }
+    }
+    if (!best) return false;
+    const x = best.plotIndex % iWidth;
+    const y = Math.floor(best.plotIndex / iWidth);
+    log.trace(`[ContinentsPP]   Relocated P${player}: score ${current.toFixed(1)} → ${best.score.toFixed(1)} at (${x}, ${y})`);
+    reportFix(report, 'balance', 'relocate', { player, x, y, from: Number(current.toFixed(1)), to: Number(best.score.toFixed(1)) });
+    startPositions[player] = best.plotIndex;
+    // The region follows its start onto the new plot's Voronoi landmass
+    const landmassId = tiles[y][x].landmassId;
+    if (playerRegions[player] && landmassId > 0) playerRegions[player].landmassId = landmassId - 1;
+    return true;
+  };
+
+  // One light terrain edit near a start: mountain → hills, desert/tundra → plains
+  const terrainEdits = new Map();  // player -> edits made
+  const improveTerrain = (player) => {
+    if ((terrainEdits.get(player) || 0) >= BALANCE_MAX_TERRAIN_EDITS) return false;
+    const plotIndex = startPositions[player];
+    const sx = plotIndex % iWidth;
+    const sy = Math.floor(plotIndex / iWidth);
+    for (let radius = 1; radius <= BALANCE_RADIUS; radius++) {
+      for (const plot of hexRing(sx, sy, radius, iWidth, iHeight)) {
+        const { x, y } = plot;
+        if (GameplayMap.isWater(x, y) || GameplayMap.isNaturalWonder(x, y)) continue;
+        if (GameplayMap.getResourceType(x, y) !== ResourceTypes.NO_RESOURCE) continue;
+        if (GameplayMap.getFeatureType(x, y) !== FeatureTypes.NO_FEATURE) continue;
+        let change = null;
+        if (GameplayMap.isMountain(x, y)) {
+          TerrainBuilder.setTerrainType(x, y, globals.g_HillTerrain);
+          change = 'mountain→hills';
+        } else {
+          const biome = GameplayMap.getBiomeType(x, y);
+          if (biome === globals.g_DesertBiome || biome === globals.g_TundraBiome) {
+            TerrainBuilder.setBiomeType(x, y, globals.g_PlainsBiome);
+            change = `${biome === globals.g_DesertBiome ? 'desert' : 'tundra'}→plains`;
+          }
+        }
+        if (change) {
+          FertilityBuilder.recalculate();
+          terrainEdits.set(player, (terrainEdits.get(player) || 0) + 1);
+          log.trace(`[ContinentsPP]   Terrain edit for P${player}: ${change} at (${x}, ${y})`);
+          reportFix(report, 'balance', 'terrain', { player, x, y, change });
+          return true;
+        }
       }
     }
+    return false;
+  };
+
+  const rank = () => {
+    const scores = new Map(players.map(i => [i, scoreAt(i)]));
+    const ordered = [...players].sort((a, b) => scores.get(a).score - scores.get(b).score || a - b);
+    const worst = ordered[0];
+    const best = ordered[ordered.length - 1];
+    const mean = players.reduce((sum, i) => sum + scores.get(i).score, 0) / Math.max(1, players.length);
+    return { scores, worst, best, mean, spread: spreadOf(scores.get(best).score, scores.get(worst).score) };
+  };
+
+  let iterations = 0;
+  let relocations = 0;
+  let edits = 0;
+  let state = players.length >= 2 ? rank() : null;
+  log.debug(`[ContinentsPP] Start spread before balancing: ${state ? state.spread.toFixed(1) : 0}%`);
+
+  while (state && state.spread > balanceBand && iterations < BALANCE_MAX_ITERATIONS) {
+    iterations++;
+    const low = state.scores.get(state.worst).score;
+    const high = state.scores.get(state.best).score;
+    if (relocate(state.worst, low, low, high, state.mean) || relocate(state.best, high, low, high, state.mean)) {
+      relocations++;
+    } else if (improveTerrain(state.worst)) {
+      edits++;
+    } else {
+      log.trace(`[ContinentsPP]   No relocation or terrain edit left to narrow the spread`);
+      break;
+    }
+    state = rank();
+  }
+
+  // Humans shouldn't hold the outlier starts: swap them with an AI nearer the mean
+  let swaps = 0;
+  if (state && state.spread > balanceBand) {
+    const startsOnContinent = new Map();
+    for (const i of players) {
+      const continent = GameplayMap.getContinentType(startPositions[i] % iWidth, Math.floor(startPositions[i] / iWidth));
+      startsOnContinent.set(continent, (startsOnContinent.get(continent) || 0) + 1);
+    }
+    const continentOf = (i) => GameplayMap.getContinentType(startPositions[i] % iWidth, Math.floor(startPositions[i] / iWidth));
+    for (const human of [state.worst, state.best]) {
+      if (!Players.isHuman(aliveMajorIds[human])) continue;
+      const humanGap = Math.abs(state.scores.get(human).score - state.mean);
+      // The AI's continent must keep the human company after the swap
+      const ai = players
+        .filter(i => !Players.isHuman(aliveMajorIds[i]) && i !== state.worst && i !== state.best)
+        .filter(i => continentOf(i) === continentOf(human) || startsOnContinent.get(continentOf(i)) >= 2)
+        .filter(i => Math.abs(state.scores.get(i).score - state.mean) < humanGap)
+        .sort((a, b) => Math.abs(state.scores.get(a).score - state.mean) - Math.abs(state.scores.get(b).score - state.mean))[0];
+      if (ai === undefined) continue;
+      [startPositions[human], startPositions[ai]] = [startPositions[ai], startPositions[human]];
+      [playerRegions[human], playerRegions[ai]] = [playerRegions[ai], playerRegions[human]];
+      log.trace(`[ContinentsPP]   Swapped human P${human} with P${ai} (score ${state.scores.get(ai).score.toFixed(1)}, nearer the mean)`);
+      reportFix(report, 'balance', 'swap', { player: human, with: ai });
+      swaps++;
+    }
+    if (swaps > 0) state = rank();
+  }
+
+  if (!state) {
+    report.balance = { band: balanceBand, spread: 0, withinBand: true, iterations, relocations, terrainEdits: edits, swaps, players: [] };
+    return {};
   }
 
+  // Fairness table
+  log.debug(`[ContinentsPP] Start fairness (score in average land tiles, radius ${BALANCE_RADIUS}):`);
+  log.debug(`[ContinentsPP]   Player   Score  Fert  Fresh Coast Ocean  Lux Strat Hills Nearest`);
+  const rows = [];
+  for (const i of players) {
+    const entry = state.scores.get(i);
+    const isHuman = Players.isHuman(aliveMajorIds[i]);
+    const tag = `P${i}${isHuman ? ' [H]' : ''}`;
+    log.debug(`[ContinentsPP]   ${tag.padEnd(8)} ${entry.score.toFixed(1).padStart(5)} ${String(Math.round(entry.fertility)).padStart(5)} ${(entry.freshWater ? 'yes' : 'no').padStart(5)} ${(entry.coast ? 'yes' : 'no').padStart(5)} ${String(entry.water).padStart(5)} ${String(entry.luxury).padStart(4)} ${String(entry.strategic).padStart(5)} ${String(entry.hills).padStart(5)} ${String(entry.nearest).padStart(7)}`);
+    rows.push({
+      player: i,
+      isHuman,
+      score: Number(entry.score.toFixed(1)),
+      fertility: Math.round(entry.fertility),
+      freshWater: entry.freshWater === 1,
+      coast: entry.coast === 1,
+      water: entry.water,
+      luxury: entry.luxury,
+      strategic: entry.strategic,
+      hills: entry.hills,
+      nearest: entry.nearest
+    });
+  }
+
+  const withinBand = state.spread <= balanceBand;
+  log.debug(`[ContinentsPP] Start spread: ${state.spread.toFixed(1)}% (band ${balanceBand}%) after ${relocations} relocation(s), ${edits} terrain edit(s), ${swaps} swap(s)`);
+  if (!withinBand) {
+    log.warn(`[ContinentsPP] WARNING: Starts could not be balanced within ${balanceBand}% (spread ${state.spread.toFixed(1)}%)`);
+    reportWarning(report, 'balance', `Starts could not be balanced within ${balanceBand}% (spread ${state.spread.toFixed(1)}%)`);
+  }
+
+  report.balance = {
+    band: balanceBand,
+    spread: Number(state.spread.toFixed(1)),
+    withinBand,
+    iterations,
+    relocations,
+    terrainEdits: edits,
+    swaps,
+    players: rows
+  };
+
+  return {};
+}
+
+/**
+ * Re-checks human isolation after every position change
+ */
+function definitiveIsolationStage(ctx) {
+  const { report, iWidth, iHeight, startPositions, playerRegions, playerDistributionMode,
+    playerTeams, buildPlayerContinentMap, continentTileCounts, getContinentCapacity,
+    MAX_ISOLATION_ITERATIONS } = ctx;
+
   //────────────────────────────────────────────────────────────────────────────
   // DEFINITIVE HUMAN ISOLATION CHECK (runs AFTER all position modifications)
   // Distance enforcement, mode-specific adjustments, and quality fixes can all
@@ -4168,8 +7839,8 @@ async function generateMap() {
   // guarantee that no human is alone on their game continent.
   //────────────────────────────────────────────────────────────────────────────
 
-  console.log(`[ContinentsPP] === DEFINITIVE HUMAN ISOLATION CHECK ===`);
-  console.log(`[ContinentsPP] (Runs after ALL position modifications: distance, mode, quality)`);
+  log.debug(`[ContinentsPP] === DEFINITIVE HUMAN ISOLATION CHECK ===`);
+  log.debug(`[ContinentsPP] (Runs after ALL position modifications: distance, mode, quality)`);
 
   let definitiveFixCount = 0;
   for (let defIter = 0; defIter < MAX_ISOLATION_ITERATIONS; defIter++) {
@@ -4190,21 +7861,21 @@ async function generateMap() {
 
     if (defIsolated.length === 0) {
       if (defIter === 0) {
-        console.log(`[ContinentsPP] All humans have companions — no fixes needed`);
+        log.debug(`[ContinentsPP] All humans have companions — no fixes needed`);
       } else {
-        console.log(`[ContinentsPP] Definitive fix complete: ${definitiveFixCount} relocation(s) in ${defIter} round(s)`);
+        log.debug(`[ContinentsPP] Definitive fix complete: ${definitiveFixCount} relocation(s) in ${defIter} round(s)`);
       }
       break;
     }
 
-    console.log(`[ContinentsPP] Found ${defIsolated.length} isolated human(s) — fixing (round ${defIter + 1})`);
+    log.debug(`[ContinentsPP] Found ${defIsolated.length} isolated human(s) — fixing (round ${defIter + 1})`);
     let fixedThisDefRound = false;
 
     for (const isolated of defIsolated) {
       const { continentId, human, tiles } = isolated;
       const humanX = human.plotIndex % iWidth;
       const humanY = Math.floor(human.plotIndex / iWidth);
-      console.log(`[ContinentsPP]   Human P${human.playerIndex} alone on continent ${continentId} (${tiles} tiles) at (${humanX}, ${humanY})`);
+      log.trace(`[ContinentsPP]   Human P${human.playerIndex} alone on continent ${continentId} (${tiles} tiles) at (${humanX}, ${humanY})`);
 
       // Strategy 1: Swap with AI from a 2+ player continent (standard approach)
       let bestSwap = null;
@@ -4212,7 +7883,8 @@ async function generateMap() {
       for (const [otherContId, otherPlayers] of defMap) {
         if (otherContId === continentId) continue;
         if (otherPlayers.length < 2) continue;
-        const otherAis = otherPlayers.filter(p => !p.isHuman);
+        const otherAis = otherPlayers.filter(p => !p.isHuman &&
+          isTeamSafeMove(playerDistributionMode, playerTeams, human.playerIndex, p.playerIndex));
         for (const ai of otherAis) {
           const score = otherPlayers.length * 10 + (continentTileCounts.get(otherContId) || 0) / 100;
           if (score > bestScore) {
@@ -4233,8 +7905,9 @@ async function generateMap() {
         }
         const newX = startPositions[human.playerIndex] % iWidth;
         const newY = Math.floor(startPositions[human.playerIndex] / iWidth);
-        console.log(`[ContinentsPP]   SWAP: Human P${human.playerIndex} <-> AI P${bestSwap.ai.playerIndex}`);
-        console.log(`[ContinentsPP]   Human -> continent ${bestSwap.fromContinent} at (${newX}, ${newY}) [${bestSwap.fromCount} players]`);
+        log.trace(`[ContinentsPP]   SWAP: Human P${human.playerIndex} <-> AI P${bestSwap.ai.playerIndex}`);
+        reportFix(report, 'definitiveIsolation', 'swap', { human: human.playerIndex, ai: bestSwap.ai.playerIndex, toContinent: bestSwap.fromContinent });
+        log.trace(`[ContinentsPP]   Human -> continent ${bestSwap.fromContinent} at (${newX}, ${newY}) [${bestSwap.fromCount} players]`);
         definitiveFixCount++;
         fixedThisDefRound = true;
         continue;
@@ -4242,7 +7915,7 @@ async function generateMap() {
 
       // Strategy 2: RELOCATE closest AI to the human's continent
       // Used when no 2+ player continent exists (all continents have 0-1 players)
-      console.log(`[ContinentsPP]   No swap donor — relocating closest AI to human's continent`);
+      log.trace(`[ContinentsPP]   No swap donor — relocating closest AI to human's continent`);
 
       let closestAi = null;
       let closestAiDist = Infinity;
@@ -4250,12 +7923,8 @@ async function generateMap() {
         if (otherContId === continentId) continue;
         for (const p of otherPlayers) {
           if (p.isHuman) continue;
-          const aiX = p.plotIndex % iWidth;
-          const aiY = Math.floor(p.plotIndex / iWidth);
-          let dx = Math.abs(humanX - aiX);
-          if (dx > iWidth / 2) dx = iWidth - dx;
-          const dy = Math.abs(humanY - aiY);
-          const dist = Math.sqrt(dx * dx + dy * dy);
+          if (!isTeamSafeMove(playerDistributionMode, playerTeams, human.playerIndex, p.playerIndex)) continue;
+          const dist = plotHexDistance(human.plotIndex, p.plotIndex, iWidth);
           if (dist < closestAiDist) {
             closestAiDist = dist;
             closestAi = p;
@@ -4286,23 +7955,21 @@ async function generateMap() {
         // Sort by fertility, find tile far enough from human
         humanContTiles.sort((a, b) => b.fertility - a.fertility);
         const MIN_RELOCATION_DIST = 5;
-        const bestTile = humanContTiles.find(t => {
-          let dx = Math.abs(t.x - humanX);
-          if (dx > iWidth / 2) dx = iWidth - dx;
-          const dy = Math.abs(t.y - humanY);
-          return Math.sqrt(dx * dx + dy * dy) >= MIN_RELOCATION_DIST;
-        }) || humanContTiles[0];
+        const bestTile = humanContTiles.find(t => hexDistance(t.x, t.y, humanX, humanY, iWidth) >= MIN_RELOCATION_DIST) || humanContTiles[0];
 
         if (bestTile) {
           startPositions[closestAi.playerIndex] = bestTile.plotIndex;
-          console.log(`[ContinentsPP]   RELOCATE: AI P${closestAi.playerIndex} -> continent ${continentId} at (${bestTile.x}, ${bestTile.y}) fertility=${bestTile.fertility.toFixed(0)}`);
+          log.trace(`[ContinentsPP]   RELOCATE: AI P${closestAi.playerIndex} -> continent ${continentId} at (${bestTile.x}, ${bestTile.y}) fertility=${bestTile.fertility.toFixed(0)}`);
+          reportFix(report, 'definitiveIsolation', 'relocateAi', { human: human.playerIndex, ai: closestAi.playerIndex, toContinent: continentId, x: bestTile.x, y: bestTile.y });
           definitiveFixCount++;
           fixedThisDefRound = true;
         } else {
-          console.log(`[ContinentsPP]   WARNING: No valid tile on continent ${continentId} for relocation`);
+          log.warn(`[ContinentsPP]   WARNING: No valid tile on continent ${continentId} for relocation`);
+          reportWarning(report, 'definitiveIsolation', `No valid tile on continent ${continentId} for relocation`);
         }
       } else {
-        console.log(`[ContinentsPP]   WARNING: No AI available for relocation`);
+        log.warn(`[ContinentsPP]   WARNING: No AI available for relocation`);
+        reportWarning(report, 'definitiveIsolation', `No AI available for relocation of human P${human.playerIndex}`);
       }
     }
 
@@ -4310,9 +7977,10 @@ async function generateMap() {
   }
 
   // DEFINITIVE FINAL VERIFICATION
-  console.log(`[ContinentsPP] === DEFINITIVE FINAL VERIFICATION ===`);
+  log.debug(`[ContinentsPP] === DEFINITIVE FINAL VERIFICATION ===`);
   const defFinalMap = buildPlayerContinentMap();
   let allHumansOk = true;
+  let isolatedHumanCount = 0;
   for (const [contId, players] of defFinalMap) {
     const humans = players.filter(p => p.isHuman);
     if (humans.length === 0) continue;
@@ -4320,34 +7988,205 @@ async function generateMap() {
     const cTiles = continentTileCounts.get(contId) || 0;
     const capacity = getContinentCapacity(contId);
     const status = players.length >= 2 ? 'OK' : 'ISOLATED';
-    if (status === 'ISOLATED') allHumansOk = false;
-    console.log(`[ContinentsPP]   Continent ${contId}: ${humans.length} human(s), ${companions} AI companion(s), ${cTiles} tiles, capacity ${capacity} [${status}]`);
+    if (status === 'ISOLATED') {
+      allHumansOk = false;
+      isolatedHumanCount += humans.length;
+    }
+    log.trace(`[ContinentsPP]   Continent ${contId}: ${humans.length} human(s), ${companions} AI companion(s), ${cTiles} tiles, capacity ${capacity} [${status}]`);
   }
   if (allHumansOk) {
-    console.log(`[ContinentsPP] CONFIRMED: Every human has at least one companion`);
+    log.debug(`[ContinentsPP] CONFIRMED: Every human has at least one companion`);
   } else {
-    console.log(`[ContinentsPP] CRITICAL WARNING: Human isolation could not be fully resolved`);
+    log.warn(`[ContinentsPP] CRITICAL WARNING: Human isolation could not be fully resolved`);
+    reportWarning(report, 'definitiveIsolation', `Human isolation could not be fully resolved (${isolatedHumanCount} isolated)`);
+  }
+
+  return { isolatedHumanCount };
+}
+
+/**
+ * Balanced mode: balances the starts again when the definitive isolation check
+ * moved any, so report.balance describes the final starts
+ */
+function rebalanceStartsStage(ctx) {
+  const { report, playerDistributionMode } = ctx;
+
+  if (playerDistributionMode !== 4 || !report.fixes.some(fix => fix.stage === 'definitiveIsolation')) {
+    return {};
+  }
+
+  //────────────────────────────────────────────────────────────────────────────
+  // START BALANCE RE-CHECK
+  // The isolation swap and AI relocation ignore the band. Balancing moves stay
+  // on a start's continent and human swaps keep company, so no human is left
+  // alone by this pass.
+  //────────────────────────────────────────────────────────────────────────────
+
+  log.debug(`[ContinentsPP] Definitive isolation moved starts — balancing again`);
+  const earlier = report.balance;
+  // The first pass's band warning no longer describes the final starts
+  for (let i = report.warnings.length - 1; i >= 0; i--) {
+    if (report.warnings[i].stage === 'balance') report.warnings.splice(i, 1);
+  }
+  balanceStartsStage(ctx);
+  for (const key of ['iterations', 'relocations', 'terrainEdits', 'swaps']) {
+    report.balance[key] += earlier[key];
+  }
+  return {};
+}
+
+/**
+ * Teams mode: compares land and fertility per team and checks each team can sail to Distant Lands
+ */
+function teamReportStage(ctx) {
+  const { report, iWidth, iHeight, startPositions, playerDistributionMode, playerTeams,
+    continentTileCounts } = ctx;
+
+  if (playerDistributionMode !== 3) {
+    return {};
+  }
+
+  //────────────────────────────────────────────────────────────────────────────
+  // TEAM BALANCE
+  // Each player gets an equal share of the land and fertility of the continent
+  // they start on; a team's total is the sum over its members. A team has a route
+  // to Distant Lands when one of its continents borders water that reaches the
+  // shore of a continent nobody starts on.
+  //────────────────────────────────────────────────────────────────────────────
+
+  log.debug(`[ContinentsPP] === TEAM BALANCE ===`);
+
+  const continentOf = (plotIndex) => plotIndex < 0 ? -1
+    : GameplayMap.getContinentType(plotIndex % iWidth, Math.floor(plotIndex / iWidth));
+  const startContinents = startPositions.map(continentOf);
+  const playersOnContinent = new Map();
+  for (const continentId of startContinents) {
+    playersOnContinent.set(continentId, (playersOnContinent.get(continentId) || 0) + 1);
   }
 
+  // Fertility per continent, and the water that touches a continent without starts
+  const continentFertility = new Map();
+  const isDistantShore = (x, y) => {
+    if (!GameplayMap.isWater(x, y)) return false;
+    let touches = false;
+    forEachHexNeighbor(x, y, iWidth, iHeight, (nx, ny) => {
+      if (GameplayMap.isWater(nx, ny)) return;
+      const continentId = GameplayMap.getContinentType(nx, ny);
+      if (continentId >= 0 && !playersOnContinent.has(continentId)) touches = true;
+    });
+    return touches;
+  };
+  const distantWater = computeHexDistanceField(iWidth, iHeight, isDistantShore,
+    (x, y) => GameplayMap.isWater(x, y));
+  const routeContinents = new Set();
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      if (GameplayMap.isWater(x, y)) continue;
+      const continentId = GameplayMap.getContinentType(x, y);
+      if (continentId < 0) continue;
+      const fertility = StartPositioner.getPlotFertilityForCoord(x, y);
+      continentFertility.set(continentId, (continentFertility.get(continentId) || 0) + Math.max(0, fertility));
+      if (!routeContinents.has(continentId)) {
+        forEachHexNeighbor(x, y, iWidth, iHeight, (nx, ny) => {
+          if (distantWater[ny * iWidth + nx] >= 0) routeContinents.add(continentId);
+        });
+      }
+    }
+  }
+
+  const entries = [];
+  for (const { team, members } of groupPlayersByTeam(playerTeams)) {
+    let land = 0;
+    let fertility = 0;
+    const continents = new Set();
+    for (const player of members) {
+      const continentId = startContinents[player];
+      if (continentId < 0) continue;
+      const share = 1 / playersOnContinent.get(continentId);
+      land += (continentTileCounts.get(continentId) || 0) * share;
+      fertility += (continentFertility.get(continentId) || 0) * share;
+      continents.add(continentId);
+    }
+    const distantRoute = [...continents].some(id => routeContinents.has(id));
+    entries.push({ team, players: members, continents: [...continents], land: Math.round(land),
+      fertility: Math.round(fertility), distantRoute });
+    log.debug(`[ContinentsPP]   Team ${team} (${members.length}): continent(s) ${[...continents].join(', ')}, land ${Math.round(land)} tiles, fertility ${Math.round(fertility)}, Distant Lands route ${distantRoute ? 'yes' : 'NO'}`);
+  }
+
+  // Balance across teams of two or more (solo players aren't a team)
+  const teams = entries.filter(e => e.players.length >= 2);
+  const ratio = (key) => {
+    const values = teams.map(e => e[key]);
+    return teams.length < 2 ? 1 : Math.max(...values) / Math.max(1, Math.min(...values));
+  };
+  const landRatio = ratio('land');
+  const fertilityRatio = ratio('fertility');
+  const balanced = landRatio <= TEAM_BALANCE_TOLERANCE && fertilityRatio <= TEAM_BALANCE_TOLERANCE;
+  log.debug(`[ContinentsPP] Team land ratio ${landRatio.toFixed(2)}, fertility ratio ${fertilityRatio.toFixed(2)} (tolerance ${TEAM_BALANCE_TOLERANCE})`);
+
+  if (!balanced) {
+    log.warn(`[ContinentsPP] WARNING: Teams start on uneven land (land ratio ${landRatio.toFixed(2)}, fertility ratio ${fertilityRatio.toFixed(2)})`);
+    reportWarning(report, 'teams', `Teams start on uneven land (land ratio ${landRatio.toFixed(2)}, fertility ratio ${fertilityRatio.toFixed(2)})`);
+  }
+  for (const entry of teams.filter(e => e.continents.length > 1)) {
+    log.debug(`[ContinentsPP] Team ${entry.team} is split over continents ${entry.continents.join(', ')}`);
+  }
+  for (const entry of entries.filter(e => !e.distantRoute)) {
+    log.warn(`[ContinentsPP] WARNING: Team ${entry.team} has no sea route to Distant Lands`);
+    reportWarning(report, 'teams', `Team ${entry.team} has no sea route to Distant Lands`);
+  }
+
+  report.teams = {
+    landRatio: Number(landRatio.toFixed(2)),
+    fertilityRatio: Number(fertilityRatio.toFixed(2)),
+    balanced,
+    entries
+  };
+
+  return {};
+}
+
+/**
+ * Logs and reports final starts, distances and continent populations
+ */
+function playerReportStage(ctx) {
+  const { report, iWidth, iHeight, startPositions, aliveMajorIds, iTotalPlayers, humanCount, aiCount,
+    playerDistributionMode, playerRegions, MIN_PLAYER_DISTANCE, plotDistance, isolatedHumanCount } = ctx;
+
   //────────────────────────────────────────────────────────────────────────────
   // FINAL PLAYER REPORT
   // Comprehensive summary of all player placements for verification
   //────────────────────────────────────────────────────────────────────────────
 
   // Debug: Log startPositions array state before final report
-  console.log(`[ContinentsPP] === DEBUG: startPositions array state ===`);
+  log.debug(`[ContinentsPP] === DEBUG: startPositions array state ===`);
   for (let i = 0; i < Math.min(startPositions.length, 8); i++) {
     const plot = startPositions[i];
     const x = plot % iWidth;
     const y = Math.floor(plot / iWidth);
     const isHuman = Players.isHuman(aliveMajorIds[i]);
-    console.log(`[ContinentsPP]   startPositions[${i}] = ${plot} → (${x}, ${y}) - ${isHuman ? 'HUMAN' : 'AI'}`);
+    log.trace(`[ContinentsPP]   startPositions[${i}] = ${plot} → (${x}, ${y}) - ${isHuman ? 'HUMAN' : 'AI'}`);
   }
 
-  console.log(`[ContinentsPP] === FINAL PLAYER REPORT ===`);
-  console.log(`[ContinentsPP] Distribution Mode: ${DISTRIBUTION_MODE_NAMES[playerDistributionMode]} (${playerDistributionMode})`);
-  console.log(`[ContinentsPP] Total Players: ${iTotalPlayers} (${humanCount} human, ${aiCount} AI)`);
-  console.log(`[ContinentsPP]`);
+  log.debug(`[ContinentsPP] === FINAL PLAYER REPORT ===`);
+  log.debug(`[ContinentsPP] Distribution Mode: ${DISTRIBUTION_MODE_NAMES[playerDistributionMode]} (${playerDistributionMode})`);
+  log.debug(`[ContinentsPP] Total Players: ${iTotalPlayers} (${humanCount} human, ${aiCount} AI)`);
+  log.debug(`[ContinentsPP]`);
+
+  // Size and region of each GAME continent; the Voronoi landmass maps are keyed
+  // by landmassId, which the game's continent IDs don't match
+  const continentTileCounts = new Map();  // continent ID → land tiles
+  const continentIsHomeland = new Map();  // continent ID → in LANDMASS_REGION_WEST
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      const continentId = GameplayMap.getContinentType(x, y);
+      if (continentId === -1) continue;
+      continentTileCounts.set(continentId, (continentTileCounts.get(continentId) ?? 0) + 1);
+      if (!continentIsHomeland.has(continentId)) {
+        continentIsHomeland.set(continentId, GameplayMap.getLandmassRegionId(x, y) === LandmassRegion.LANDMASS_REGION_WEST);
+      }
+    }
+  }
 
   // Build final player info with continent data
   // Use GAME's continent ID from actual position, not Voronoi landmassId
@@ -4369,8 +8208,8 @@ async function generateMap() {
       landmassId = playerRegions[i]?.landmassId ?? -1;
     }
 
-    const continentSize = landmassTileCounts.get(landmassId) ?? 0;
-    const isHomeland = continentIsInhabited.get(landmassId) ?? false;
+    const continentSize = continentTileCounts.get(landmassId) ?? 0;
+    const isHomeland = continentIsHomeland.get(landmassId) ?? false;
 
     finalPlayerInfo.push({
       index: i,
@@ -4386,16 +8225,16 @@ async function generateMap() {
   }
 
   // Log each player
-  console.log(`[ContinentsPP] PLAYER POSITIONS:`);
+  log.debug(`[ContinentsPP] PLAYER POSITIONS:`);
   for (const p of finalPlayerInfo) {
     const type = p.isHuman ? 'HUMAN' : 'AI';
     const region = p.isHomeland ? 'Homeland' : 'Distant';
-    console.log(`[ContinentsPP]   P${p.index}: (${p.x}, ${p.y}) on continent ${p.continentName} (landmass ${p.landmassId}) - ${type}`);
+    log.trace(`[ContinentsPP]   P${p.index}: (${p.x}, ${p.y}) on continent ${p.continentName} (landmass ${p.landmassId}) - ${type}`);
   }
-  console.log(`[ContinentsPP]`);
+  log.debug(`[ContinentsPP]`);
 
   // Calculate and log all pairwise distances
-  console.log(`[ContinentsPP] PLAYER DISTANCES (min required: ${MIN_PLAYER_DISTANCE} tiles):`);
+  log.debug(`[ContinentsPP] PLAYER DISTANCES (min required: ${MIN_PLAYER_DISTANCE} tiles):`);
   const distanceMatrix = [];
   let minDistance = Infinity;
   let maxDistance = 0;
@@ -4405,6 +8244,8 @@ async function generateMap() {
     for (let j = i + 1; j < finalPlayerInfo.length; j++) {
       const p1 = finalPlayerInfo[i];
       const p2 = finalPlayerInfo[j];
+      // A player without a start plot has no distance to anyone
+      if (p1.plotIndex < 0 || p2.plotIndex < 0) continue;
       const dist = plotDistance(p1.plotIndex, p2.plotIndex);
 
       if (dist < minDistance) {
@@ -4425,36 +8266,60 @@ async function generateMap() {
   // Show closest pairs first
   distanceMatrix.sort((a, b) => a.dist - b.dist);
   for (const d of distanceMatrix.slice(0, 10)) {  // Show top 10 closest pairs
-    console.log(`[ContinentsPP]   P${d.p1}[${d.type1}] ↔ P${d.p2}[${d.type2}]: ${d.dist.toFixed(1)} tiles (${d.sameCont}) ${d.status}`);
+    log.trace(`[ContinentsPP]   P${d.p1}[${d.type1}] ↔ P${d.p2}[${d.type2}]: ${d.dist.toFixed(1)} tiles (${d.sameCont}) ${d.status}`);
   }
   if (distanceMatrix.length > 10) {
-    console.log(`[ContinentsPP]   ... and ${distanceMatrix.length - 10} more pairs`);
+    log.trace(`[ContinentsPP]   ... and ${distanceMatrix.length - 10} more pairs`);
   }
-  console.log(`[ContinentsPP]`);
-  console.log(`[ContinentsPP] Distance Summary: min=${minDistance.toFixed(1)}, max=${maxDistance.toFixed(1)} tiles`);
+  log.debug(`[ContinentsPP]`);
+  log.debug(`[ContinentsPP] Distance Summary: min=${minDistance.toFixed(1)}, max=${maxDistance.toFixed(1)} tiles`);
   if (minPair && minDistance < MIN_PLAYER_DISTANCE) {
-    console.log(`[ContinentsPP] ⚠️ WARNING: Players ${minPair.i} and ${minPair.j} are only ${minDistance.toFixed(1)} tiles apart!`);
+    log.warn(`[ContinentsPP] ⚠️ WARNING: Players ${minPair.i} and ${minPair.j} are only ${minDistance.toFixed(1)} tiles apart!`);
+    reportWarning(report, 'placements', `Players ${minPair.i} and ${minPair.j} are only ${minDistance.toFixed(1)} tiles apart`);
   } else {
-    console.log(`[ContinentsPP] ✓ All players are ${MIN_PLAYER_DISTANCE}+ tiles apart`);
+    log.debug(`[ContinentsPP] ✓ All players are ${MIN_PLAYER_DISTANCE}+ tiles apart`);
   }
-  console.log(`[ContinentsPP]`);
+  log.debug(`[ContinentsPP]`);
 
   // Human-specific summary
   const humanPlayers = finalPlayerInfo.filter(p => p.isHuman);
   if (humanPlayers.length > 0) {
-    console.log(`[ContinentsPP] HUMAN PLAYER SUMMARY:`);
+    log.debug(`[ContinentsPP] HUMAN PLAYER SUMMARY:`);
     for (const h of humanPlayers) {
       const companions = finalPlayerInfo.filter(p => p.landmassId === h.landmassId && p.index !== h.index);
       const humanCompanions = companions.filter(p => p.isHuman).length;
       const aiCompanions = companions.filter(p => !p.isHuman).length;
       const isolationStatus = companions.length === 0 ? '⚠️ ISOLATED!' : `✓ ${companions.length} companion(s)`;
-      console.log(`[ContinentsPP]   Human P${h.index}: Continent ${h.landmassId} with ${humanCompanions}H + ${aiCompanions}AI neighbors - ${isolationStatus}`);
+      log.trace(`[ContinentsPP]   Human P${h.index}: Continent ${h.landmassId} with ${humanCompanions}H + ${aiCompanions}AI neighbors - ${isolationStatus}`);
     }
   }
-  console.log(`[ContinentsPP]`);
+  log.debug(`[ContinentsPP]`);
+
+  report.placements = {
+    players: finalPlayerInfo.map(p => ({
+      index: p.index,
+      playerId: p.playerId,
+      isHuman: p.isHuman,
+      x: p.x,
+      y: p.y,
+      continent: p.landmassId,
+      homeland: p.isHomeland,
+      companions: finalPlayerInfo.filter(o => o.landmassId === p.landmassId && o.index !== p.index).length
+    })),
+    minDistance: isFinite(minDistance) ? minDistance : null,
+    maxDistance,
+    minRequiredDistance: MIN_PLAYER_DISTANCE,
+    closestPairs: distanceMatrix.slice(0, 10).map(d => ({
+      players: [d.p1, d.p2],
+      distance: d.dist,
+      sameContinent: d.sameCont === 'same continent'
+    })),
+    isolatedHumans: isolatedHumanCount,
+    humanReach: []  // Filled by the ANTIQUITY REACHABLE DISTANCE check
+  };
 
   // Continent summary
-  console.log(`[ContinentsPP] CONTINENT SUMMARY:`);
+  log.debug(`[ContinentsPP] CONTINENT SUMMARY:`);
   const continentPlayers = new Map();
   for (const p of finalPlayerInfo) {
     if (!continentPlayers.has(p.landmassId)) {
@@ -4466,9 +8331,9 @@ async function generateMap() {
   }
 
   // Add uninhabited continents
-  for (const [landmassId, tileCount] of landmassTileCounts) {
+  for (const [landmassId, tileCount] of continentTileCounts) {
     if (!continentPlayers.has(landmassId) && tileCount >= 50) {
-      const isHomeland = continentIsInhabited.get(landmassId) ?? false;
+      const isHomeland = continentIsHomeland.get(landmassId) ?? false;
       continentPlayers.set(landmassId, { humans: 0, ais: 0, size: tileCount, isHomeland });
     }
   }
@@ -4479,93 +8344,56 @@ async function generateMap() {
     const region = info.isHomeland ? 'WEST/Homeland' : 'EAST/Distant';
     const players = info.humans + info.ais;
     const playerStr = players > 0 ? `${info.humans}H + ${info.ais}AI` : 'uninhabited';
-    console.log(`[ContinentsPP]   Continent ${landmassId}: ${info.size} tiles, ${region}, ${playerStr}`);
+    log.trace(`[ContinentsPP]   Continent ${landmassId}: ${info.size} tiles, ${region}, ${playerStr}`);
   }
 
+  return { finalPlayerInfo, humanPlayers };
+}
+
+/**
+ * Measures how far each human must travel over land and coast to reach others
+ */
+function reachabilityStage(ctx) {
+  const { report, iWidth, iHeight, traversableTiles, plotDistance, finalPlayerInfo, humanPlayers } = ctx;
+
   //────────────────────────────────────────────────────────────────────────────
   // ANTIQUITY REACHABLE DISTANCE
   // BFS to find actual walking distance via land + coastal tiles (no deep ocean)
   // This is the "real" early-game distance between players
   //────────────────────────────────────────────────────────────────────────────
 
-  console.log(`[ContinentsPP]`);
-  console.log(`[ContinentsPP] === ANTIQUITY REACHABLE DISTANCE ===`);
-  console.log(`[ContinentsPP] (Walking distance via land + coastal tiles, no ocean crossing)`);
+  log.debug(`[ContinentsPP]`);
+  log.debug(`[ContinentsPP] === ANTIQUITY REACHABLE DISTANCE ===`);
+  log.debug(`[ContinentsPP] (Walking distance via land + coastal tiles, no ocean crossing)`);
 
   // Helper: check if a tile is traversable in Antiquity (land or coastal water)
-  // Uses the traversableTiles Set built during terrain application
+  // Uses the traversableTiles grid built during terrain application
   const isAntiquityTraversable = (x, y) => {
     // Check bounds
     if (y < 0 || y >= iHeight) return false;
     // Wrap x
     const wx = ((x % iWidth) + iWidth) % iWidth;
     // Check if in our tracked traversable tiles (land + coast, not deep ocean)
-    return traversableTiles.has(`${wx},${y}`);
+    return traversableTiles[y * iWidth + wx] === 1;
   };
 
-  console.log(`[ContinentsPP] Traversable tiles for pathfinding: ${traversableTiles.size}`);
-
-  // BFS from a starting position, returns distance map
-  const bfsFromPosition = (startX, startY, maxDist = 100) => {
-    const distances = new Map();  // "x,y" -> distance
-    const queue = [{ x: startX, y: startY, dist: 0 }];
-    distances.set(`${startX},${startY}`, 0);
-
-    // 6 hex directions (offset coordinates)
-    const getNeighbors = (x, y) => {
-      const neighbors = [];
-      // Even/odd row affects neighbor offsets in hex grid
-      const isOddRow = y % 2 === 1;
-
-      // Standard hex neighbors
-      const offsets = isOddRow
-        ? [[-1, 0], [1, 0], [0, -1], [1, -1], [0, 1], [1, 1]]
-        : [[-1, 0], [1, 0], [-1, -1], [0, -1], [-1, 1], [0, 1]];
-
-      for (const [dx, dy] of offsets) {
-        const nx = ((x + dx) % iWidth + iWidth) % iWidth;
-        const ny = y + dy;
-        if (ny >= 0 && ny < iHeight) {
-          neighbors.push({ x: nx, y: ny });
-        }
-      }
-      return neighbors;
-    };
-
-    while (queue.length > 0) {
-      const current = queue.shift();
-      if (current.dist >= maxDist) continue;
-
-      for (const neighbor of getNeighbors(current.x, current.y)) {
-        const key = `${neighbor.x},${neighbor.y}`;
-        if (distances.has(key)) continue;  // Already visited
-
-        if (isAntiquityTraversable(neighbor.x, neighbor.y)) {
-          const newDist = current.dist + 1;
-          distances.set(key, newDist);
-          queue.push({ x: neighbor.x, y: neighbor.y, dist: newDist });
-        }
-      }
-    }
-
-    return distances;
-  };
+  log.debug(`[ContinentsPP] Traversable tiles for pathfinding: ${traversableTiles.reduce((count, t) => count + t, 0)}`);
 
   // For each human player, calculate reachable distances to all other players
   for (const human of humanPlayers) {
-    console.log(`[ContinentsPP]`);
-    console.log(`[ContinentsPP] Human P${human.index} at (${human.x}, ${human.y}):`);
+    log.debug(`[ContinentsPP]`);
+    log.debug(`[ContinentsPP] Human P${human.index} at (${human.x}, ${human.y}):`);
 
     // Run BFS from human's position
-    const distances = bfsFromPosition(human.x, human.y, 150);
+    const distances = bfsFromPosition(iWidth, iHeight, human.x, human.y, isAntiquityTraversable, 150);
 
     // Check distance to each other player
     const playerDistances = [];
     for (const other of finalPlayerInfo) {
       if (other.index === human.index) continue;
 
-      const otherKey = `${other.x},${other.y}`;
-      const reachableDist = distances.get(otherKey);
+      const otherDist = other.x < 0 ? -1 : distances[other.y * iWidth + other.x];
+      const reachableDist = otherDist === -1 ? undefined : otherDist;
       const straightDist = plotDistance(human.plotIndex, other.plotIndex);
       const sameCont = human.landmassId === other.landmassId;
 
@@ -4601,36 +8429,103 @@ async function generateMap() {
         reachableCount++;
         if (!nearestReachable) nearestReachable = pd;
         const ratio = (pd.reachableDist / pd.straightDist).toFixed(1);
-        console.log(`[ContinentsPP]   → P${pd.playerIndex}[${type}] (${pd.x},${pd.y}): ${pd.reachableDist} tiles walk (${pd.straightDist.toFixed(0)} straight, ${ratio}x) [${contStr}]`);
+        log.trace(`[ContinentsPP]   → P${pd.playerIndex}[${type}] (${pd.x},${pd.y}): ${pd.reachableDist} tiles walk (${pd.straightDist.toFixed(0)} straight, ${ratio}x) [${contStr}]`);
       } else {
-        console.log(`[ContinentsPP]   → P${pd.playerIndex}[${type}] (${pd.x},${pd.y}): ❌ UNREACHABLE (${pd.straightDist.toFixed(0)} straight) [${contStr}]`);
+        log.trace(`[ContinentsPP]   → P${pd.playerIndex}[${type}] (${pd.x},${pd.y}): ❌ UNREACHABLE (${pd.straightDist.toFixed(0)} straight) [${contStr}]`);
       }
     }
 
     // Summary for this human
-    console.log(`[ContinentsPP]`);
+    report.placements.humanReach.push({
+      player: human.index,
+      nearest: nearestReachable ? { player: nearestReachable.playerIndex, distance: nearestReachable.reachableDist } : null,
+      reachablePlayers: reachableCount,
+      otherPlayers: playerDistances.length
+    });
+    log.debug(`[ContinentsPP]`);
     if (nearestReachable) {
       const nearType = nearestReachable.isHuman ? 'Human' : 'AI';
-      console.log(`[ContinentsPP]   Nearest reachable: P${nearestReachable.playerIndex} (${nearType}) at ${nearestReachable.reachableDist} tiles`);
-      console.log(`[ContinentsPP]   Reachable players: ${reachableCount}/${playerDistances.length}`);
+      log.trace(`[ContinentsPP]   Nearest reachable: P${nearestReachable.playerIndex} (${nearType}) at ${nearestReachable.reachableDist} tiles`);
+      log.trace(`[ContinentsPP]   Reachable players: ${reachableCount}/${playerDistances.length}`);
 
       // Verdict
       if (nearestReachable.reachableDist <= 15) {
-        console.log(`[ContinentsPP]   ✓ GOOD: Nearby neighbor within 15 tiles`);
+        log.trace(`[ContinentsPP]   ✓ GOOD: Nearby neighbor within 15 tiles`);
       } else if (nearestReachable.reachableDist <= 30) {
-        console.log(`[ContinentsPP]   ⚠️ OK: Nearest neighbor is ${nearestReachable.reachableDist} tiles (moderate distance)`);
+        log.trace(`[ContinentsPP]   ⚠️ OK: Nearest neighbor is ${nearestReachable.reachableDist} tiles (moderate distance)`);
       } else {
-        console.log(`[ContinentsPP]   ⚠️ FAR: Nearest neighbor is ${nearestReachable.reachableDist} tiles (long journey)`);
+        log.trace(`[ContinentsPP]   ⚠️ FAR: Nearest neighbor is ${nearestReachable.reachableDist} tiles (long journey)`);
       }
     } else {
-      console.log(`[ContinentsPP]   ❌ ISOLATED: No players reachable via land/coast!`);
+      log.trace(`[ContinentsPP]   ❌ ISOLATED: No players reachable via land/coast!`);
     }
   }
 
-  console.log(`[ContinentsPP]`);
-  console.log("[ContinentsPP] Generating discoveries...");
+  return {};
+}
+
+/**
+ * Proves each land bridge on foot: the players starting on the land it joins
+ * reach one another without boats, and no distant land can be walked to
+ */
+function landBridgeProofStage(ctx) {
+  const { report, iWidth, iHeight, finalPlayerInfo } = ctx;
+
+  if (!report.landBridges || report.landBridges.bridges.length === 0) return {};
+  log.debug(`[ContinentsPP] === LAND BRIDGE PROOF ===`);
+
+  report.landBridges.bridges.forEach((bridge, bridgeIndex) => {
+    const [[startX, startY], [endX, endY]] = bridge.ends;
+    const continents = [...new Set([GameplayMap.getContinentType(startX, startY), GameplayMap.getContinentType(endX, endY)])];
+    const players = finalPlayerInfo.filter((p) => p.plotIndex >= 0 && continents.includes(p.landmassId));
+
+    // Walk from one shore over land only; mountains block, water needs boats
+    const distances = bfsFromPosition(iWidth, iHeight, startX, startY, isWalkable, Infinity);
+    const unreachedPlayers = players.filter((p) => distances[p.plotIndex] === -1).map((p) => p.index);
+    let distantTilesReached = 0;
+    for (let index = 0; index < distances.length; index++) {
+      if (distances[index] === -1) continue;
+      const x = index % iWidth;
+      if (GameplayMap.getLandmassRegionId(x, (index - x) / iWidth) === LandmassRegion.LANDMASS_REGION_EAST) distantTilesReached++;
+    }
+    bridge.proof = {
+      continents,
+      players: players.map((p) => p.index),
+      shoresJoined: distances[endY * iWidth + endX] !== -1,
+      unreachedPlayers,
+      distantTilesReached
+    };
+
+    const where = `Land bridge ${bridgeIndex + 1} at (${bridge.plots[0].join(',')})`;
+    if (!bridge.proof.shoresJoined || unreachedPlayers.length > 0) {
+      const problem = bridge.proof.shoresJoined
+        ? `players ${unreachedPlayers.map((i) => `P${i}`).join(', ')} can't walk to it`
+        : 'no longer joins its shores on foot';
+      log.warn(`[ContinentsPP] WARNING: ${where} ${problem}`);
+      reportWarning(report, 'landBridges', `${where} ${problem}`);
+    } else if (distantTilesReached > 0) {
+      log.warn(`[ContinentsPP] WARNING: ${where} lets players walk onto ${distantTilesReached} distant land tiles`);
+      reportWarning(report, 'landBridges', `${where} lets players walk onto ${distantTilesReached} distant land tiles`);
+    } else {
+      log.debug(`[ContinentsPP] ${where}: ${players.length} players (${players.map((p) => `P${p.index}`).join(', ')}) reach each other on foot, no distant land reachable`);
+    }
+  });
+
+  return {};
+}
+
+/**
+ * Base game discoveries, fertility and advanced start regions
+ */
+function discoveriesStage(ctx) {
+  const { iWidth, iHeight, startPositions } = ctx;
+
+  log.debug(`[ContinentsPP]`);
+  log.debug("[ContinentsPP] Generating discoveries...");
   generateDiscoveries(iWidth, iHeight, startPositions, globals.g_PolarWaterRows);
-  dumpResources(iWidth, iHeight);
+  if (isLogEnabled(LOG_LEVEL.DEBUG)) {
+    dumpResources(iWidth, iHeight);
+  }
 
   FertilityBuilder.recalculate();
   let seed = GameplayMap.getRandomSeed();
@@ -4640,15 +8535,213 @@ async function generateMap() {
   let poissonPred = (val) => {
     return val >= 1 ? "*" : " ";
   };
-  dumpNoisePredicate(iWidth, iHeight, poisson, poissonPred);
+  if (isLogEnabled(LOG_LEVEL.DEBUG)) {
+    dumpNoisePredicate(iWidth, iHeight, poisson, poissonPred);
+  }
 
   assignAdvancedStartRegions();
 
+  return {};
+}
+
+/**
+ * Tops up treasure, luxuries and natural wonders in the distant lands
+ */
+function distantLandsPayoffsStage(ctx) {
+  const { report, rng, iWidth, iHeight, mapSizeIndex, iNumNaturalWonders } = ctx;
+
+  //────────────────────────────────────────────────────────────────────────────
+  // DISTANT LANDS PAYOFFS
+  // Runs after resources, natural wonders and discoveries are all placed.
+  // Discoveries are constructibles the map script can't read back, so only
+  // resources and wonders are measured. Each top-up goes to the distant
+  // continent with the least of that payoff per land tile, so a barren
+  // continent is filled before a rich one.
+  //────────────────────────────────────────────────────────────────────────────
+
+  log.debug(`[ContinentsPP] === DISTANT LANDS PAYOFFS ===`);
+
+  const before = measureDistantLands(iWidth, iHeight);
+  const ageType = GameInfo.Ages.lookup(Game.age)?.AgeType ?? null;
+  const targets = {
+    treasure: ageType === TREASURE_AGE ? distantPayoffTarget('treasure', before.landTiles, mapSizeIndex) : 0,
+    luxury: distantPayoffTarget('luxury', before.landTiles, mapSizeIndex),
+    wonders: distantPayoffTarget('wonders', before.landTiles, mapSizeIndex)
+  };
+  // Per continent, only the sizeable ones and any that got a top-up are listed
+  const toppedUp = new Set();
+  const summarize = (measure) => ({
+    treasure: measure.treasure,
+    luxury: measure.luxury,
+    wonders: measure.wonders,
+    continents: [...measure.continents.entries()]
+      .filter(([continent, entry]) => entry.tiles >= DISTANT_PAYOFF_CONTINENT_TILES || toppedUp.has(continent))
+      .sort((a, b) => a[0] - b[0])
+      .map(([continent, entry]) => ({ continent, ...entry }))
+  });
+  const current = new Map([...before.continents.entries()].map(([continentId, entry]) => [continentId, { ...entry }]));
+  log.debug(`[ContinentsPP] Distant lands: ${before.landTiles} land tiles, ${before.continents.size} continents (${ageType})`);
+  log.debug(`[ContinentsPP]   Treasure ${before.treasure}/${targets.treasure}, luxuries ${before.luxury}/${targets.luxury}, wonders ${before.wonders}/${targets.wonders}`);
+
+  // Land plots of each distant continent, for the top-ups to choose from
+  const continentPlots = new Map();
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      const continentId = GameplayMap.getContinentType(x, y);
+      if (!before.continents.has(continentId)) continue;
+      if (!continentPlots.has(continentId)) continentPlots.set(continentId, []);
+      continentPlots.get(continentId).push(y * iWidth + x);
+    }
+  }
+  // Poorest continent first: least of the payoff per land tile, then the larger one
+  const continentOrder = (kind) => [...current.entries()]
+    .sort((a, b) => (a[1][kind] / a[1].tiles) - (b[1][kind] / b[1].tiles) || b[1].tiles - a[1].tiles || a[0] - b[0])
+    .map(([continentId]) => continentId);
+
+  // Treasure types come from their class; luxuries only from the types this
+  // age's resource generator already placed, so none are out of their age
+  const resourceTypes = { treasure: new Set(), luxury: new Set() };
+  const distantTypeCounts = new Map();  // resource type → copies in the distant region
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      const resourceClass = getPlotResourceClass(x, y);
+      if (resourceClass !== 'RESOURCECLASS_CITY') continue;
+      resourceTypes.luxury.add(GameplayMap.getResourceType(x, y));
+      if (GameplayMap.getLandmassRegionId(x, y) === LandmassRegion.LANDMASS_REGION_EAST) {
+        const type = GameplayMap.getResourceType(x, y);
+        distantTypeCounts.set(type, (distantTypeCounts.get(type) ?? 0) + 1);
+      }
+    }
+  }
+  for (let type = 0; type < GameInfo.Resources.length; type++) {
+    if (GameInfo.Resources.lookup(type)?.ResourceClassType === 'RESOURCECLASS_TREASURE') resourceTypes.treasure.add(type);
+  }
+
+  const random = rng.stream('distantLandsPayoffs');
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const added = { treasure: 0, luxury: 0, wonders: 0 };
+  const shortfall = { treasure: 0, luxury: 0, wonders: 0 };
+
+  // Adds one resource of the kind to the first continent in the list with a valid plot
+  const addResource = (kind, continentIds) => {
+    // Rarest type in the distant lands first, for variety
+    const types = [...resourceTypes[kind]].sort((a, b) => (distantTypeCounts.get(a) ?? 0) - (distantTypeCounts.get(b) ?? 0) || a - b);
+    for (const continentId of continentIds) {
+      for (const type of types) {
+        const candidates = continentPlots.get(continentId).filter((plot) => {
+          const x = plot % iWidth;
+          const y = Math.floor(plot / iWidth);
+          return GameplayMap.getResourceType(x, y) === ResourceTypes.NO_RESOURCE && ResourceBuilder.canHaveResource(x, y, type, false);
+        });
+        if (candidates.length === 0) continue;
+        const plot = pick(candidates);
+        const x = plot % iWidth;
+        const y = Math.floor(plot / iWidth);
+        ResourceBuilder.setResourceType(x, y, type);
+        distantTypeCounts.set(type, (distantTypeCounts.get(type) ?? 0) + 1);
+        current.get(continentId)[kind]++;
+        toppedUp.add(continentId);
+        const resource = GameInfo.Resources.lookup(type)?.ResourceType ?? `${type}`;
+        log.trace(`[ContinentsPP]   Added ${resource} to distant continent ${continentId} (${x},${y})`);
+        reportFix(report, 'distantLandsPayoffs', 'addResource', { kind, resource, continent: continentId, plot: [x, y] });
+        added[kind]++;
+        return true;
+      }
+    }
+    return false;
+  };
+
+  for (const kind of ['treasure', 'luxury']) {
+    if (targets[kind] === 0) continue;
+    // Every sizeable distant continent gets at least one, so none is left barren
+    for (const [continentId, entry] of current) {
+      if (entry.tiles >= DISTANT_PAYOFF_CONTINENT_TILES && entry[kind] === 0) addResource(kind, [continentId]);
+    }
+    // Then the region as a whole is brought up to its target
+    for (let missing = targets[kind] - (before[kind] + added[kind]); missing > 0; missing--) {
+      if (!addResource(kind, continentOrder(kind))) {
+        shortfall[kind] = missing;
+        break;
+      }
+    }
+  }
+
+  // Natural wonders not yet on the map, placed whole by the engine's own footprint check.
+  // They come out of the map's wonder budget, never on top of it
+  const unplacedWonders = GameInfo.Feature_NaturalWonders
+    .map((row) => ({ feature: GameInfo.Features.lookup(row.FeatureType)?.$index ?? -1, direction: row.Direction ?? 0, name: row.FeatureType }))
+    .filter((wonder) => wonder.feature !== -1 && !before.wonderFeatures.has(wonder.feature));
+  const wonderBudget = Math.max(0, iNumNaturalWonders - before.wonderFeatures.size);
+  const wondersMissing = Math.max(0, targets.wonders - before.wonders);
+  for (let missing = Math.min(wondersMissing, wonderBudget); missing > 0; missing--) {
+    let placed = false;
+    for (const continentId of continentOrder('wonders')) {
+      for (const wonder of [...unplacedWonders]) {
+        const param = { Feature: wonder.feature, Direction: wonder.direction, Elevation: 0 };
+        const candidates = continentPlots.get(continentId).filter((plot) =>
+          TerrainBuilder.canHaveFeatureParam(plot % iWidth, Math.floor(plot / iWidth), param));
+        if (candidates.length === 0) continue;
+        const plot = pick(candidates);
+        const x = plot % iWidth;
+        const y = Math.floor(plot / iWidth);
+        TerrainBuilder.setFeatureType(x, y, param);
+        unplacedWonders.splice(unplacedWonders.indexOf(wonder), 1);
+        current.get(continentId).wonders++;
+        toppedUp.add(continentId);
+        log.trace(`[ContinentsPP]   Added ${wonder.name} to distant continent ${continentId} (${x},${y})`);
+        reportFix(report, 'distantLandsPayoffs', 'addWonder', { wonder: wonder.name, continent: continentId, plot: [x, y] });
+        added.wonders++;
+        placed = true;
+        break;
+      }
+      if (placed) break;
+    }
+    if (!placed) break;
+  }
+  shortfall.wonders = wondersMissing - added.wonders;
+
+  if (added.treasure + added.luxury + added.wonders > 0) {
+    FertilityBuilder.recalculate();
+  }
+  for (const kind of ['treasure', 'luxury', 'wonders']) {
+    if (shortfall[kind] > 0) {
+      const reason = kind !== 'wonders' ? 'no valid plot left'
+        : added.wonders === wonderBudget ? 'the natural wonder budget is spent'
+        : unplacedWonders.length === 0 ? 'every natural wonder is already on the map'
+        : 'no valid plot left';
+      const message = `Distant lands ${shortfall[kind]} ${kind === 'wonders' ? 'natural wonder(s)' : `${kind} resource(s)`} short of the target of ${targets[kind]} — ${reason}`;
+      log.warn(`[ContinentsPP] WARNING: ${message}`);
+      reportWarning(report, 'distantLandsPayoffs', message);
+    }
+  }
+
+  const after = measureDistantLands(iWidth, iHeight);
+  log.debug(`[ContinentsPP] Distant lands payoffs: treasure ${before.treasure}→${after.treasure}, luxuries ${before.luxury}→${after.luxury}, wonders ${before.wonders}→${after.wonders}`);
+
+  report.distantPayoffs = {
+    age: ageType,
+    landTiles: before.landTiles,
+    targets,
+    before: summarize(before),
+    after: summarize(after),
+    added,
+    shortfall
+  };
+
+  return {};
+}
+
+/**
+ * Checks player.isDistantLands() against the assigned regions
+ */
+function distantLandsDiagnosticStage(ctx) {
+  const { report, startPositions, aliveMajorIds, tiles, numMajorContinents } = ctx;
+
   // ═══════════════════════════════════════════════════════════════════════════
   // DISTANT LANDS DIAGNOSTIC
   // Test if player.isDistantLands() works correctly with custom region IDs
   // ═══════════════════════════════════════════════════════════════════════════
-  console.log(`[ContinentsPP] === DISTANT LANDS DIAGNOSTIC ===`);
+  log.debug(`[ContinentsPP] === DISTANT LANDS DIAGNOSTIC ===`);
 
   // Get sample tiles from each major continent
   const continentSampleTiles = new Map(); // continentId -> {x, y}
@@ -4662,14 +8755,14 @@ async function generateMap() {
     }
   }
 
-  console.log(`[ContinentsPP] Sample tiles from each continent:`);
+  log.debug(`[ContinentsPP] Sample tiles from each continent:`);
   for (const [continentId, coord] of continentSampleTiles) {
     const regionId = GameplayMap.getLandmassRegionId(coord.x, coord.y);
-    console.log(`[ContinentsPP]   Continent ${continentId}: tile (${coord.x}, ${coord.y}), regionId=${regionId}`);
+    log.trace(`[ContinentsPP]   Continent ${continentId}: tile (${coord.x}, ${coord.y}), regionId=${regionId}`);
   }
 
   // Test isDistantLands for each player against each continent
-  console.log(`[ContinentsPP] Testing player.isDistantLands() for each player:`);
+  log.debug(`[ContinentsPP] Testing player.isDistantLands() for each player:`);
   for (const playerId of aliveMajorIds) {
     const player = Players.get(playerId);
     const isHuman = Players.isHuman(playerId);
@@ -4687,7 +8780,7 @@ async function generateMap() {
       }
     }
 
-    console.log(`[ContinentsPP]   Player ${playerId} (${playerType}) - start: ${playerStartContinent}`);
+    log.trace(`[ContinentsPP]   Player ${playerId} (${playerType}) - start: ${playerStartContinent}`);
 
     // Check if isDistantLands method exists
     if (player && typeof player.isDistantLands === 'function') {
@@ -4695,9 +8788,10 @@ async function generateMap() {
         try {
           const isDistant = player.isDistantLands(coord);
           const regionId = GameplayMap.getLandmassRegionId(coord.x, coord.y);
-          console.log(`[ContinentsPP]     → Continent ${continentId} (region ${regionId}): isDistantLands=${isDistant}`);
+          log.trace(`[ContinentsPP]     → Continent ${continentId} (region ${regionId}): isDistantLands=${isDistant}`);
+          report.regions.distantLandsChecks.push({ playerId, continent: continentId, regionId, isDistantLands: isDistant });
         } catch (e) {
-          console.log(`[ContinentsPP]     → Continent ${continentId}: ERROR - ${e.message}`);
+          log.error(`[ContinentsPP]     → Continent ${continentId}: ERROR - ${e.message}`);
         }
       }
     } else if (player) {
@@ -4708,52 +8802,318 @@ async function generateMap() {
           methods.push(key);
         }
       }
-      console.log(`[ContinentsPP]     isDistantLands NOT available. Player methods: ${methods.slice(0, 20).join(', ')}${methods.length > 20 ? '...' : ''}`);
+      log.trace(`[ContinentsPP]     isDistantLands NOT available. Player methods: ${methods.slice(0, 20).join(', ')}${methods.length > 20 ? '...' : ''}`);
 
       // Try alternative approaches
       try {
         // Maybe it's a property, not a method?
         if ('isDistantLands' in player) {
-          console.log(`[ContinentsPP]     isDistantLands exists as property: ${typeof player.isDistantLands}`);
+          log.trace(`[ContinentsPP]     isDistantLands exists as property: ${typeof player.isDistantLands}`);
         }
         // Check for related methods
         if (typeof player.getStartingRegion === 'function') {
-          console.log(`[ContinentsPP]     player.getStartingRegion(): ${player.getStartingRegion()}`);
+          log.trace(`[ContinentsPP]     player.getStartingRegion(): ${player.getStartingRegion()}`);
         }
         if (typeof player.getLandmassRegion === 'function') {
-          console.log(`[ContinentsPP]     player.getLandmassRegion(): ${player.getLandmassRegion()}`);
+          log.trace(`[ContinentsPP]     player.getLandmassRegion(): ${player.getLandmassRegion()}`);
         }
       } catch (e) {
-        console.log(`[ContinentsPP]     Error checking alternatives: ${e.message}`);
+        log.trace(`[ContinentsPP]     Error checking alternatives: ${e.message}`);
       }
     } else {
-      console.log(`[ContinentsPP]     Could not get player object`);
+      log.warn(`[ContinentsPP]     Could not get player object`);
     }
   }
 
-  console.log(`[ContinentsPP] === END DISTANT LANDS DIAGNOSTIC ===`);
+  log.debug(`[ContinentsPP] === END DISTANT LANDS DIAGNOSTIC ===`);
+
+  return {};
+}
 
-  console.log("═══════════════════════════════════════════════════════════════");
-  console.log("  CONTINENTS++ MAP GENERATION COMPLETE");
-  console.log("═══════════════════════════════════════════════════════════════");
-  console.log(`  Land: ${landPercent}% | Water: ${waterPercent}%`);
-  console.log(`  Continents: ${landmassCount} (${CONTINENT_COUNT_NAMES[continentCountMode]} mode)`);
-  console.log(`  Players: ${iTotalPlayers} (${humanCount} human, ${aiCount} AI)`);
-  console.log(`  Human Spawns: ${DISTRIBUTION_MODE_NAMES[playerDistributionMode]}${humanCount <= 1 ? ' (single-player override)' : ''}`);
-  console.log("───────────────────────────────────────────────────────────────");
-  console.log(`  Homelands (WEST): ${mapStats.homelandCount} continent(s)`);
-  console.log(`  Distant Lands (EAST): ${mapStats.distantLandCount} continent(s)`);
-  console.log("───────────────────────────────────────────────────────────────");
-  console.log(`  Islands: ${mapStats.islandCount} total (${mapStats.islandTiles} tiles)`);
+/**
+ * Logs the final summary and config code and fills the island report
+ */
+function summaryStage(ctx) {
+  const { report, mapStats, iTotalPlayers, mapSizeIndex, humanCount, aiCount, continentCountMode,
+    waterCoverage, erosionLevel, presetIndex, importedConfig, playerDistributionMode, originalMode,
+    balanceBand, chokepointLevel, landBridgeLevel, mapSeed, randomConfig, landmassCount, effectiveErosion, islandErosion, landPercent,
+    waterPercent, mapHash } = ctx;
+
+  log.info("═══════════════════════════════════════════════════════════════");
+  log.info("  CONTINENTS++ MAP GENERATION COMPLETE");
+  log.info("═══════════════════════════════════════════════════════════════");
+  log.info(`  Preset: ${randomConfig.preset}`);
+  log.info(`  Land: ${landPercent}% | Water: ${waterPercent}% (target ${randomConfig.targetWaterPercent}% water)`);
+  log.info(`  Erosion: ${randomConfig.erosion.name} (x${randomConfig.erosion.multiplier}) | Continents: ${effectiveErosion.map(e => e + '%').join(', ')} | Islands: ${islandErosion}%`);
+  const clampNote = randomConfig.requestedLandmassCount !== landmassCount ? `, clamped from ${randomConfig.requestedLandmassCount}` : '';
+  log.info(`  Continents: ${landmassCount} (${getContinentCountModeName(continentCountMode)} mode${clampNote})`);
+  log.info(`  Players: ${iTotalPlayers} (${humanCount} human, ${aiCount} AI)`);
+  log.info(`  Human Spawns: ${DISTRIBUTION_MODE_NAMES[playerDistributionMode]}${playerDistributionMode !== originalMode ? ` (override of ${DISTRIBUTION_MODE_NAMES[originalMode]})` : ''}`);
+  log.info("───────────────────────────────────────────────────────────────");
+  log.info(`  Homelands (WEST): ${mapStats.homelandCount} continent(s)`);
+  log.info(`  Distant Lands (EAST): ${mapStats.distantLandCount} continent(s)`);
+  log.info("───────────────────────────────────────────────────────────────");
+  log.info(`  Islands: ${mapStats.islandCount} total (${mapStats.islandTiles} tiles)`);
   const voronoiIslands = mapStats.islandCount - mapStats.openOceanIslands - mapStats.corridorIslands;
-  console.log(`    Voronoi-generated: ${voronoiIslands}`);
-  console.log(`    Corridor chains: ${mapStats.corridorChains} chains, ${mapStats.corridorIslands} islands (${mapStats.corridorTiles} tiles)`);
-  console.log(`    Open ocean chains: ${mapStats.openOceanChains} chains, ${mapStats.openOceanIslands} islands (${mapStats.openOceanIslandTiles} tiles)`);
-  console.log(`    Near Homelands: ${mapStats.islandsNearHomeland} (${mapStats.islandTilesNearHomeland} tiles)`);
-  console.log(`    Near Distant Lands: ${mapStats.islandsNearDistant} (${mapStats.islandTilesNearDistant} tiles)`);
-  console.log("═══════════════════════════════════════════════════════════════");
+  log.info(`    Voronoi-generated: ${voronoiIslands}`);
+  log.info(`    Corridor chains: ${mapStats.corridorChains} chains, ${mapStats.corridorIslands} islands (${mapStats.corridorTiles} tiles)`);
+  log.info(`    Open ocean chains: ${mapStats.openOceanChains} chains, ${mapStats.openOceanIslands} islands (${mapStats.openOceanIslandTiles} tiles)`);
+  log.info(`    Near Homelands: ${mapStats.islandsNearHomeland} (${mapStats.islandTilesNearHomeland} tiles)`);
+  log.info(`    Near Distant Lands: ${mapStats.islandsNearDistant} (${mapStats.islandTilesNearDistant} tiles)`);
+  log.info("───────────────────────────────────────────────────────────────");
+  const configCode = encodeConfigCode(mapSeed, mapSizeIndex, {
+    continentCount: continentCountMode,
+    distribution: originalMode,
+    balanceBand,
+    chokepoints: chokepointLevel,
+    landBridges: landBridgeLevel,
+    water: waterCoverage,
+    erosion: erosionLevel,
+    preset: presetIndex
+  });
+  log.info(`  Config code${importedConfig ? ' (imported)' : ''}: ${configCode}`);
+  log.info(`  Map hash: ${mapHash} (same seed and options, same hash)`);
+  log.info("═══════════════════════════════════════════════════════════════");
+
+  report.config.code = configCode;
+  report.islands = {
+    count: mapStats.islandCount,
+    tiles: mapStats.islandTiles,
+    voronoi: voronoiIslands,
+    corridor: { chains: mapStats.corridorChains, islands: mapStats.corridorIslands, tiles: mapStats.corridorTiles },
+    openOcean: { chains: mapStats.openOceanChains, islands: mapStats.openOceanIslands, tiles: mapStats.openOceanIslandTiles },
+    nearHomeland: { islands: mapStats.islandsNearHomeland, tiles: mapStats.islandTilesNearHomeland },
+    nearDistant: { islands: mapStats.islandsNearDistant, tiles: mapStats.islandTilesNearDistant }
+  };
+
+  return {};
+}
+
+/**
+ * Hashes the finished map and start positions for the determinism check
+ */
+function mapHashStage(ctx) {
+  const { report, iWidth, iHeight, startPositions, rng } = ctx;
+
+  const mapHash = hashMapState(iWidth, iHeight, startPositions);
+  report.determinism = { mapHash, seed: rng.seed, streams: rng.streamNames() };
+  log.debug(`[ContinentsPP] Map hash: ${mapHash} (RNG streams: ${rng.streamNames().join(', ')})`);
+
+  return { mapHash };
+}
+
+/**
+ * Every stage generateMap() runs, in order. phase is the HOOK_PHASES entry whose
+ * hooks wrap it; inputs/outputs name ctx keys; see runPipeline()
+ */
+const GENERATION_STAGES = [
+  { name: 'probeRegionIds', phase: 'config', run: probeRegionIdsStage,
+    inputs: [],
+    outputs: ['useCustomRegionIds'] },
+  { name: 'setup', phase: 'config', run: setupStage,
+    inputs: ['report', 'useCustomRegionIds'],
+    outputs: ['iTotalPlayers', 'mapSizeIndex', 'continentCountMode', 'randomConfig', 'humanCount',
+      'aiCount', 'playerDistributionMode', 'playerTeams', 'iWidth', 'iHeight', 'mapStats', 'mapSeed',
+      'rng', 'naturalWonderEvent', 'iNumNaturalWonders', 'iTilesPerLake', 'aliveMajorIds',
+      'waterCoverage', 'erosionLevel', 'presetIndex', 'importedConfig', 'originalMode',
+      'balanceBand', 'chokepointLevel', 'landBridgeLevel'] },
+  { name: 'voronoi', phase: 'simulate', run: voronoiStage,
+    inputs: ['report', 'iTotalPlayers', 'mapSizeIndex', 'continentCountMode', 'randomConfig'],
+    outputs: ['voronoiMap', 'generatorSettings', 'landmassCount', 'continentInfo', 'totalSize'] },
+  { name: 'distributePlayers', phase: 'simulate', run: distributePlayersStage,
+    inputs: ['report', 'iTotalPlayers', 'humanCount', 'aiCount', 'playerDistributionMode', 'playerTeams',
+      'randomConfig', 'voronoiMap', 'generatorSettings', 'landmassCount', 'continentInfo',
+      'totalSize'],
+    outputs: ['effectiveErosion', 'islandErosion'] },
+  { name: 'applyTerrain', phase: 'simulate', run: applyTerrainStage,
+    inputs: ['report', 'useCustomRegionIds', 'iWidth', 'iHeight', 'mapStats', 'randomConfig',
+      'voronoiMap', 'generatorSettings'],
+    outputs: ['tiles', 'landmassTileCounts', 'numMajorContinents', 'continentIsInhabited',
+      'reportContinents', 'traversableTiles', 'fallbackRegionId', 'majorContinentKdTree'] },
+  { name: 'redistributePlayers', phase: 'simulate', run: redistributePlayersStage,
+    inputs: ['report', 'mapStats', 'humanCount', 'aiCount', 'playerDistributionMode', 'playerTeams',
+      'generatorSettings', 'tiles', 'landmassTileCounts', 'numMajorContinents',
+      'continentIsInhabited', 'reportContinents'],
+    outputs: [] },
+  { name: 'landDistance', phase: 'simulate', run: landDistanceStage,
+    inputs: ['iWidth', 'iHeight', 'tiles'],
+    outputs: ['landDistance'] },
+  { name: 'corridorIslands', phase: 'simulate', run: corridorIslandsStage,
+    inputs: ['report', 'useCustomRegionIds', 'iWidth', 'iHeight', 'mapStats', 'rng',
+      'generatorSettings', 'tiles', 'traversableTiles', 'continentIsInhabited', 'fallbackRegionId',
+      'landDistance'],
+    outputs: [] },
+  { name: 'openOceanIslands', phase: 'simulate', run: openOceanIslandsStage,
+    inputs: ['report', 'useCustomRegionIds', 'iWidth', 'iHeight', 'mapStats', 'rng', 'tiles',
+      'traversableTiles', 'majorContinentKdTree', 'continentIsInhabited', 'fallbackRegionId',
+      'landDistance'],
+    outputs: [] },
+  { name: 'oceanEnforcement', phase: 'simulate', run: oceanEnforcementStage,
+    inputs: ['report', 'iWidth', 'iHeight', 'tiles', 'numMajorContinents', 'continentIsInhabited'],
+    outputs: [] },
+  { name: 'stampContinents', phase: 'stamp', run: stampContinentsStage,
+    inputs: ['report', 'iWidth', 'iHeight', 'mapStats', 'rng', 'randomConfig',
+      'reportContinents', 'tiles', 'continentIsInhabited'],
+    outputs: ['stampedContinents', 'landPercent', 'waterPercent'] },
+  { name: 'landBridges', phase: 'stamp', run: landBridgesStage,
+    inputs: ['report', 'rng', 'iWidth', 'iHeight', 'mapSizeIndex', 'tiles', 'continentIsInhabited',
+      'traversableTiles', 'landBridgeLevel', 'stampedContinents', 'landPercent', 'waterPercent'],
+    outputs: ['stampedContinents', 'landPercent', 'waterPercent'] },
+  { name: 'chokepoints', phase: 'stamp', run: chokepointsStage,
+    inputs: ['report', 'rng', 'iWidth', 'iHeight', 'mapSizeIndex', 'tiles', 'continentIsInhabited',
+      'traversableTiles', 'chokepointLevel', 'stampedContinents', 'landPercent', 'waterPercent'],
+    outputs: ['stampedContinents', 'landPercent', 'waterPercent'] },
+  { name: 'inlandSeas', phase: 'stamp', run: inlandSeasStage,
+    inputs: ['report', 'rng', 'iWidth', 'iHeight', 'tiles', 'continentIsInhabited', 'stampedContinents',
+      'landPercent', 'waterPercent'],
+    outputs: ['inlandSeas', 'stampedContinents', 'landPercent', 'waterPercent'] },
+  { name: 'waterCoverage', phase: 'stamp', run: waterCoverageStage,
+    inputs: ['report', 'rng', 'iWidth', 'iHeight', 'randomConfig', 'tiles', 'continentIsInhabited',
+      'inlandSeas', 'stampedContinents', 'landPercent', 'waterPercent'],
+    outputs: ['inlandSeas', 'stampedContinents', 'landPercent', 'waterPercent'] },
+  { name: 'regionMerge', phase: 'stamp', run: regionMergeStage,
+    inputs: ['report', 'iWidth', 'iHeight', 'tiles', 'continentIsInhabited', 'stampedContinents',
+      'inlandSeas'],
+    outputs: ['regionToGameContinents', 'postStampRegionData'] },
+  { name: 'baseTerrain', phase: 'stamp', run: baseTerrainStage,
+    inputs: ['report', 'rng', 'tiles', 'voronoiMap', 'randomConfig', 'iWidth', 'iHeight', 'iTilesPerLake'],
+    outputs: [] },
+  { name: 'climate', phase: 'stamp', run: climateStage,
+    inputs: ['report', 'rng', 'iWidth', 'iHeight'],
+    outputs: [] },
+  { name: 'biomes', phase: 'stamp', run: biomesStage,
+    inputs: ['naturalWonderEvent', 'iWidth', 'iHeight', 'iNumNaturalWonders', 'mapSizeIndex'],
+    outputs: [] },
+  { name: 'resources', phase: 'stamp', run: resourcesStage,
+    inputs: ['report', 'rng', 'iWidth', 'iHeight', 'inlandSeas'],
+    outputs: [] },
+  { name: 'strategicResources', phase: 'stamp', run: strategicResourcesStage,
+    inputs: ['report', 'rng', 'iWidth', 'iHeight', 'tiles', 'continentIsInhabited', 'regionToGameContinents'],
+    outputs: [] },
+  { name: 'startPositions', phase: 'start-positions', run: startPositionsStage,
+    inputs: ['iTotalPlayers', 'voronoiMap', 'generatorSettings', 'tiles'],
+    outputs: ['startPositions', 'playerRegions'] },
+  { name: 'teamPlacement', phase: 'start-positions', run: teamPlacementStage,
+    inputs: ['report', 'iWidth', 'startPositions', 'playerRegions', 'playerDistributionMode',
+      'playerTeams'],
+    outputs: [] },
+  { name: 'verifyStartRegions', phase: 'start-positions', run: verifyStartRegionsStage,
+    inputs: ['report', 'iWidth', 'startPositions', 'aliveMajorIds', 'humanCount', 'aiCount',
+      'regionToGameContinents', 'postStampRegionData'],
+    outputs: [] },
+  { name: 'isolationFix', phase: 'start-positions', run: isolationFixStage,
+    inputs: ['report', 'iWidth', 'iHeight', 'startPositions', 'aliveMajorIds', 'mapSizeIndex',
+      'playerRegions', 'playerDistributionMode', 'playerTeams'],
+    outputs: ['buildPlayerContinentMap', 'continentTileCounts', 'getContinentCapacity',
+      'MAX_ISOLATION_ITERATIONS'] },
+  { name: 'playerDistance', phase: 'start-positions', run: playerDistanceStage,
+    inputs: ['report', 'iWidth', 'startPositions', 'aliveMajorIds', 'mapSizeIndex',
+      'playerDistributionMode', 'playerTeams'],
+    outputs: ['MIN_PLAYER_DISTANCE', 'plotDistance'] },
+  { name: 'humanDistance', phase: 'start-positions', run: humanDistanceStage,
+    inputs: ['report', 'iWidth', 'iHeight', 'startPositions', 'aliveMajorIds', 'mapSizeIndex',
+      'humanCount', 'playerDistributionMode', 'rng'],
+    outputs: [] },
+  { name: 'balanceStarts', phase: 'start-positions', run: balanceStartsStage,
+    inputs: ['report', 'iWidth', 'iHeight', 'tiles', 'startPositions', 'playerRegions',
+      'aliveMajorIds', 'playerDistributionMode', 'balanceBand', 'MIN_PLAYER_DISTANCE'],
+    outputs: [] },
+  { name: 'definitiveIsolation', phase: 'start-positions', run: definitiveIsolationStage,
+    inputs: ['report', 'iWidth', 'iHeight', 'startPositions', 'playerRegions',
+      'playerDistributionMode', 'playerTeams', 'buildPlayerContinentMap', 'continentTileCounts', 'getContinentCapacity',
+      'MAX_ISOLATION_ITERATIONS'],
+    outputs: ['isolatedHumanCount'] },
+  { name: 'rebalanceStarts', phase: 'start-positions', run: rebalanceStartsStage,
+    inputs: ['report', 'iWidth', 'iHeight', 'tiles', 'startPositions', 'playerRegions',
+      'aliveMajorIds', 'playerDistributionMode', 'balanceBand', 'MIN_PLAYER_DISTANCE'],
+    outputs: [] },
+  { name: 'teamReport', phase: 'start-positions', run: teamReportStage,
+    inputs: ['report', 'iWidth', 'iHeight', 'startPositions', 'playerDistributionMode',
+      'playerTeams', 'continentTileCounts'],
+    outputs: [] },
+  { name: 'playerReport', phase: 'start-positions', run: playerReportStage,
+    inputs: ['report', 'iWidth', 'iHeight', 'startPositions', 'aliveMajorIds', 'iTotalPlayers', 'humanCount',
+      'aiCount', 'playerDistributionMode', 'playerRegions', 'MIN_PLAYER_DISTANCE', 'plotDistance',
+      'isolatedHumanCount'],
+    outputs: ['finalPlayerInfo', 'humanPlayers'] },
+  { name: 'reachability', phase: 'final', run: reachabilityStage,
+    inputs: ['report', 'iWidth', 'iHeight', 'traversableTiles', 'plotDistance', 'finalPlayerInfo',
+      'humanPlayers'],
+    outputs: [] },
+  { name: 'landBridgeProof', phase: 'final', run: landBridgeProofStage,
+    inputs: ['report', 'iWidth', 'iHeight', 'finalPlayerInfo'],
+    outputs: [] },
+  { name: 'discoveries', phase: 'final', run: discoveriesStage,
+    inputs: ['iWidth', 'iHeight', 'startPositions'],
+    outputs: [] },
+  { name: 'distantLandsPayoffs', phase: 'final', run: distantLandsPayoffsStage,
+    inputs: ['report', 'rng', 'iWidth', 'iHeight', 'mapSizeIndex', 'iNumNaturalWonders'],
+    outputs: [] },
+  { name: 'distantLandsDiagnostic', phase: 'final', run: distantLandsDiagnosticStage,
+    inputs: ['report', 'startPositions', 'aliveMajorIds', 'tiles', 'numMajorContinents'],
+    outputs: [] },
+  { name: 'mapHash', phase: 'final', run: mapHashStage,
+    inputs: ['report', 'iWidth', 'iHeight', 'startPositions', 'rng'],
+    outputs: ['mapHash'] },
+  { name: 'summary', phase: 'final', run: summaryStage,
+    inputs: ['report', 'mapStats', 'iTotalPlayers', 'mapSizeIndex', 'humanCount', 'aiCount',
+      'continentCountMode', 'waterCoverage', 'erosionLevel', 'presetIndex', 'importedConfig',
+      'playerDistributionMode', 'originalMode', 'balanceBand', 'chokepointLevel', 'landBridgeLevel', 'mapSeed', 'randomConfig', 'landmassCount',
+      'effectiveErosion', 'islandErosion', 'landPercent', 'waterPercent', 'mapHash'],
+    outputs: [] }
+];
+
+//──────────────────────────────────────────────────────────────────────────────
+// MAP GENERATION ENTRY POINTS
+//──────────────────────────────────────────────────────────────────────────────
+
+function requestMapData(initParams) {
+  log.debug(`[ContinentsPP] Map dimensions: ${initParams.width}x${initParams.height}`);
+  log.debug(`[ContinentsPP] Map size index: ${initParams.mapSize}`);
+  engine.call("SetMapInitData", initParams);
+}
+
+/**
+ * Engine entry point: sets the log level, runs GENERATION_STAGES and returns the generation report
+ */
+async function generateMap() {
+  // Read log level first so everything below honours it
+  // Level 0: Errors, 1: Warnings, 2: Info (default), 3: Debug, 4: Trace
+  let logLevel = LOG_LEVEL_DEFAULT;
+  try {
+    const logConfigValue = Configuration.getMapValue("ContinentsPPLogLevel");
+    if (logConfigValue !== undefined && logConfigValue !== null) {
+      const parsed = parseInt(logConfigValue, 10);
+      if (!isNaN(parsed)) {
+        logLevel = parsed;
+      }
+    }
+  } catch (e) {
+    logLevel = LOG_LEVEL_DEFAULT;
+  }
+  setLogLevel(logLevel);
+
+  log.info("═══════════════════════════════════════════════════════════════");
+  log.info("  CONTINENTS++ - Enhanced Voronoi Plate Tectonics Generation");
+  log.info("═══════════════════════════════════════════════════════════════");
+  log.info(`[ContinentsPP] Log level: ${currentLogLevel} (${LOG_LEVEL_NAMES[currentLogLevel]})`);
+
+  // Structured counterpart of this log, filled in stage by stage
+  const report = createGenerationReport();
+
+  const ctx = runPipeline(GENERATION_STAGES, { report });
+  if (!ctx) return;
+
+  // One JSON line for log scrapers; tools (headless harness, seed sweeps) use
+  // the return value instead, which the game ignores
+  log.debug(`[ContinentsPP] REPORT ${JSON.stringify(report)}`);
+  return report;
 }
 
 engine.on('RequestMapInitData', requestMapData);
 engine.on('GenerateMap', generateMap);
+
+// Exposed so other map scripts can register hooks, and so individual stages can
+// be run against a prepared ctx outside the game
+export { registerHook, HOOK_POINTS, runPipeline, GENERATION_STAGES };
 console.log("Loaded Continents++ (Voronoi Edition)");
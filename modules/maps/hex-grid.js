@@ -0,0 +1,303 @@
+/**
+ * Continents++ Hex Grid Utilities
+ *
+ * Hex math for the game's map layout: offset coordinates where odd rows are
+ * shifted half a plot right ("odd-r"), X wraps around and Y doesn't. Plot
+ * indices are y * width + x, the same as GameplayMap.getIndexFromXY().
+ *
+ * Distances are hex steps, the way the game counts tiles (movement, city
+ * spacing, start position rules), not Euclidean distance in offset space.
+ *
+ * @packageDocumentation
+ */
+
+//──────────────────────────────────────────────────────────────────────────────
+// COORDINATES AND DISTANCE
+//──────────────────────────────────────────────────────────────────────────────
+
+// Neighbor offsets as flat [dx, dy] pairs; odd rows are shifted right
+const HEX_OFFSETS_EVEN_ROW = [-1, 0, 1, 0, -1, -1, 0, -1, -1, 1, 0, 1];
+const HEX_OFFSETS_ODD_ROW = [-1, 0, 1, 0, 0, -1, 1, -1, 0, 1, 1, 1];
+
+// Cube directions, in ring-walk order
+const CUBE_DIRECTIONS = [[1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]];
+
+/**
+ * Wraps an X coordinate into [0, width)
+ */
+export function wrapX(x, width) {
+  return ((x % width) + width) % width;
+}
+
+/**
+ * Axial (cube q, r) coordinates of an offset plot; s = -q - r
+ */
+export function offsetToAxial(x, y) {
+  return { q: x - (y - (y & 1)) / 2, r: y };
+}
+
+/**
+ * Offset coordinates of an axial position (X not wrapped)
+ */
+export function axialToOffset(q, r) {
+  return { x: q + (r - (r & 1)) / 2, y: r };
+}
+
+/**
+ * Hex-step distance between two plots, taking the shorter way around the X wrap
+ * @param width - map width; pass 0 for a non-wrapping distance
+ */
+export function hexDistance(x1, y1, x2, y2, width = 0) {
+  const q1 = x1 - (y1 - (y1 & 1)) / 2;
+  const dr = y2 - y1;
+  let best = Infinity;
+  const shifts = width > 0 ? [-width, 0, width] : [0];
+  for (const shift of shifts) {
+    const dq = x2 + shift - (y2 - (y2 & 1)) / 2 - q1;
+    const d = (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+    if (d < best) best = d;
+  }
+  return best;
+}
+
+/**
+ * Hex-step distance between two plot indices, with X wrap
+ */
+export function plotHexDistance(plotA, plotB, width) {
+  const xA = plotA % width;
+  const xB = plotB % width;
+  return hexDistance(xA, (plotA - xA) / width, xB, (plotB - xB) / width, width);
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// NEIGHBORS, RINGS AND LINES
+//──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Calls visit(nx, ny) for each hex neighbor of (x, y), wrapping X and dropping
+ * rows off the top/bottom edge. Allocation-free; use in hot loops.
+ */
+export function forEachHexNeighbor(x, y, width, height, visit) {
+  const offsets = y % 2 === 1 ? HEX_OFFSETS_ODD_ROW : HEX_OFFSETS_EVEN_ROW;
+  for (let k = 0; k < 12; k += 2) {
+    const ny = y + offsets[k + 1];
+    if (ny < 0 || ny >= height) continue;
+    visit((x + offsets[k] + width) % width, ny);
+  }
+}
+
+/**
+ * Hex neighbors of (x, y) as {x, y} objects (X wrapped, off-map rows dropped)
+ */
+export function getHexNeighbors(x, y, width, height) {
+  const neighbors = [];
+  forEachHexNeighbor(x, y, width, height, (nx, ny) => neighbors.push({ x: nx, y: ny }));
+  return neighbors;
+}
+
+/**
+ * Returns the 6 hex neighbors in ring order (E, SE, SW, W, NW, NE) with X wrap.
+ * Off-map rows are returned as null so callers can treat them as water.
+ */
+export function getHexRingNeighbors(x, y, width, height) {
+  const offsets = y % 2 === 1
+    ? [[1, 0], [1, 1], [0, 1], [-1, 0], [0, -1], [1, -1]]
+    : [[1, 0], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1]];
+  return offsets.map(([dx, dy]) => {
+    const ny = y + dy;
+    if (ny < 0 || ny >= height) return null;
+    return { x: wrapX(x + dx, width), y: ny };
+  });
+}
+
+/**
+ * Plots exactly `radius` hex steps from (x, y), walking the ring in order.
+ * Radius 0 returns the center; off-map rows are dropped.
+ */
+export function hexRing(x, y, radius, width, height) {
+  if (radius === 0) return [{ x, y }];
+  const ring = [];
+  const center = offsetToAxial(x, y);
+  let q = center.q + CUBE_DIRECTIONS[4][0] * radius;
+  let r = center.r + CUBE_DIRECTIONS[4][1] * radius;
+  for (let side = 0; side < 6; side++) {
+    for (let step = 0; step < radius; step++) {
+      if (r >= 0 && r < height) {
+        const plot = axialToOffset(q, r);
+        ring.push({ x: wrapX(plot.x, width), y: plot.y });
+      }
+      q += CUBE_DIRECTIONS[side][0];
+      r += CUBE_DIRECTIONS[side][1];
+    }
+  }
+  return ring;
+}
+
+/**
+ * Plots on the straight hex line from (x1, y1) to (x2, y2), both ends included,
+ * going the shorter way around the X wrap. Consecutive plots are neighbors.
+ */
+export function hexLine(x1, y1, x2, y2, width) {
+  // Pick the copy of the end point across the wrap that is closest
+  let endX = x2;
+  for (const shift of [-width, width]) {
+    if (hexDistance(x1, y1, x2 + shift, y2) < hexDistance(x1, y1, endX, y2)) endX = x2 + shift;
+  }
+  const a = offsetToAxial(x1, y1);
+  const b = offsetToAxial(endX, y2);
+  const steps = hexDistance(x1, y1, endX, y2);
+  const line = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = steps === 0 ? 0 : i / steps;
+    // Nudge off exact midpoints so rounding is consistent
+    const q = a.q + (b.q - a.q) * t + 1e-6;
+    const r = a.r + (b.r - a.r) * t + 1e-6;
+    const s = -q - r;
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    const rs = Math.round(s);
+    const dq = Math.abs(rq - q);
+    const dr = Math.abs(rr - r);
+    const ds = Math.abs(rs - s);
+    if (dq > dr && dq > ds) rq = -rr - rs;
+    else if (dr > ds) rr = -rq - rs;
+    const plot = axialToOffset(rq, rr);
+    line.push({ x: wrapX(plot.x, width), y: plot.y });
+  }
+  return line;
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// SEARCH
+//──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * FIFO queue of plot indices on an Int32Array ring buffer. push/shift are O(1),
+ * unlike Array.shift(); capacity must cover the most plots queued at once
+ * (the plot count is always enough for a BFS that visits each plot once).
+ */
+export function createRingQueue(capacity) {
+  const buffer = new Int32Array(capacity);
+  let head = 0;
+  let length = 0;
+  return {
+    get length() { return length; },
+    push(value) {
+      if (length === capacity) throw new Error(`RingQueue overflow (capacity ${capacity})`);
+      buffer[(head + length) % capacity] = value;
+      length++;
+    },
+    shift() {
+      const value = buffer[head];
+      head = (head + 1) % capacity;
+      length--;
+      return value;
+    }
+  };
+}
+
+/**
+ * Multi-source BFS: hex-step distance from every plot to the nearest source
+ * @param isSource - (x, y) => true for plots at distance 0
+ * @param canEnter - (x, y) => true for plots the search may step onto; null = all
+ * @param maxDistance - stop expanding beyond this many steps
+ * @returns Int16Array indexed by y * width + x, -1 where no source is reachable
+ */
+export function computeHexDistanceField(width, height, isSource, canEnter = null, maxDistance = Infinity) {
+  const size = width * height;
+  const field = new Int16Array(size).fill(-1);
+  const queue = createRingQueue(size);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (isSource(x, y)) {
+        field[y * width + x] = 0;
+        queue.push(y * width + x);
+      }
+    }
+  }
+
+  while (queue.length > 0) {
+    const index = queue.shift();
+    const depth = field[index];
+    if (depth >= maxDistance) continue;
+    const x = index % width;
+    forEachHexNeighbor(x, (index - x) / width, width, height, (nx, ny) => {
+      const nIndex = ny * width + nx;
+      if (field[nIndex] !== -1) return;
+      if (canEnter && !canEnter(nx, ny)) return;
+      field[nIndex] = depth + 1;
+      queue.push(nIndex);
+    });
+  }
+  return field;
+}
+
+/**
+ * Multi-source Dijkstra for weighted movement (e.g. costlier hills or coast)
+ * @param isSource - (x, y) => true for plots at cost 0
+ * @param stepCost - (x, y) => cost of stepping onto the plot; Infinity = impassable
+ * @param maxCost - stop expanding beyond this total cost
+ * @returns Float64Array indexed by y * width + x, Infinity where unreachable
+ */
+export function computeHexCostField(width, height, isSource, stepCost, maxCost = Infinity) {
+  const size = width * height;
+  const cost = new Float64Array(size).fill(Infinity);
+  const done = new Uint8Array(size);
+  // Binary min-heap of plot indices ordered by cost
+  const heap = [];
+  const heapPush = (index) => {
+    heap.push(index);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (cost[heap[parent]] <= cost[heap[i]]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+  const heapPop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let smallest = i;
+        if (l < heap.length && cost[heap[l]] < cost[heap[smallest]]) smallest = l;
+        if (r < heap.length && cost[heap[r]] < cost[heap[smallest]]) smallest = r;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (isSource(x, y)) {
+        cost[y * width + x] = 0;
+        heapPush(y * width + x);
+      }
+    }
+  }
+
+  while (heap.length > 0) {
+    const index = heapPop();
+    if (done[index]) continue;  // Stale heap entry
+    done[index] = 1;
+    const x = index % width;
+    forEachHexNeighbor(x, (index - x) / width, width, height, (nx, ny) => {
+      const nIndex = ny * width + nx;
+      if (done[nIndex]) return;
+      const next = cost[index] + stepCost(nx, ny);
+      if (next > maxCost || next >= cost[nIndex]) return;
+      cost[nIndex] = next;
+      heapPush(nIndex);
+    });
+  }
+  return cost;
+}
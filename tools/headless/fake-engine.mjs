@@ -0,0 +1,372 @@
+/**
+ * In-memory stand-in for the Civ VII map generation engine.
+ *
+ * Provides the globals the map script touches (GameplayMap, TerrainBuilder,
+ * AreaBuilder, StartPositioner, Players, Configuration, engine, ...) backed
+ * by a plain grid so generateMap() can run end-to-end under Node.
+ *
+ * This is NOT a simulation of the game. Values are only as realistic as the
+ * generator needs to exercise its code paths: terrain, continents, regions,
+ * fertility, resources and features are all stored per plot and read back
+ * exactly as written.
+ */
+import { getHexNeighbors as hexNeighbors } from '../../modules/maps/hex-grid.js';
+
+//──────────────────────────────────────────────────────────────────────────────
+// CONSTANTS (mirrors of the game enums the script and stubs rely on)
+//──────────────────────────────────────────────────────────────────────────────
+
+export const TERRAIN = {
+  MOUNTAIN: 0,
+  HILL: 1,
+  FLAT: 2,
+  COAST: 3,
+  OCEAN: 4,
+  NAVIGABLE_RIVER: 5
+};
+
+export const BIOME = {
+  MARINE: 0,
+  DESERT: 1,
+  GRASSLAND: 2,
+  PLAINS: 3,
+  TUNDRA: 4,   // The map script checks biome === 4 for tundra
+  TROPICAL: 5
+};
+
+export const PLOT_TAGS = {
+  PLOT_TAG_NONE: 0,
+  PLOT_TAG_LANDMASS: 1,
+  PLOT_TAG_WATER: 2,
+  PLOT_TAG_ISLAND: 4,
+  PLOT_TAG_LAKE: 8
+};
+
+export const LANDMASS_REGION = {
+  LANDMASS_REGION_NONE: 0,
+  LANDMASS_REGION_EAST: 1,
+  LANDMASS_REGION_WEST: 2
+};
+
+// Game.age values (index = GameInfo.Ages $index)
+export const AGES = ['AGE_ANTIQUITY', 'AGE_EXPLORATION', 'AGE_MODERN'];
+
+// Approximate grid sizes of the base game's map sizes (index = GameInfo.Maps $index)
+export const MAP_SIZES = [
+  { MapSizeType: 'MAPSIZE_TINY', width: 60, height: 38, defaultPlayers: 4, NumNaturalWonders: 3, LakeGenerationFrequency: 25 },
+  { MapSizeType: 'MAPSIZE_SMALL', width: 74, height: 46, defaultPlayers: 6, NumNaturalWonders: 4, LakeGenerationFrequency: 25 },
+  { MapSizeType: 'MAPSIZE_STANDARD', width: 84, height: 54, defaultPlayers: 8, NumNaturalWonders: 5, LakeGenerationFrequency: 25 },
+  { MapSizeType: 'MAPSIZE_LARGE', width: 96, height: 60, defaultPlayers: 10, NumNaturalWonders: 6, LakeGenerationFrequency: 25 },
+  { MapSizeType: 'MAPSIZE_HUGE', width: 106, height: 66, defaultPlayers: 12, NumNaturalWonders: 7, LakeGenerationFrequency: 25 }
+];
+
+// Resource classes follow the game: EMPIRE ~ strategic, CITY ~ luxury
+export const RESOURCES = [
+  { ResourceType: 'RESOURCE_WHEAT', ResourceClassType: 'RESOURCECLASS_BONUS', water: false },
+  { ResourceType: 'RESOURCE_FISH', ResourceClassType: 'RESOURCECLASS_BONUS', water: true },
+  { ResourceType: 'RESOURCE_HORSES', ResourceClassType: 'RESOURCECLASS_EMPIRE', water: false },
+  { ResourceType: 'RESOURCE_IRON', ResourceClassType: 'RESOURCECLASS_EMPIRE', water: false },
+  { ResourceType: 'RESOURCE_NITER', ResourceClassType: 'RESOURCECLASS_EMPIRE', water: false },
+  { ResourceType: 'RESOURCE_GOLD', ResourceClassType: 'RESOURCECLASS_CITY', water: false },
+  { ResourceType: 'RESOURCE_SILVER', ResourceClassType: 'RESOURCECLASS_CITY', water: false },
+  { ResourceType: 'RESOURCE_SPICES', ResourceClassType: 'RESOURCECLASS_CITY', water: false },
+  { ResourceType: 'RESOURCE_DYES', ResourceClassType: 'RESOURCECLASS_CITY', water: false },
+  { ResourceType: 'RESOURCE_CLOVES', ResourceClassType: 'RESOURCECLASS_TREASURE', water: false },
+  { ResourceType: 'RESOURCE_TEA', ResourceClassType: 'RESOURCECLASS_TREASURE', water: false },
+  { ResourceType: 'RESOURCE_PEARLS', ResourceClassType: 'RESOURCECLASS_TREASURE', water: true }
+].map((row, index) => ({ ...row, $index: index }));
+
+export const FEATURES = [
+  { FeatureType: 'FEATURE_FOREST', NaturalWonder: false },
+  { FeatureType: 'FEATURE_VOLCANO', NaturalWonder: false },
+  { FeatureType: 'FEATURE_GRAND_CANYON', NaturalWonder: true },
+  { FeatureType: 'FEATURE_MOUNT_KILIMANJARO', NaturalWonder: true },
+  { FeatureType: 'FEATURE_GULLFOSS', NaturalWonder: true },
+  { FeatureType: 'FEATURE_TORRES_DEL_PAINE', NaturalWonder: true },
+  { FeatureType: 'FEATURE_VALLEY_OF_FLOWERS', NaturalWonder: true },
+  { FeatureType: 'FEATURE_ZHANGJIAJIE', NaturalWonder: true },
+  { FeatureType: 'FEATURE_REDWOOD_FOREST', NaturalWonder: true },
+  { FeatureType: 'FEATURE_THERA', NaturalWonder: true },
+  { FeatureType: 'FEATURE_IGUAZU_FALLS', NaturalWonder: true },
+  { FeatureType: 'FEATURE_ULURU', NaturalWonder: true }
+].map((row, index) => ({ ...row, $index: index }));
+
+//──────────────────────────────────────────────────────────────────────────────
+// HELPERS
+//──────────────────────────────────────────────────────────────────────────────
+
+/** mulberry32, same generator the map script uses */
+export function createRandom(seed) {
+  let s = seed >>> 0;
+  return function() {
+    let t = s += 0x6D2B79F5;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+/** Offset ("odd-r") hex neighbors with X wrap, shared with the map script */
+export { hexNeighbors };
+
+function lookupTable(rows, key) {
+  const table = [...rows];
+  table.lookup = (value) => {
+    if (typeof value === 'number') return rows[value] ?? null;
+    return rows.find(r => r[key] === value) ?? null;
+  };
+  return table;
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// TERRAIN STORE
+//──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Grid-backed per-plot storage. Every engine query reads from here and every
+ * builder call writes here, so the harness can inspect the final map.
+ */
+export function createTerrainStore(width, height) {
+  const size = width * height;
+  return {
+    width,
+    height,
+    terrain: new Int8Array(size).fill(TERRAIN.OCEAN),
+    biome: new Int8Array(size).fill(BIOME.MARINE),
+    feature: new Int16Array(size).fill(-1),
+    resource: new Int16Array(size).fill(-1),
+    region: new Int16Array(size),
+    continent: new Int16Array(size).fill(-1),
+    rainfall: new Int16Array(size),
+    elevation: new Int16Array(size),
+    tags: new Uint8Array(size),
+    index(x, y) { return y * width + x; },
+    isWater(x, y) {
+      const t = this.terrain[y * width + x];
+      return t === TERRAIN.COAST || t === TERRAIN.OCEAN;
+    }
+  };
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// FAKE ENGINE
+//──────────────────────────────────────────────────────────────────────────────
+
+export class FakeEngine {
+  constructor() {
+    this.handlers = new Map();
+    this.state = null;
+  }
+
+  /**
+   * Resets the map for a new run.
+   * @param options.mapSizeIndex - 0 (Tiny) .. 4 (Huge)
+   * @param options.seed - map seed returned by GameplayMap.getRandomSeed()
+   * @param options.humans / options.ais - player roster
+   * @param options.teams - optional array of team ids, one per player
+   * @param options.mapOptions - values returned by Configuration.getMapValue()
+   */
+  configure(options = {}) {
+    const mapSizeIndex = options.mapSizeIndex ?? 2;
+    const size = MAP_SIZES[mapSizeIndex] ?? MAP_SIZES[2];
+    const humans = options.humans ?? 1;
+    const ais = options.ais ?? Math.max(0, size.defaultPlayers - humans);
+    const playerCount = humans + ais;
+    const players = [];
+    for (let i = 0; i < playerCount; i++) {
+      players.push({
+        id: i,
+        isHuman: i < humans,
+        team: options.teams?.[i] ?? i
+      });
+    }
+
+    this.state = {
+      mapSizeIndex,
+      width: options.width ?? size.width,
+      height: options.height ?? size.height,
+      seed: (options.seed ?? 1) >>> 0,
+      age: options.age ?? 0,
+      mapOptions: { ...(options.mapOptions ?? {}) },
+      players,
+      store: createTerrainStore(options.width ?? size.width, options.height ?? size.height),
+      random: createRandom(((options.seed ?? 1) ^ 0x5bd1e995) >>> 0)
+    };
+    return this;
+  }
+
+  /** Installs the engine globals on the given object (globalThis by default) */
+  install(target = globalThis) {
+    const engine = this;
+    const st = () => engine.state;
+    const store = () => engine.state.store;
+    const idx = (x, y) => y * st().width + x;
+
+    target.engine = {
+      on(name, handler) { engine.handlers.set(name, handler); },
+      call() { /* SetMapInitData etc. - nothing to do headless */ }
+    };
+
+    target.LandmassRegion = { ...LANDMASS_REGION };
+    target.PlotTags = { ...PLOT_TAGS };
+    target.ResourceTypes = { NO_RESOURCE: -1 };
+    target.FeatureTypes = { NO_FEATURE: -1 };
+    target.Game = { get age() { return st().age; } };
+
+    target.GameInfo = {
+      GlobalParameters: { lookup: () => null },
+      Ages: { lookup: (age) => (AGES[age] ? { AgeType: AGES[age], $index: age } : null) },
+      Maps: {
+        lookup: (mapSize) => {
+          const row = MAP_SIZES[mapSize];
+          return row ? { ...row, $index: mapSize } : null;
+        }
+      },
+      Resources: lookupTable(RESOURCES, 'ResourceType'),
+      Features: lookupTable(FEATURES, 'FeatureType'),
+      Feature_NaturalWonders: FEATURES.filter(f => f.NaturalWonder).map(f => ({ FeatureType: f.FeatureType, Direction: 0 }))
+    };
+
+    target.Configuration = {
+      getMapValue: (key) => st().mapOptions[key]
+    };
+
+    target.Players = {
+      getAliveMajorIds: () => st().players.map(p => p.id),
+      isHuman: (id) => st().players[id]?.isHuman ?? false,
+      isAI: (id) => !(st().players[id]?.isHuman ?? true),
+      get: (id) => {
+        const p = st().players[id];
+        return p ? { id: p.id, team: p.team, isHuman: p.isHuman } : null;
+      }
+    };
+
+    target.GameplayMap = {
+      getGridWidth: () => st().width,
+      getGridHeight: () => st().height,
+      getMapSize: () => st().mapSizeIndex,
+      getRandomSeed: () => st().seed,
+      getTerrainType: (x, y) => store().terrain[idx(x, y)],
+      getBiomeType: (x, y) => store().biome[idx(x, y)],
+      getFeatureType: (x, y) => store().feature[idx(x, y)],
+      getResourceType: (x, y) => store().resource[idx(x, y)],
+      getRainfall: (x, y) => store().rainfall[idx(x, y)],
+      getElevation: (x, y) => store().elevation[idx(x, y)],
+      getLandmassRegionId: (x, y) => store().region[idx(x, y)],
+      getContinentType: (x, y) => store().continent[idx(x, y)],
+      getContinentName: (x, y) => `Continent ${store().continent[idx(x, y)]}`,
+      getPlotLatitude: (x, y) => ((y + 0.5) / st().height) * 180 - 90,
+      getIndexFromXY: (x, y) => idx(x, y),
+      isWater: (x, y) => store().isWater(x, y),
+      isLake: (x, y) => (store().tags[idx(x, y)] & PLOT_TAGS.PLOT_TAG_LAKE) !== 0,
+      isMountain: (x, y) => store().terrain[idx(x, y)] === TERRAIN.MOUNTAIN,
+      isNaturalWonder: (x, y) => FEATURES[store().feature[idx(x, y)]]?.NaturalWonder ?? false,
+      isCoastalLand: (x, y) => !store().isWater(x, y) &&
+        hexNeighbors(x, y, st().width, st().height).some(n => store().isWater(n.x, n.y)),
+      isFreshWater: (x, y) => hexNeighbors(x, y, st().width, st().height)
+        .some(n => (store().tags[idx(n.x, n.y)] & PLOT_TAGS.PLOT_TAG_LAKE) !== 0)
+    };
+
+    target.TerrainBuilder = {
+      setTerrainType: (x, y, t) => { store().terrain[idx(x, y)] = t; },
+      setBiomeType: (x, y, b) => { store().biome[idx(x, y)] = b; },
+      setRainfall: (x, y, r) => { store().rainfall[idx(x, y)] = r; },
+      setFeatureType: (x, y, param) => { store().feature[idx(x, y)] = param?.Feature ?? -1; },
+      canHaveFeatureParam: (x, y, param) => !store().isWater(x, y) &&
+        store().terrain[idx(x, y)] !== TERRAIN.MOUNTAIN && store().feature[idx(x, y)] === -1,
+      addPlotTag: (x, y, tag) => { store().tags[idx(x, y)] |= tag; },
+      removePlotTag: (x, y, tag) => { store().tags[idx(x, y)] &= ~tag; },
+      setPlotTag: (x, y, tag) => { store().tags[idx(x, y)] = tag; },
+      setLandmassRegionId: (x, y, id) => { store().region[idx(x, y)] = id; },
+      getRandomNumber: (max) => Math.floor(st().random() * max),
+      validateAndFixTerrain: () => {},
+      stampContinents: () => engine.stampContinents(),
+      buildElevation: () => {
+        const s = store();
+        for (let i = 0; i < s.terrain.length; i++) {
+          const t = s.terrain[i];
+          s.elevation[i] = t === TERRAIN.MOUNTAIN ? 900 : t === TERRAIN.HILL ? 500 : t === TERRAIN.FLAT ? 200 : 0;
+        }
+      },
+      modelRivers: () => {},
+      defineNamedRivers: () => {},
+      addFloodplains: () => {},
+      storeWaterData: () => {},
+      generatePoissonMap: () => new Array(st().width * st().height).fill(0)
+    };
+
+    target.AreaBuilder = { recalculateAreas: () => {} };
+    target.FertilityBuilder = { recalculate: () => {} };
+
+    target.ResourceBuilder = {
+      setResourceType: (x, y, r) => { store().resource[idx(x, y)] = r; },
+      canHaveResource: (x, y, r) => {
+        const row = RESOURCES[r];
+        if (!row) return false;
+        const water = store().isWater(x, y);
+        if (row.water !== water) return false;
+        return store().terrain[idx(x, y)] !== TERRAIN.MOUNTAIN && store().feature[idx(x, y)] === -1;
+      }
+    };
+
+    target.StartPositioner = {
+      getPlotFertilityForCoord: (x, y) => engine.fertility(x, y)
+    };
+
+    return this;
+  }
+
+  /** Flood-fills land into numbered continents, like TerrainBuilder.stampContinents() */
+  stampContinents() {
+    const { width, height, store } = this.state;
+    store.continent.fill(-1);
+    let next = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (store.isWater(x, y) || store.continent[i] !== -1) continue;
+        const id = next++;
+        store.continent[i] = id;
+        const stack = [i];
+        while (stack.length > 0) {
+          const cur = stack.pop();
+          const cx = cur % width;
+          const cy = (cur - cx) / width;
+          for (const n of hexNeighbors(cx, cy, width, height)) {
+            const ni = n.y * width + n.x;
+            if (store.continent[ni] !== -1 || store.isWater(n.x, n.y)) continue;
+            store.continent[ni] = id;
+            stack.push(ni);
+          }
+        }
+      }
+    }
+  }
+
+  /** Deterministic pseudo-fertility: terrain + biome + a little positional noise */
+  fertility(x, y) {
+    const { width, height, store } = this.state;
+    if (store.isWater(x, y)) return 0;
+    const i = y * width + x;
+    const terrain = store.terrain[i];
+    if (terrain === TERRAIN.MOUNTAIN) return 0;
+    let value = terrain === TERRAIN.HILL ? 40 : 60;
+    const biome = store.biome[i];
+    if (biome === BIOME.GRASSLAND || biome === BIOME.TROPICAL) value += 25;
+    else if (biome === BIOME.PLAINS) value += 15;
+    else if (biome === BIOME.TUNDRA) value -= 25;
+    else if (biome === BIOME.DESERT) value -= 30;
+    for (const n of hexNeighbors(x, y, width, height)) {
+      if (store.isWater(n.x, n.y)) value += 3;
+    }
+    const noise = ((Math.imul(x + 1, 73856093) ^ Math.imul(y + 1, 19349663) ^ this.state.seed) >>> 0) % 21;
+    return Math.max(1, value + noise - 10);
+  }
+
+  /** Invokes the registered GenerateMap handler and returns whatever it returns */
+  async generate() {
+    const handler = this.handlers.get('GenerateMap');
+    if (!handler) throw new Error('Map script did not register a GenerateMap handler');
+    return await handler();
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * Module loader hook for the headless harness.
+ *
+ * The map script imports base game modules by absolute game path
+ * ('/base-standard/...'). Under Node those paths don't exist, so this hook
+ * redirects them to the in-memory stand-ins in ./stubs (same relative path,
+ * .js swapped for .mjs so they load as ES modules without a package.json).
+ */
+
+const STUB_ROOT = new URL('./stubs/', import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('/base-standard/')) {
+    const stubPath = specifier.slice(1).replace(/\.js$/, '.mjs');
+    return { url: new URL(stubPath, STUB_ROOT).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
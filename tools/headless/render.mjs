@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+/**
+ * Draws a generated map as an annotated ASCII map and a PNG, for reviewing
+ * generator changes without launching the game.
+ *
+ * Usage:
+ *   node tools/headless/render.mjs [--size 0-4] [--seed N] [--humans N] [--ais N]
+ *                                  [--option Key=Value ...] [--out prefix] [--no-png]
+ *
+ * Generates the map with the headless harness and writes <prefix>.txt and
+ * <prefix>.png (default prefix: map-<size>-<seed>). North is up; odd rows
+ * are shifted half a plot right, matching the game's hex layout.
+ *
+ * The renderer works on a plain grid, so it can also draw the Voronoi
+ * `tiles` array (gridFromTiles) before the map is written to the engine.
+ */
+import { writeFileSync } from 'node:fs';
+import { deflateSync } from 'node:zlib';
+import { TERRAIN, LANDMASS_REGION } from './fake-engine.mjs';
+import { parseArgs as parseRunArgs, createRunner } from './run.mjs';
+
+//──────────────────────────────────────────────────────────────────────────────
+// GRIDS
+//──────────────────────────────────────────────────────────────────────────────
+
+/** Plot kinds shared by both grid sources */
+export const PLOT = {
+  OCEAN: 0,
+  COAST: 1,
+  FLAT: 2,
+  HILL: 3,
+  MOUNTAIN: 4
+};
+
+/**
+ * Grid from the headless engine's terrain store (the final map, after
+ * stamping, so continents and WEST/EAST regions are known).
+ */
+export function gridFromStore(store) {
+  const { width, height } = store;
+  const kinds = {
+    [TERRAIN.OCEAN]: PLOT.OCEAN,
+    [TERRAIN.COAST]: PLOT.COAST,
+    [TERRAIN.FLAT]: PLOT.FLAT,
+    [TERRAIN.NAVIGABLE_RIVER]: PLOT.FLAT,
+    [TERRAIN.HILL]: PLOT.HILL,
+    [TERRAIN.MOUNTAIN]: PLOT.MOUNTAIN
+  };
+  const plots = [];
+  for (let i = 0; i < width * height; i++) {
+    plots.push({ kind: kinds[store.terrain[i]] ?? PLOT.OCEAN, continent: store.continent[i], region: store.region[i] });
+  }
+  return { width, height, plots };
+}
+
+/**
+ * Grid from the Voronoi `tiles` array (tiles[y][x] with terrainType and
+ * landmassId). Regions are not assigned yet at that point, so every plot
+ * gets LANDMASS_REGION_NONE and continents are the Voronoi landmass ids.
+ * @param terrainTypes - the TerrainType enum the tiles were built with
+ */
+export function gridFromTiles(tiles, terrainTypes) {
+  const height = tiles.length;
+  const width = tiles[0]?.length ?? 0;
+  const kinds = {
+    [terrainTypes.Ocean]: PLOT.OCEAN,
+    [terrainTypes.Coast]: PLOT.COAST,
+    [terrainTypes.Flat]: PLOT.FLAT,
+    [terrainTypes.Rough]: PLOT.HILL,
+    [terrainTypes.Mountainous]: PLOT.MOUNTAIN,
+    [terrainTypes.Volcano]: PLOT.MOUNTAIN
+  };
+  const plots = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const tile = tiles[y][x];
+      const kind = kinds[tile.terrainType] ?? PLOT.OCEAN;
+      plots.push({ kind, continent: kind > PLOT.COAST ? tile.landmassId : -1, region: LANDMASS_REGION.LANDMASS_REGION_NONE });
+    }
+  }
+  return { width, height, plots };
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// ANNOTATIONS
+//──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Collects the per-plot markers from a generation report. Later markers win
+ * when they share a plot: bridge < open ocean < corridor < land bridge < chokepoint < player start.
+ */
+function collectMarkers(grid, report) {
+  const markers = new Map();
+  const mark = (x, y, marker) => markers.set(y * grid.width + x, marker);
+  for (const [x, y] of report?.plots?.bridgeTiles ?? []) mark(x, y, { type: 'bridge' });
+  for (const [x, y] of report?.plots?.openOceanIslands ?? []) mark(x, y, { type: 'openOcean' });
+  for (const [x, y] of report?.plots?.corridorIslands ?? []) mark(x, y, { type: 'corridor' });
+  for (const [x, y] of report?.plots?.landBridges ?? []) mark(x, y, { type: 'landBridge' });
+  for (const [x, y] of report?.plots?.chokepoints ?? []) mark(x, y, { type: 'chokepoint' });
+  for (const player of report?.placements?.players ?? []) {
+    if (player.x >= 0 && player.y >= 0) mark(player.x, player.y, { type: 'start', player });
+  }
+  return markers;
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// ASCII
+//──────────────────────────────────────────────────────────────────────────────
+
+const ASCII_WATER = { [PLOT.OCEAN]: ' ', [PLOT.COAST]: '.' };
+const ASCII_MARKERS = { bridge: '#', openOcean: '*', corridor: '+', landBridge: '=', chokepoint: '!' };
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Renders the grid as text, two characters per plot. Land shows its
+ * continent as a letter: upper case for WEST (homelands), lower case for
+ * EAST (Distant Lands) and unassigned plots.
+ */
+export function renderAscii(grid, report) {
+  const { width, height, plots } = grid;
+  const markers = collectMarkers(grid, report);
+  const lines = [];
+
+  if (report?.config) {
+    const c = report.config;
+    lines.push(`Continents++ ${c.mapSize} ${c.width}x${c.height} seed ${c.seed} — ${c.generation?.preset ?? ''} preset, ${c.modes.continentCountName} continents, ${c.modes.distributionName} spawns`);
+  }
+  lines.push("Legend: A-Z homeland continent, a-z distant/unassigned continent, '.' coast, ' ' ocean,");
+  lines.push("        '+' corridor island, '*' open-ocean island, '#' bridge tile turned to ocean, '=' land bridge,");
+  lines.push("        '!' chokepoint, 0-9 player start");
+  lines.push('');
+
+  for (let y = height - 1; y >= 0; y--) {
+    let row = y % 2 === 1 ? ' ' : '';
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const plot = plots[i];
+      const marker = markers.get(i);
+      let ch;
+      if (marker?.type === 'start') {
+        ch = String(marker.player.index % 10);
+      } else if (marker) {
+        ch = ASCII_MARKERS[marker.type];
+      } else if (plot.kind <= PLOT.COAST) {
+        ch = ASCII_WATER[plot.kind];
+      } else {
+        const letter = LETTERS[((plot.continent % 26) + 26) % 26];
+        ch = plot.region === LANDMASS_REGION.LANDMASS_REGION_WEST ? letter.toUpperCase() : letter;
+      }
+      row += ch + ' ';
+    }
+    lines.push(row.trimEnd());
+  }
+
+  const players = report?.placements?.players ?? [];
+  if (players.length > 0) {
+    lines.push('');
+    for (const p of players) {
+      const where = p.homeland ? 'homeland' : 'distant';
+      lines.push(`  ${p.index % 10}: player ${p.playerId} (${p.isHuman ? 'human' : 'AI'}) at (${p.x}, ${p.y}), continent ${p.continent}, ${where}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// PNG
+//──────────────────────────────────────────────────────────────────────────────
+
+const COLORS = {
+  ocean: [24, 52, 104],
+  coast: [58, 112, 170],
+  bridge: [220, 40, 40],
+  corridor: [255, 214, 0],
+  openOcean: [255, 140, 0],
+  landBridge: [60, 220, 90],
+  chokepoint: [230, 60, 230],
+  human: [255, 255, 255],
+  ai: [16, 16, 16]
+};
+
+/** Evenly spread hues per continent id (golden angle), so neighbours differ */
+function continentColor(continent) {
+  const hue = ((continent * 137.508) % 360 + 360) % 360;
+  const s = 0.55;
+  const l = 0.5;
+  const k = (n) => (n + hue / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [f(0), f(8), f(4)].map((v) => Math.round(v * 255));
+}
+
+function shade(color, factor) {
+  return color.map((v) => Math.max(0, Math.min(255, Math.round(v * factor))));
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/** Encodes an RGB pixel buffer (3 bytes per pixel, row-major) as a PNG */
+function encodePng(width, height, rgb) {
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width * 3 + 1)] = 0;  // filter: none
+    rgb.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;   // bit depth
+  header[9] = 2;   // colour type: RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Renders the grid as a PNG. Land is coloured by continent (hills and
+ * mountains darker); EAST land is hatched. Markers: red cross = bridge tile
+ * turned to ocean, yellow dot = corridor island, orange dot = open-ocean
+ * island, green dot = land bridge, magenta dot = chokepoint, white/black square = human/AI start.
+ * @param options.cell - pixels per plot (default 8)
+ */
+export function renderPng(grid, report, { cell = 8 } = {}) {
+  const { width, height, plots } = grid;
+  const markers = collectMarkers(grid, report);
+  const half = cell >> 1;
+  const imageWidth = width * cell + half;
+  const imageHeight = height * cell;
+  const rgb = Buffer.alloc(imageWidth * imageHeight * 3);
+  const put = (px, py, color) => {
+    const o = (py * imageWidth + px) * 3;
+    rgb[o] = color[0];
+    rgb[o + 1] = color[1];
+    rgb[o + 2] = color[2];
+  };
+  rgb.fill(0);
+
+  for (let y = 0; y < height; y++) {
+    const top = (height - 1 - y) * cell;
+    const shift = y % 2 === 1 ? half : 0;
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const plot = plots[i];
+      const left = x * cell + shift;
+      let base;
+      if (plot.kind === PLOT.OCEAN) base = COLORS.ocean;
+      else if (plot.kind === PLOT.COAST) base = COLORS.coast;
+      else base = shade(continentColor(plot.continent), plot.kind === PLOT.MOUNTAIN ? 0.6 : plot.kind === PLOT.HILL ? 0.8 : 1);
+      const hatched = plot.kind > PLOT.COAST && plot.region === LANDMASS_REGION.LANDMASS_REGION_EAST;
+
+      for (let py = 0; py < cell; py++) {
+        for (let px = 0; px < cell; px++) {
+          const color = hatched && (px + py) % 4 === 0 ? shade(base, 0.45) : base;
+          put(left + px, top + py, color);
+        }
+      }
+
+      const marker = markers.get(i);
+      if (!marker) continue;
+      if (marker.type === 'bridge') {
+        for (let d = 1; d < cell - 1; d++) {
+          put(left + d, top + d, COLORS.bridge);
+          put(left + cell - 1 - d, top + d, COLORS.bridge);
+        }
+      } else {
+        const start = marker.type === 'start';
+        const inset = start ? 1 : Math.max(1, cell >> 2);
+        const fill = start ? (marker.player.isHuman ? COLORS.human : COLORS.ai) : COLORS[marker.type];
+        const border = start ? (marker.player.isHuman ? COLORS.ai : COLORS.human) : fill;
+        for (let py = inset; py < cell - inset; py++) {
+          for (let px = inset; px < cell - inset; px++) {
+            const edge = py === inset || py === cell - inset - 1 || px === inset || px === cell - inset - 1;
+            put(left + px, top + py, edge ? border : fill);
+          }
+        }
+      }
+    }
+  }
+  return encodePng(imageWidth, imageHeight, rgb);
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// MAIN
+//──────────────────────────────────────────────────────────────────────────────
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const argv = process.argv.slice(2);
+  let out = null;
+  let png = true;
+  const runArgv = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') out = argv[++i];
+    else if (argv[i] === '--no-png') png = false;
+    else runArgv.push(argv[i]);
+  }
+  const args = parseRunArgs(runArgv);
+  out ??= `map-${args.size}-${args.seed}`;
+
+  const run = await createRunner();
+  try {
+    const { result, engine } = await run(args);
+    const grid = gridFromStore(engine.state.store);
+    writeFileSync(`${out}.txt`, renderAscii(grid, result));
+    if (png) writeFileSync(`${out}.png`, renderPng(grid, result));
+    console.log(`Wrote ${out}.txt${png ? ` and ${out}.png` : ''}`);
+  } catch (e) {
+    console.error(`Render failed: ${e.stack}`);
+    process.exitCode = 1;
+  }
+}
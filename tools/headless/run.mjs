@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Runs the Continents++ map script outside the game.
+ *
+ * Usage:
+ *   node tools/headless/run.mjs [--size 0-4] [--seed N] [--age 0-2] [--humans N] [--ais N]
+ *                               [--teams 0,0,1,1] [--option Key=Value ...] [--log file] [--quiet]
+ *                               [--check-determinism]
+ *
+ * The script's console output is printed (or written to --log). Exits
+ * non-zero if generation throws. --age picks the age being generated (0
+ * Antiquity, 1 Exploration, 2 Modern; default 0). --teams gives each player a
+ * team id, humans first (default: everyone on their own team).
+ * --check-determinism generates the map a second time and exits non-zero
+ * unless both runs report the same map hash.
+ */
+import { register } from 'node:module';
+import { writeFileSync } from 'node:fs';
+import { FakeEngine } from './fake-engine.mjs';
+
+register('./loader.mjs', import.meta.url);
+
+const SCRIPT_URL = new URL('../../modules/maps/continents-plus-plus.js', import.meta.url);
+
+export function parseArgs(argv) {
+  const args = {
+    size: 2, seed: 1, age: 0, humans: 1, ais: undefined, teams: undefined, options: {}, log: null, quiet: false,
+    checkDeterminism: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--size': args.size = Number(next()); break;
+      case '--seed': args.seed = Number(next()); break;
+      case '--age': args.age = Number(next()); break;
+      case '--humans': args.humans = Number(next()); break;
+      case '--ais': args.ais = Number(next()); break;
+      case '--teams': args.teams = next().split(',').map(Number); break;
+      case '--log': args.log = next(); break;
+      case '--quiet': args.quiet = true; break;
+      case '--check-determinism': args.checkDeterminism = true; break;
+      case '--option': {
+        const option = next();
+        const split = option.indexOf('=');
+        const key = option.slice(0, split);
+        const value = option.slice(split + 1);
+        args.options[key] = /^-?\d+$/.test(value) ? Number(value) : value;
+        break;
+      }
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Loads the map script once against a shared engine and returns a function
+ * that generates one map per call.
+ */
+export async function createRunner() {
+  const fake = new FakeEngine();
+  fake.configure({}).install(globalThis);
+  await import(SCRIPT_URL.href);
+  return async function run({ size, seed, age, humans, ais, options, teams }, { capture = true } = {}) {
+    fake.configure({ mapSizeIndex: size, seed, age, humans, ais, teams, mapOptions: options });
+    const lines = [];
+    const original = console.log;
+    if (capture) console.log = (...parts) => lines.push(parts.join(' '));
+    try {
+      const result = await fake.generate();
+      return { result, lines, engine: fake };
+    } finally {
+      console.log = original;
+    }
+  };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = parseArgs(process.argv.slice(2));
+  const run = await createRunner();
+  try {
+    const capture = args.quiet || !!args.log;
+    const { result, lines } = await run(args, { capture });
+    if (args.log) writeFileSync(args.log, lines.join('\n') + '\n');
+    console.log(`Generated size=${args.size} seed=${args.seed}${capture ? ` (${lines.length} log lines captured)` : ''}`);
+    if (args.checkDeterminism) {
+      const { result: again } = await run(args, { capture: true });
+      const first = result.determinism.mapHash;
+      const second = again.determinism.mapHash;
+      if (first === second) {
+        console.log(`Determinism check passed: map hash ${first} on both runs`);
+      } else {
+        console.error(`Determinism check FAILED: map hash ${first} then ${second}`);
+        process.exitCode = 1;
+      }
+    }
+  } catch (e) {
+    console.error(`Generation failed: ${e.stack}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,2 @@
+/** Stand-in for /base-standard/maps/assign-advanced-start-region.js */
+export function assignAdvancedStartRegions() {}
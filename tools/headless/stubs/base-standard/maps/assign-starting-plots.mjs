@@ -0,0 +1,57 @@
+/** Stand-in for /base-standard/maps/assign-starting-plots.js */
+import * as globals from './map-globals.mjs';
+
+export class PlayerRegion {
+  constructor() {
+    this.regionId = -1;
+    this.landmassId = -1;
+    this.tiles = [];
+  }
+}
+
+/** Hex steps between two odd-row offset coordinates, wrapping east-west */
+function hexDistance(x1, y1, x2, y2, width) {
+  const toCube = (x, y) => {
+    const q = x - (y - (y & 1)) / 2;
+    return [q, y, -q - y];
+  };
+  let best = Infinity;
+  for (const shift of [-width, 0, width]) {
+    const [aq, ar, as] = toCube(x1, y1);
+    const [bq, br, bs] = toCube(x2 + shift, y2);
+    best = Math.min(best, Math.max(Math.abs(aq - bq), Math.abs(ar - br), Math.abs(as - bs)));
+  }
+  return best;
+}
+
+/**
+ * Picks the most fertile non-mountain land tile in each region among those
+ * farthest from the starts chosen so far, up to a spacing of a sixth of the
+ * map width. Returns plot indices in region (= player) order, -1 for a
+ * region without usable land.
+ */
+export function assignStartPositionsFromTiles(playerRegions) {
+  const iWidth = GameplayMap.getGridWidth();
+  const spacing = Math.round(iWidth / 6);
+  const chosen = [];
+  for (const region of playerRegions) {
+    let best = -1;
+    let bestScore = -Infinity;
+    for (const tile of region.tiles) {
+      if (GameplayMap.getTerrainType(tile.x, tile.y) === globals.g_MountainTerrain) continue;
+      if (GameplayMap.isWater(tile.x, tile.y)) continue;
+      let nearest = spacing;
+      for (const c of chosen) {
+        if (c >= 0) nearest = Math.min(nearest, hexDistance(c % iWidth, Math.floor(c / iWidth), tile.x, tile.y, iWidth));
+      }
+      const fertility = StartPositioner.getPlotFertilityForCoord(tile.x, tile.y);
+      const score = nearest * 1000 + fertility;
+      if (score > bestScore) {
+        bestScore = score;
+        best = tile.y * iWidth + tile.x;
+      }
+    }
+    chosen.push(best);
+  }
+  return chosen;
+}
@@ -0,0 +1,2 @@
+/** Stand-in for /base-standard/maps/discovery-generator.js */
+export function generateDiscoveries(iWidth, iHeight, startPositions, polarMargin) {}
@@ -0,0 +1,20 @@
+/** Stand-in for /base-standard/maps/elevation-terrain-generator.js */
+import * as globals from './map-globals.mjs';
+
+export function addMountains(iWidth, iHeight) {}
+
+export function addHills(iWidth, iHeight) {}
+
+export function generateLakes(iWidth, iHeight, iTilesPerLake) {}
+
+/** Latitude-only rainfall: wet tropics and mid-latitudes, dry subtropics and poles */
+export function buildRainfallMap(iWidth, iHeight) {
+  for (let y = 0; y < iHeight; y++) {
+    const lat = Math.abs(GameplayMap.getPlotLatitude(0, y));
+    const base = lat < 15 ? 160 : lat < 35 ? 60 : lat < 60 ? 120 : 50;
+    for (let x = 0; x < iWidth; x++) {
+      if (GameplayMap.getTerrainType(x, y) === globals.g_OceanTerrain) continue;
+      TerrainBuilder.setRainfall(x, y, base);
+    }
+  }
+}
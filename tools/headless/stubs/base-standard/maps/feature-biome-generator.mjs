@@ -0,0 +1,24 @@
+/** Stand-in for /base-standard/maps/feature-biome-generator.js */
+import * as globals from './map-globals.mjs';
+
+export function designateBiomes(iWidth, iHeight) {
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      if (GameplayMap.isWater(x, y)) {
+        TerrainBuilder.setBiomeType(x, y, globals.g_MarineBiome);
+        continue;
+      }
+      const lat = Math.abs(GameplayMap.getPlotLatitude(x, y));
+      const rain = GameplayMap.getRainfall(x, y);
+      let biome;
+      if (lat > 60) biome = globals.g_TundraBiome;
+      else if (rain < 40) biome = globals.g_DesertBiome;
+      else if (lat < 20 && rain > 120) biome = globals.g_TropicalBiome;
+      else if (rain > 90) biome = globals.g_GrasslandBiome;
+      else biome = globals.g_PlainsBiome;
+      TerrainBuilder.setBiomeType(x, y, biome);
+    }
+  }
+}
+
+export function addFeatures(iWidth, iHeight) {}
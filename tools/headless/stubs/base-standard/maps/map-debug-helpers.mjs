@@ -0,0 +1,10 @@
+/** Stand-in for /base-standard/maps/map-debug-helpers.js: the dumps are no-ops headless */
+export function dumpStartSectors() {}
+export function dumpContinents() {}
+export function dumpTerrain() {}
+export function dumpElevation() {}
+export function dumpRainfall() {}
+export function dumpBiomes() {}
+export function dumpFeatures() {}
+export function dumpResources() {}
+export function dumpNoisePredicate() {}
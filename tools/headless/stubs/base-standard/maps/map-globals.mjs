@@ -0,0 +1,18 @@
+/** Stand-in for /base-standard/maps/map-globals.js (terrain/biome/feature indices) */
+export const g_MountainTerrain = 0;
+export const g_HillTerrain = 1;
+export const g_FlatTerrain = 2;
+export const g_CoastTerrain = 3;
+export const g_OceanTerrain = 4;
+export const g_NavigableRiverTerrain = 5;
+
+export const g_MarineBiome = 0;
+export const g_DesertBiome = 1;
+export const g_GrasslandBiome = 2;
+export const g_PlainsBiome = 3;
+export const g_TundraBiome = 4;
+export const g_TropicalBiome = 5;
+
+export const g_VolcanoFeature = 1;
+
+export const g_PolarWaterRows = 2;
@@ -0,0 +1,4 @@
+/** Stand-in for /base-standard/maps/map-utilities.js (nothing used headless) */
+export function needHumanNearEquator() {
+  return false;
+}
@@ -0,0 +1,15 @@
+/** Stand-in for /base-standard/maps/natural-wonder-generator.js */
+export function addNaturalWonders(iWidth, iHeight, iNumNaturalWonders, naturalWonderEvent = false) {
+  const wonders = GameInfo.Feature_NaturalWonders;
+  let placed = 0;
+  for (let attempt = 0; attempt < 500 && placed < Math.min(iNumNaturalWonders, wonders.length); attempt++) {
+    const x = TerrainBuilder.getRandomNumber(iWidth, 'NW X');
+    const y = TerrainBuilder.getRandomNumber(iHeight, 'NW Y');
+    const feature = GameInfo.Features.lookup(wonders[placed].FeatureType).$index;
+    const param = { Feature: feature, Direction: 0, Elevation: 0 };
+    if (TerrainBuilder.canHaveFeatureParam(x, y, param)) {
+      TerrainBuilder.setFeatureType(x, y, param);
+      placed++;
+    }
+  }
+}
@@ -0,0 +1,13 @@
+/** Stand-in for /base-standard/maps/resource-generator.js: scatters one resource per ~10 plots */
+export function generateResources(iWidth, iHeight, minMarineResourceTypesOverride = 3) {
+  const count = GameInfo.Resources.length;
+  for (let y = 0; y < iHeight; y++) {
+    for (let x = 0; x < iWidth; x++) {
+      if (TerrainBuilder.getRandomNumber(10, 'Resource roll') !== 0) continue;
+      const resource = TerrainBuilder.getRandomNumber(count, 'Resource type');
+      if (ResourceBuilder.canHaveResource(x, y, resource)) {
+        ResourceBuilder.setResourceType(x, y, resource);
+      }
+    }
+  }
+}
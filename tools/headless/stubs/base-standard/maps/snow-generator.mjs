@@ -0,0 +1,4 @@
+/** Stand-in for /base-standard/maps/snow-generator.js */
+export function generateSnow(iWidth, iHeight) {}
+
+export function dumpPermanentSnow(iWidth, iHeight) {}
@@ -0,0 +1,4 @@
+/** Stand-in for /base-standard/maps/volcano-generator.js */
+export function addVolcanoes(iWidth, iHeight) {}
+
+export function addTundraVolcanoes(iWidth, iHeight) {}
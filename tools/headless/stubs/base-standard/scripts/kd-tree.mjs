@@ -0,0 +1,67 @@
+/**
+ * Stand-in for /base-standard/scripts/kd-tree.js
+ * A small 2D kd-tree with the same build()/search() surface.
+ */
+
+export const TerrainType = {
+  Unknown: 0,
+  Ocean: 1,
+  Coast: 2,
+  Flat: 3,
+  Rough: 4,
+  Mountainous: 5,
+  Volcano: 6
+};
+
+export const WrapType = {
+  None: 0,
+  WrapX: 1,
+  WrapY: 2,
+  WrapXY: 3
+};
+
+export class kdTree {
+  constructor(getPos) {
+    this.getPos = getPos;
+    this.root = null;
+  }
+
+  build(items) {
+    const entries = items.map(data => ({ data, pos: this.getPos(data) }));
+    const buildNode = (list, depth) => {
+      if (list.length === 0) return null;
+      const axis = depth % 2 === 0 ? 'x' : 'y';
+      list.sort((a, b) => a.pos[axis] - b.pos[axis]);
+      const mid = list.length >> 1;
+      return {
+        entry: list[mid],
+        axis,
+        left: buildNode(list.slice(0, mid), depth + 1),
+        right: buildNode(list.slice(mid + 1), depth + 1)
+      };
+    };
+    this.root = buildNode(entries, 0);
+  }
+
+  search(pos) {
+    let best = null;
+    let bestDist = Infinity;
+    const visit = (node) => {
+      if (!node) return;
+      const dx = node.entry.pos.x - pos.x;
+      const dy = node.entry.pos.y - pos.y;
+      const d = dx * dx + dy * dy;
+      if (d < bestDist) {
+        bestDist = d;
+        best = node.entry;
+      }
+      const diff = pos[node.axis] - node.entry.pos[node.axis];
+      const near = diff < 0 ? node.left : node.right;
+      const far = diff < 0 ? node.right : node.left;
+      visit(near);
+      if (diff * diff < bestDist) visit(far);
+    };
+    visit(this.root);
+    return best ? { data: best.data, distSq: bestDist } : null;
+  }
+}
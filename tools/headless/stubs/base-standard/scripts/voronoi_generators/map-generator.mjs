@@ -0,0 +1,5 @@
+/** Stand-in for /base-standard/scripts/voronoi_generators/map-generator.js */
+export const GeneratorType = {
+  Continent: 0,
+  Archipelago: 1
+};
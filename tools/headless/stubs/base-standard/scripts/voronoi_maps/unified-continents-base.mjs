@@ -0,0 +1,332 @@
+/**
+ * Stand-in for /base-standard/scripts/voronoi_maps/unified-continents-base.js
+ *
+ * Grows one blob per landmass on the hex grid, honouring the same knobs the
+ * map script sets (landmass sizes, erosion, coastal islands, mid-ocean
+ * islands, separation and pole distance). It is not the game's Voronoi
+ * generator; it only needs to produce maps with the same shape of data.
+ */
+import { TerrainType } from '../kd-tree.mjs';
+import { RuleAvoidEdge } from '../voronoi_rules/avoid-edge.mjs';
+import { RuleAvoidOtherRegions } from '../voronoi_rules/avoid-other-regions.mjs';
+
+function createRandom(seed) {
+  let s = seed >>> 0;
+  return function() {
+    let t = s += 0x6D2B79F5;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+function neighbors(x, y, width, height) {
+  const offsets = y % 2 === 1
+    ? [[-1, 0], [1, 0], [0, -1], [1, -1], [0, 1], [1, 1]]
+    : [[-1, 0], [1, 0], [-1, -1], [0, -1], [-1, 1], [0, 1]];
+  const result = [];
+  for (const [dx, dy] of offsets) {
+    const ny = y + dy;
+    if (ny < 0 || ny >= height) continue;
+    result.push([((x + dx) % width + width) % width, ny]);
+  }
+  return result;
+}
+
+// Neighbours in ring order, so a tile's same-owner neighbours can be checked
+// for a single contiguous run
+function ringNeighbors(x, y, width, height) {
+  const offsets = y % 2 === 1
+    ? [[1, 0], [1, 1], [0, 1], [-1, 0], [0, -1], [1, -1]]
+    : [[1, 0], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1]];
+  return offsets.map(([dx, dy]) => {
+    const ny = y + dy;
+    return ny < 0 || ny >= height ? null : [((x + dx) % width + width) % width, ny];
+  });
+}
+
+class HexTile {
+  constructor(x, y) {
+    this.coord = { x, y };
+    this.pos = this.coord;
+    this.landmassId = 0;
+    this.terrainType = TerrainType.Ocean;
+    this.majorPlayerRegionId = -1;
+  }
+
+  isLand() {
+    return this.landmassId > 0;
+  }
+}
+
+export class UnifiedContinentsBase {
+  constructor() {
+    this.m_settings = { landmassCount: 2, totalLandmassSize: 32 };
+    this.generatorSettings = null;
+    this.rules = null;
+    this.plateRegions = [];
+    this.tiles = [];
+    this.width = 0;
+    this.height = 0;
+  }
+
+  getSettings() {
+    return this.m_settings;
+  }
+
+  initInternal(mapSize, generatorType, defaultSettings, cellCountMultiple, relaxationSteps, wrapType) {
+    this.width = GameplayMap.getGridWidth();
+    this.height = GameplayMap.getGridHeight();
+    const config = JSON.parse(JSON.stringify(defaultSettings.generatorConfig));
+    const template = config.landmass[0] ?? {};
+    const count = this.m_settings.landmassCount;
+    const random = createRandom(GameplayMap.getRandomSeed() ^ 0x1234567);
+    config.landmass = [];
+    for (let i = 0; i < count; i++) {
+      const variance = template.variance ?? 2;
+      config.landmass.push({
+        ...template,
+        size: this.m_settings.totalLandmassSize / count + (random() * 2 - 1) * variance,
+        spawnCenterDistance: 0.5,
+        playerAreas: 0
+      });
+    }
+    this.generatorSettings = config;
+    this.rules = { landmass: [new RuleAvoidEdge(), new RuleAvoidOtherRegions()] };
+  }
+
+  getGenerator() {
+    return {
+      getSettings: () => this.generatorSettings,
+      getRules: () => this.rules,
+      getPlateRegions: () => this.plateRegions
+    };
+  }
+
+  getHexTiles() {
+    return { getTiles: () => this.tiles };
+  }
+
+  rule(name) {
+    for (const list of Object.values(this.rules)) {
+      for (const rule of list) {
+        if (rule.name === name) return rule.configValues;
+      }
+    }
+    return {};
+  }
+
+  simulate() {
+    const width = this.width;
+    const height = this.height;
+    const settings = this.generatorSettings;
+    const random = createRandom(GameplayMap.getRandomSeed() ^ 0x9e3779b9);
+    const owner = new Int16Array(width * height);
+    const edge = this.rule(RuleAvoidEdge.getName());
+    const separation = this.rule(RuleAvoidOtherRegions.getName()).minDistance ?? 4;
+    const poleRows = (edge.poleDistance ?? 2) + 1;
+
+    const playableArea = width * (height - poleRows * 2);
+    const landmasses = settings.landmass;
+    const totalSize = landmasses.reduce((s, l) => s + Math.max(1, l.size), 0);
+    const targetLand = playableArea * (this.m_settings.totalLandmassSize / 100);
+
+    // Blocks a candidate if another landmass owns a tile within `radius`
+    const blocked = (x, y, id, radius) => {
+      for (let dy = -radius; dy <= radius; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -radius; dx <= radius; dx++) {
+          const o = owner[ny * width + ((x + dx) % width + width) % width];
+          if (o !== 0 && o !== id) return true;
+        }
+      }
+      return false;
+    };
+
+    // Continents: seeded on a staggered grid of rows so that neighbours start
+    // farther apart than the separation rule, then grown round-robin
+    const frontiers = [];
+    const remaining = [];
+    const playableHeight = height - poleRows * 2;
+    const rows = Math.max(1, Math.min(landmasses.length, Math.round(Math.sqrt(landmasses.length * playableHeight / width))));
+    for (let i = 0; i < landmasses.length; i++) {
+      const id = i + 1;
+      const row = i % rows;
+      const rowCount = Math.floor((landmasses.length - 1 - row) / rows) + 1;
+      const column = Math.floor(i / rows) + (row % 2) * 0.5;
+      const sx = Math.floor(((column + 0.5 + (random() - 0.5) * 0.2) / rowCount) * width + width) % width;
+      const sy = Math.floor(poleRows + ((row + 0.5 + (random() - 0.5) * 0.2) / rows) * playableHeight);
+      owner[sy * width + sx] = id;
+      frontiers.push([[sx, sy]]);
+      remaining.push(Math.floor(targetLand * Math.max(1, landmasses[i].size) / totalSize) - 1);
+    }
+    let growing = true;
+    while (growing) {
+      growing = false;
+      for (let i = 0; i < landmasses.length; i++) {
+        const id = i + 1;
+        const frontier = frontiers[i];
+        while (remaining[i] > 0 && frontier.length > 0) {
+          const pick = Math.floor(random() * frontier.length);
+          const [fx, fy] = frontier[pick];
+          const options = neighbors(fx, fy, width, height).filter(([nx, ny]) =>
+            owner[ny * width + nx] === 0 && ny >= poleRows && ny < height - poleRows &&
+            !blocked(nx, ny, id, separation));
+          if (options.length === 0) {
+            frontier.splice(pick, 1);
+            continue;
+          }
+          const [nx, ny] = options[Math.floor(random() * options.length)];
+          owner[ny * width + nx] = id;
+          frontier.push([nx, ny]);
+          remaining[i]--;
+          growing = true;
+          break;
+        }
+      }
+    }
+
+    // A tile whose same-owner neighbours form more than one run around it
+    // holds the landmass together; removing it would split off a fragment
+    const splitsLandmass = (x, y, id) => {
+      const ring = ringNeighbors(x, y, width, height).map((n) => n !== null && owner[n[1] * width + n[0]] === id);
+      let runs = 0;
+      for (let k = 0; k < ring.length; k++) {
+        if (ring[k] && !ring[(k + ring.length - 1) % ring.length]) runs++;
+      }
+      return runs > 1;
+    };
+
+    // Erosion: strip a share of each continent's coastline, never cutting it in two
+    for (let i = 0; i < landmasses.length; i++) {
+      const id = i + 1;
+      const coast = [];
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          if (owner[y * width + x] !== id) continue;
+          if (neighbors(x, y, width, height).some(([nx, ny]) => owner[ny * width + nx] !== id)) coast.push(y * width + x);
+        }
+      }
+      const erode = Math.floor(coast.length * (landmasses[i].erosionPercent ?? 4) / 100);
+      for (let k = 0; k < erode && coast.length > 0;) {
+        const pick = Math.floor(random() * coast.length);
+        const index = coast[pick];
+        coast.splice(pick, 1);
+        if (splitsLandmass(index % width, Math.floor(index / width), id)) continue;
+        owner[index] = 0;
+        k++;
+      }
+    }
+
+    // Small islands (coastal and mid-ocean) get ids after the continents
+    let nextId = landmasses.length + 1;
+    const placeIsland = (cx, cy, size, clearance) => {
+      if (cy < poleRows || cy >= height - poleRows || owner[cy * width + cx] !== 0) return false;
+      if (blocked(cx, cy, -1, clearance)) return false;
+      const id = nextId++;
+      const cells = [[cx, cy]];
+      owner[cy * width + cx] = id;
+      while (cells.length < size) {
+        const [bx, by] = cells[Math.floor(random() * cells.length)];
+        const free = neighbors(bx, by, width, height).filter(([nx, ny]) =>
+          owner[ny * width + nx] === 0 && ny >= poleRows && ny < height - poleRows);
+        if (free.length === 0) break;
+        const [nx, ny] = free[Math.floor(random() * free.length)];
+        owner[ny * width + nx] = id;
+        cells.push([nx, ny]);
+      }
+      return true;
+    };
+
+    for (let i = 0; i < landmasses.length; i++) {
+      const l = landmasses[i];
+      const wanted = Math.round((l.coastalIslands ?? 0) / 16);
+      const minDist = l.coastalIslandsMinDistance ?? 2;
+      const maxDist = Math.max(minDist, l.coastalIslandsMaxDistance ?? 4);
+      const shore = [];
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          if (owner[y * width + x] === i + 1) shore.push([x, y]);
+        }
+      }
+      for (let k = 0, attempts = 0; k < wanted && attempts < wanted * 20 && shore.length > 0; attempts++) {
+        const [sx, sy] = shore[Math.floor(random() * shore.length)];
+        const dist = minDist + Math.floor(random() * (maxDist - minDist + 1));
+        const angle = random() * Math.PI * 2;
+        const x = ((Math.round(sx + Math.cos(angle) * dist)) % width + width) % width;
+        const y = Math.round(sy + Math.sin(angle) * dist);
+        if (placeIsland(x, y, 2 + Math.floor(random() * 3), 1)) k++;
+      }
+    }
+
+    const island = settings.island ?? {};
+    // Island totalSize scales with the continental land and is spent on a few
+    // islands of 3-8 tiles rather than a scatter of specks
+    let islandBudget = Math.floor(targetLand * (island.totalSize ?? 0) / 100 / 4);
+    for (let attempts = 0; islandBudget > 0 && attempts < 2000; attempts++) {
+      const x = Math.floor(random() * width);
+      const y = Math.floor(random() * height);
+      const size = 3 + Math.floor(random() * 6);
+      if (placeIsland(x, y, size, Math.max(2, island.landmassDistance ?? 2))) islandBudget -= size;
+    }
+
+    // Plates: seeds with a drift and a spin (radians per tile, before
+    // plate.plateRotationMultiple); they don't shape the land here
+    this.plateRegions = [];
+    const plateCount = Math.max(4, landmasses.length * 3);
+    for (let p = 0; p < plateCount; p++) {
+      const angle = random() * Math.PI * 2;
+      const speed = 0.5 + random() * 0.5;
+      this.plateRegions.push({
+        m_seedLocation: { x: random() * width, y: random() * height },
+        m_movement: { x: Math.cos(angle) * speed, y: Math.sin(angle) * speed },
+        m_rotation: (random() - 0.5) * 0.02
+      });
+    }
+
+    const mountainPercent = settings.mountain?.percent ?? 12;
+    this.tiles = [];
+    for (let y = 0; y < height; y++) {
+      const row = [];
+      for (let x = 0; x < width; x++) {
+        const tile = new HexTile(x, y);
+        tile.landmassId = owner[y * width + x];
+        if (tile.landmassId > 0) {
+          const roll = random() * 100;
+          tile.terrainType = roll < mountainPercent ? TerrainType.Mountainous
+            : roll < mountainPercent + 15 ? TerrainType.Rough
+            : TerrainType.Flat;
+        } else {
+          const nearLand = neighbors(x, y, width, height).some(([nx, ny]) => owner[ny * width + nx] > 0);
+          tile.terrainType = nearLand ? TerrainType.Coast : TerrainType.Ocean;
+        }
+        row.push(tile);
+      }
+      this.tiles.push(row);
+    }
+  }
+
+  /** Splits each inhabited landmass into `playerAreas` west-to-east strips */
+  createMajorPlayerAreas(fertilityGetter) {
+    const landmasses = this.generatorSettings.landmass;
+    for (let i = 0; i < landmasses.length; i++) {
+      const areas = landmasses[i].playerAreas ?? 0;
+      if (areas <= 0) continue;
+      const members = [];
+      for (const row of this.tiles) {
+        for (const tile of row) {
+          if (tile.landmassId === i + 1) members.push(tile);
+        }
+      }
+      if (members.length === 0) continue;
+      const anchor = members[0].coord.x;
+      const unwrap = (x) => ((x - anchor + this.width * 1.5) % this.width);
+      members.sort((a, b) => unwrap(a.coord.x) - unwrap(b.coord.x) || a.coord.y - b.coord.y);
+      const chunk = Math.ceil(members.length / areas);
+      members.forEach((tile, index) => {
+        tile.majorPlayerRegionId = Math.min(areas - 1, Math.floor(index / chunk));
+      });
+    }
+  }
+}
@@ -0,0 +1,8 @@
+/** Stand-in for /base-standard/scripts/voronoi_rules/avoid-edge.js */
+export class RuleAvoidEdge {
+  static getName() { return 'Avoid Edge'; }
+  constructor() {
+    this.name = RuleAvoidEdge.getName();
+    this.configValues = { poleDistance: 2, poleDistanceFalloff: 6 };
+  }
+}
@@ -0,0 +1,8 @@
+/** Stand-in for /base-standard/scripts/voronoi_rules/avoid-other-regions.js */
+export class RuleAvoidOtherRegions {
+  static getName() { return 'Avoid Other Regions'; }
+  constructor() {
+    this.name = RuleAvoidOtherRegions.getName();
+    this.configValues = { minDistance: 4, distanceFalloff: 4 };
+  }
+}
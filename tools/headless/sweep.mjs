@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Batch seed sweep: generates N maps per map size and continent count mode
+ * with the headless harness and aggregates the generation reports generateMap()
+ * returns.
+ *
+ * Usage:
+ *   node tools/headless/sweep.mjs [--seeds N] [--start-seed N] [--sizes 0,2,4] [--age 0-2]
+ *                                 [--modes 0,1,2] [--humans N] [--ais N]
+ *                                 [--teams 0,0,1,1]
+ *                                 [--option Key=Value ...] [--out report]
+ *
+ * Writes <out>.json (per-group failure rates, histograms, min/mean/max) and
+ * <out>.csv (one row per generated map). Defaults: 20 seeds, all sizes,
+ * Random mode, Antiquity, 1 human, out=sweep-report.
+ */
+import { writeFileSync } from 'node:fs';
+import { createRunner } from './run.mjs';
+
+function parseArgs(argv) {
+  const args = {
+    seeds: 20, startSeed: 1, sizes: [0, 1, 2, 3, 4], modes: [2], age: 0,
+    humans: 1, ais: undefined, teams: undefined, options: {}, out: 'sweep-report'
+  };
+  const list = (value) => value.split(',').map(Number);
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--seeds': args.seeds = Number(next()); break;
+      case '--start-seed': args.startSeed = Number(next()); break;
+      case '--sizes': args.sizes = list(next()); break;
+      case '--modes': args.modes = list(next()); break;
+      case '--age': args.age = Number(next()); break;
+      case '--humans': args.humans = Number(next()); break;
+      case '--ais': args.ais = Number(next()); break;
+      case '--teams': args.teams = list(next()); break;
+      case '--out': args.out = next(); break;
+      case '--option': {
+        const option = next();
+        const split = option.indexOf('=');
+        const value = option.slice(split + 1);
+        args.options[option.slice(0, split)] = /^-?\d+$/.test(value) ? Number(value) : value;
+        break;
+      }
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// AGGREGATION
+//──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Failure checks applied to every report. Each returns true when the map
+ * shows the problem; the report lists the share of maps per check.
+ */
+const FAILURE_CHECKS = {
+  stampedFewerContinents: (r) => r.continents.stamped < r.continents.expected,
+  humanIsolated: (r) => r.placements.isolatedHumans > 0,
+  playersTooClose: (r) => r.placements.minDistance !== null && r.placements.minDistance < r.placements.minRequiredDistance,
+  noDistantLands: (r) => r.continents.distantLands === 0,
+  waterOffTarget: (r) => Math.abs(r.terrain.waterPercent - r.terrain.targetWaterPercent) > r.terrain.waterTolerance,
+  teamsUnbalanced: (r) => r.teams !== null && !r.teams.balanced,
+  startsOutsideBand: (r) => r.balance !== null && !r.balance.withinBand,
+  strategicShortfall: (r) => r.resources !== null && r.resources.unmet.length > 0,
+  distantPayoffsShort: (r) => r.distantPayoffs !== null && Object.values(r.distantPayoffs.shortfall).some((n) => n > 0)
+};
+
+/** Numeric metrics that get a histogram and min/mean/max (binWidth 1 = one bucket per value) */
+const METRICS = {
+  landPercent: { get: (r) => r.terrain.landPercent, binWidth: 2 },
+  continentsExpected: { get: (r) => r.continents.expected, binWidth: 1 },
+  continentsStamped: { get: (r) => r.continents.stamped, binWidth: 5 },
+  homelands: { get: (r) => r.continents.homelands, binWidth: 1 },
+  distantLands: { get: (r) => r.continents.distantLands, binWidth: 1 },
+  islandCount: { get: (r) => r.islands.count, binWidth: 10 },
+  minPlayerDistance: { get: (r) => r.placements.minDistance, binWidth: 2 },
+  fixesApplied: { get: (r) => r.fixes.length, binWidth: 1 },
+  startSpread: { get: (r) => r.balance?.spread, binWidth: 5 }
+};
+
+function histogram(values, binWidth) {
+  const bins = {};
+  for (const value of values) {
+    const low = Math.floor(value / binWidth) * binWidth;
+    const label = binWidth === 1 ? `${low}` : `${low}-${low + binWidth}`;
+    bins[label] = (bins[label] ?? 0) + 1;
+  }
+  return Object.fromEntries(Object.entries(bins).sort((a, b) => parseFloat(a[0]) - parseFloat(b[0])));
+}
+
+function aggregate(reports, errors) {
+  const runs = reports.length + errors.length;
+  const failures = { generationError: { count: errors.length, rate: runs ? errors.length / runs : 0 } };
+  for (const [name, check] of Object.entries(FAILURE_CHECKS)) {
+    const count = reports.filter(check).length;
+    failures[name] = { count, rate: runs ? count / runs : 0 };
+  }
+
+  const metrics = {};
+  for (const [name, { get, binWidth }] of Object.entries(METRICS)) {
+    const values = reports.map(get).filter((v) => typeof v === 'number' && isFinite(v));
+    metrics[name] = values.length === 0 ? null : {
+      min: Math.min(...values),
+      mean: values.reduce((a, b) => a + b, 0) / values.length,
+      max: Math.max(...values),
+      histogram: histogram(values, binWidth)
+    };
+  }
+  return { runs, failures, metrics, errors };
+}
+
+const CSV_COLUMNS = [
+  ['size', (r) => r.config.mapSize],
+  ['mode', (r) => r.config.modes.continentCountName],
+  ['seed', (r) => r.config.seed],
+  ['preset', (r) => r.config.generation.preset],
+  ['landPercent', (r) => r.terrain.landPercent],
+  ['targetWaterPercent', (r) => r.terrain.targetWaterPercent],
+  ['continentsExpected', (r) => r.continents.expected],
+  ['continentsStamped', (r) => r.continents.stamped],
+  ['homelands', (r) => r.continents.homelands],
+  ['distantLands', (r) => r.continents.distantLands],
+  ['islandCount', (r) => r.islands.count],
+  ['islandTiles', (r) => r.islands.tiles],
+  ['players', (r) => r.config.players.total],
+  ['minPlayerDistance', (r) => r.placements.minDistance?.toFixed(2) ?? ''],
+  ['isolatedHumans', (r) => r.placements.isolatedHumans],
+  ['fixes', (r) => r.fixes.length],
+  ['warnings', (r) => r.warnings.length],
+  ['startSpread', (r) => r.balance?.spread ?? ''],
+  ['landBridges', (r) => r.landBridges?.bridges.length ?? ''],
+  ['chokepoints', (r) => r.chokepoints?.chokepoints.length ?? ''],
+  ['inlandSeas', (r) => r.inlandSeas?.seas.length ?? ''],
+  ['strategicMoved', (r) => r.resources?.moved ?? ''],
+  ['strategicAdded', (r) => r.resources?.added ?? ''],
+  ['mapHash', (r) => r.determinism.mapHash],
+  ...Object.entries(FAILURE_CHECKS).map(([name, check]) => [name, (r) => (check(r) ? 1 : 0)])
+];
+
+function toCsv(reports) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const report of reports) {
+    lines.push(CSV_COLUMNS.map(([, get]) => JSON.stringify(get(report) ?? '')).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+//──────────────────────────────────────────────────────────────────────────────
+// MAIN
+//──────────────────────────────────────────────────────────────────────────────
+
+const args = parseArgs(process.argv.slice(2));
+const run = await createRunner();
+const groups = [];
+const allReports = [];
+
+for (const size of args.sizes) {
+  for (const mode of args.modes) {
+    const reports = [];
+    const errors = [];
+    for (let seed = args.startSeed; seed < args.startSeed + args.seeds; seed++) {
+      const options = { ...args.options, ContinentsPPContinentCount: mode };
+      try {
+        const { result } = await run({ size, seed, age: args.age, humans: args.humans, ais: args.ais, teams: args.teams, options });
+        reports.push(result);
+      } catch (e) {
+        errors.push({ seed, message: e.message });
+      }
+    }
+    const group = { size, mode, ...aggregate(reports, errors) };
+    groups.push(group);
+    allReports.push(...reports);
+    const rates = Object.entries(group.failures)
+      .filter(([, f]) => f.count > 0)
+      .map(([name, f]) => `${name} ${(f.rate * 100).toFixed(0)}%`);
+    console.log(`size ${size} mode ${mode}: ${group.runs} maps${rates.length ? ` — ${rates.join(', ')}` : ' — no failures'}`);
+  }
+}
+
+const sweepReport = {
+  generatedAt: new Date().toISOString(),
+  settings: { ...args, out: undefined },
+  groups
+};
+writeFileSync(`${args.out}.json`, JSON.stringify(sweepReport, null, 2) + '\n');
+writeFileSync(`${args.out}.csv`, toCsv(allReports));
+console.log(`Wrote ${args.out}.json and ${args.out}.csv`);